@@ -0,0 +1,294 @@
+// API keys and Sign-In With Ethereum (EIP-4361) sessions
+//
+// API keys are listed in API_KEYS_FILE, stored as SHA-256 hashes:
+//   [{ "name": "issuer-app", "keyHash": "<sha256 hex>",
+//      "scopes": ["credential:issue"], "issuers": ["did:ethr:..."] }]
+// Each key can only sign with the DIDs in its issuers list ("*" for any).
+// API_KEYS_FILE is required: without it the servers only start with
+// DEV_MODE=true, which generates a key with every scope for the run.
+//
+// A wallet signs a SIWE message carrying a nonce from /auth/siwe/nonce and gets
+// a session token for did:ethr:<network>:<address>. Routes that act on a wallet
+// DID only let a signed-in caller act on their own DID.
+
+import { createHash, createHmac, randomBytes, timingSafeEqual } from "crypto";
+import { readFileSync } from "fs";
+import { decodeJwtPayload } from "./credentials.js";
+import { parseEthrDid } from "./networks.js";
+
+export const API_SCOPES = [
+    "did:create",
+    "did:read",
+    "did:update",
+    "credential:issue",
+    "credential:read",
+    "credential:verify",
+    "presentation:create",
+    "presentation:read",
+    "presentation:verify",
+    "message:send",
+    "message:read",
+    "schema:create",
+    "admin",
+];
+export const API_KEY_PREFIX = "vbk_";
+
+export function hashApiKey(key) {
+    return createHash("sha256").update(key).digest("hex");
+}
+
+// Read the API keys in file, keyed by hash. Without a file this throws, unless
+// devMode, where devKey is a generated key with every scope and any issuer.
+export function loadApiKeys(file, { devMode = false } = {}) {
+    const apiKeys = new Map();
+    if (!file) {
+        if (!devMode) {
+            throw new Error(
+                "API_KEYS_FILE is not set. List your API keys in it (see .env.example), or set DEV_MODE=true for local development"
+            );
+        }
+        const devKey = `${API_KEY_PREFIX}${randomBytes(24).toString("hex")}`;
+        apiKeys.set(hashApiKey(devKey), {
+            name: "dev",
+            scopes: API_SCOPES,
+            issuers: ["*"],
+        });
+        return { apiKeys, devKey };
+    }
+
+    for (const entry of JSON.parse(readFileSync(file, "utf8"))) {
+        if (!/^[0-9a-fA-F]{64}$/.test(entry.keyHash || "")) {
+            throw new Error(`API key '${entry.name}' needs a SHA-256 keyHash`);
+        }
+        const unknownScopes = (entry.scopes || []).filter(
+            (scope) => !API_SCOPES.includes(scope)
+        );
+        if (unknownScopes.length) {
+            throw new Error(
+                `API key '${entry.name}' has unknown scopes: ${unknownScopes.join(", ")}`
+            );
+        }
+        apiKeys.set(entry.keyHash.toLowerCase(), {
+            name: entry.name,
+            scopes: entry.scopes || [],
+            issuers: entry.issuers || [],
+        });
+    }
+    return { apiKeys, devKey: null };
+}
+
+// Authentication middleware and session tokens for one server. apiKeys comes
+// from loadApiKeys, session tokens are signed with a key derived from secretKey,
+// and requireSiweSession rejects wallet DID requests made without a session.
+export function createAuth({ apiKeys, secretKey, requireSiweSession }) {
+    const sessionSecret = createHash("sha256")
+        .update(`siwe-session:${secretKey}`)
+        .digest();
+
+    // Session tokens are HS256 JWTs
+    function signSessionToken(claims) {
+        const encode = (value) =>
+            Buffer.from(JSON.stringify(value)).toString("base64url");
+        const data = `${encode({ alg: "HS256", typ: "JWT" })}.${encode(claims)}`;
+        const signature = createHmac("sha256", sessionSecret)
+            .update(data)
+            .digest("base64url");
+        return `${data}.${signature}`;
+    }
+
+    // Returns the token claims, or null if the token is forged or expired
+    function verifySessionToken(token) {
+        const [header, payload, signature] = token.split(".");
+        if (!header || !payload || !signature) {
+            return null;
+        }
+
+        const expected = createHmac("sha256", sessionSecret)
+            .update(`${header}.${payload}`)
+            .digest();
+        const given = Buffer.from(signature, "base64url");
+        if (given.length !== expected.length || !timingSafeEqual(given, expected)) {
+            return null;
+        }
+
+        const claims = decodeJwtPayload(token);
+        if (!claims.exp || claims.exp * 1000 <= Date.now()) {
+            return null;
+        }
+        return claims;
+    }
+
+    // Attach the caller's SIWE session, if they sent one, to req.session
+    function authenticateSession(req, res, next) {
+        const [scheme, token] = (req.headers.authorization || "").split(" ");
+        if (scheme !== "Bearer" || !token || token.startsWith(API_KEY_PREFIX)) {
+            return next();
+        }
+
+        const claims = verifySessionToken(token);
+        if (!claims) {
+            return res.status(401).json({
+                success: false,
+                error: "Invalid or expired session token",
+            });
+        }
+
+        req.session = {
+            did: claims.sub,
+            address: claims.address,
+            chainId: claims.chainId,
+            expiresAt: new Date(claims.exp * 1000).toISOString(),
+        };
+        next();
+    }
+
+    // Only let a signed-in wallet act on its own did:ethr. Responds and returns
+    // false when the request must stop.
+    function requireDidOwner(req, res, did) {
+        if (!req.session) {
+            if (!requireSiweSession) {
+                return true;
+            }
+            res.status(401).json({
+                success: false,
+                error:
+                    "Sign in with /auth/siwe/verify and send the session token as 'Authorization: Bearer <token>'",
+            });
+            return false;
+        }
+
+        if (!isSessionDid(req.session, did)) {
+            res.status(403).json({
+                success: false,
+                error: `Session for ${req.session.did} cannot act on ${did}`,
+            });
+            return false;
+        }
+        return true;
+    }
+
+    // Identify the caller's API key, sent as X-API-Key or Authorization: Bearer vbk_...
+    function authenticateApiKey(req, res, next) {
+        const bearer = /^Bearer (\S+)$/.exec(req.headers.authorization || "")?.[1];
+        const key =
+            req.headers["x-api-key"] ||
+            (bearer?.startsWith(API_KEY_PREFIX) ? bearer : null);
+        if (!key) {
+            return next();
+        }
+
+        const apiKey = apiKeys.get(hashApiKey(key));
+        if (!apiKey) {
+            return res.status(401).json({
+                success: false,
+                error: "Invalid API key",
+            });
+        }
+
+        req.apiKey = apiKey;
+        next();
+    }
+
+    return {
+        signSessionToken,
+        verifySessionToken,
+        authenticateSession,
+        requireDidOwner,
+        authenticateApiKey,
+    };
+}
+
+// Whether did is the session's own wallet DID, on any network
+function isSessionDid(session, did) {
+    const address = parseEthrDid(did)?.address;
+    return address?.toLowerCase() === session.address.toLowerCase();
+}
+
+// Require an API key with the given scope. allowSession(req) lets a SIWE
+// session through instead, for requests on the caller's own wallet DID.
+export function requireScope(scope, { allowSession = () => false } = {}) {
+    return (req, res, next) => {
+        if (req.apiKey) {
+            if (req.apiKey.scopes.includes(scope)) {
+                return next();
+            }
+            return res.status(403).json({
+                success: false,
+                error: `API key '${req.apiKey.name}' lacks the '${scope}' scope`,
+            });
+        }
+        if (req.session && allowSession(req)) {
+            return next();
+        }
+        res.status(401).json({
+            success: false,
+            error: `Missing API key with the '${scope}' scope. Send it as 'X-API-Key: <key>'`,
+        });
+    };
+}
+
+// Require the SIWE session of the DID's own wallet, with or without an API key
+// and whatever REQUIRE_SIWE_SESSION says. For requests only the wallet may make,
+// like relayed meta-transactions, which spend the service's gas.
+export function requireOwnerSession(getDid) {
+    return (req, res, next) => {
+        if (!req.session) {
+            return res.status(401).json({
+                success: false,
+                error:
+                    "Sign in with /auth/siwe/verify and send the session token as 'Authorization: Bearer <token>'",
+            });
+        }
+        const did = getDid(req);
+        if (!isSessionDid(req.session, did)) {
+            return res.status(403).json({
+                success: false,
+                error: `Session for ${req.session.did} cannot act on ${did}`,
+            });
+        }
+        next();
+    };
+}
+
+// Whether the caller may sign with this DID: a DID on its API key's allowlist,
+// or the wallet DID of its SIWE session
+export function canSignAs(req, did) {
+    if (req.apiKey) {
+        return req.apiKey.issuers.includes("*") || req.apiKey.issuers.includes(did);
+    }
+    return Boolean(req.session) && isSessionDid(req.session, did);
+}
+
+// The issuers whose items the caller may see, or null for every issuer. SIWE
+// sessions only get through on routes for their own wallet DID (see
+// isSessionDidRequest), where credentials from any issuer are theirs.
+export function getAllowedIssuers(req) {
+    if (req.apiKey) {
+        return req.apiKey.issuers.includes("*") ? null : req.apiKey.issuers;
+    }
+    return req.session ? null : [];
+}
+
+// Reject signing requests for DIDs outside the API key's issuer allowlist
+export function requireIssuer(getDid) {
+    return (req, res, next) => {
+        const did = getDid(req);
+        if (did && !canSignAs(req, did)) {
+            return res.status(403).json({
+                success: false,
+                error: `API key '${req.apiKey.name}' may not sign as ${did}`,
+            });
+        }
+        next();
+    };
+}
+
+// Wallet DID creation, which a SIWE session may do for its own wallet
+export function isWalletDidRequest(req) {
+    return req.body.provider === "did:ethr" && Boolean(req.body.walletAddress);
+}
+
+// Requests on the SIWE session's own wallet DID
+export function isSessionDidRequest(req) {
+    return isSessionDid(req.session, req.params.did);
+}
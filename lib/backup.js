@@ -0,0 +1,426 @@
+// Encrypted backups
+// /admin/backup exports keys (private keys included), identifiers, stored
+// credentials and presentations, status lists, schemas, relayed meta-transactions
+// and presentation challenges, gzipped and encrypted with a key derived from a
+// passphrase (scrypt, AES-256-GCM). /admin/restore imports them.
+
+import { createCipheriv, createDecipheriv, randomBytes, scrypt } from "crypto";
+import { gzipSync, gunzipSync } from "zlib";
+import { decodeStatusList, encodeStatusList } from "./status-list.js";
+
+export const BACKUP_FORMAT = "veramo-backend-backup";
+export const BACKUP_VERSION = 1;
+export const BACKUP_SCRYPT = { N: 32768, r: 8, p: 1 };
+export const MAX_BACKUP_SCRYPT_MEMORY = 256 * 1024 * 1024;
+export const MIN_BACKUP_PASSPHRASE_LENGTH = 12;
+
+// Payload sections, in restore order. The last four are missing from archives
+// made before they were backed up and are then restored as empty.
+export const BACKUP_SECTIONS = [
+    "keys",
+    "identifiers",
+    "credentials",
+    "presentations",
+    "statusLists",
+    "schemas",
+    "metaTransactions",
+    "challenges",
+];
+const OPTIONAL_SECTIONS = ["statusLists", "schemas", "metaTransactions", "challenges"];
+
+function deriveBackupKey(passphrase, salt, { N, r, p }) {
+    return new Promise((resolve, reject) =>
+        scrypt(
+            passphrase,
+            salt,
+            32,
+            { N, r, p, maxmem: 2 * 128 * N * r },
+            (error, key) => (error ? reject(error) : resolve(key))
+        )
+    );
+}
+
+// The archive header is authenticated together with the payload
+export async function encryptBackup(payload, passphrase) {
+    const header = {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        createdAt: new Date().toISOString(),
+        kdf: {
+            name: "scrypt",
+            salt: randomBytes(16).toString("base64"),
+            ...BACKUP_SCRYPT,
+        },
+    };
+    const key = await deriveBackupKey(
+        passphrase,
+        Buffer.from(header.kdf.salt, "base64"),
+        header.kdf
+    );
+    const iv = randomBytes(12);
+    const cipher = createCipheriv("aes-256-gcm", key, iv);
+    cipher.setAAD(Buffer.from(JSON.stringify(header)));
+    const data = Buffer.concat([
+        cipher.update(gzipSync(JSON.stringify(payload))),
+        cipher.final(),
+    ]);
+
+    return {
+        ...header,
+        cipher: {
+            name: "aes-256-gcm",
+            iv: iv.toString("base64"),
+            tag: cipher.getAuthTag().toString("base64"),
+        },
+        data: data.toString("base64"),
+    };
+}
+
+// Returns { payload } or { error }
+export async function decryptBackup(archive, passphrase) {
+    const { format, version, createdAt, kdf, cipher, data } = archive || {};
+    if (format !== BACKUP_FORMAT || version !== BACKUP_VERSION) {
+        return { error: `Not a ${BACKUP_FORMAT} archive (version ${BACKUP_VERSION})` };
+    }
+    if (
+        kdf?.name !== "scrypt" ||
+        ![kdf.N, kdf.r, kdf.p].every((value) => Number.isInteger(value) && value > 0) ||
+        128 * kdf.N * kdf.r * kdf.p > MAX_BACKUP_SCRYPT_MEMORY ||
+        cipher?.name !== "aes-256-gcm" ||
+        typeof data !== "string"
+    ) {
+        return { error: "Unsupported archive encryption parameters" };
+    }
+
+    try {
+        const key = await deriveBackupKey(
+            passphrase,
+            Buffer.from(kdf.salt, "base64"),
+            kdf
+        );
+        const decipher = createDecipheriv(
+            "aes-256-gcm",
+            key,
+            Buffer.from(cipher.iv, "base64")
+        );
+        decipher.setAAD(Buffer.from(JSON.stringify({ format, version, createdAt, kdf })));
+        decipher.setAuthTag(Buffer.from(cipher.tag, "base64"));
+        const gzipped = Buffer.concat([
+            decipher.update(Buffer.from(data, "base64")),
+            decipher.final(),
+        ]);
+        return { payload: JSON.parse(gunzipSync(gzipped).toString("utf8")) };
+    } catch {
+        return { error: "Archive could not be decrypted: wrong passphrase or corrupted archive" };
+    }
+}
+
+// Checks that the decrypted payload is complete and consistent before anything
+// is written. Returns an error message or null.
+export function validateBackupPayload(payload) {
+    const missing = ["privateKeys", ...BACKUP_SECTIONS].filter(
+        (name) =>
+            !Array.isArray(payload?.[name]) &&
+            !(OPTIONAL_SECTIONS.includes(name) && payload?.[name] === undefined)
+    );
+    if (missing.length > 0) {
+        return `Archive payload is missing ${missing.join(", ")}`;
+    }
+
+    const aliases = new Set(payload.privateKeys.map((key) => key?.alias));
+    for (const key of payload.privateKeys) {
+        if (!key?.alias || !key.type || !/^(0x)?[0-9a-fA-F]+$/.test(key.privateKeyHex || "")) {
+            return `Invalid private key '${key?.alias}'`;
+        }
+    }
+
+    const kids = new Set(payload.keys.map((key) => key?.kid));
+    for (const key of payload.keys) {
+        if (!key?.kid || !key.type || !key.kms || !key.publicKeyHex) {
+            return `Invalid key '${key?.kid}'`;
+        }
+        // Retired keys keep their public key only
+        if (key.kms === "local" && !key.meta?.retired && !aliases.has(key.kid)) {
+            return `Private key of key '${key.kid}' is missing`;
+        }
+    }
+
+    for (const identifier of payload.identifiers) {
+        if (
+            !identifier?.did ||
+            !identifier.provider ||
+            !Array.isArray(identifier.keys) ||
+            !Array.isArray(identifier.services)
+        ) {
+            return `Invalid identifier '${identifier?.did}'`;
+        }
+        const unknown = identifier.keys.find((key) => !kids.has(key?.kid));
+        if (unknown) {
+            return `Identifier '${identifier.did}' references unknown key '${unknown.kid}'`;
+        }
+    }
+
+    if (payload.credentials.some((entry) => !entry?.id || !entry.credential)) {
+        return "Invalid credential entry";
+    }
+    if (payload.presentations.some((entry) => !entry?.id || !entry.presentation)) {
+        return "Invalid presentation entry";
+    }
+    for (const list of payload.statusLists || []) {
+        if (
+            !list?.id ||
+            !list.issuer ||
+            !list.purpose ||
+            !Number.isInteger(list.size) ||
+            !Number.isInteger(list.nextIndex) ||
+            typeof list.encodedList !== "string"
+        ) {
+            return `Invalid status list '${list?.id}'`;
+        }
+        try {
+            if (decodeStatusList(list.encodedList).length * 8 !== list.size) {
+                return `Status list '${list.id}' does not hold ${list.size} entries`;
+            }
+        } catch {
+            return `Status list '${list.id}' is not GZIP + base64url encoded`;
+        }
+    }
+    if (
+        (payload.schemas || []).some(
+            (entry) => !entry?.id || !entry.name || !entry.version || !entry.schema
+        )
+    ) {
+        return "Invalid schema entry";
+    }
+    if (
+        (payload.metaTransactions || []).some(
+            (entry) => !entry?.id || !entry.did || !entry.action || !entry.status
+        )
+    ) {
+        return "Invalid meta-transaction entry";
+    }
+    if (
+        (payload.challenges || []).some(
+            (entry) => !entry?.challenge || !entry.purpose || !entry.domain || !entry.expiresAt
+        )
+    ) {
+        return "Invalid challenge entry";
+    }
+    if (
+        payload.didRegistry !== undefined &&
+        !(Array.isArray(payload.didRegistry) && payload.didRegistry.every((entry) => entry?.did))
+    ) {
+        return "Invalid DID registry";
+    }
+    return null;
+}
+
+// Entries per section, e.g. { keys: 5, identifiers: 3, ... }
+export function summarizeBackup(payload) {
+    return Object.fromEntries(
+        BACKUP_SECTIONS.map((section) => [section, (payload[section] || []).length])
+    );
+}
+
+// Runs a task alone, for restores and other writes in one transaction that
+// writes of other requests must not end up in, or be rolled back with.
+// middleware counts the requests in progress; runExclusive(req, task) waits
+// until every other request is done and holds new ones back until task settles.
+export function createRequestLock() {
+    let active = 0;
+    let exclusive = null; // promise of the running exclusive task
+    let idle = []; // resolvers waiting for active to reach 0
+
+    function middleware(req, res, next) {
+        const enter = () => {
+            if (exclusive) {
+                exclusive.then(enter, enter);
+                return;
+            }
+            active++;
+            let released = false;
+            req.releaseRequestLock = () => {
+                if (released) {
+                    return;
+                }
+                released = true;
+                active--;
+                if (active === 0) {
+                    idle.forEach((resolve) => resolve());
+                    idle = [];
+                }
+            };
+            res.on("close", req.releaseRequestLock);
+            next();
+        };
+        enter();
+    }
+
+    async function runExclusive(req, task) {
+        req.releaseRequestLock?.();
+        while (exclusive) {
+            await exclusive.catch(() => {});
+        }
+        const run = (async () => {
+            if (active > 0) {
+                await new Promise((resolve) => idle.push(resolve));
+            }
+            return task();
+        })();
+        exclusive = run;
+        try {
+            return await run;
+        } finally {
+            exclusive = null;
+        }
+    }
+
+    return { middleware, runExclusive };
+}
+
+// Restored and skipped entries per section, counted by the restore functions
+export function createRestoreCounts() {
+    const counts = () => Object.fromEntries(BACKUP_SECTIONS.map((section) => [section, 0]));
+    return { restored: counts(), skipped: counts() };
+}
+
+async function hasPrivateKey(agentStores, alias) {
+    try {
+        await agentStores.privateKeyStore.getKey({ alias });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Keys, private keys and identifiers of the agent's Veramo stores
+// ({ keyStore, privateKeyStore, didStore })
+export async function exportAgentStores(agentStores) {
+    const keys = await agentStores.keyStore.listKeys();
+    const privateKeys = [];
+    for (const key of keys.filter(({ kms }) => kms === "local")) {
+        try {
+            const { alias, type, privateKeyHex } =
+                await agentStores.privateKeyStore.getKey({ alias: key.kid });
+            privateKeys.push({ alias, type, privateKeyHex });
+        } catch {
+            // Retired keys have no private key
+        }
+    }
+    return {
+        keys,
+        privateKeys,
+        identifiers: await agentStores.didStore.listDIDs({}),
+    };
+}
+
+export async function clearAgentStores(agentStores) {
+    for (const { did } of await agentStores.didStore.listDIDs({})) {
+        await agentStores.didStore.deleteDID({ did });
+    }
+    for (const { kid } of await agentStores.keyStore.listKeys()) {
+        if (await hasPrivateKey(agentStores, kid)) {
+            await agentStores.privateKeyStore.deleteKey({ alias: kid });
+        }
+        await agentStores.keyStore.deleteKey({ kid });
+    }
+}
+
+// Import the archive's keys and identifiers, skipping those that already exist
+export async function importAgentStores(agentStores, payload, { restored, skipped }) {
+    const privateKeys = new Map(payload.privateKeys.map((key) => [key.alias, key]));
+    const kids = new Set((await agentStores.keyStore.listKeys()).map(({ kid }) => kid));
+    for (const { kid, kms, type, publicKeyHex, meta } of payload.keys) {
+        if (kids.has(kid)) {
+            skipped.keys++;
+            continue;
+        }
+        const privateKey = privateKeys.get(kid);
+        if (privateKey) {
+            // A private key without its key record is a leftover; the archive's wins
+            if (await hasPrivateKey(agentStores, kid)) {
+                await agentStores.privateKeyStore.deleteKey({ alias: kid });
+            }
+            const { alias, type, privateKeyHex } = privateKey;
+            await agentStores.privateKeyStore.importKey({ alias, type, privateKeyHex });
+        }
+        await agentStores.keyStore.importKey({ kid, kms, type, publicKeyHex, meta });
+        restored.keys++;
+    }
+
+    const dids = new Set((await agentStores.didStore.listDIDs({})).map(({ did }) => did));
+    for (const identifier of payload.identifiers) {
+        if (dids.has(identifier.did)) {
+            skipped.identifiers++;
+            continue;
+        }
+        await agentStores.didStore.importDID(identifier);
+        restored.identifiers++;
+    }
+}
+
+// Status lists, schemas, relayed meta-transactions and presentation challenges.
+// stores holds the server's StatusListStore, SchemaStore, MetaTxStore and
+// ChallengeStore, which list and clear their entries the same way in both servers.
+export async function exportServiceStores({ statusLists, schemas, metaTransactions, challenges }) {
+    return {
+        statusLists: (await statusLists.listLists()).map((list) => ({
+            id: list.id,
+            issuer: list.issuer,
+            purpose: list.purpose,
+            size: list.size,
+            nextIndex: list.nextIndex,
+            encodedList: encodeStatusList(list.bits),
+            credential: list.credential || null,
+        })),
+        schemas: await schemas.listSchemas(),
+        metaTransactions: await metaTransactions.listTransactions(),
+        challenges: await challenges.list(),
+    };
+}
+
+export async function clearServiceStores(stores) {
+    for (const store of Object.values(stores)) {
+        await store.clear();
+    }
+}
+
+// Import the archive's entries, skipping those that already exist
+export async function importServiceStores(
+    { statusLists, schemas, metaTransactions, challenges },
+    payload,
+    { restored, skipped }
+) {
+    for (const { encodedList, ...list } of payload.statusLists || []) {
+        if (await statusLists.getList(list.id)) {
+            skipped.statusLists++;
+            continue;
+        }
+        await statusLists.saveList({ ...list, bits: decodeStatusList(encodedList) });
+        restored.statusLists++;
+    }
+    for (const entry of payload.schemas || []) {
+        if (await schemas.getSchema(entry.id)) {
+            skipped.schemas++;
+            continue;
+        }
+        await schemas.saveSchema(entry);
+        restored.schemas++;
+    }
+    for (const entry of payload.metaTransactions || []) {
+        if (await metaTransactions.get(entry.id)) {
+            skipped.metaTransactions++;
+            continue;
+        }
+        await metaTransactions.save(entry);
+        restored.metaTransactions++;
+    }
+    for (const entry of payload.challenges || []) {
+        if (await challenges.get(entry.challenge, entry.purpose)) {
+            skipped.challenges++;
+            continue;
+        }
+        await challenges.create(entry);
+        restored.challenges++;
+    }
+}
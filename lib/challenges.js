@@ -0,0 +1,224 @@
+// Presentation challenges and SIWE nonces
+// Verifiers fetch a single-use challenge from /presentation/challenge and the
+// holder binds it (and the verifier's domain) into the presentation proof.
+// /presentation/verify only accepts known, unexpired, unused challenges.
+// SIWE nonces share the store under their own purpose, so a nonce cannot be
+// used as a presentation challenge or the other way around.
+
+import { decodeJwtPayload } from "./credentials.js";
+
+export const CHALLENGE_TTL_SECONDS = Number(process.env.CHALLENGE_TTL_SECONDS) || 300;
+export const MAX_CHALLENGE_TTL_SECONDS = 3600;
+// Set REQUIRE_PRESENTATION_CHALLENGE=false to keep accepting presentations without one
+export const REQUIRE_PRESENTATION_CHALLENGE =
+    process.env.REQUIRE_PRESENTATION_CHALLENGE !== "false";
+
+// Challenges in the presentation_challenge table. getConnection returns the
+// server's TypeORM connection, which is only opened by initializeAgent.
+export function createChallengeStore(getConnection) {
+    return {
+        async init() {
+            const dbConnection = getConnection();
+            await dbConnection.query(
+                `CREATE TABLE IF NOT EXISTS presentation_challenge (
+                    challenge TEXT PRIMARY KEY,
+                    domain TEXT NOT NULL,
+                    created_at TEXT NOT NULL,
+                    expires_at TEXT NOT NULL,
+                    used_at TEXT,
+                    purpose TEXT NOT NULL DEFAULT 'presentation'
+                )`
+            );
+            // Tables created before purposes hold presentation challenges and nonces alike
+            const columns = await dbConnection.query(
+                "PRAGMA table_info(presentation_challenge)"
+            );
+            if (!columns.some((column) => column.name === "purpose")) {
+                await dbConnection.query(
+                    "ALTER TABLE presentation_challenge ADD COLUMN purpose TEXT NOT NULL DEFAULT 'presentation'"
+                );
+            }
+        },
+
+        async create(entry) {
+            // Drop challenges that expired more than an hour ago
+            await getConnection().query(
+                "DELETE FROM presentation_challenge WHERE expires_at < ?",
+                [new Date(Date.now() - 3600 * 1000).toISOString()]
+            );
+            await getConnection().query(
+                "INSERT INTO presentation_challenge (challenge, purpose, domain, created_at, expires_at, used_at) VALUES (?, ?, ?, ?, ?, ?)",
+                [
+                    entry.challenge,
+                    entry.purpose,
+                    entry.domain,
+                    entry.createdAt,
+                    entry.expiresAt,
+                    entry.usedAt || null,
+                ]
+            );
+            return entry;
+        },
+
+        // A challenge issued for purpose ("presentation" or "siwe"), or null
+        async get(challenge, purpose) {
+            const rows = await getConnection().query(
+                "SELECT * FROM presentation_challenge WHERE challenge = ? AND purpose = ?",
+                [challenge, purpose]
+            );
+            return rows.length ? this.fromRow(rows[0]) : null;
+        },
+
+        // Every stored challenge, for backups
+        async list() {
+            const rows = await getConnection().query(
+                "SELECT * FROM presentation_challenge ORDER BY created_at"
+            );
+            return rows.map((row) => this.fromRow(row));
+        },
+
+        async clear() {
+            await getConnection().query("DELETE FROM presentation_challenge");
+        },
+
+        fromRow(row) {
+            return {
+                challenge: row.challenge,
+                purpose: row.purpose,
+                domain: row.domain,
+                createdAt: row.created_at,
+                expiresAt: row.expires_at,
+                usedAt: row.used_at,
+            };
+        },
+
+        // Mark a challenge used. Returns false if it was already used, so two
+        // concurrent verifications of the same presentation cannot both succeed.
+        async consume(challenge, purpose) {
+            const queryRunner = getConnection().createQueryRunner();
+            try {
+                const result = await queryRunner.query(
+                    "UPDATE presentation_challenge SET used_at = ? WHERE challenge = ? AND purpose = ? AND used_at IS NULL",
+                    [new Date().toISOString(), challenge, purpose],
+                    true
+                );
+                return result.affected === 1;
+            } finally {
+                await queryRunner.release();
+            }
+        },
+    };
+}
+
+// Challenge and domain bound into a presentation (JWT nonce/aud or proof options)
+export function getPresentationBinding(presentation) {
+    const jwt =
+        typeof presentation === "string" ? presentation : presentation?.proof?.jwt;
+    if (jwt) {
+        const { nonce, aud } = decodeJwtPayload(jwt);
+        return { challenge: nonce, domain: [aud].flat()[0] };
+    }
+    return {
+        challenge: presentation?.proof?.challenge,
+        domain: presentation?.proof?.domain,
+    };
+}
+
+// Challenge checks around a server's presentation verifier.
+// verifyPresentationProof(presentation, { domain, challenge, resolutionOptions })
+// checks the proof and credential status, and getProofFormat(presentation)
+// names the proof format reported back.
+export function createPresentationVerifier({
+    store,
+    verifyPresentationProof,
+    getProofFormat,
+    requireChallenge = REQUIRE_PRESENTATION_CHALLENGE,
+}) {
+    // Look up the challenge a presentation is bound to. Returns the challenge and
+    // domain to verify against, or an error when it must be rejected.
+    async function checkPresentationChallenge(presentation, { domain, challenge }) {
+        const fail = (errorCode, message) => ({ error: { message, errorCode } });
+        const embedded = getPresentationBinding(presentation);
+        const value = challenge || embedded.challenge;
+
+        if (!value) {
+            return requireChallenge
+                ? fail(
+                      "missing_challenge",
+                      "Presentation has no challenge. Request one from /presentation/challenge"
+                  )
+                : { domain };
+        }
+
+        const entry = await store.get(value, "presentation");
+        if (!entry) {
+            return fail("unknown_challenge", "Challenge was not issued by this service");
+        }
+        if (entry.usedAt) {
+            return fail("challenge_reused", "Challenge has already been used");
+        }
+        if (Date.parse(entry.expiresAt) <= Date.now()) {
+            return fail("challenge_expired", "Challenge has expired");
+        }
+        if (
+            (domain && domain !== entry.domain) ||
+            embedded.domain !== entry.domain
+        ) {
+            return fail(
+                "domain_mismatch",
+                `Presentation must be bound to the challenge domain '${entry.domain}'`
+            );
+        }
+
+        return { challenge: value, domain: entry.domain };
+    }
+
+    // Verify a /presentation/verify request: challenge binding, proof and credential
+    // status. The challenge is burned when the presentation verifies, unless
+    // consumeChallenge is false because the caller refuses it for another reason.
+    async function verifyPresentationRequest(
+        { presentation, domain, challenge, signature },
+        resolutionOptions,
+        { consumeChallenge = true } = {}
+    ) {
+        // Wallet-signed presentation, either complete or as prepared + signature
+        if (signature && typeof presentation === "object" && presentation.proof) {
+            presentation.proof.proofValue = signature;
+        }
+        const proofFormat = getProofFormat(presentation);
+
+        const binding = await checkPresentationChallenge(presentation, {
+            domain,
+            challenge,
+        });
+        if (binding.error) {
+            return {
+                proofFormat,
+                verification: { verified: false, error: binding.error },
+            };
+        }
+
+        const result = await verifyPresentationProof(presentation, {
+            ...binding,
+            resolutionOptions,
+        });
+
+        // Burn the challenge so the presentation cannot be replayed
+        if (
+            result.verified &&
+            consumeChallenge &&
+            binding.challenge &&
+            !(await store.consume(binding.challenge, "presentation"))
+        ) {
+            result.verified = false;
+            result.error = {
+                message: "Challenge has already been used",
+                errorCode: "challenge_reused",
+            };
+        }
+
+        return { proofFormat, verification: result };
+    }
+
+    return { checkPresentationChallenge, verifyPresentationRequest };
+}
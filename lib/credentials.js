@@ -0,0 +1,50 @@
+// Helpers for reading credentials and presentations, JWT or JSON
+
+// Decode a JWT payload without verifying it
+export function decodeJwtPayload(jwt) {
+    return JSON.parse(Buffer.from(jwt.split(".")[1], "base64url").toString());
+}
+
+// Flatten a JWT or JSON credential into { issuer, credentialStatus, ... }
+export function normalizeCredential(credential) {
+    if (typeof credential === "string") {
+        const payload = decodeJwtPayload(credential);
+        return { ...payload.vc, issuer: payload.iss, ...(payload.jti && { id: payload.jti }) };
+    }
+    return credential;
+}
+
+export function getCredentialIssuer(credential) {
+    const { issuer } = normalizeCredential(credential);
+    return typeof issuer === "string" ? issuer : issuer?.id;
+}
+
+// When a credential was issued: the JWT nbf or iat, or issuanceDate / validFrom
+export function getCredentialIssuanceDate(credential) {
+    const jwt = typeof credential === "string" ? credential : credential?.proof?.jwt;
+    if (jwt) {
+        const { nbf, iat } = decodeJwtPayload(jwt);
+        return nbf || iat ? new Date((nbf || iat) * 1000).toISOString() : null;
+    }
+    return credential?.issuanceDate || credential?.validFrom || null;
+}
+
+export function getPresentationCredentials(presentation) {
+    const vp =
+        typeof presentation === "string"
+            ? decodeJwtPayload(presentation).vp
+            : presentation;
+    const credentials = vp?.verifiableCredential || [];
+    return Array.isArray(credentials) ? credentials : [credentials];
+}
+
+// Same rules Veramo uses to pick a verifier for a credential or presentation
+export function detectProofFormat(document) {
+    if (typeof document === "string" || document?.proof?.jwt) {
+        return "jwt";
+    }
+    if (document?.proof?.type === "EthereumEip712Signature2021") {
+        return "EthereumEip712Signature2021";
+    }
+    return "lds";
+}
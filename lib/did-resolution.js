@@ -0,0 +1,410 @@
+// DID resolution: the resolution cache, resolution as of a version or time, and
+// W3C DID Resolution over HTTP(S) (/1.0/identifiers), as used by Universal
+// Resolver drivers. https://w3c-ccg.github.io/did-resolution/#bindings-https
+
+import express from "express";
+import { parse as parseDidUrl } from "did-resolver";
+import { getResolver as keyDidResolver } from "key-did-resolver";
+
+export const DID_RESOLUTION_CONTEXT = "https://w3id.org/did-resolution/v1";
+export const DID_RESOLUTION_PROFILE = "https://w3id.org/did-resolution";
+export const DID_RESOLUTION_MEDIA_TYPE = `application/ld+json;profile="${DID_RESOLUTION_PROFILE}"`;
+export const DID_DOCUMENT_MEDIA_TYPES = ["application/did+ld+json", "application/did+json"];
+
+// HTTP status for each DID Resolution error code
+export const DID_RESOLUTION_ERROR_STATUS = {
+    invalidDid: 400,
+    invalidDidUrl: 400,
+    notFound: 404,
+    representationNotSupported: 406,
+    methodNotSupported: 501,
+    internalError: 500,
+};
+
+// DID resolution cache. Results are kept for ttlSeconds and failed resolutions
+// (didResolutionMetadata.error) for negativeTtlSeconds, so verification does not
+// go to the RPC every time. A TTL of 0 disables caching.
+export function createDidResolutionCache({
+    ttlSeconds = 300,
+    negativeTtlSeconds = 30,
+    maxEntries = 10000,
+} = {}) {
+    return {
+        entries: new Map(), // DID URL (without fragment) -> { did, result, cachedAt, expiresAt }
+
+        get(key) {
+            const entry = this.entries.get(key);
+            if (entry && entry.expiresAt <= Date.now()) {
+                this.entries.delete(key);
+                return null;
+            }
+            return entry || null;
+        },
+
+        set(key, did, result) {
+            const ttl = result.didResolutionMetadata?.error ? negativeTtlSeconds : ttlSeconds;
+            if (!(ttl > 0)) {
+                return;
+            }
+
+            // Evict the oldest entry when full
+            this.entries.delete(key);
+            if (this.entries.size >= maxEntries) {
+                this.entries.delete(this.entries.keys().next().value);
+            }
+            const now = Date.now();
+            this.entries.set(key, {
+                did,
+                result: structuredClone(result),
+                cachedAt: now,
+                expiresAt: now + ttl * 1000,
+            });
+        },
+
+        // Remove every entry for a DID, or all entries; returns the number removed
+        purge(did) {
+            if (!did) {
+                const count = this.entries.size;
+                this.entries.clear();
+                return count;
+            }
+            let count = 0;
+            for (const [key, entry] of this.entries) {
+                if (entry.did === did) {
+                    this.entries.delete(key);
+                    count += 1;
+                }
+            }
+            return count;
+        },
+    };
+}
+
+// JSON-LD context of did:key documents. key-did-resolver leaves it out (or uses
+// the legacy https://w3id.org/did/v1), and LD proofs only read the issuer's
+// assertionMethod straight from documents whose first context is DID v1.
+const DID_KEY_CONTEXT = [
+    "https://www.w3.org/ns/did/v1",
+    "https://w3id.org/security/suites/ed25519-2018/v1",
+    "https://w3id.org/security/suites/x25519-2019/v1",
+];
+
+// did:key resolver returning documents with DID_KEY_CONTEXT
+export function getKeyDidResolver() {
+    const { key } = keyDidResolver();
+    return {
+        async key(did, parsed, resolver, options) {
+            const result = await key(did, parsed, resolver, { ...options, accept: "application/did+json" });
+            if (!result.didDocument) {
+                return result;
+            }
+            return {
+                ...result,
+                didDocument: { "@context": DID_KEY_CONTEXT, ...result.didDocument },
+                didResolutionMetadata: {
+                    ...result.didResolutionMetadata,
+                    contentType: "application/did+ld+json",
+                },
+            };
+        },
+    };
+}
+
+// Map resolver errors to DID Resolution error codes
+export function getDidResolutionError(resolution) {
+    const error = resolution.didResolutionMetadata?.error;
+    if (!error) {
+        return null;
+    }
+    if (error === "unsupportedDidMethod" || error === "unknownNetwork") {
+        return "methodNotSupported";
+    }
+    return DID_RESOLUTION_ERROR_STATUS[error] ? error : "internalError";
+}
+
+// Pick the response media type from an Accept header (highest q first). The
+// full resolution result is returned unless a DID document type is preferred.
+export function negotiateDidMediaType(accept) {
+    const accepted = (accept || "*/*")
+        .split(",")
+        .map((item) => {
+            const [type, ...params] = item.split(";").map((part) => part.trim());
+            const param = (name) =>
+                params
+                    .find((value) => value.startsWith(`${name}=`))
+                    ?.slice(name.length + 1)
+                    .replace(/"/g, "");
+            return { type: type.toLowerCase(), profile: param("profile"), q: Number(param("q") ?? 1) };
+        })
+        .sort((a, b) => b.q - a.q);
+
+    for (const { type, profile, q } of accepted) {
+        if (q <= 0) {
+            continue;
+        }
+        if (DID_DOCUMENT_MEDIA_TYPES.includes(type)) {
+            return type;
+        }
+        if (
+            (type === "application/ld+json" && (!profile || profile === DID_RESOLUTION_PROFILE)) ||
+            ["application/json", "application/*", "*/*"].includes(type)
+        ) {
+            return DID_RESOLUTION_MEDIA_TYPE;
+        }
+    }
+    return null;
+}
+
+// Find a verification method or service by fragment in a DID document
+export function findDidDocumentResource(didDocument, did, fragment) {
+    const ids = [`#${fragment}`, `${did}#${fragment}`];
+    const resources = [
+        ...(didDocument.verificationMethod || []),
+        ...(didDocument.service || []),
+        ...[
+            "authentication",
+            "assertionMethod",
+            "keyAgreement",
+            "capabilityInvocation",
+            "capabilityDelegation",
+        ].flatMap((relationship) =>
+            (didDocument[relationship] || []).filter((entry) => typeof entry === "object")
+        ),
+    ];
+    return resources.find((resource) => ids.includes(resource.id)) || null;
+}
+
+function sendDidResolutionError(res, error, errorMessage, dereferencing = false) {
+    const metadata = { error, ...(errorMessage && { errorMessage }) };
+    res
+        .status(DID_RESOLUTION_ERROR_STATUS[error])
+        .type(DID_RESOLUTION_MEDIA_TYPE)
+        .send(
+            JSON.stringify(
+                dereferencing
+                    ? {
+                            "@context": DID_RESOLUTION_CONTEXT,
+                            contentStream: null,
+                            dereferencingMetadata: metadata,
+                            contentMetadata: {},
+                        }
+                    : {
+                            "@context": DID_RESOLUTION_CONTEXT,
+                            didDocument: null,
+                            didResolutionMetadata: metadata,
+                            didDocumentMetadata: {},
+                        }
+            )
+        );
+}
+
+// Resolution through the agent's resolver and the cache given. getAgent() returns
+// the current Veramo agent, whose resolver should be wrapped by createCachingResolver.
+export function createDidResolution({ cache, getAgent }) {
+    // Resolve the DID of a parsed DID URL, honoring its versionId and versionTime
+    // parameters. Methods that only support versionId (block numbers for did:ethr)
+    // are walked back from the latest version to the one current at versionTime.
+    async function resolveDidVersion(parsed) {
+        const params = new URLSearchParams(parsed.query || "");
+        const query = new URLSearchParams();
+        for (const name of ["versionId", "no-cache"]) {
+            if (params.has(name)) {
+                query.set(name, params.get(name));
+            }
+        }
+        const resolve = () =>
+            getAgent().resolveDid({ didUrl: query.size ? `${parsed.did}?${query}` : parsed.did });
+
+        const versionTime = params.get("versionTime");
+        const time = versionTime ? Date.parse(versionTime) : null;
+        if (Number.isNaN(time)) {
+            return {
+                didDocument: null,
+                didDocumentMetadata: {},
+                didResolutionMetadata: {
+                    error: "invalidDidUrl",
+                    errorMessage: `versionTime must be an XML datetime, got '${versionTime}'`,
+                },
+            };
+        }
+
+        let resolution = await resolve();
+        while (time !== null && !resolution.didResolutionMetadata?.error) {
+            const { versionId, updated } = resolution.didDocumentMetadata || {};
+            if (!Number.isSafeInteger(Number(versionId)) || !updated || Date.parse(updated) <= time) {
+                break;
+            }
+            query.set("versionId", String(Number(versionId) - 1));
+            resolution = await resolve();
+        }
+
+        return resolution;
+    }
+
+    // Wrap a Resolver with the cache. The noCache resolution option (or a
+    // no-cache=true DID URL parameter) skips the cached result and refreshes it.
+    function createCachingResolver(resolver) {
+        return {
+            async resolve(didUrl, options = {}) {
+                const parsed = parseDidUrl(didUrl);
+                if (!parsed) {
+                    return resolver.resolve(didUrl, options);
+                }
+
+                // Resolution as of a time (verifying credentials after key rotation)
+                if (options.versionTime) {
+                    return resolveDidVersion(
+                        parseDidUrl(`${parsed.did}?versionTime=${encodeURIComponent(options.versionTime)}`)
+                    );
+                }
+
+                // Batch verification passes a Map so every DID is resolved once per batch
+                const { resolutionMemo, ...resolveOptions } = options;
+                if (resolutionMemo instanceof Map) {
+                    const memoKey = `${parsed.didUrl.split("#")[0]} ${resolveOptions.versionTime || ""}`;
+                    if (!resolutionMemo.has(memoKey)) {
+                        resolutionMemo.set(memoKey, this.resolve(didUrl, resolveOptions));
+                    }
+                    return structuredClone(await resolutionMemo.get(memoKey));
+                }
+
+                const key = parsed.didUrl.split("#")[0];
+                const noCache =
+                    options.noCache === true ||
+                    new URLSearchParams(parsed.query || "").get("no-cache") === "true";
+                const cached = !noCache && cache.get(key);
+                if (cached) {
+                    const result = structuredClone(cached.result);
+                    return {
+                        ...result,
+                        didResolutionMetadata: {
+                            ...result.didResolutionMetadata,
+                            cacheHit: true,
+                            cachedAt: new Date(cached.cachedAt).toISOString(),
+                        },
+                    };
+                }
+
+                const result = await resolver.resolve(didUrl, options);
+                cache.set(key, parsed.did, result);
+                return {
+                    ...result,
+                    didResolutionMetadata: { ...result.didResolutionMetadata, cacheHit: false },
+                };
+            },
+        };
+    }
+
+    const router = express.Router();
+
+    // Resolve a DID or dereference a DID URL (fragment or ?service=...&relativeRef=...).
+    // The DID URL may be percent-encoded; a query string on the request belongs to it.
+    router.get("/1.0/identifiers/*didUrl", async (req, res) => {
+        const queryIndex = req.originalUrl.indexOf("?");
+        let didUrl = req.params.didUrl.join("/");
+        if (queryIndex !== -1) {
+            didUrl += (didUrl.includes("?") ? "&" : "?") + req.originalUrl.slice(queryIndex + 1);
+        }
+        const parsed = parseDidUrl(didUrl);
+        const params = new URLSearchParams(parsed?.query || "");
+        const dereferencing = Boolean(parsed?.fragment || parsed?.path || params.has("service"));
+
+        try {
+            if (!parsed) {
+                return sendDidResolutionError(res, "invalidDid", `Not a valid DID URL: ${didUrl}`);
+            }
+
+            const mediaType = negotiateDidMediaType(req.get("Accept"));
+            if (!mediaType) {
+                return sendDidResolutionError(
+                    res,
+                    "representationNotSupported",
+                    `Supported media types: ${[...DID_DOCUMENT_MEDIA_TYPES, DID_RESOLUTION_MEDIA_TYPE].join(", ")}`,
+                    dereferencing
+                );
+            }
+
+            const resolution = await resolveDidVersion(parsed);
+            const error = getDidResolutionError(resolution);
+            if (error) {
+                return sendDidResolutionError(
+                    res,
+                    error,
+                    resolution.didResolutionMetadata.errorMessage || resolution.didResolutionMetadata.message,
+                    dereferencing
+                );
+            }
+            const { didDocument, didDocumentMetadata } = resolution;
+
+            if (dereferencing) {
+                let content;
+                if (params.has("service")) {
+                    const service = findDidDocumentResource(didDocument, parsed.did, params.get("service"));
+                    const endpoint = service?.serviceEndpoint;
+                    if (typeof endpoint === "string" && mediaType !== DID_RESOLUTION_MEDIA_TYPE) {
+                        return res.redirect(303, endpoint + (params.get("relativeRef") || ""));
+                    }
+                    content =
+                        typeof endpoint === "string" ? endpoint + (params.get("relativeRef") || "") : endpoint;
+                } else if (parsed.fragment) {
+                    content = findDidDocumentResource(didDocument, parsed.did, parsed.fragment);
+                }
+                if (!content) {
+                    return sendDidResolutionError(res, "notFound", `Nothing found at ${didUrl}`, true);
+                }
+
+                const contentType =
+                    typeof content === "string" ? "text/uri-list" : "application/did+ld+json";
+                if (mediaType === DID_RESOLUTION_MEDIA_TYPE) {
+                    return res.type(mediaType).send(
+                        JSON.stringify({
+                            "@context": DID_RESOLUTION_CONTEXT,
+                            contentStream: content,
+                            dereferencingMetadata: { contentType },
+                            contentMetadata: didDocumentMetadata,
+                        })
+                    );
+                }
+                return res.type(mediaType).send(
+                    JSON.stringify(
+                        mediaType === "application/did+ld+json"
+                            ? { "@context": didDocument["@context"], ...content }
+                            : content
+                    )
+                );
+            }
+
+            // Deactivated DIDs are still returned, with 410 Gone
+            const status = didDocumentMetadata?.deactivated ? 410 : 200;
+            if (mediaType === DID_RESOLUTION_MEDIA_TYPE) {
+                return res.status(status).type(mediaType).send(
+                    JSON.stringify({
+                        "@context": DID_RESOLUTION_CONTEXT,
+                        didDocument,
+                        didResolutionMetadata: {
+                            ...resolution.didResolutionMetadata,
+                            contentType: "application/did+ld+json",
+                        },
+                        didDocumentMetadata,
+                    })
+                );
+            }
+            const { "@context": context, ...document } = didDocument;
+            res
+                .status(status)
+                .type(mediaType)
+                .send(
+                    JSON.stringify(
+                        mediaType === "application/did+ld+json"
+                            ? { "@context": context || "https://www.w3.org/ns/did/v1", ...document }
+                            : document
+                    )
+                );
+        } catch (error) {
+            console.error(`DID resolution error for ${didUrl}:`, error);
+            sendDidResolutionError(res, "internalError", error.message, dereferencing);
+        }
+    });
+
+    return { resolveDidVersion, createCachingResolver, router };
+}
@@ -0,0 +1,72 @@
+// DIDComm v2 messaging
+// Managed DIDs get an X25519 key agreement key and a DIDCommMessaging service
+// pointing at the service's /didcomm inbox. Messages are sent with
+// /didcomm/send, and incoming ones are unpacked and stored for /messages.
+
+import { withNewKey } from "./kms.js";
+
+export const DIDCOMM_PACKINGS = ["authcrypt", "anoncrypt"];
+export const DEFAULT_DIDCOMM_TYPE = "https://didcomm.org/basicmessage/2.0/message";
+
+// DIDComm created_time is in seconds; stored messages use ISO dates
+export function getMessageCreatedAt(createdAt) {
+    if (typeof createdAt === "number") {
+        return new Date(createdAt * 1000).toISOString();
+    }
+    return createdAt || new Date().toISOString();
+}
+
+// How a message handled by the agent was packed as DIDComm v2 ("authcrypt",
+// "anoncrypt", "jws" or "none"), or null when it did not unpack as DIDComm v2
+export function getDidCommPacking(message) {
+    const metaData = (message.metaData || []).find(({ type }) => type === "didCommMetaData");
+    if (!metaData?.value) {
+        return null;
+    }
+    try {
+        return JSON.parse(metaData.value).packing || null;
+    } catch {
+        return null;
+    }
+}
+
+// setupDidComm(did) for a server's agent, publishing endpoint as the inbox
+export function createDidCommSetup({ getAgent, endpoint }) {
+    // Add the key agreement key and service to a managed DID. did:key derives its
+    // X25519 key from the Ed25519 key but cannot publish a service, so it can send
+    // messages but cannot be found for delivery.
+    return async function setupDidComm(did) {
+        if (did.startsWith("did:key:")) {
+            return {
+                enabled: true,
+                serviceEndpoint: null,
+                note: "did:key can send DIDComm messages but has no service endpoint to receive them",
+            };
+        }
+
+        const agent = getAgent();
+        try {
+            const identifier = await agent.didManagerGet({ did });
+            if (!identifier.keys.some((key) => key.type === "X25519")) {
+                const key = await agent.keyManagerCreate({ kms: "local", type: "X25519" });
+                await withNewKey(agent, key, () => agent.didManagerAddKey({ did, key }));
+            }
+            if (
+                !identifier.services.some((service) => service.type === "DIDCommMessaging")
+            ) {
+                await agent.didManagerAddService({
+                    did,
+                    service: {
+                        id: `${did}#didcomm-1`,
+                        type: "DIDCommMessaging",
+                        serviceEndpoint: endpoint,
+                    },
+                });
+            }
+            return { enabled: true, serviceEndpoint: endpoint };
+        } catch (error) {
+            console.error(`DIDComm setup failed for ${did}:`, error.message);
+            return { enabled: false, error: `DIDComm setup failed: ${error.message}` };
+        }
+    };
+}
@@ -0,0 +1,86 @@
+// Verification across key rotations
+// /did/:did/rotate retires a key of a did:ethr. Credentials it signed no longer
+// match the issuer's current document, so they are checked against the document
+// as it was at their issuance date, which did:ethr keeps on chain. Only keys
+// retired here as superseded get that fallback: whoever holds any other key that
+// left a document, compromised or revoked on chain, can pick any date.
+
+import { computeAddress } from "ethers";
+import { getCredentialIssuanceDate, getCredentialIssuer } from "./credentials.js";
+
+// Why a key is rotated: replaced in the normal course, or leaked
+export const ROTATION_REASONS = ["superseded", "compromised"];
+
+// Lowercase Ethereum address of a secp256k1 public key, or null for other keys
+function getKeyAddress(publicKeyHex) {
+    try {
+        return computeAddress(`0x${publicKeyHex}`).toLowerCase();
+    } catch {
+        return null;
+    }
+}
+
+// Whether a DID document verification method publishes the given key, by its
+// public key or, for secp256k1, by its address
+export function isMethodOfKey(method, key) {
+    if (method.publicKeyHex?.toLowerCase() === key.publicKeyHex.toLowerCase()) {
+        return true;
+    }
+    const address = key.type === "Secp256k1" && getKeyAddress(key.publicKeyHex);
+    if (!address) {
+        return false;
+    }
+    const methodAddress =
+        method.blockchainAccountId?.split(":").pop() ||
+        method.ethereumAddress ||
+        (method.publicKeyHex && getKeyAddress(method.publicKeyHex));
+    return methodAddress?.toLowerCase() === address;
+}
+
+// verifyCredentialWithHistory(args) for a server's agent. listRetiredKeys(did)
+// returns the keys /did/:did/rotate retired from the DID, with meta.retired.reason.
+export function createHistoryVerifier({ getAgent, listRetiredKeys }) {
+    // Verify a credential. If its signing key is no longer in the issuer's DID
+    // document, verify against the document as it was at issuance, but only when
+    // the key that verifies it there is one this service retired as superseded.
+    // The issuance date is the signer's to choose, so the fallback cannot be open
+    // to keys revoked elsewhere or retired as compromised.
+    return async function verifyCredentialWithHistory(args) {
+        const agent = getAgent();
+        const result = await agent.verifyCredential(args);
+        const issuanceDate = getCredentialIssuanceDate(args.credential);
+        if (
+            result.verified ||
+            !issuanceDate ||
+            !["invalid_signature", "no_suitable_keys"].includes(result.error?.errorCode)
+        ) {
+            return result;
+        }
+
+        const historical = await agent.verifyCredential({
+            ...args,
+            resolutionOptions: { ...args.resolutionOptions, versionTime: issuanceDate },
+        });
+        // Only JWT results name the signing key
+        const signer = historical.signer;
+        if (!historical.verified || !signer) {
+            return result;
+        }
+
+        const retiredKeys = await listRetiredKeys(getCredentialIssuer(args.credential));
+        const key = retiredKeys.find((key) => isMethodOfKey(signer, key));
+        if (key?.meta.retired.reason === "compromised") {
+            return {
+                verified: false,
+                error: {
+                    message: `compromised_key: The credential was signed with key ${key.kid}, which its issuer retired as compromised`,
+                    errorCode: "compromised_key",
+                },
+            };
+        }
+        if (key?.meta.retired.reason !== "superseded") {
+            return result;
+        }
+        return { ...historical, resolvedAt: issuanceDate };
+    };
+}
@@ -0,0 +1,361 @@
+// External key management. Keys created with kms "remote" or "pkcs11" stay in the
+// signer, which only returns public keys and signs: 32-byte digests for Secp256k1
+// keys, whole messages for Ed25519 keys. Hashing and the encoding each algorithm
+// expects (JWS, Ethereum signatures and transactions) are done here, the same way
+// as kms-local does them.
+
+import { AbstractKeyManagementSystem } from "@veramo/key-manager";
+import axios from "axios";
+import { createPublicKey, randomBytes, verify } from "crypto";
+import {
+    computeAddress,
+    concat,
+    getBytes,
+    hashMessage,
+    hexlify,
+    sha256,
+    Signature,
+    SigningKey,
+    toBeHex,
+    toUtf8String,
+    Transaction,
+    TypedDataEncoder,
+} from "ethers";
+
+const REMOTE_KMS_URL = process.env.REMOTE_KMS_URL?.replace(/\/$/, "");
+const REMOTE_KMS_TOKEN = process.env.REMOTE_KMS_TOKEN;
+const PKCS11_LIBRARY = process.env.PKCS11_LIBRARY;
+const PKCS11_TOKEN_LABEL = process.env.PKCS11_TOKEN_LABEL;
+const PKCS11_PIN = process.env.PKCS11_PIN;
+export const EXTERNAL_KEY_ALGORITHMS = {
+    Secp256k1: [
+        "ES256K",
+        "ES256K-R",
+        "eth_signTransaction",
+        "eth_signTypedData",
+        "eth_signMessage",
+        "eth_rawSign",
+    ],
+    Ed25519: ["EdDSA", "Ed25519"],
+};
+const SECP256K1_ORDER =
+    0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+
+export class ExternalKeyManagementSystem extends AbstractKeyManagementSystem {
+    // signer: { name, createKey(type), deleteKey(kid), sign(kid, type, bytes) }
+    constructor(signer) {
+        super();
+        this.signer = signer;
+    }
+
+    async createKey({ type }) {
+        if (!EXTERNAL_KEY_ALGORITHMS[type]) {
+            throw new Error(`not_supported: ${this.signer.name} cannot create ${type} keys`);
+        }
+        const { kid, publicKeyHex } = await this.signer.createKey(type);
+        return {
+            kid,
+            type,
+            // Uncompressed, like kms-local
+            publicKeyHex:
+                type === "Secp256k1"
+                    ? SigningKey.computePublicKey(`0x${publicKeyHex}`, false).slice(2)
+                    : publicKeyHex,
+            meta: { algorithms: EXTERNAL_KEY_ALGORITHMS[type] },
+        };
+    }
+
+    async deleteKey({ kid }) {
+        await this.signer.deleteKey(kid);
+        return true;
+    }
+
+    async importKey() {
+        throw new Error(`not_supported: keys cannot be imported into ${this.signer.name}`);
+    }
+
+    async listKeys() {
+        return [];
+    }
+
+    async sharedSecret() {
+        throw new Error(`not_supported: ${this.signer.name} does not do key agreement`);
+    }
+
+    async sign({ keyRef, algorithm, data }) {
+        if (
+            keyRef.type === "Ed25519" &&
+            (!algorithm || EXTERNAL_KEY_ALGORITHMS.Ed25519.includes(algorithm))
+        ) {
+            const signature = await this.signMessage(keyRef, data);
+            return Buffer.from(signature).toString("base64url");
+        }
+        if (keyRef.type !== "Secp256k1") {
+            throw new Error(`not_supported: Cannot sign ${algorithm} using key of type ${keyRef.type}`);
+        }
+
+        switch (algorithm || "ES256K") {
+            case "ES256K":
+            case "ES256K-R": {
+                const { r, s, yParity } = await this.signDigest(keyRef, sha256(data));
+                const parts = algorithm === "ES256K-R" ? [r, s, toBeHex(yParity, 1)] : [r, s];
+                return Buffer.from(getBytes(concat(parts))).toString("base64url");
+            }
+            case "eth_signTransaction": {
+                const transaction = Transaction.from(hexlify(data));
+                if (
+                    transaction.from &&
+                    transaction.from.toLowerCase() !== computeAddress(`0x${keyRef.publicKeyHex}`).toLowerCase()
+                ) {
+                    throw new Error(
+                        "invalid_arguments: eth_signTransaction `from` field does not match the chosen key"
+                    );
+                }
+                transaction.signature = await this.signDigest(keyRef, transaction.unsignedHash);
+                return transaction.serialized;
+            }
+            case "eth_signMessage":
+                return (await this.signDigest(keyRef, hashMessage(data))).serialized;
+            case "eth_signTypedData": {
+                const { domain, types, message } = JSON.parse(toUtf8String(data));
+                const { EIP712Domain, ...messageTypes } = types;
+                const digest = TypedDataEncoder.hash(domain, messageTypes, message);
+                return (await this.signDigest(keyRef, digest)).serialized;
+            }
+            case "eth_rawSign":
+                return (await this.signDigest(keyRef, hexlify(data))).compactSerialized;
+            default:
+                throw new Error(`not_supported: Cannot sign ${algorithm} using key of type Secp256k1`);
+        }
+    }
+
+    // Ed25519 signs the whole message. The signature is checked against the key's
+    // public key, like signDigest does for Secp256k1, so a signer that answers for
+    // the wrong key cannot produce credentials that fail only at verification.
+    async signMessage({ kid, type, publicKeyHex }, data) {
+        const signature = Buffer.from(await this.signer.sign(kid, type, data));
+        const publicKey = createPublicKey({
+            key: {
+                kty: "OKP",
+                crv: "Ed25519",
+                x: Buffer.from(publicKeyHex, "hex").toString("base64url"),
+            },
+            format: "jwk",
+        });
+        if (signature.length !== 64 || !verify(null, Buffer.from(data), publicKey, signature)) {
+            throw new Error(`${this.signer.name} returned a signature that does not match key ${kid}`);
+        }
+        return signature;
+    }
+
+    // The signer returns r || s. Ethereum and ES256K-R also need the recovery bit,
+    // found by recovering the public key, and s in its low form.
+    async signDigest({ kid, type, publicKeyHex }, digest) {
+        const signature = getBytes(await this.signer.sign(kid, type, getBytes(digest)));
+        if (signature.length !== 64) {
+            throw new Error(`${this.signer.name} returned a ${signature.length}-byte signature, expected 64`);
+        }
+        let s = BigInt(hexlify(signature.slice(32)));
+        if (s > SECP256K1_ORDER / 2n) {
+            s = SECP256K1_ORDER - s;
+        }
+        const publicKey = SigningKey.computePublicKey(`0x${publicKeyHex}`, false);
+        for (const v of [27, 28]) {
+            const candidate = Signature.from({
+                r: hexlify(signature.slice(0, 32)),
+                s: toBeHex(s, 32),
+                v,
+            });
+            if (SigningKey.recoverPublicKey(digest, candidate) === publicKey) {
+                return candidate;
+            }
+        }
+        throw new Error(`${this.signer.name} returned a signature that does not match key ${kid}`);
+    }
+}
+
+// Remote signer protocol, at REMOTE_KMS_URL with REMOTE_KMS_TOKEN as bearer token:
+//   POST   /keys            { type }         -> { kid, publicKeyHex }
+//   POST   /keys/:kid/sign  { data }         -> { signature }
+//   DELETE /keys/:kid
+// data and signature are base64. signature is r || s (64 bytes) for Secp256k1 keys.
+export function createRemoteSigner(url, token) {
+    const client = axios.create({
+        baseURL: url,
+        timeout: 10000,
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+    });
+    const keyPath = (kid) => `/keys/${encodeURIComponent(kid)}`;
+
+    return {
+        name: `remote signer (${url})`,
+        async createKey(type) {
+            const { data } = await client.post("/keys", { type });
+            return { kid: data.kid, publicKeyHex: data.publicKeyHex.replace(/^0x/, "") };
+        },
+        async deleteKey(kid) {
+            await client.delete(keyPath(kid));
+        },
+        async sign(kid, type, bytes) {
+            const { data } = await client.post(`${keyPath(kid)}/sign`, {
+                data: Buffer.from(bytes).toString("base64"),
+            });
+            return Buffer.from(data.signature, "base64");
+        },
+    };
+}
+
+// PKCS#11 token (e.g. SoftHSM) through the optional pkcs11js package. Keys are
+// generated on the token as sensitive, non-extractable objects, and their kid is
+// their CKA_ID in hex.
+async function createPkcs11Signer() {
+    let pkcs11js;
+    try {
+        ({ default: pkcs11js } = await import("pkcs11js"));
+    } catch {
+        throw new Error("PKCS11_LIBRARY is set but the optional pkcs11js package is not installed");
+    }
+    const pkcs11 = new pkcs11js.PKCS11();
+    pkcs11.load(PKCS11_LIBRARY);
+    pkcs11.C_Initialize();
+    const slot = pkcs11
+        .C_GetSlotList(true)
+        .find(
+            (slot) =>
+                !PKCS11_TOKEN_LABEL ||
+                pkcs11.C_GetTokenInfo(slot).label.trim() === PKCS11_TOKEN_LABEL
+        );
+    if (!slot) {
+        throw new Error(`PKCS#11 token '${PKCS11_TOKEN_LABEL || "(any)"}' not found`);
+    }
+    const session = pkcs11.C_OpenSession(
+        slot,
+        pkcs11js.CKF_SERIAL_SESSION | pkcs11js.CKF_RW_SESSION
+    );
+    pkcs11.C_Login(session, pkcs11js.CKU_USER, PKCS11_PIN);
+
+    // The EdDSA constants are from PKCS#11 3.0, which pkcs11js does not define
+    const mechanisms = {
+        Secp256k1: {
+            keyType: pkcs11js.CKK_EC,
+            generate: pkcs11js.CKM_EC_KEY_PAIR_GEN,
+            sign: pkcs11js.CKM_ECDSA,
+            curve: "06052b8104000a", // OID 1.3.132.0.10
+            pointLength: 65,
+        },
+        Ed25519: {
+            keyType: 0x40, // CKK_EC_EDWARDS
+            generate: 0x1055, // CKM_EC_EDWARDS_KEY_PAIR_GEN
+            sign: 0x1057, // CKM_EDDSA
+            curve: "06032b6570", // OID 1.3.101.112
+            pointLength: 32,
+        },
+    };
+    const findObjects = (kid, objectClass) => {
+        pkcs11.C_FindObjectsInit(session, [
+            { type: pkcs11js.CKA_ID, value: Buffer.from(kid, "hex") },
+            ...(objectClass === undefined ? [] : [{ type: pkcs11js.CKA_CLASS, value: objectClass }]),
+        ]);
+        const handles = pkcs11.C_FindObjects(session, 10);
+        pkcs11.C_FindObjectsFinal(session);
+        return handles;
+    };
+
+    return {
+        name: `PKCS#11 token (${PKCS11_LIBRARY})`,
+        async createKey(type) {
+            const { keyType, generate, curve, pointLength } = mechanisms[type];
+            const id = randomBytes(16);
+            const attributes = [
+                { type: pkcs11js.CKA_TOKEN, value: true },
+                { type: pkcs11js.CKA_ID, value: id },
+                { type: pkcs11js.CKA_LABEL, value: `veramo ${type}` },
+                { type: pkcs11js.CKA_KEY_TYPE, value: keyType },
+            ];
+            const { publicKey } = pkcs11.C_GenerateKeyPair(
+                session,
+                { mechanism: generate },
+                [
+                    ...attributes,
+                    { type: pkcs11js.CKA_CLASS, value: pkcs11js.CKO_PUBLIC_KEY },
+                    { type: pkcs11js.CKA_VERIFY, value: true },
+                    { type: pkcs11js.CKA_EC_PARAMS, value: Buffer.from(curve, "hex") },
+                ],
+                [
+                    ...attributes,
+                    { type: pkcs11js.CKA_CLASS, value: pkcs11js.CKO_PRIVATE_KEY },
+                    { type: pkcs11js.CKA_SIGN, value: true },
+                    { type: pkcs11js.CKA_PRIVATE, value: true },
+                    { type: pkcs11js.CKA_SENSITIVE, value: true },
+                    { type: pkcs11js.CKA_EXTRACTABLE, value: false },
+                ]
+            );
+            // CKA_EC_POINT is the encoded point, usually wrapped in a DER OCTET STRING
+            const [{ value: point }] = pkcs11.C_GetAttributeValue(session, publicKey, [
+                { type: pkcs11js.CKA_EC_POINT },
+            ]);
+            return {
+                kid: id.toString("hex"),
+                publicKeyHex: point.subarray(point.length - pointLength).toString("hex"),
+            };
+        },
+        async deleteKey(kid) {
+            for (const handle of findObjects(kid)) {
+                pkcs11.C_DestroyObject(session, handle);
+            }
+        },
+        async sign(kid, type, bytes) {
+            const [privateKey] = findObjects(kid, pkcs11js.CKO_PRIVATE_KEY);
+            if (!privateKey) {
+                throw new Error(`key_not_found: No PKCS#11 private key with CKA_ID ${kid}`);
+            }
+            pkcs11.C_SignInit(session, { mechanism: mechanisms[type].sign }, privateKey);
+            return pkcs11.C_Sign(session, Buffer.from(bytes), Buffer.alloc(128));
+        },
+    };
+}
+
+// KMS names usable with the "kms" option, besides "local"
+export async function createExternalKms() {
+    const kms = {};
+    if (REMOTE_KMS_URL) {
+        kms.remote = new ExternalKeyManagementSystem(
+            createRemoteSigner(REMOTE_KMS_URL, REMOTE_KMS_TOKEN)
+        );
+    }
+    if (PKCS11_LIBRARY) {
+        kms.pkcs11 = new ExternalKeyManagementSystem(await createPkcs11Signer());
+    }
+    return kms;
+}
+
+// Make a change that uses a key just created with agent.keyManagerCreate, and
+// return its result. If the change fails, the key is deleted so no unusable
+// private key stays behind, and the change's error is thrown.
+export async function withNewKey(agent, key, change) {
+    try {
+        return await change(key);
+    } catch (error) {
+        try {
+            await agent.keyManagerDelete({ kid: key.kid });
+        } catch (deleteError) {
+            error.message += `; unused key ${key.kid} could not be deleted: ${deleteError.message}`;
+        }
+        throw error;
+    }
+}
+
+// Returns why a key of this type cannot be created in kms, or null.
+// externalKms is the result of createExternalKms().
+export function getKmsError(externalKms, kms, type) {
+    if (kms === "local") {
+        return null;
+    }
+    if (!externalKms[kms]) {
+        return `kms must be one of: ${["local", ...Object.keys(externalKms)].join(", ")}`;
+    }
+    if (type && !EXTERNAL_KEY_ALGORITHMS[type]) {
+        return `kms '${kms}' only holds Secp256k1 and Ed25519 keys`;
+    }
+    return null;
+}
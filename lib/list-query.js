@@ -0,0 +1,222 @@
+// Query parameters, paging and filtering of /credential/list, /presentation/list
+// and the other stored item lists
+// server.js runs parsed queries against the Veramo data store with queryDataStore,
+// the decentralized server against its in-memory stores with queryStoredItems,
+// and both filter alike.
+
+import { Credential, Presentation } from "@veramo/data-store";
+
+// Page size of /credential/list and /presentation/list, and its upper bound
+export const LIST_PAGE_SIZE = 100;
+export const MAX_LIST_PAGE_SIZE = 1000;
+export const LIST_ORDER_COLUMNS = ["issuanceDate", "expirationDate"];
+const LIST_DATE_PARAMETERS = {
+    issuedFrom: ["issued", "from"],
+    issuedUntil: ["issued", "until"],
+    expiresFrom: ["expires", "from"],
+    expiresUntil: ["expires", "until"],
+};
+
+// Parse the query parameters of /credential/list or /presentation/list. parties
+// are its DID filters (issuer and subject, or holder and verifier), and
+// defaultLimit the page size without a limit parameter, null for every match.
+// Returns { error } when a parameter is invalid.
+export function parseListQuery(query, parties, { defaultLimit = LIST_PAGE_SIZE } = {}) {
+    const listQuery = { filters: {}, issued: {}, expires: {} };
+
+    for (const name of [...parties, "type"]) {
+        const value = query[name];
+        if (value === undefined) {
+            continue;
+        }
+        if (typeof value !== "string" || !value) {
+            return { error: `${name} must be a single non-empty value` };
+        }
+        if (name === "type") {
+            // A type is one element of a credential's type array, which server.js
+            // stores comma-separated
+            if (value.includes(",")) {
+                return { error: "type must be a single type, without commas" };
+            }
+            listQuery.type = value;
+        } else {
+            listQuery.filters[name] = value;
+        }
+    }
+
+    for (const [name, [range, bound]] of Object.entries(LIST_DATE_PARAMETERS)) {
+        if (query[name] === undefined) {
+            continue;
+        }
+        const date = new Date(typeof query[name] === "string" ? query[name] : NaN);
+        if (Number.isNaN(date.getTime())) {
+            return { error: `${name} must be an ISO 8601 date` };
+        }
+        listQuery[range][bound] = date;
+    }
+
+    listQuery.orderBy = query.orderBy || "issuanceDate";
+    if (!LIST_ORDER_COLUMNS.includes(listQuery.orderBy)) {
+        return { error: `orderBy must be one of: ${LIST_ORDER_COLUMNS.join(", ")}` };
+    }
+    listQuery.order = query.order || "desc";
+    if (!["asc", "desc"].includes(listQuery.order)) {
+        return { error: "order must be asc or desc" };
+    }
+
+    listQuery.limit = query.limit === undefined ? defaultLimit : Number(query.limit);
+    if (
+        query.limit !== undefined &&
+        (!Number.isInteger(listQuery.limit) ||
+            listQuery.limit < 1 ||
+            listQuery.limit > MAX_LIST_PAGE_SIZE)
+    ) {
+        return { error: `limit must be an integer from 1 to ${MAX_LIST_PAGE_SIZE}` };
+    }
+
+    if (query.cursor !== undefined) {
+        listQuery.offset = decodeListCursor(query.cursor);
+        if (listQuery.offset === null) {
+            return { error: "Invalid cursor" };
+        }
+    } else {
+        listQuery.offset = query.offset === undefined ? 0 : Number(query.offset);
+        if (!Number.isInteger(listQuery.offset) || listQuery.offset < 0) {
+            return { error: "offset must be a non-negative integer" };
+        }
+    }
+
+    return listQuery;
+}
+
+// List cursors are opaque to clients. They hold the offset of the next page.
+export function encodeListCursor(offset) {
+    return Buffer.from(JSON.stringify({ offset })).toString("base64url");
+}
+
+function decodeListCursor(cursor) {
+    try {
+        const { offset } = JSON.parse(
+            Buffer.from(String(cursor), "base64url").toString()
+        );
+        return Number.isInteger(offset) && offset >= 0 ? offset : null;
+    } catch {
+        return null;
+    }
+}
+
+// Paging fields of a list response. Without a limit every match is on one page.
+export function getListPage({ limit, offset }, total) {
+    return {
+        total,
+        limit,
+        offset,
+        nextCursor:
+            limit !== null && offset + limit < total ? encodeListCursor(offset + limit) : null,
+    };
+}
+
+// Filter, order and page stored items in memory, as server.js does in SQL.
+// getFields(item) returns the DID filters, type, issuanceDate and expirationDate
+// of an item. type matches one element of the item's types exactly.
+export function queryStoredItems(items, listQuery, getFields) {
+    const { filters, type, issued, expires, orderBy, order, limit, offset } =
+        listQuery;
+    const toTime = (value) => (value ? Date.parse(value) : NaN);
+    const inRange = (value, { from, until }) =>
+        (!from || toTime(value) >= from.getTime()) &&
+        (!until || toTime(value) <= until.getTime());
+
+    const matches = items
+        .map((item) => ({ item, fields: getFields(item) }))
+        .filter(
+            ({ fields }) =>
+                Object.entries(filters).every(([name, value]) =>
+                    [fields[name]].flat().includes(value)
+                ) &&
+                (!type || fields.type.includes(type)) &&
+                inRange(fields.issuanceDate, issued) &&
+                inRange(fields.expirationDate, expires)
+        );
+
+    // Items without the orderBy date sort as the earliest, as in SQLite
+    const direction = order === "asc" ? 1 : -1;
+    const sortTime = ({ fields }) => toTime(fields[orderBy]) || -Infinity;
+    matches.sort((a, b) => {
+        const timeA = sortTime(a);
+        const timeB = sortTime(b);
+        return timeA === timeB ? 0 : (timeA < timeB ? -1 : 1) * direction;
+    });
+
+    return {
+        total: matches.length,
+        items: matches
+            .slice(offset, limit === null ? undefined : offset + limit)
+            .map(({ item }) => item),
+    };
+}
+
+// Data store entity of each list, and the DID relations its filters are on
+const LIST_ENTITIES = {
+    credential: { entity: Credential, parties: ["issuer", "subject"] },
+    presentation: { entity: Presentation, parties: ["holder", "verifier"] },
+};
+
+// Run a parsed list query against the credential or presentation table of a
+// Veramo data store connection, with ownerColumn restricted to allowedIssuers
+// (null for any). DataStoreORM can only match the comma-separated type column
+// with LIKE, where % and _ are wildcards and a type also matches longer types
+// containing it, so the query is built here and type is compared with whole
+// elements, case-sensitively, as queryStoredItems does.
+export async function queryDataStore(
+    connection,
+    alias,
+    listQuery,
+    ownerColumn,
+    allowedIssuers
+) {
+    const { filters, type, issued, expires, orderBy, order, limit, offset } =
+        listQuery;
+    if (
+        allowedIssuers &&
+        (allowedIssuers.length === 0 ||
+            (filters[ownerColumn] && !allowedIssuers.includes(filters[ownerColumn])))
+    ) {
+        return { items: [], total: 0 };
+    }
+
+    const { entity, parties } = LIST_ENTITIES[alias];
+    const query = connection.getRepository(entity).createQueryBuilder(alias);
+    for (const party of parties) {
+        query.leftJoinAndSelect(`${alias}.${party}`, party);
+    }
+    for (const [party, did] of Object.entries(filters)) {
+        query.andWhere(`${party}.did = :${party}`, { [party]: did });
+    }
+    if (allowedIssuers && !filters[ownerColumn]) {
+        query.andWhere(`${ownerColumn}.did IN (:...allowedIssuers)`, { allowedIssuers });
+    }
+    if (type) {
+        query.andWhere(`instr(',' || ${alias}.type || ',', :type) > 0`, {
+            type: `,${type},`,
+        });
+    }
+    for (const [column, { from, until }] of [
+        ["issuanceDate", issued],
+        ["expirationDate", expires],
+    ]) {
+        if (from) {
+            query.andWhere(`${alias}.${column} >= :${column}From`, { [`${column}From`]: from });
+        }
+        if (until) {
+            query.andWhere(`${alias}.${column} <= :${column}Until`, { [`${column}Until`]: until });
+        }
+    }
+
+    const [items, total] = await query
+        .orderBy(`${alias}.${orderBy}`, order.toUpperCase())
+        .skip(offset)
+        .take(limit ?? undefined)
+        .getManyAndCount();
+    return { items, total };
+}
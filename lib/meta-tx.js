@@ -0,0 +1,283 @@
+// Relayed meta-transactions
+// Wallet DIDs are controlled by wallets that may hold no gas, so the owner signs
+// the hash of an ERC1056 <action>Signed call and the relayer, a funded service key
+// (RELAYER_PRIVATE_KEY), sends and pays for it.
+
+import { randomUUID } from "crypto";
+import {
+    Contract,
+    encodeBytes32String,
+    hexlify,
+    isHexString,
+    NonceManager,
+    Signature,
+    toUtf8Bytes,
+    Wallet,
+} from "ethers";
+import { EthereumDIDRegistry, EthrDidController } from "ethr-did-resolver";
+import { parseEthrDid } from "./networks.js";
+
+export const RELAYER_PRIVATE_KEY = process.env.RELAYER_PRIVATE_KEY;
+export const META_TX_TTL_SECONDS = Number(process.env.META_TX_TTL_SECONDS) || 600;
+// Meta-transactions a DID can prepare per hour, so one wallet cannot drain the relayer
+export const META_TX_RATE_LIMIT = Number(process.env.META_TX_RATE_LIMIT) || 10;
+export const DEFAULT_VALIDITY_SECONDS = 365 * 24 * 3600;
+export const DELEGATE_TYPES = ["veriKey", "sigAuth"];
+const RATE_LIMIT_WINDOW_SECONDS = 3600;
+
+// ERC1056 attribute values are hex as is, anything else UTF-8
+function encodeAttributeValue(value) {
+    return isHexString(value) ? value : hexlify(toUtf8Bytes(value));
+}
+
+// Meta-transaction actions: the params they take, the hash the owner signs and
+// the arguments of the registry's <action>Signed function after the signature
+export const META_TX_ACTIONS = {
+    setAttribute: {
+        params: ["name", "value", "validity"],
+        createHash: (controller, { name, value, validity }) =>
+            controller.createSetAttributeHash(name, value, validity),
+        args: ({ name, value, validity }) => [
+            encodeBytes32String(name),
+            encodeAttributeValue(value),
+            validity,
+        ],
+    },
+    revokeAttribute: {
+        params: ["name", "value"],
+        createHash: (controller, { name, value }) =>
+            controller.createRevokeAttributeHash(name, value),
+        args: ({ name, value }) => [
+            encodeBytes32String(name),
+            encodeAttributeValue(value),
+        ],
+    },
+    addDelegate: {
+        params: ["delegateType", "delegate", "validity"],
+        createHash: (controller, { delegateType, delegate, validity }) =>
+            controller.createAddDelegateHash(delegateType, delegate, validity),
+        args: ({ delegateType, delegate, validity }) => [
+            encodeBytes32String(delegateType),
+            delegate,
+            validity,
+        ],
+    },
+    revokeDelegate: {
+        params: ["delegateType", "delegate"],
+        createHash: (controller, { delegateType, delegate }) =>
+            controller.createRevokeDelegateHash(delegateType, delegate),
+        args: ({ delegateType, delegate }) => [
+            encodeBytes32String(delegateType),
+            delegate,
+        ],
+    },
+    changeOwner: {
+        params: ["newOwner"],
+        createHash: (controller, { newOwner }) =>
+            controller.createChangeOwnerHash(newOwner),
+        args: ({ newOwner }) => [newOwner],
+    },
+};
+
+// Validate a meta-transaction request. Returns { action, params } or { error }.
+export function parseMetaTxRequest(body) {
+    const {
+        action,
+        name,
+        value,
+        delegate,
+        delegateType = "veriKey",
+        newOwner,
+        validity = DEFAULT_VALIDITY_SECONDS,
+    } = body || {};
+    const isAddress = (address) => /^0x[0-9a-fA-F]{40}$/.test(address || "");
+
+    if (!META_TX_ACTIONS[action]) {
+        return {
+            error: `action must be one of: ${Object.keys(META_TX_ACTIONS).join(", ")}`,
+        };
+    }
+    const fields = META_TX_ACTIONS[action].params;
+    if (
+        fields.includes("name") &&
+        !(typeof name === "string" && name && Buffer.byteLength(name) <= 31)
+    ) {
+        return {
+            error: "name must be an attribute name of up to 31 bytes, e.g. did/svc/LinkedDomains",
+        };
+    }
+    if (fields.includes("value") && !(typeof value === "string" && value)) {
+        return { error: "value must be a non-empty string" };
+    }
+    if (fields.includes("validity") && !(Number.isInteger(validity) && validity > 0)) {
+        return { error: "validity must be a positive number of seconds" };
+    }
+    if (fields.includes("delegateType") && !DELEGATE_TYPES.includes(delegateType)) {
+        return { error: `delegateType must be one of: ${DELEGATE_TYPES.join(", ")}` };
+    }
+    if (fields.includes("delegate") && !isAddress(delegate)) {
+        return { error: "delegate must be an Ethereum address" };
+    }
+    if (fields.includes("newOwner") && !isAddress(newOwner)) {
+        return { error: "newOwner must be an Ethereum address" };
+    }
+
+    const values = { name, value, validity, delegateType, delegate, newOwner };
+    return {
+        action,
+        params: Object.fromEntries(fields.map((field) => [field, values[field]])),
+    };
+}
+
+// A 65-byte hex signature, { r, s, v } or ERC1056 { sigV, sigR, sigS }, or null
+export function parseMetaTxSignature(signature) {
+    try {
+        return Signature.from(
+            signature.sigR
+                ? { r: signature.sigR, s: signature.sigS, v: signature.sigV }
+                : signature
+        );
+    } catch {
+        return null;
+    }
+}
+
+// Meta-transaction relaying on top of a store with save(entry),
+// countSince(did, since), which returns { count, oldest } of the DID's entries
+// created since then, and claim(id), which moves a prepared entry to
+// "submitting" and returns false when it was not prepared any more.
+//
+// getEthrNetwork(did) returns the DID's network entry ({ name, provider,
+// registry }) and onReceipt(entry) runs once a relayed transaction has its
+// receipt. getRegistry(did) returns the registry contract that sends the
+// transaction, by default connected to the relayer wallet.
+export function createMetaTxRelayer({
+    store,
+    getEthrNetwork,
+    onReceipt = () => {},
+    getRegistry,
+}) {
+    const relayers = new WeakMap(); // network provider -> relayer signer
+
+    // Registry contract of a DID's network, sending transactions from the relayer
+    function getRelayerRegistry(did) {
+        const ethrNetwork = getEthrNetwork(did);
+        if (!relayers.has(ethrNetwork.provider)) {
+            relayers.set(
+                ethrNetwork.provider,
+                new NonceManager(new Wallet(RELAYER_PRIVATE_KEY, ethrNetwork.provider))
+            );
+        }
+        return new Contract(
+            ethrNetwork.registry,
+            EthereumDIDRegistry.abi,
+            relayers.get(ethrNetwork.provider)
+        );
+    }
+
+    // ERC1056 controller for a DID's registry, used to read its owner and build hashes
+    function getRegistryController(did) {
+        const ethrNetwork = getEthrNetwork(did);
+        return new EthrDidController(
+            did,
+            undefined,
+            undefined,
+            ethrNetwork.name,
+            ethrNetwork.provider,
+            undefined,
+            ethrNetwork.registry
+        );
+    }
+
+    // Seconds until the DID may prepare another meta-transaction, or 0
+    async function getRetryAfter(did) {
+        const since = new Date(Date.now() - RATE_LIMIT_WINDOW_SECONDS * 1000).toISOString();
+        const { count, oldest } = await store.countSince(did, since);
+        if (count < META_TX_RATE_LIMIT) {
+            return 0;
+        }
+        return Math.max(
+            1,
+            Math.ceil((Date.parse(oldest) + RATE_LIMIT_WINDOW_SECONDS * 1000 - Date.now()) / 1000)
+        );
+    }
+
+    // Save the hash the DID's current owner has to sign for the change
+    async function prepareMetaTransaction(did, { action, params }) {
+        const controller = getRegistryController(did);
+        const signer = await controller.getOwner(parseEthrDid(did).address);
+        const hash = await META_TX_ACTIONS[action].createHash(controller, params);
+        const now = Date.now();
+        return store.save({
+            id: randomUUID(),
+            did,
+            action,
+            params,
+            hash,
+            signer,
+            status: "prepared",
+            txHash: null,
+            blockNumber: null,
+            error: null,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + META_TX_TTL_SECONDS * 1000).toISOString(),
+        });
+    }
+
+    // Send a prepared entry with the owner's signature (checked by the caller).
+    // The entry is claimed first, so a concurrent submit of the same entry
+    // returns null instead of sending it twice. A send that fails marks it failed.
+    async function submitMetaTransaction(entry, sig) {
+        if (!(await store.claim(entry.id))) {
+            return null;
+        }
+
+        let tx;
+        try {
+            const registry = (getRegistry || getRelayerRegistry)(entry.did);
+            tx = await registry[`${entry.action}Signed`](
+                parseEthrDid(entry.did).address,
+                sig.v,
+                sig.r,
+                sig.s,
+                ...META_TX_ACTIONS[entry.action].args(entry.params)
+            );
+        } catch (error) {
+            await store.save({ ...entry, status: "failed", error: error.message });
+            throw error;
+        }
+        const metaTransaction = await store.save({
+            ...entry,
+            status: "pending",
+            txHash: tx.hash,
+        });
+        trackMetaTransaction(metaTransaction);
+        return metaTransaction;
+    }
+
+    // Wait for a relayed transaction to be mined and record the outcome
+    async function trackMetaTransaction(entry) {
+        try {
+            const { provider } = getEthrNetwork(entry.did);
+            const receipt = await provider.waitForTransaction(entry.txHash);
+            const mined = receipt.status === 1;
+            await store.save({
+                ...entry,
+                status: mined ? "mined" : "failed",
+                blockNumber: receipt.blockNumber,
+                error: mined ? null : "Transaction reverted",
+            });
+            await onReceipt(entry);
+        } catch (error) {
+            console.error(`Error tracking meta-transaction ${entry.id}:`, error.message);
+        }
+    }
+
+    return {
+        getRegistryController,
+        getRetryAfter,
+        prepareMetaTransaction,
+        submitMetaTransaction,
+        trackMetaTransaction,
+    };
+}
@@ -0,0 +1,166 @@
+// EVM networks available to did:ethr, keyed by name. The built-in networks of each
+// server can be overridden or extended from NETWORKS_FILE (a JSON array of
+// { name, chainId, rpcUrls, registry, aliases }) and changed at runtime through
+// /admin/networks. DIDs on every network resolve at the same time.
+
+import { existsSync, readFileSync, writeFileSync } from "fs";
+import { computeAddress, FallbackProvider, getAddress, JsonRpcProvider } from "ethers";
+
+export const NETWORKS_FILE = process.env.NETWORKS_FILE;
+export const NETWORKS = new Map(); // name -> { name, chainId, rpcUrls, registry, aliases }
+
+// Validate and normalize a network config ("rpcUrl" is accepted for a single URL)
+export function parseNetworkConfig(config) {
+    const { name, chainId, registry, aliases = [] } = config || {};
+    const rpcUrls = config?.rpcUrls || (config?.rpcUrl ? [config.rpcUrl] : []);
+    const isNetworkName = (value) =>
+        typeof value === "string" && /^[a-zA-Z0-9-]+$/.test(value);
+
+    if (!isNetworkName(name)) {
+        return { error: "name must contain only letters, digits and dashes" };
+    }
+    if (!Number.isSafeInteger(chainId) || chainId <= 0) {
+        return { error: "chainId must be a positive integer" };
+    }
+    if (
+        !Array.isArray(rpcUrls) ||
+        rpcUrls.length === 0 ||
+        !rpcUrls.every((url) => typeof url === "string" && /^https?:\/\//.test(url))
+    ) {
+        return { error: "rpcUrls must be a non-empty array of http(s) URLs" };
+    }
+    if (typeof registry !== "string" || !/^0x[0-9a-fA-F]{40}$/.test(registry)) {
+        return { error: "registry must be an Ethereum address" };
+    }
+    if (!Array.isArray(aliases) || !aliases.every(isNetworkName)) {
+        return { error: "aliases must be an array of network names" };
+    }
+
+    return { network: { name, chainId, rpcUrls, registry, aliases } };
+}
+
+// builtInNetworks are the server's own network configs
+export function loadNetworks(builtInNetworks) {
+    const configs = [...builtInNetworks];
+    if (NETWORKS_FILE && existsSync(NETWORKS_FILE)) {
+        configs.push(...JSON.parse(readFileSync(NETWORKS_FILE, "utf8")));
+    }
+
+    for (const config of configs) {
+        const { network, error } = parseNetworkConfig(config);
+        if (error) {
+            throw new Error(`Invalid network "${config?.name}" in ${NETWORKS_FILE}: ${error}`);
+        }
+        NETWORKS.set(network.name, network);
+    }
+}
+
+// Write the networks back to NETWORKS_FILE; returns false when it is not set
+export function saveNetworks() {
+    if (!NETWORKS_FILE) {
+        return false;
+    }
+    writeFileSync(
+        NETWORKS_FILE,
+        JSON.stringify(Array.from(NETWORKS.values()), null, 2) + "\n"
+    );
+    return true;
+}
+
+// Look up a network by name or alias
+export function findNetwork(name) {
+    return (
+        NETWORKS.get(name) ||
+        Array.from(NETWORKS.values()).find((network) => network.aliases.includes(name)) ||
+        null
+    );
+}
+
+// Get network configuration
+export const getNetworkConfig = () => {
+    const networkName = process.env.ETH_NETWORK || "skale-titan";
+    const config = findNetwork(networkName) || NETWORKS.get("skale-titan");
+
+    return {
+        name: config.name,
+        rpcUrl: process.env.ETH_PROVIDER_URL || config.rpcUrls[0],
+        registry: process.env.ETH_REGISTRY_ADDRESS || config.registry,
+        chainId: config.chainId,
+    };
+};
+
+// Network for a chain id, preferring the active network
+export function findNetworkByChainId(chainId) {
+    const active = getNetworkConfig();
+    if (active.chainId === chainId) {
+        return active;
+    }
+    return Array.from(NETWORKS.values()).find((network) => network.chainId === chainId) || null;
+}
+
+// Several RPC URLs for one network are used as fallbacks for each other
+export function createNetworkProvider(rpcUrls, chainId) {
+    const providers = rpcUrls.map(
+        (url) => new JsonRpcProvider(url, chainId, { staticNetwork: true })
+    );
+    return providers.length === 1
+        ? providers[0]
+        : new FallbackProvider(providers, chainId, { quorum: 1 });
+}
+
+// did:ethr network entries for EthrDIDProvider and ethr-did-resolver, one per
+// name and alias. ETH_PROVIDER_URL and the checked registry apply to the active network.
+export function getEthrNetworks(activeRegistry) {
+    const active = getNetworkConfig();
+    const entries = [];
+
+    for (const network of NETWORKS.values()) {
+        const isActive = network.name === active.name;
+        const provider = createNetworkProvider(
+            isActive && process.env.ETH_PROVIDER_URL
+                ? [process.env.ETH_PROVIDER_URL]
+                : network.rpcUrls,
+            network.chainId
+        );
+        for (const name of [network.name, ...network.aliases]) {
+            entries.push({
+                name,
+                chainId: network.chainId,
+                provider,
+                registry: isActive ? activeRegistry : network.registry,
+            });
+        }
+    }
+
+    return entries;
+}
+
+// Split did:ethr[:network]:<address or public key> into network, address and
+// chainId, or null when it is not a valid did:ethr
+export function parseEthrDid(did) {
+    const match =
+        /^did:ethr:(?:([a-zA-Z0-9-]+):)?(0x[0-9a-fA-F]{40}|0x[0-9a-fA-F]{66})(?:[#?/].*)?$/.exec(
+            did || ""
+        );
+    if (!match) {
+        return null;
+    }
+
+    const network = match[1] || "mainnet";
+    const identifier = match[2];
+    // null for a network name that is not configured here
+    let chainId = findNetwork(network)?.chainId || (network === "mainnet" ? 1 : null);
+    if (network.startsWith("0x")) {
+        chainId = parseInt(network, 16);
+    }
+
+    let address;
+    try {
+        address = identifier.length === 42 ? getAddress(identifier) : computeAddress(identifier);
+    } catch {
+        // A public key that is not a point on the curve
+        return null;
+    }
+
+    return { network, chainId, address };
+}
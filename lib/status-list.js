@@ -0,0 +1,423 @@
+// Credential status lists (StatusList2021)
+// Each issuer gets one revocation and one suspension list. A credential is
+// assigned an index in both, and the bit at that index is its current status.
+
+import axios from "axios";
+import { randomBytes } from "crypto";
+import express from "express";
+import { gzipSync, gunzipSync } from "zlib";
+import { getCredentialIssuer, normalizeCredential } from "./credentials.js";
+
+export const STATUS_LIST_SIZE = 131072; // 16KB bitstring, the minimum recommended for herd privacy
+export const STATUS_PURPOSES = ["revocation", "suspension"];
+export const STATUS_LIST_CONTEXT = "https://w3id.org/vc/status-list/2021/v1";
+
+// GZIP + base64url, as required for the encodedList of a StatusList2021Credential
+export function encodeStatusList(bits) {
+    return gzipSync(bits).toString("base64url");
+}
+
+export function decodeStatusList(encodedList) {
+    // Bitstring Status List uses a multibase "u" prefix; StatusList2021 does not.
+    // A GZIP stream always starts with "H4sI" in base64url, so the prefix is unambiguous.
+    const value = encodedList.startsWith("u") ? encodedList.slice(1) : encodedList;
+    return gunzipSync(Buffer.from(value, "base64url"));
+}
+
+// Index 0 is the left-most bit of the first byte
+export function getStatusBit(bits, index) {
+    return (bits[Math.floor(index / 8)] >> (7 - (index % 8))) & 1;
+}
+
+export function setStatusBit(bits, index, value) {
+    const mask = 1 << (7 - (index % 8));
+    if (value) {
+        bits[Math.floor(index / 8)] |= mask;
+    } else {
+        bits[Math.floor(index / 8)] &= ~mask;
+    }
+}
+
+// Status list operations on top of a store with getList(id),
+// findOpenList(issuer, purpose) and saveList(list). Lists are read, changed and
+// saved whole, so every change runs under a lock per issuer and purpose and
+// re-reads the list inside it: concurrent issuances get distinct indexes and an
+// issuance cannot write back a bitstring from before a revocation.
+//
+// getAgent returns the current agent, baseUrl is the public URL of the service
+// and canSignAs(req, did) tells whether the caller may act for an issuer.
+export function createStatusLists({ store, getAgent, baseUrl, canSignAs }) {
+    const locks = new Map(); // "<issuer> <purpose>" -> tail of the queue
+
+    async function withListLock(issuer, purpose, task) {
+        const key = `${issuer} ${purpose}`;
+        const previous = locks.get(key) || Promise.resolve();
+        let release;
+        const done = new Promise((resolve) => (release = resolve));
+        const tail = previous.then(() => done);
+        locks.set(key, tail);
+
+        await previous;
+        try {
+            return await task();
+        } finally {
+            release();
+            if (locks.get(key) === tail) {
+                locks.delete(key);
+            }
+        }
+    }
+
+    function getStatusListUrl(listId) {
+        return `${baseUrl}/status/${listId}`;
+    }
+
+    // Returns the list id when the URL points at a status list hosted by this service
+    function getLocalStatusListId(url) {
+        const prefix = `${baseUrl}/status/`;
+        return typeof url === "string" && url.startsWith(prefix)
+            ? url.slice(prefix.length)
+            : null;
+    }
+
+    // Reserve the next free index in the issuer's revocation and suspension lists.
+    // The LD signature suite only takes a single credentialStatus object, so "lds"
+    // credentials get their revocation entry alone and cannot be suspended.
+    async function allocateCredentialStatus(issuerDid, proofFormat) {
+        const entries = [];
+        const purposes = proofFormat === "lds" ? ["revocation"] : STATUS_PURPOSES;
+
+        for (const purpose of purposes) {
+            const { list, index } = await withListLock(issuerDid, purpose, async () => {
+                let list = await store.findOpenList(issuerDid, purpose);
+                if (!list) {
+                    list = {
+                        id: `${purpose}-${randomBytes(8).toString("hex")}`,
+                        issuer: issuerDid,
+                        purpose,
+                        size: STATUS_LIST_SIZE,
+                        nextIndex: 0,
+                        bits: Buffer.alloc(STATUS_LIST_SIZE / 8),
+                        credential: null,
+                    };
+                }
+
+                const index = list.nextIndex;
+                list.nextIndex += 1;
+                await store.saveList(list);
+                return { list, index };
+            });
+
+            const url = getStatusListUrl(list.id);
+            entries.push({
+                id: `${url}#${index}`,
+                type: "StatusList2021Entry",
+                statusPurpose: purpose,
+                statusListIndex: String(index),
+                statusListCredential: url,
+            });
+        }
+
+        return proofFormat === "lds" ? entries[0] : entries;
+    }
+
+    // Set or clear one bit of a list. The status list credential is re-signed on
+    // its next fetch.
+    async function updateStatusBit(list, index, value) {
+        return withListLock(list.issuer, list.purpose, async () => {
+            const current = await store.getList(list.id);
+            setStatusBit(current.bits, index, value);
+            current.credential = null;
+            return store.saveList(current);
+        });
+    }
+
+    // Sign (and cache) the StatusList2021Credential for a list
+    async function getStatusListCredential(list) {
+        if (list.credential) {
+            return list.credential;
+        }
+
+        return withListLock(list.issuer, list.purpose, async () => {
+            const current = await store.getList(list.id);
+            if (current.credential) {
+                return current.credential;
+            }
+
+            const url = getStatusListUrl(current.id);
+            const verifiableCredential = await getAgent().createVerifiableCredential({
+                credential: {
+                    "@context": ["https://www.w3.org/2018/credentials/v1", STATUS_LIST_CONTEXT],
+                    id: url,
+                    type: ["VerifiableCredential", "StatusList2021Credential"],
+                    issuer: { id: current.issuer },
+                    credentialSubject: {
+                        id: `${url}#list`,
+                        type: "StatusList2021",
+                        statusPurpose: current.purpose,
+                        encodedList: encodeStatusList(current.bits),
+                    },
+                },
+                proofFormat: "jwt",
+            });
+            current.credential = verifiableCredential.proof.jwt;
+            await store.saveList(current);
+
+            return current.credential;
+        });
+    }
+
+    // Load a status list bitstring, either from the local store or by fetching
+    // and verifying the status list credential from its URL
+    async function loadStatusListBits(entry, issuer, resolutionOptions) {
+        const localId = getLocalStatusListId(entry.statusListCredential);
+        if (localId) {
+            const list = await store.getList(localId);
+            if (!list) {
+                throw new Error(`Status list not found: ${entry.statusListCredential}`);
+            }
+            if (list.issuer !== issuer || list.purpose !== entry.statusPurpose) {
+                throw new Error("Status list does not match the credential issuer or purpose");
+            }
+            return list.bits;
+        }
+
+        const response = await axios.get(entry.statusListCredential, {
+            timeout: 10000,
+            responseType: "text",
+        });
+        const body = String(response.data).trim();
+        const statusListCredential = body.startsWith("{") ? JSON.parse(body) : body;
+
+        const verification = await getAgent().verifyCredential({
+            credential: statusListCredential,
+            ...(resolutionOptions && { resolutionOptions }),
+        });
+        if (!verification.verified) {
+            throw new Error("Status list credential signature is invalid");
+        }
+
+        const normalized = normalizeCredential(statusListCredential);
+        const subject = normalized.credentialSubject || {};
+        if (getCredentialIssuer(statusListCredential) !== issuer) {
+            throw new Error("Status list credential was not issued by the credential issuer");
+        }
+        if (subject.statusPurpose !== entry.statusPurpose) {
+            throw new Error("Status list purpose does not match the credential status entry");
+        }
+
+        return decodeStatusList(subject.encodedList);
+    }
+
+    // Check every StatusList2021 entry on a credential. With localOnly, entries on
+    // other services' lists are not fetched and are reported with set: null.
+    async function checkCredentialStatus(
+        credential,
+        resolutionOptions,
+        { localOnly = false } = {}
+    ) {
+        const { credentialStatus } = normalizeCredential(credential);
+        const issuer = getCredentialIssuer(credential);
+        const entries = [credentialStatus || []].flat();
+        const status = { revoked: false, suspended: false, entries: [] };
+
+        for (const entry of entries) {
+            if (
+                entry.type !== "StatusList2021Entry" &&
+                entry.type !== "BitstringStatusListEntry"
+            ) {
+                continue;
+            }
+            if (localOnly && !getLocalStatusListId(entry.statusListCredential)) {
+                status.entries.push({
+                    statusPurpose: entry.statusPurpose,
+                    statusListIndex: entry.statusListIndex,
+                    statusListCredential: entry.statusListCredential,
+                    set: null,
+                });
+                continue;
+            }
+
+            const bits = await loadStatusListBits(entry, issuer, resolutionOptions);
+            const index = Number(entry.statusListIndex);
+            if (!Number.isInteger(index) || index < 0 || index >= bits.length * 8) {
+                throw new Error(`Invalid statusListIndex: ${entry.statusListIndex}`);
+            }
+
+            const isSet = getStatusBit(bits, index) === 1;
+            if (isSet && entry.statusPurpose === "revocation") status.revoked = true;
+            if (isSet && entry.statusPurpose === "suspension") status.suspended = true;
+
+            status.entries.push({
+                statusPurpose: entry.statusPurpose,
+                statusListIndex: entry.statusListIndex,
+                statusListCredential: entry.statusListCredential,
+                set: isSet,
+            });
+        }
+
+        return status;
+    }
+
+    // Fail a verification result when the credential is revoked or suspended.
+    // options are passed on to checkCredentialStatus.
+    async function applyCredentialStatus(result, credential, resolutionOptions, options) {
+        if (!result.verified) {
+            return result;
+        }
+
+        try {
+            const status = await checkCredentialStatus(credential, resolutionOptions, options);
+            result.status = status;
+            if (status.revoked || status.suspended) {
+                result.verified = false;
+                result.error = status.revoked
+                    ? { message: "Credential has been revoked", errorCode: "credential_revoked" }
+                    : { message: "Credential is suspended", errorCode: "credential_suspended" };
+            }
+        } catch (error) {
+            result.verified = false;
+            result.error = {
+                message: `Credential status check failed: ${error.message}`,
+                errorCode: "status_check_failed",
+            };
+        }
+
+        return result;
+    }
+
+    // Veramo plugin implementing ICredentialStatusVerifier, so the agent can
+    // verify credentials that carry a credentialStatus. Suspension counts as
+    // revoked here since a suspended credential must not verify either.
+    const CredentialStatusPlugin = {
+        methods: {
+            async checkCredentialStatus({ credential }) {
+                const status = await checkCredentialStatus(credential);
+                return { ...status, revoked: status.revoked || status.suspended };
+            },
+        },
+    };
+
+    // Set or clear a credential's bit in one of its status lists.
+    // The credential can be passed whole, or as { statusListCredential, statusListIndex }.
+    function createStatusUpdateHandler(purpose, value) {
+        return async (req, res) => {
+            try {
+                const { credential, statusListCredential, statusListIndex } = req.body;
+
+                let entry;
+                if (credential) {
+                    const { credentialStatus } = normalizeCredential(credential);
+                    entry = [credentialStatus || []]
+                        .flat()
+                        .find(
+                            (item) =>
+                                item.statusPurpose === purpose &&
+                                getLocalStatusListId(item.statusListCredential)
+                        );
+                } else if (statusListCredential && statusListIndex !== undefined) {
+                    entry = { statusListCredential, statusListIndex };
+                } else {
+                    return res.status(400).json({
+                        success: false,
+                        error:
+                            "Missing required fields: credential, or statusListCredential and statusListIndex",
+                    });
+                }
+
+                const list = entry
+                    ? await store.getList(getLocalStatusListId(entry.statusListCredential))
+                    : null;
+                if (!list || list.purpose !== purpose) {
+                    return res.status(404).json({
+                        success: false,
+                        error: `No ${purpose} status list managed by this service for this credential`,
+                    });
+                }
+
+                if (!canSignAs(req, list.issuer)) {
+                    return res.status(403).json({
+                        success: false,
+                        error: `API key '${req.apiKey.name}' may not update the status lists of ${list.issuer}`,
+                    });
+                }
+
+                const index = Number(entry.statusListIndex);
+                if (!Number.isInteger(index) || index < 0 || index >= list.nextIndex) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Invalid statusListIndex: ${entry.statusListIndex}`,
+                    });
+                }
+
+                await updateStatusBit(list, index, value);
+
+                res.json({
+                    success: true,
+                    status: {
+                        statusPurpose: purpose,
+                        statusListIndex: String(index),
+                        statusListCredential: getStatusListUrl(list.id),
+                        set: value,
+                    },
+                });
+            } catch (error) {
+                console.error(`Credential ${purpose} update error:`, error);
+                res.status(500).json({
+                    success: false,
+                    error: error.message,
+                });
+            }
+        };
+    }
+
+    // Revocation, suspension and the public status list credentials
+    const router = express.Router();
+
+    // Revoke a credential (permanent)
+    router.post("/credential/revoke", createStatusUpdateHandler("revocation", true));
+
+    // Suspend a credential (can be reinstated)
+    router.post("/credential/suspend", createStatusUpdateHandler("suspension", true));
+
+    // Lift a suspension
+    router.post(
+        "/credential/reinstate",
+        createStatusUpdateHandler("suspension", false)
+    );
+
+    // Public status list credential, referenced by credentialStatus.statusListCredential
+    router.get("/status/:listId", async (req, res) => {
+        try {
+            const list = await store.getList(req.params.listId);
+            if (!list) {
+                return res.status(404).json({
+                    success: false,
+                    error: "Status list not found",
+                });
+            }
+
+            const credential = await getStatusListCredential(list);
+            res.type("application/vc+jwt").send(credential);
+        } catch (error) {
+            console.error("Status list error:", error);
+            res.status(500).json({
+                success: false,
+                error: error.message,
+            });
+        }
+    });
+
+    return {
+        getStatusListUrl,
+        getLocalStatusListId,
+        allocateCredentialStatus,
+        updateStatusBit,
+        getStatusListCredential,
+        loadStatusListBits,
+        checkCredentialStatus,
+        applyCredentialStatus,
+        CredentialStatusPlugin,
+        router,
+    };
+}
@@ -0,0 +1,253 @@
+// Wallet-signed presentations
+// Holders of wallet-based did:ethr DIDs sign presentations in their wallet, since
+// Veramo does not hold their key. /presentation/prepare returns the document to
+// sign and /presentation/verify checks the signature against the DID controller.
+
+import { getEthTypesFromInputDoc } from "eip-712-types-generation";
+import { computeAddress, verifyMessage, verifyTypedData } from "ethers";
+import { parseEthrDid } from "./networks.js";
+
+export const WALLET_PROOF_TYPES = {
+    eip712: "EthereumEip712Signature2021",
+    personal_sign: "EthereumPersonalSignature2021",
+};
+
+// Verification method types whose key can sign as an Ethereum address
+const SECP256K1_METHOD_TYPES = [
+    "EcdsaSecp256k1RecoveryMethod2020",
+    "EcdsaSecp256k1VerificationKey2019",
+];
+
+// Deterministic JSON (sorted keys), used as the personal_sign message
+export function canonicalizeJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalizeJson).join(",")}]`;
+    }
+    if (value && typeof value === "object") {
+        const entries = Object.keys(value)
+            .sort()
+            .map((key) => `${JSON.stringify(key)}:${canonicalizeJson(value[key])}`);
+        return `{${entries.join(",")}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// EIP-712 domain and types for a presentation, in the same layout as
+// Veramo's CredentialIssuerEIP712 so the result is a standard
+// EthereumEip712Signature2021 presentation
+export function getPresentationEip712(presentation) {
+    return {
+        domain: {
+            chainId: parseEthrDid(presentation.holder).chainId,
+            name: "VerifiablePresentation",
+            version: "1",
+        },
+        types: getEthTypesFromInputDoc(presentation, "VerifiablePresentation"),
+        primaryType: "VerifiablePresentation",
+    };
+}
+
+// The compact JWT of a credential given as a JWT string or as a credential with
+// a JwtProof2020, or null for other credentials
+export function getCredentialJwt(credential) {
+    const jwt = typeof credential === "string" ? credential : credential?.proof?.jwt;
+    return typeof jwt === "string" && /^[\w-]+\.[\w-]+\.[\w-]*$/.test(jwt.trim())
+        ? jwt.trim()
+        : null;
+}
+
+// Build the unsigned presentation and what the wallet has to sign. Credentials
+// must be JWTs (see getCredentialJwt).
+export function prepareWalletPresentation({
+    holderDid,
+    verifiableCredentials,
+    type,
+    domain,
+    challenge,
+    signatureType,
+}) {
+    const created = new Date().toISOString();
+    const presentation = {
+        "@context": ["https://www.w3.org/2018/credentials/v1"],
+        type: [type].flat(),
+        holder: holderDid,
+        issuanceDate: created,
+        // EIP-712 arrays need a single element type, so credentials are JWT strings
+        verifiableCredential: verifiableCredentials.map(getCredentialJwt),
+        proof: {
+            verificationMethod: `${holderDid}#controller`,
+            created,
+            proofPurpose: "authentication",
+            type: WALLET_PROOF_TYPES[signatureType],
+            ...(challenge && { challenge }),
+            ...(domain && { domain }),
+        },
+    };
+
+    if (signatureType === "personal_sign") {
+        return { presentation, message: canonicalizeJson(presentation) };
+    }
+
+    const eip712 = getPresentationEip712(presentation);
+    return { presentation, typedData: { ...eip712, message: presentation } };
+}
+
+export function isWalletPresentation(presentation) {
+    return (
+        typeof presentation === "object" &&
+        Object.values(WALLET_PROOF_TYPES).includes(presentation?.proof?.type) &&
+        !!parseEthrDid(presentation.holder)
+    );
+}
+
+// Ethereum addresses allowed to sign for a DID: the secp256k1 methods of its
+// resolved document that are listed under authentication. Other key types
+// (Ed25519, X25519) cannot produce an Ethereum signature and are skipped.
+export function getEthrControllerAddresses(didDocument) {
+    const methods = didDocument.verificationMethod || [];
+    const authentication = (didDocument.authentication || []).map((reference) =>
+        typeof reference === "string"
+            ? methods.find(
+                  (method) =>
+                      method.id === reference || method.id === `${didDocument.id}${reference}`
+              )
+            : reference
+    );
+
+    return authentication
+        .filter((method) => SECP256K1_METHOD_TYPES.includes(method?.type))
+        .map((method) => {
+            if (method.blockchainAccountId) {
+                // eip155:<chainId>:<address> or the legacy <address>@eip155:<chainId>
+                const account = method.blockchainAccountId;
+                return account.includes("@") ? account.split("@")[0] : account.split(":").pop();
+            }
+            if (method.ethereumAddress) {
+                return method.ethereumAddress;
+            }
+            if (method.publicKeyHex) {
+                return computeAddress(`0x${method.publicKeyHex.replace(/^0x/, "")}`);
+            }
+            return null;
+        })
+        .filter(Boolean)
+        .map((address) => address.toLowerCase());
+}
+
+// Verifier for wallet-signed presentations. resolveDid(did) returns a DID
+// resolution result, and verifyCredential(credential) the verification result
+// of an embedded credential, including its status.
+export function createWalletPresentationVerifier({ resolveDid, verifyCredential }) {
+    // Resolve the holder's controller addresses. The registry is the only source
+    // of truth for owner changes, so a DID that cannot be resolved fails.
+    async function resolveControllerAddresses(did) {
+        try {
+            const { didDocument, didResolutionMetadata } = await resolveDid(did);
+            if (didResolutionMetadata?.error || !didDocument) {
+                return {
+                    error:
+                        didResolutionMetadata?.message ||
+                        didResolutionMetadata?.error ||
+                        "no DID document",
+                };
+            }
+            return { addresses: getEthrControllerAddresses(didDocument) };
+        } catch (error) {
+            return { error: error.message };
+        }
+    }
+
+    // Verify a wallet-signed presentation: challenge/domain binding, signature
+    // recovery, controller match and every embedded credential
+    return async function verifyWalletPresentation(
+        presentation,
+        { domain, challenge } = {}
+    ) {
+        const fail = (errorCode, message) => ({
+            verified: false,
+            error: { message, errorCode },
+        });
+
+        const { proof, ...unsigned } = presentation;
+        const { proofValue, eip712, ...proofOptions } = proof;
+
+        if (!proofValue) {
+            return fail("invalid_proof", "Presentation proof has no proofValue (signature)");
+        }
+        if (challenge && proofOptions.challenge !== challenge) {
+            return fail("invalid_challenge", "Presentation challenge does not match");
+        }
+        if (domain && proofOptions.domain !== domain) {
+            return fail("invalid_domain", "Presentation domain does not match");
+        }
+
+        if (proof.type === WALLET_PROOF_TYPES.eip712 && !parseEthrDid(unsigned.holder).chainId) {
+            return fail(
+                "invalid_proof",
+                `The network of ${unsigned.holder} is not configured, so its chainId is unknown`
+            );
+        }
+
+        const message = { ...unsigned, proof: proofOptions };
+        let signer;
+        try {
+            if (proof.type === WALLET_PROOF_TYPES.eip712) {
+                // The domain and types always come from the presentation itself, so
+                // every field is signed and the chainId is the holder's network.
+                // ethers skips message fields missing from the types, and a wallet
+                // signature over fewer fields may have been made for anyone.
+                const typedData = getPresentationEip712(message);
+                if (
+                    eip712 &&
+                    (canonicalizeJson(eip712.domain) !== canonicalizeJson(typedData.domain) ||
+                        canonicalizeJson(eip712.types) !== canonicalizeJson(typedData.types))
+                ) {
+                    return fail(
+                        "invalid_proof",
+                        "Presentation eip712 domain or types do not match the presentation"
+                    );
+                }
+                // ethers derives the domain type itself
+                const { EIP712Domain, ...types } = typedData.types;
+                signer = verifyTypedData(typedData.domain, types, message, proofValue);
+            } else {
+                signer = verifyMessage(canonicalizeJson(message), proofValue);
+            }
+        } catch (error) {
+            return fail("invalid_signature", `Could not recover signer: ${error.message}`);
+        }
+
+        const controller = await resolveControllerAddresses(presentation.holder);
+        if (controller.error) {
+            return {
+                ...fail(
+                    "controller_unresolved",
+                    `Could not read the controller of ${presentation.holder}: ${controller.error}`
+                ),
+                signer,
+            };
+        }
+        if (!controller.addresses.includes(signer.toLowerCase())) {
+            return {
+                ...fail(
+                    "invalid_signature",
+                    `Signer ${signer} is not a controller of ${presentation.holder}`
+                ),
+                signer,
+            };
+        }
+
+        const credentials = [];
+        for (const credential of presentation.verifiableCredential || []) {
+            credentials.push(await verifyCredential(credential));
+        }
+
+        const failed = credentials.find((result) => !result.verified);
+        return {
+            verified: !failed,
+            signer,
+            credentials,
+            ...(failed && { error: failed.error }),
+        };
+    };
+}
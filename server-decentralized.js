@@ -1,7 +1,7 @@
 // src/veramo-ethr-did/server-decentralized.js
 // Decentralized version: Blockchain-first, database-optional architecture
 // - DIDs: Blockchain-based (no DB needed)
-// - VCs: Stored as JWTs (in-memory or client-side, no DB)
+// - VCs: Stored as JWTs (memory, append-only file or SQLite, see STORAGE_BACKEND)
 // - Keys: Managed via environment/custodial solutions
 
 import dotenv from "dotenv";
@@ -10,32 +10,384 @@ dotenv.config();
 import express from "express";
 import cors from "cors";
 import { createAgent } from "@veramo/core";
-import { CredentialPlugin } from "@veramo/credential-w3c";
+import { CredentialPlugin, W3cMessageHandler } from "@veramo/credential-w3c";
+import {
+    CredentialIssuerLD,
+    LdDefaultContexts,
+    VeramoEcdsaSecp256k1RecoverySignature2020,
+    VeramoEd25519Signature2018,
+    VeramoEd25519Signature2020,
+    VeramoJsonWebSignature2020,
+} from "@veramo/credential-ld";
+import { CredentialIssuerEIP712 } from "@veramo/credential-eip712";
+import statusListContext from "@digitalbazaar/vc-status-list-context";
 import {
     KeyStore,
+    PrivateKey,
     PrivateKeyStore,
     DIDStore,
     Entities,
 } from "@veramo/data-store";
+import {
+    KeyStoreJson,
+    PrivateKeyStoreJson,
+    DIDStoreJson,
+} from "@veramo/data-store-json";
 import { DIDManager } from "@veramo/did-manager";
-import { EthrDIDProvider } from "@veramo/did-provider-ethr";
+import { EthrDIDProvider, KmsEthereumSigner } from "@veramo/did-provider-ethr";
 import { KeyDIDProvider } from "@veramo/did-provider-key";
+import { WebDIDProvider } from "@veramo/did-provider-web";
 import { DIDResolverPlugin } from "@veramo/did-resolver";
 import { KeyManager } from "@veramo/key-manager";
 import { KeyManagementSystem, SecretBox } from "@veramo/kms-local";
 import { MessageHandler } from "@veramo/message-handler";
+import { DIDComm, DIDCommMessageHandler } from "@veramo/did-comm";
+import { JwtMessageHandler } from "@veramo/did-jwt";
+import { SelectiveDisclosure, SdrMessageHandler } from "@veramo/selective-disclosure";
 import { createConnection } from "typeorm";
 import { Resolver } from "did-resolver";
 import { getResolver as ethrDidResolver } from "ethr-did-resolver";
-import { getResolver as keyDidResolver } from "key-did-resolver";
+import { getResolver as webDidResolver } from "web-did-resolver";
+import { EthrDID } from "ethr-did";
+import {
+    createHash,
+    randomBytes,
+    randomUUID,
+} from "crypto";
+import { AsyncLocalStorage } from "async_hooks";
+import { appendFileSync, existsSync, readFileSync, renameSync, writeFileSync } from "fs";
+import {
+    computeAddress,
+    encodeBase58,
+    getAddress,
+    recoverAddress,
+} from "ethers";
+import { SiweMessage, generateNonce } from "siwe";
+import Ajv from "ajv";
+import addFormats from "ajv-formats";
+import {
+    decodeJwtPayload,
+    detectProofFormat,
+    getCredentialIssuanceDate,
+    getCredentialIssuer,
+    getPresentationCredentials,
+    normalizeCredential,
+} from "./lib/credentials.js";
+import {
+    clearAgentStores,
+    clearServiceStores,
+    createRequestLock,
+    createRestoreCounts,
+    decryptBackup,
+    encryptBackup,
+    exportAgentStores,
+    exportServiceStores,
+    importAgentStores,
+    importServiceStores,
+    MIN_BACKUP_PASSPHRASE_LENGTH,
+    summarizeBackup,
+    validateBackupPayload,
+} from "./lib/backup.js";
+import {
+    canSignAs,
+    createAuth,
+    getAllowedIssuers,
+    isSessionDidRequest,
+    isWalletDidRequest,
+    loadApiKeys,
+    requireIssuer,
+    requireOwnerSession,
+    requireScope,
+} from "./lib/auth.js";
+import {
+    CHALLENGE_TTL_SECONDS,
+    createChallengeStore,
+    createPresentationVerifier,
+    MAX_CHALLENGE_TTL_SECONDS,
+} from "./lib/challenges.js";
+import {
+    createDidResolution,
+    createDidResolutionCache,
+    getKeyDidResolver,
+} from "./lib/did-resolution.js";
+import {
+    createDidCommSetup,
+    DEFAULT_DIDCOMM_TYPE,
+    DIDCOMM_PACKINGS,
+    getDidCommPacking,
+    getMessageCreatedAt,
+} from "./lib/didcomm.js";
+import { createHistoryVerifier, ROTATION_REASONS } from "./lib/key-history.js";
+import { createExternalKms, getKmsError, withNewKey } from "./lib/kms.js";
+import { getListPage, parseListQuery, queryStoredItems } from "./lib/list-query.js";
+import {
+    createMetaTxRelayer,
+    DELEGATE_TYPES,
+    META_TX_RATE_LIMIT,
+    parseMetaTxRequest,
+    parseMetaTxSignature,
+    RELAYER_PRIVATE_KEY,
+} from "./lib/meta-tx.js";
+import {
+    findNetwork,
+    findNetworkByChainId,
+    getEthrNetworks,
+    getNetworkConfig,
+    loadNetworks,
+    NETWORKS,
+    parseEthrDid,
+    parseNetworkConfig,
+    saveNetworks,
+} from "./lib/networks.js";
+import {
+    createStatusLists,
+    decodeStatusList,
+    encodeStatusList,
+    STATUS_LIST_CONTEXT,
+} from "./lib/status-list.js";
+import {
+    canonicalizeJson,
+    createWalletPresentationVerifier,
+    getCredentialJwt,
+    isWalletPresentation,
+    prepareWalletPresentation,
+    WALLET_PROOF_TYPES,
+} from "./lib/wallet-presentation.js";
+
+// Storage backend for the stores below and the agent's keys
+// - memory: nothing is persisted (default)
+// - file: append-only JSON lines log, replayed and compacted on startup
+// - sqlite: SQLite file, also used for the agent's key/DID tables
+const STORAGE_BACKENDS = ["memory", "file", "sqlite"];
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || "memory";
+const STORAGE_PATH =
+    process.env.STORAGE_PATH ||
+    (STORAGE_BACKEND === "sqlite" ? "./decentralized.sqlite" : "./decentralized-store.jsonl");
+
+if (!STORAGE_BACKENDS.includes(STORAGE_BACKEND)) {
+    throw new Error(
+        `Unsupported STORAGE_BACKEND "${STORAGE_BACKEND}", use one of: ${STORAGE_BACKENDS.join(", ")}`
+    );
+}
+
+// Every backend stores JSON values by (namespace, key):
+// load() -> Map<namespace, Map<key, value>>, set(namespace, key, value),
+// setMany(namespace, [[key, value], ...]) as one write, delete(namespace, key),
+// and transaction(task), which writes everything task writes at once or nothing
+function createMemoryStorage() {
+    return {
+        description: "in-memory (lost on restart)",
+        async load() {
+            return new Map();
+        },
+        async set() {},
+        async setMany() {},
+        async delete() {},
+        async transaction(task) {
+            return task();
+        },
+    };
+}
+
+function createFileStorage(path) {
+    // Entries written by a running transaction, only for the writes made by its
+    // task; other writes go straight to the log
+    const batches = new AsyncLocalStorage();
+    // Synchronous appends keep the log in the same order as the writes
+    const append = (entry) => {
+        const batch = batches.getStore();
+        return batch ? batch.push(entry) : appendFileSync(path, JSON.stringify(entry) + "\n");
+    };
+
+    const apply = (records, { op, namespace, key, value }) => {
+        if (op === "batch") {
+            for (const entry of value) {
+                apply(records, entry);
+            }
+            return;
+        }
+        if (!records.has(namespace)) {
+            records.set(namespace, new Map());
+        }
+        if (op === "delete") {
+            records.get(namespace).delete(key);
+        } else if (op === "setMany") {
+            for (const [entryKey, entryValue] of value) {
+                records.get(namespace).set(entryKey, entryValue);
+            }
+        } else {
+            records.get(namespace).set(key, value);
+        }
+    };
+
+    // Rewrite the log as one setMany per namespace, so overwritten and deleted
+    // entries stop growing it. The new log replaces the old one in one rename.
+    const compact = (records) => {
+        const lines = Array.from(records, ([namespace, entries]) =>
+            JSON.stringify({ op: "setMany", namespace, value: Array.from(entries) })
+        );
+        writeFileSync(`${path}.tmp`, lines.map((line) => line + "\n").join(""));
+        renameSync(`${path}.tmp`, path);
+    };
+
+    return {
+        description: `append-only file (${path})`,
+        async load() {
+            const records = new Map();
+            if (!existsSync(path)) {
+                return records;
+            }
+            let count = 0;
+            for (const line of readFileSync(path, "utf8").split("\n")) {
+                if (line.trim()) {
+                    apply(records, JSON.parse(line));
+                    count++;
+                }
+            }
+            if (count > records.size) {
+                compact(records);
+            }
+            return records;
+        },
+        async set(namespace, key, value) {
+            append({ op: "set", namespace, key, value });
+        },
+        async setMany(namespace, entries) {
+            append({ op: "setMany", namespace, value: entries });
+        },
+        async delete(namespace, key) {
+            append({ op: "delete", namespace, key });
+        },
+        // The writes of task are appended as one record once it succeeds
+        async transaction(task) {
+            const entries = [];
+            const result = await batches.run(entries, task);
+            if (entries.length > 0) {
+                append({ op: "batch", value: entries });
+            }
+            return result;
+        },
+    };
+}
+
+function createSqliteStorage(connection) {
+    return {
+        description: `SQLite (${STORAGE_PATH})`,
+        async load() {
+            await connection.query(
+                `CREATE TABLE IF NOT EXISTS storage_record (
+                    namespace TEXT NOT NULL,
+                    key TEXT NOT NULL,
+                    value TEXT NOT NULL,
+                    PRIMARY KEY (namespace, key)
+                )`
+            );
+            const records = new Map();
+            for (const row of await connection.query("SELECT * FROM storage_record")) {
+                if (!records.has(row.namespace)) {
+                    records.set(row.namespace, new Map());
+                }
+                records.get(row.namespace).set(row.key, JSON.parse(row.value));
+            }
+            return records;
+        },
+        async set(namespace, key, value) {
+            await connection.query(
+                "INSERT OR REPLACE INTO storage_record (namespace, key, value) VALUES (?, ?, ?)",
+                [namespace, key, JSON.stringify(value)]
+            );
+        },
+        async setMany(namespace, entries) {
+            await connection.transaction(async (manager) => {
+                for (const [key, value] of entries) {
+                    await manager.query(
+                        "INSERT OR REPLACE INTO storage_record (namespace, key, value) VALUES (?, ?, ?)",
+                        [namespace, key, JSON.stringify(value)]
+                    );
+                }
+            });
+        },
+        async delete(namespace, key) {
+            await connection.query(
+                "DELETE FROM storage_record WHERE namespace = ? AND key = ?",
+                [namespace, key]
+            );
+        },
+        async transaction(task) {
+            return connection.transaction(() => task());
+        },
+    };
+}
+
+let storage = createMemoryStorage();
+
+// Fill the stores from the storage backend (called once, before serving requests)
+function loadStores(records) {
+    const entries = (namespace) => records.get(namespace) || new Map();
+
+    VCStore.credentials = entries("credentials");
+    VCStore.presentations = entries("presentations");
+    MessageStore.messages = entries("messages");
+    DIDRegistry.dids = entries("dids");
+    SchemaStore.schemas = entries("schemas");
+    MetaTxStore.transactions = entries("metaTransactions");
+    for (const [id, list] of entries("statusLists")) {
+        StatusListStore.lists.set(id, { ...list, bits: decodeStatusList(list.bits) });
+    }
+}
+
+// Veramo key, private key and DID stores. The file backend keeps them in a JSON
+// tree whose changes are appended to the log; the others use the SQLite connection.
+// Private keys are encrypted with SECRET_KEY in both cases.
+function createAgentStores(records) {
+    if (STORAGE_BACKEND !== "file") {
+        return {
+            keyStore: new KeyStore(dbConnection),
+            didStore: new DIDStore(dbConnection),
+            privateKeyStore: new PrivateKeyStore(dbConnection, new SecretBox(SECRET_KEY)),
+        };
+    }
+
+    const tables = ["keys", "privateKeys", "dids"];
+    const jsonStore = {
+        notifyUpdate: async (oldTree, newTree) => {
+            for (const table of tables) {
+                const before = oldTree[table] || {};
+                const after = newTree[table] || {};
+                for (const [key, value] of Object.entries(after)) {
+                    if (JSON.stringify(before[key]) !== JSON.stringify(value)) {
+                        await storage.set(`agent.${table}`, key, value);
+                    }
+                }
+                for (const key of Object.keys(before)) {
+                    if (!(key in after)) {
+                        await storage.delete(`agent.${table}`, key);
+                    }
+                }
+            }
+        },
+    };
+    for (const table of tables) {
+        jsonStore[table] = Object.fromEntries(records.get(`agent.${table}`) || []);
+    }
+
+    return {
+        keyStore: new KeyStoreJson(jsonStore),
+        didStore: new DIDStoreJson(jsonStore),
+        privateKeyStore: new PrivateKeyStoreJson(jsonStore, new SecretBox(SECRET_KEY)),
+        jsonStore, // for checkSecretKey() and rotateSecretKey()
+    };
+}
 
-// In-memory storage for VCs instead of database
+// VCs, cached in memory and written through to the storage backend
 const VCStore = {
     credentials: new Map(), // credentialId -> credential
     presentations: new Map(), // presentationId -> presentation
 
-    saveCredential(id, credential) {
-        this.credentials.set(id, { credential, timestamp: new Date().toISOString() });
+    async saveCredential(id, credential, timestamp = new Date().toISOString()) {
+        const entry = { credential, timestamp };
+        this.credentials.set(id, entry);
+        await storage.set("credentials", id, entry);
         return id;
     },
 
@@ -43,12 +395,29 @@ const VCStore = {
         return this.credentials.get(id);
     },
 
+    async deleteCredential(id) {
+        this.credentials.delete(id);
+        await storage.delete("credentials", id);
+    },
+
     getAllCredentials() {
         return Array.from(this.credentials.values()).map(item => item.credential);
     },
 
-    savePresentation(id, presentation) {
-        this.presentations.set(id, { presentation, timestamp: new Date().toISOString() });
+    // Credentials matching a parsed /credential/list query, and how many match in total
+    findCredentials(listQuery, isVisible = () => true) {
+        const { total, items } = queryStoredItems(
+            this.getAllCredentials().filter(isVisible),
+            listQuery,
+            getCredentialListFields
+        );
+        return { total, credentials: items };
+    },
+
+    async savePresentation(id, presentation, timestamp = new Date().toISOString()) {
+        const entry = { presentation, timestamp };
+        this.presentations.set(id, entry);
+        await storage.set("presentations", id, entry);
         return id;
     },
 
@@ -56,21 +425,59 @@ const VCStore = {
         return this.presentations.get(id);
     },
 
+    async deletePresentation(id) {
+        this.presentations.delete(id);
+        await storage.delete("presentations", id);
+    },
+
     getAllPresentations() {
         return Array.from(this.presentations.values()).map(item => item.presentation);
+    },
+
+    // Presentations matching a parsed /presentation/list query, and how many match in total
+    findPresentations(listQuery, isVisible = () => true) {
+        const { total, items } = queryStoredItems(
+            this.getAllPresentations().filter(isVisible),
+            listQuery,
+            getPresentationListFields
+        );
+        return { total, presentations: items };
     }
 };
 
-// In-memory DID registry instead of database
+// DIDComm messages (sent and received), like VCStore
+const MessageStore = {
+    messages: new Map(), // messageId -> message
+
+    async saveMessage(message) {
+        this.messages.set(message.id, message);
+        await storage.set("messages", message.id, message);
+        return message.id;
+    },
+
+    findMessages(filters = {}) {
+        return Array.from(this.messages.values())
+            .filter((message) =>
+                Object.entries(filters).every(
+                    ([field, value]) => !value || message[field] === value
+                )
+            )
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+};
+
+// DID registry, like VCStore
 const DIDRegistry = {
     dids: new Map(), // did -> metadata
 
-    registerDID(did, metadata = {}) {
-        this.dids.set(did, {
+    async registerDID(did, metadata = {}) {
+        const entry = {
             did,
             createdAt: new Date().toISOString(),
             ...metadata
-        });
+        };
+        this.dids.set(did, entry);
+        await storage.set("dids", did, entry);
         return did;
     },
 
@@ -84,6 +491,11 @@ const DIDRegistry = {
 
     isDIDRegistered(did) {
         return this.dids.has(did);
+    },
+
+    async unregisterDID(did) {
+        this.dids.delete(did);
+        await storage.delete("dids", did);
     }
 };
 
@@ -109,18 +521,17 @@ const NETWORK_CONFIGS = {
     },
 };
 
-// Get network configuration
-const getNetworkConfig = () => {
-    const networkName = process.env.ETH_NETWORK || "skale-titan";
-    const config = NETWORK_CONFIGS[networkName] || SKALE_TITAN_CONFIG;
-
-    return {
-        name: config.name,
-        rpcUrl: process.env.ETH_PROVIDER_URL || config.rpcUrl,
-        registry: process.env.ETH_REGISTRY_ADDRESS || config.registry,
-        chainId: config.chainId,
-    };
-};
+// DID resolution cache and versioned resolution (lib/did-resolution.js). Results
+// are kept for DID_CACHE_TTL_SECONDS and failed resolutions for
+// DID_CACHE_NEGATIVE_TTL_SECONDS. A TTL of 0 disables caching.
+const DIDResolutionCache = createDidResolutionCache({
+    ttlSeconds: Number(process.env.DID_CACHE_TTL_SECONDS || 300),
+    negativeTtlSeconds: Number(process.env.DID_CACHE_NEGATIVE_TTL_SECONDS || 30),
+});
+const { createCachingResolver, router: didResolutionRouter } = createDidResolution({
+    cache: DIDResolutionCache,
+    getAgent: () => agent,
+});
 
 // Function to check registry contract deployment
 async function checkRegistryDeployment(networkConfig) {
@@ -169,323 +580,3467 @@ async function checkRegistryDeployment(networkConfig) {
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Public base URL used to build status list credential URLs
+const PUBLIC_BASE_URL = (
+    process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`
+).replace(/\/$/, "");
+
 // Middleware
 app.use(cors());
+// Backup archives and batches can exceed the default 100kb body limit
+app.use("/admin/restore", express.json({ limit: "50mb" }));
+app.use(
+    [
+        "/credential/batch-create",
+        "/credential/verify-batch",
+        "/presentation/verify-batch",
+    ],
+    express.json({ limit: "10mb" })
+);
 app.use(express.json());
+// Restores and SECRET_KEY rotations run alone, so no other request writes into
+// (or is rolled back with) their transaction
+const requestLock = createRequestLock();
+app.use(requestLock.middleware);
 
 // Veramo agent (no database required)
 let agent;
 
-// Secret key for encryption - In production, use environment variables
-const SECRET_KEY =
-    process.env.SECRET_KEY ||
+// Secret key that encrypts the stored private keys (SecretBox), 32 bytes in hex.
+// Published keys (the old built-in fallback and the old .env.example value) are
+// refused unless DEV_MODE=true, which also lets SECRET_KEY be unset.
+const DEV_MODE = process.env.DEV_MODE === "true";
+const DEV_SECRET_KEY =
     "3c186fb58980777698bab8e95f010f40fd0d04e14de8f49b551108351aefaf28";
+const PUBLISHED_SECRET_KEYS = [
+    DEV_SECRET_KEY,
+    "29739248cad1bd1a0fc4d9b75cd4d2990de535baf5caadfdf8d8f86664aa830c",
+];
+
+// Returns why a key cannot be used as SECRET_KEY, or null
+function getSecretKeyError(secretKey) {
+    if (!secretKey) {
+        return "SECRET_KEY is not set. Generate one with `openssl rand -hex 32`, or set DEV_MODE=true for local development";
+    }
+    if (!/^[0-9a-fA-F]{64}$/.test(secretKey)) {
+        return "SECRET_KEY must be 32 bytes in hex (64 characters), e.g. from `openssl rand -hex 32`";
+    }
+    if (!DEV_MODE && PUBLISHED_SECRET_KEYS.includes(secretKey.toLowerCase())) {
+        return "SECRET_KEY is a published default key. Generate your own with `openssl rand -hex 32`, or set DEV_MODE=true for local development";
+    }
+    return null;
+}
+
+let SECRET_KEY = process.env.SECRET_KEY || (DEV_MODE ? DEV_SECRET_KEY : "");
+if (getSecretKeyError(SECRET_KEY)) {
+    throw new Error(getSecretKeyError(SECRET_KEY));
+}
+if (PUBLISHED_SECRET_KEYS.includes(SECRET_KEY.toLowerCase())) {
+    console.warn(
+        "⚠️  DEV_MODE: SECRET_KEY is a published key, do not keep real keys in this store"
+    );
+}
 
-// Database connection - using in-memory SQLite for key management only
+// Database connection - SQLite for Veramo's key/DID stores and presentation challenges,
+// in-memory unless STORAGE_BACKEND is "sqlite"
 let dbConnection;
+let agentStores;
+let ethrNetworks = []; // did:ethr networks of the current agent
 
-// Initialize Veramo agent with in-memory database
-// Keys are stored in-memory (not persisted across restarts)
+// External key management (lib/kms.js) for keys kept in a remote signer or HSM
+let externalKms = {}; // kms name -> ExternalKeyManagementSystem, set up by initializeAgent
+
+// Initialize Veramo agent and load the stores from the storage backend
 async function initializeAgent() {
     try {
-        // Create in-memory SQLite connection for Veramo's key/DID stores
         dbConnection = await createConnection({
             type: "sqlite",
-            database: ":memory:", // In-memory database
+            database: STORAGE_BACKEND === "sqlite" ? STORAGE_PATH : ":memory:",
             synchronize: true,
             logging: false,
             entities: Entities,
         });
-        console.log("In-memory database initialized (keys only, not persisted)");
-
-        const networkConfig = getNetworkConfig();
-        console.log("Using network configuration:", networkConfig);
-
-        // Check if registry is deployed
-        const registryCheck = await checkRegistryDeployment(networkConfig);
-        const actualRegistry = registryCheck.registry;
 
-        if (!registryCheck.isDeployed) {
-            console.warn(
-                `⚠️  Warning: ERC1056 registry not found at ${networkConfig.registry} on ${networkConfig.name}`
-            );
-            console.warn(
-                `⚠️  DID resolution will still work for did:key, but ethr DIDs may have limited functionality`
-            );
+        if (STORAGE_BACKEND === "sqlite") {
+            storage = createSqliteStorage(dbConnection);
+        } else if (STORAGE_BACKEND === "file") {
+            storage = createFileStorage(STORAGE_PATH);
         }
+        const records = await storage.load();
+        loadStores(records);
+        agentStores = createAgentStores(records);
+        console.log(`Storage initialized: ${storage.description}`);
+        await checkSecretKey();
+        await ChallengeStore.init();
 
-        // Create agent with proper Veramo stores (in-memory, not persisted)
-        agent = createAgent({
-            plugins: [
-                // Key manager with in-memory store
-                new KeyManager({
-                    store: new KeyStore(dbConnection),
-                    kms: {
-                        local: new KeyManagementSystem(
-                            new PrivateKeyStore(dbConnection, new SecretBox(SECRET_KEY))
-                        ),
-                    },
-                }),
-                // DID Manager - blockchain-first
-                new DIDManager({
-                    store: new DIDStore(dbConnection),
-                    defaultProvider: "did:key",
-                    providers: {
-                        "did:ethr": new EthrDIDProvider({
-                            defaultKms: "local",
-                            network: networkConfig.name,
-                            rpcUrl: networkConfig.rpcUrl,
-                            registry: actualRegistry,
-                        }),
-                        "did:key": new KeyDIDProvider({ defaultKms: "local" }),
-                    },
-                }),
-                // DID Resolver - blockchain queries only
-                new DIDResolverPlugin({
-                    resolver: new Resolver({
-                        ...ethrDidResolver({
-                            networks: [
-                                // SKALE Titan network
-                                {
-                                    name: "skale-titan",
-                                    rpcUrl: NETWORK_CONFIGS["skale-titan"].rpcUrl,
-                                    registry: NETWORK_CONFIGS["skale-titan"].registry,
-                                },
-                                // Alias for SKALE
-                                {
-                                    name: "skale",
-                                    rpcUrl: NETWORK_CONFIGS["skale-titan"].rpcUrl,
-                                    registry: NETWORK_CONFIGS["skale-titan"].registry,
-                                },
-                                // Sepolia testnet
-                                {
-                                    name: "sepolia",
-                                    rpcUrl: NETWORK_CONFIGS["sepolia"].rpcUrl,
-                                    registry: NETWORK_CONFIGS["sepolia"].registry,
-                                },
-                            ],
-                        }),
-                        ...keyDidResolver(),
-                    }),
-                }),
-                // Credential plugin - stateless VC creation/verification
-                new CredentialPlugin(),
-                // Message handler
-                new MessageHandler({ messageHandlers: [] }),
-            ],
-        });
-
+        externalKms = await createExternalKms();
         console.log(
-            "Veramo agent initialized (decentralized mode - in-memory only) with network:",
-            networkConfig.name
+            `Key management systems: ${["local", ...Object.keys(externalKms)].join(", ")}`
         );
+
+        // did:ethr networks (lib/networks.js): the built-in ones, then NETWORKS_FILE
+        loadNetworks([{ ...SKALE_TITAN_CONFIG, aliases: ["skale"] }, NETWORK_CONFIGS.sepolia]);
+        await buildAgent();
+
+        // Resume tracking relayed transactions sent before a restart
+        for (const entry of await MetaTxStore.listPending()) {
+            trackMetaTransaction(entry);
+        }
     } catch (error) {
         console.error("Error initializing agent:", error);
         process.exit(1);
     }
 }
 
-// Routes
+// Stored private keys, with privateKeyHex encrypted with SECRET_KEY
+async function listEncryptedPrivateKeys() {
+    if (STORAGE_BACKEND === "file") {
+        return Object.values(agentStores.jsonStore.privateKeys);
+    }
+    return dbConnection.getRepository(PrivateKey).find();
+}
 
-// Health check endpoint
-app.get("/health", (req, res) => {
-    res.json({
-        status: "OK",
-        message: "Veramo Backend Service (Decentralized) is running",
-        architecture: "Blockchain-first, no central database",
-        timestamp: new Date().toISOString(),
-    });
-});
+// SecretBox.decrypt() returns "" instead of throwing when the key does not match
+async function decryptPrivateKeyHex(secretBox, privateKeyHex) {
+    const decrypted = await secretBox.decrypt(privateKeyHex);
+    if (!decrypted) {
+        throw new Error(
+            "SECRET_KEY does not decrypt the stored private keys. If it was rotated, set SECRET_KEY to the new key"
+        );
+    }
+    return decrypted;
+}
 
-// Get agent information
-app.get("/agent/info", async (req, res) => {
-    try {
-        const methods = await agent.availableMethods();
-        res.json({
-            availableMethods: methods,
-            architecture: "Decentralized - Blockchain and in-memory only",
-            features: {
-                did_creation: "Blockchain-based (ethr and key DIDs)",
-                did_resolution: "Blockchain queries only",
-                vc_issuance: "In-memory, JWTs",
-                vc_storage: "In-memory cache (no persistence)",
-            },
+// Stop at startup when SECRET_KEY does not decrypt the stored private keys, e.g.
+// after /admin/secret-key/rotate without updating the environment
+async function checkSecretKey() {
+    const [privateKey] = await listEncryptedPrivateKeys();
+    if (privateKey) {
+        await decryptPrivateKeyHex(new SecretBox(SECRET_KEY), privateKey.privateKeyHex);
+    }
+}
+
+// Re-encrypt every stored private key with a new SECRET_KEY. All keys are
+// decrypted before anything is written, in one transaction (one log record for
+// the file backend), so a failure leaves them under the old key.
+async function rotateSecretKey(newSecretKey) {
+    const oldBox = new SecretBox(SECRET_KEY);
+    const newBox = new SecretBox(newSecretKey);
+    let count;
+    if (STORAGE_BACKEND === "file") {
+        const { jsonStore } = agentStores;
+        const privateKeys = {};
+        for (const [alias, privateKey] of Object.entries(jsonStore.privateKeys)) {
+            privateKeys[alias] = {
+                ...privateKey,
+                privateKeyHex: await newBox.encrypt(
+                    await decryptPrivateKeyHex(oldBox, privateKey.privateKeyHex)
+                ),
+            };
+        }
+        await storage.setMany("agent.privateKeys", Object.entries(privateKeys));
+        jsonStore.privateKeys = privateKeys;
+        agentStores.privateKeyStore = new PrivateKeyStoreJson(jsonStore, newBox);
+        count = Object.keys(privateKeys).length;
+    } else {
+        count = await dbConnection.transaction(async (manager) => {
+            const repository = manager.getRepository(PrivateKey);
+            const privateKeys = await repository.find();
+            for (const privateKey of privateKeys) {
+                privateKey.privateKeyHex = await newBox.encrypt(
+                    await decryptPrivateKeyHex(oldBox, privateKey.privateKeyHex)
+                );
+            }
+            await repository.save(privateKeys);
+            return privateKeys.length;
         });
-    } catch (error) {
-        res.status(500).json({ error: error.message });
+        agentStores.privateKeyStore = new PrivateKeyStore(dbConnection, newBox);
     }
-});
 
-// Create a new DID
-app.post("/did/create", async (req, res) => {
-    try {
-        const { provider = "did:key", alias, walletAddress, network } = req.body;
+    SECRET_KEY = newSecretKey;
+    await buildAgent();
+    return count;
+}
 
-        // WALLET-BASED DID (for thirdweb integration)
-        // Use this when user connects their wallet - creates DID from existing wallet address
-        if (provider === "did:ethr" && walletAddress) {
-            // Validate Ethereum address format
-            if (!/^0x[a-fA-F0-9]{40}$/.test(walletAddress)) {
-                return res.status(400).json({
-                    success: false,
-                    error:
-                        "Invalid Ethereum wallet address format. Must be a 40-character hex string starting with '0x'",
-                });
-            }
+// Create the agent for the current did:ethr networks. Called again by
+// /admin/networks; identifiers and keys are kept since the stores are shared.
+async function buildAgent() {
+    const networkConfig = getNetworkConfig();
+    console.log("Using network configuration:", networkConfig);
 
-            const networkConfig = getNetworkConfig();
-            const targetNetwork = network || networkConfig.name;
+    // Check if registry is deployed
+    const registryCheck = await checkRegistryDeployment(networkConfig);
+    const actualRegistry = registryCheck.registry;
 
-            // Structure: did:ethr:network:walletAddress
-            const didIdentifier = `did:ethr:${targetNetwork}:${walletAddress}`;
+    if (!registryCheck.isDeployed) {
+        console.warn(
+            `⚠️  Warning: ERC1056 registry not found at ${networkConfig.registry} on ${networkConfig.name}`
+        );
+        console.warn(
+            `⚠️  DID resolution will still work for did:key, but ethr DIDs may have limited functionality`
+        );
+    }
+    ethrNetworks = getEthrNetworks(actualRegistry);
 
-            console.log(
-                `Creating wallet-based DID for network: ${targetNetwork}, address: ${walletAddress}`
-            );
+    // Create agent with proper Veramo stores (persisted per STORAGE_BACKEND)
+    agent = createAgent({
+        plugins: [
+            // Key manager, private keys encrypted with SECRET_KEY
+            new KeyManager({
+                store: agentStores.keyStore,
+                kms: {
+                    local: new KeyManagementSystem(agentStores.privateKeyStore),
+                    ...externalKms,
+                },
+            }),
+            // DID Manager - blockchain-first
+            new DIDManager({
+                store: agentStores.didStore,
+                defaultProvider: "did:key",
+                providers: {
+                    "did:ethr": new EthrDIDProvider({
+                        defaultKms: "local",
+                        networks: ethrNetworks,
+                    }),
+                    "did:key": new KeyDIDProvider({ defaultKms: "local" }),
+                    "did:web": new WebDIDProvider({ defaultKms: "local" }),
+                },
+            }),
+            // DID Resolver - blockchain queries only
+            new DIDResolverPlugin({
+                resolver: createCachingResolver(
+                    new Resolver({
+                        // Every configured network, including aliases
+                        ...ethrDidResolver({ networks: ethrNetworks }),
+                        ...getKeyDidResolver(),
+                        web: resolveWebDid,
+                    })
+                ),
+            }),
+            // Credential plugin - stateless VC creation/verification
+            new CredentialPlugin(),
+            // JSON-LD (Data Integrity) proofs, using only bundled contexts
+            new CredentialIssuerLD({
+                contextMaps: LD_CONTEXT_MAPS,
+                suites: [
+                    new VeramoEcdsaSecp256k1RecoverySignature2020(),
+                    new VeramoEd25519Signature2018(),
+                    new VeramoEd25519Signature2020(),
+                    new VeramoJsonWebSignature2020(),
+                ],
+            }),
+            // EIP-712 proofs (EthereumEip712Signature2021)
+            new CredentialIssuerEIP712(),
+            // Credential status - StatusList2021 revocation/suspension checks
+            CredentialStatusPlugin,
+            // Selective disclosure requests (SDR)
+            new SelectiveDisclosure(),
+            // DIDComm v2 - encrypted messaging between DIDs
+            new DIDComm(),
+            // Message handler - decodes JWTs, then credentials/presentations and SDRs
+            new MessageHandler({
+                messageHandlers: [
+                    new DIDCommMessageHandler(),
+                    new JwtMessageHandler(),
+                    new W3cMessageHandler(),
+                    new SdrMessageHandler(),
+                ],
+            }),
+        ],
+    });
 
-            // Check if DID already exists
-            if (DIDRegistry.isDIDRegistered(didIdentifier)) {
-                const existing = DIDRegistry.getDID(didIdentifier);
-                return res.json({
-                    success: true,
-                    identifier: {
-                        did: didIdentifier,
-                        provider: "did:ethr",
-                        walletAddress,
-                        network: targetNetwork,
-                    },
-                    message: "Wallet-based DID already exists",
-                    type: "wallet-based",
-                    note: "This DID is linked to your wallet address. You control it with your wallet private key."
-                });
-            }
+    console.log(
+        `Veramo agent initialized (decentralized mode - ${STORAGE_BACKEND} storage) with network:`,
+        networkConfig.name
+    );
+}
 
-            // Register the wallet-based DID
-            DIDRegistry.registerDID(didIdentifier, {
-                provider: "did:ethr",
-                walletAddress,
-                network: targetNetwork,
-                type: "wallet-based",
-                alias: alias || `wallet-${walletAddress.slice(0, 10)}`
-            });
+// Proof formats accepted by /credential/create and /presentation/create
+const PROOF_FORMATS = ["jwt", "lds", "EthereumEip712Signature2021"];
 
-            res.json({
-                success: true,
-                identifier: {
-                    did: didIdentifier,
-                    provider: "did:ethr",
-                    walletAddress,
-                    network: targetNetwork,
-                },
-                message: `Wallet-based DID created successfully`,
-                type: "wallet-based",
-                note: "This DID is linked to your wallet. Your wallet private key controls it.",
-                stored: "blockchain (resolved from ERC1056 registry)"
-            });
-        }
-        // GENERATED KEY DID (Veramo manages the key)
-        else if (provider === "did:ethr" && !walletAddress) {
-            // Generate a new key pair - Veramo controls the key
-            let createOptions = {
-                provider: "did:ethr",
-                alias: alias || `did-generated-${Date.now()}`,
-            };
+// JSON-LD contexts available to the LD credential plugin. Remote contexts are
+// never fetched, so every @context of an LD credential must be bundled here.
+const LD_CONTEXT_MAPS = [
+    LdDefaultContexts,
+    statusListContext.contexts,
+    loadExtraLdContexts(),
+];
 
-            const networkConfig = getNetworkConfig();
-            createOptions.options = {
-                anchor: false,
-                network: networkConfig.name,
-            };
+// Extra contexts can be supplied as a { "<url>": <context document> } JSON file
+function loadExtraLdContexts() {
+    const file = process.env.LD_CONTEXTS_FILE;
+    if (!file) {
+        return new Map();
+    }
+    return new Map(Object.entries(JSON.parse(readFileSync(file, "utf8"))));
+}
 
-            console.log("Creating generated-key DID (Veramo manages the key)");
+// Context added to LD credentials when the caller does not provide one, so that
+// arbitrary credentialSubject claims can be expanded (it declares an @vocab)
+const DEFAULT_CLAIMS_CONTEXT = "https://www.w3.org/2018/credentials/examples/v1";
 
-            const identifier = await agent.didManagerCreate(createOptions);
+// Credential status lists (StatusList2021, lib/status-list.js), stored like
+// VCStore (bits are stored GZIP + base64url encoded)
+const StatusListStore = {
+    lists: new Map(), // listId -> { id, issuer, purpose, size, nextIndex, bits, credential }
 
-            // Register in our in-memory registry
-            DIDRegistry.registerDID(identifier.did, {
-                ...identifier,
-                type: "generated-key",
-                note: "This is a generated key. Veramo stores the private key."
-            });
+    async getList(id) {
+        return this.lists.get(id) || null;
+    },
 
-            res.json({
-                success: true,
+    async findOpenList(issuer, purpose) {
+        for (const list of this.lists.values()) {
+            if (list.issuer === issuer && list.purpose === purpose && list.nextIndex < list.size) {
+                return list;
+            }
+        }
+        return null;
+    },
+
+    async saveList(list) {
+        this.lists.set(list.id, list);
+        await storage.set("statusLists", list.id, { ...list, bits: encodeStatusList(list.bits) });
+        return list;
+    },
+
+    async listLists() {
+        return Array.from(this.lists.values());
+    },
+
+    async clear() {
+        for (const id of this.lists.keys()) {
+            await storage.delete("statusLists", id);
+        }
+        this.lists.clear();
+    },
+};
+
+// Credential verification across key rotations (lib/key-history.js)
+const verifyCredentialWithHistory = createHistoryVerifier({
+    getAgent: () => agent,
+    listRetiredKeys,
+});
+
+const {
+    allocateCredentialStatus,
+    applyCredentialStatus,
+    CredentialStatusPlugin,
+    router: statusListRouter,
+} = createStatusLists({
+    store: StatusListStore,
+    getAgent: () => agent,
+    baseUrl: PUBLIC_BASE_URL,
+    canSignAs,
+});
+
+// DID document management. did:ethr changes are ERC1056 transactions signed by the
+// controller key, so only DIDs whose controller key this agent holds can be
+// changed here; wallet DIDs are controlled by their wallet.
+const DID_KEY_TYPES = ["Secp256k1", "Ed25519", "X25519"];
+
+// Managed identifier for a DID, or null
+async function findIdentifier(did) {
+    try {
+        return await agent.didManagerGet({ did });
+    } catch {
+        return null;
+    }
+}
+
+// Why a DID's document cannot be changed here, or null if it can
+async function getDidUpdateError(identifier) {
+    if (identifier.provider === "did:key") {
+        return "did:key documents are derived from the key and cannot be changed";
+    }
+    if (identifier.provider === "did:ethr") {
+        try {
+            await agent.keyManagerGet({ kid: identifier.controllerKeyId });
+        } catch {
+            return "The controller key of this DID is held by its wallet. Relay changes signed by the wallet with /did/:did/meta-tx";
+        }
+    }
+    return null;
+}
+
+// Wallet DIDs registered with /did/create and a walletAddress
+function isWalletDid(did) {
+    return DIDRegistry.getDID(did)?.type === "wallet-based";
+}
+
+// did:ethr network entry (provider and registry) of the current agent for a DID
+function getEthrNetwork(did) {
+    const { network } = parseEthrDid(did);
+    const ethrNetwork = ethrNetworks.find((entry) => entry.name === network);
+    if (!ethrNetwork) {
+        throw new Error(`Network '${network}' is not configured`);
+    }
+    return ethrNetwork;
+}
+
+// ethr-did controller for a managed did:ethr, sending transactions signed with
+// its controller key to the network's registry
+async function getEthrDidController(identifier) {
+    const { network } = parseEthrDid(identifier.did);
+    const ethrNetwork = getEthrNetwork(identifier.did);
+    const controllerKey = await agent.keyManagerGet({
+        kid: identifier.controllerKeyId,
+    });
+    return new EthrDID({
+        identifier: identifier.did,
+        chainNameOrId: network,
+        provider: ethrNetwork.provider,
+        registry: ethrNetwork.registry,
+        txSigner: new KmsEthereumSigner(
+            controllerKey,
+            { agent },
+            ethrNetwork.provider
+        ),
+    });
+}
+
+// Resolve a DID after a change, bypassing the cache, and update its registry entry
+async function resolveUpdatedDid(did) {
+    if (DIDRegistry.isDIDRegistered(did)) {
+        await DIDRegistry.registerDID(did, {
+            ...DIDRegistry.getDID(did),
+            ...(await agent.didManagerGet({ did })),
+        });
+    }
+    DIDResolutionCache.purge(did);
+    const { didDocument } = await agent.resolveDid({
+        didUrl: did,
+        options: { noCache: true },
+    });
+    return didDocument;
+}
+
+// Retire a key rotated out of a DID. Its private key is deleted so it cannot sign
+// again; the public key stays in the key store, marked retired with the reason
+// (ROTATION_REASONS), for audits and for verifying what it signed.
+async function retireKey(key, { did, replacedBy, reason }) {
+    const retiredKey = {
+        ...key,
+        meta: {
+            ...key.meta,
+            retired: { did, replacedBy, reason, retiredAt: new Date().toISOString() },
+        },
+    };
+    await agentStores.keyStore.importKey(retiredKey);
+    if (key.kms === "local") {
+        await agentStores.privateKeyStore.deleteKey({ alias: key.kid });
+    } else if (externalKms[key.kms]) {
+        await externalKms[key.kms].deleteKey({ kid: key.kid });
+    }
+    return retiredKey;
+}
+
+// Keys retired from a DID by /did/:did/rotate
+async function listRetiredKeys(did) {
+    const keys = await agentStores.keyStore.listKeys();
+    return keys.filter((key) => key.meta?.retired?.did === did);
+}
+
+// Relayed meta-transactions, from the prepared hash to the mined transaction
+const MetaTxStore = {
+    transactions: new Map(), // id -> { id, did, action, params, hash, signer, status, txHash, ... }
+
+    async save(entry) {
+        this.transactions.set(entry.id, entry);
+        await storage.set("metaTransactions", entry.id, entry);
+        return entry;
+    },
+
+    async get(id) {
+        return this.transactions.get(id) || null;
+    },
+
+    async listPending() {
+        return Array.from(this.transactions.values()).filter(
+            (entry) => entry.status === "pending"
+        );
+    },
+
+    async listTransactions() {
+        return Array.from(this.transactions.values());
+    },
+
+    async countSince(did, since) {
+        const entries = Array.from(this.transactions.values()).filter(
+            (entry) => entry.did === did && entry.createdAt >= since
+        );
+        return {
+            count: entries.length,
+            oldest: entries.map((entry) => entry.createdAt).sort()[0] || null,
+        };
+    },
+
+    // Move a prepared entry to submitting; false if another request got there first.
+    // The check and the change happen before the first await.
+    async claim(id) {
+        const entry = this.transactions.get(id);
+        if (entry?.status !== "prepared") {
+            return false;
+        }
+        await this.save({ ...entry, status: "submitting" });
+        return true;
+    },
+
+    async clear() {
+        for (const id of this.transactions.keys()) {
+            await storage.delete("metaTransactions", id);
+        }
+        this.transactions.clear();
+    },
+};
+
+// Relayed meta-transactions for wallet DIDs (lib/meta-tx.js)
+const {
+    getRetryAfter,
+    prepareMetaTransaction,
+    submitMetaTransaction,
+    trackMetaTransaction,
+} = createMetaTxRelayer({
+    store: MetaTxStore,
+    getEthrNetwork,
+    onReceipt: (entry) => DIDResolutionCache.purge(entry.did),
+});
+
+// Wallet-signed presentations (lib/wallet-presentation.js), checked against the
+// controller in the holder's resolved did:ethr document
+const verifyWalletPresentation = createWalletPresentationVerifier({
+    resolveDid: (did) => agent.resolveDid({ didUrl: did }),
+    verifyCredential: async (credential) =>
+        applyCredentialStatus(
+            await verifyCredentialWithHistory({
+                credential,
+                policies: { credentialStatus: false },
+            }),
+            credential
+        ),
+});
+
+// Presentation challenges and SIWE nonces (lib/challenges.js), single-use and
+// kept in the presentation_challenge table
+const ChallengeStore = createChallengeStore(() => dbConnection);
+
+// Verify a presentation's proof and the status of the credentials it contains
+async function verifyPresentationProof(
+    presentation,
+    { domain, challenge, resolutionOptions } = {}
+) {
+    if (isWalletPresentation(presentation)) {
+        return verifyWalletPresentation(presentation, { domain, challenge });
+    }
+
+    const result = await agent.verifyPresentation({
+        presentation,
+        ...(domain && { domain }),
+        ...(challenge && { challenge }),
+        ...(resolutionOptions && { resolutionOptions }),
+        // LD presentations refuse credentials with a credentialStatus unless
+        // given a status check; the status is checked below instead
+        checkStatus: async () => ({ verified: true }),
+    });
+
+    // verifyPresentation does not check the status of embedded credentials
+    if (result.verified) {
+        result.credentialStatus = [];
+        for (const credential of getPresentationCredentials(presentation)) {
+            const credentialResult = await applyCredentialStatus(
+                { verified: true },
+                credential,
+                resolutionOptions
+            );
+            result.credentialStatus.push(credentialResult);
+            if (!credentialResult.verified) {
+                result.verified = false;
+                result.error = credentialResult.error;
+            }
+        }
+    }
+    return result;
+}
+
+// /presentation/verify: challenge binding, then the proof and credential status
+const { verifyPresentationRequest } = createPresentationVerifier({
+    store: ChallengeStore,
+    verifyPresentationProof,
+    getProofFormat: (presentation) =>
+        isWalletPresentation(presentation)
+            ? presentation.proof.type
+            : detectProofFormat(presentation),
+});
+
+// API keys and Sign-In With Ethereum sessions (lib/auth.js)
+// API_KEYS_FILE lists the scoped API keys; it is required unless DEV_MODE=true,
+// which generates a key with every scope for the run.
+const SIWE_DOMAIN = process.env.SIWE_DOMAIN || new URL(PUBLIC_BASE_URL).host;
+const SESSION_TTL_SECONDS = Number(process.env.SESSION_TTL_SECONDS) || 86400;
+// Wallet DID requests need a session. Set REQUIRE_SIWE_SESSION=false to let API
+// keys act on wallet DIDs without one.
+const REQUIRE_SIWE_SESSION = process.env.REQUIRE_SIWE_SESSION !== "false";
+
+const { apiKeys: API_KEYS, devKey: DEV_API_KEY } = loadApiKeys(
+    process.env.API_KEYS_FILE,
+    { devMode: DEV_MODE }
+);
+const {
+    signSessionToken,
+    authenticateSession,
+    requireDidOwner,
+    authenticateApiKey,
+} = createAuth({
+    apiKeys: API_KEYS,
+    secretKey: SECRET_KEY,
+    requireSiweSession: REQUIRE_SIWE_SESSION,
+});
+
+// Selective disclosure requests (uPort SDR)
+// A verifier signs a JWT listing the claims it needs (claimType, issuers,
+// credentialType, essential) and the holder answers with a presentation.
+// Incoming requests are parsed by the JWT and SDR message handlers.
+
+// Verify and decode a signed selective disclosure request
+async function parseSdr(sdr) {
+    const message = await agent.handleMessage({ raw: sdr, save: false });
+    if (message.type !== "sdr") {
+        throw new Error("Not a selective disclosure request");
+    }
+    return {
+        id: message.id,
+        issuer: message.from,
+        subject: message.to,
+        replyUrl: message.replyUrl,
+        tag: message.threadId,
+        claims: message.data.claims,
+        credentials: message.data.credentials,
+        createdAt: message.createdAt,
+    };
+}
+
+function getPresentationHolder(presentation) {
+    return typeof presentation === "string"
+        ? decodeJwtPayload(presentation).iss
+        : presentation.holder;
+}
+
+// DIDComm v2 messaging (lib/didcomm.js), with this service's /didcomm inbox
+const DIDCOMM_ENDPOINT = `${PUBLIC_BASE_URL}/didcomm`;
+const setupDidComm = createDidCommSetup({
+    getAgent: () => agent,
+    endpoint: DIDCOMM_ENDPOINT,
+});
+
+// did:web identifiers hosted by this service: did:web:<host> is published at
+// /.well-known/did.json and did:web:<host>:<a>:<b> at /a/b/did.json
+const WEB_DID_HOST = encodeURIComponent(new URL(PUBLIC_BASE_URL).host);
+const WEB_DID_KEY_TYPES = {
+    Secp256k1: "EcdsaSecp256k1VerificationKey2019",
+    Ed25519: "Ed25519VerificationKey2018",
+    X25519: "X25519KeyAgreementKey2019",
+};
+
+// URL of the did.json document for a did:web of this service
+function getWebDidDocumentUrl(did) {
+    const segments = did.split(":").slice(3);
+    return segments.length
+        ? `${PUBLIC_BASE_URL}/${segments.join("/")}/did.json`
+        : `${PUBLIC_BASE_URL}/.well-known/did.json`;
+}
+
+// did:web for an optional "a/b" path under this service's host, or null if invalid
+function getWebDid(path) {
+    if (!path) {
+        return `did:web:${WEB_DID_HOST}`;
+    }
+    const segments = path.split("/").filter(Boolean);
+    if (
+        segments.length === 0 ||
+        segments.includes(".well-known") ||
+        !segments.every((segment) => /^[a-zA-Z0-9._-]+$/.test(segment) && !/^\.+$/.test(segment))
+    ) {
+        return null;
+    }
+    return `did:web:${WEB_DID_HOST}:${segments.join(":")}`;
+}
+
+// DID document of a did:web managed by this service, built from its keys and
+// services in the DIDStore; null if it is not managed here
+async function getWebDidDocument(did) {
+    let identifier;
+    try {
+        identifier = await agent.didManagerGet({ did });
+    } catch (error) {
+        return null;
+    }
+    if (identifier.provider !== "did:web") {
+        return null;
+    }
+
+    const verificationMethod = identifier.keys
+        .filter((key) => WEB_DID_KEY_TYPES[key.type])
+        .map((key) => ({
+            id: `${did}#${key.kid}`,
+            type: WEB_DID_KEY_TYPES[key.type],
+            controller: did,
+            publicKeyHex: key.publicKeyHex,
+            // The Ed25519 and X25519 LD suites only read base58 keys
+            ...(key.type !== "Secp256k1" && {
+                publicKeyBase58: encodeBase58(`0x${key.publicKeyHex}`),
+            }),
+        }));
+    const signingMethods = verificationMethod
+        .filter((method) => method.type !== WEB_DID_KEY_TYPES.X25519)
+        .map((method) => method.id);
+
+    return {
+        "@context": [
+            "https://www.w3.org/ns/did/v1",
+            "https://w3id.org/security/suites/secp256k1-2019/v1",
+            "https://w3id.org/security/suites/ed25519-2018/v1",
+            "https://w3id.org/security/suites/x25519-2019/v1",
+        ],
+        id: did,
+        verificationMethod,
+        authentication: signingMethods,
+        assertionMethod: signingMethods,
+        keyAgreement: verificationMethod
+            .filter((method) => method.type === WEB_DID_KEY_TYPES.X25519)
+            .map((method) => method.id),
+        // The DIDStore keeps a missing description as null
+        service: identifier.services.map(({ description, ...service }) => ({
+            ...service,
+            id: service.id.startsWith("#") ? `${did}${service.id}` : service.id,
+            ...(description && { description }),
+        })),
+    };
+}
+
+// did:web documents of this service come from the DIDStore instead of being
+// fetched over HTTPS, so they also resolve in development
+const { web: resolveRemoteWebDid } = webDidResolver();
+
+async function resolveWebDid(did, parsed, resolver, options) {
+    const didDocument = await getWebDidDocument(parsed.did);
+    if (!didDocument) {
+        return resolveRemoteWebDid(did, parsed, resolver, options);
+    }
+    return {
+        didDocument,
+        didDocumentMetadata: {},
+        didResolutionMetadata: { contentType: "application/did+ld+json" },
+    };
+}
+
+// Inbound DIDComm messages arrive as application/didcomm-*+json
+const parseDidCommBody = express.text({
+    type: (req) => /^application\/didcomm-/.test(req.headers["content-type"] || ""),
+});
+
+// Credential schemas
+// JSON Schemas for credentialSubject claims, registered with POST /schema and
+// served at /schema/:id. A schema's ID is the hash of its content, so the same
+// schema always gets the same ID and a registered schema never changes.
+const CREDENTIAL_SCHEMA_TYPE = "JsonSchemaValidator2018";
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+const schemaValidators = new Map(); // schema id -> compiled validator
+
+// Schema registry, like StatusListStore
+const SchemaStore = {
+    schemas: new Map(), // schemaId -> { id, name, version, description, schema, createdAt }
+
+    async saveSchema(entry) {
+        if (!this.schemas.has(entry.id)) {
+            this.schemas.set(entry.id, entry);
+            await storage.set("schemas", entry.id, entry);
+        }
+        return this.schemas.get(entry.id);
+    },
+
+    async getSchema(id) {
+        return this.schemas.get(id) || null;
+    },
+
+    async listSchemas() {
+        return Array.from(this.schemas.values()).sort((a, b) =>
+            b.createdAt.localeCompare(a.createdAt)
+        );
+    },
+
+    async clear() {
+        for (const id of this.schemas.keys()) {
+            await storage.delete("schemas", id);
+        }
+        this.schemas.clear();
+        schemaValidators.clear();
+    },
+};
+
+function getSchemaUrl(id) {
+    return `${PUBLIC_BASE_URL}/schema/${id}`;
+}
+
+// Registry id from a schemaId or credentialSchema.id (a bare id or a /schema URL)
+function getLocalSchemaId(value) {
+    const prefix = `${PUBLIC_BASE_URL}/schema/`;
+    if (typeof value !== "string") {
+        return null;
+    }
+    return value.startsWith(prefix) ? value.slice(prefix.length) : value;
+}
+
+// Registry entry without the schema document, for listings
+function describeSchema(entry) {
+    return {
+        id: entry.id,
+        url: getSchemaUrl(entry.id),
+        name: entry.name,
+        version: entry.version,
+        description: entry.description,
+        createdAt: entry.createdAt,
+    };
+}
+
+// Compile once per schema. $id is dropped so Ajv does not register it globally.
+function getSchemaValidator(entry) {
+    if (!schemaValidators.has(entry.id)) {
+        const { $id, ...schema } = entry.schema;
+        schemaValidators.set(entry.id, ajv.compile(schema));
+    }
+    return schemaValidators.get(entry.id);
+}
+
+// Validate credentialSubject claims; the subject id comes from subjectDid and
+// is not part of the schema
+function validateCredentialSubject(entry, credentialSubject) {
+    const { id, ...claims } = credentialSubject || {};
+    const validate = getSchemaValidator(entry);
+    const valid = validate(claims);
+    return {
+        valid,
+        errors: valid
+            ? []
+            : validate.errors.map(
+                    (error) => `credentialSubject${error.instancePath} ${error.message}`
+                ),
+    };
+}
+
+// Schema conformance of a credential, reported next to its verification
+async function checkCredentialSchema(credential) {
+    const { credentialSchema, credentialSubject } =
+        normalizeCredential(credential);
+    const reference = [credentialSchema || []].flat()[0];
+    if (!reference) {
+        return null;
+    }
+
+    const entry = await SchemaStore.getSchema(getLocalSchemaId(reference.id));
+    if (!entry) {
+        return {
+            id: reference.id,
+            valid: null,
+            error: "Schema is not registered with this service",
+        };
+    }
+    return {
+        id: reference.id,
+        ...validateCredentialSubject(entry, credentialSubject),
+    };
+}
+
+// The stores' in-memory state, put back when a transaction fails
+function snapshotStores() {
+    const { jsonStore } = agentStores;
+    return {
+        credentials: new Map(VCStore.credentials),
+        presentations: new Map(VCStore.presentations),
+        dids: new Map(DIDRegistry.dids),
+        statusLists: new Map(StatusListStore.lists),
+        schemas: new Map(SchemaStore.schemas),
+        metaTransactions: new Map(MetaTxStore.transactions),
+        agent:
+            jsonStore &&
+            structuredClone({
+                keys: jsonStore.keys,
+                privateKeys: jsonStore.privateKeys,
+                dids: jsonStore.dids,
+            }),
+    };
+}
+
+function restoreStores(snapshot) {
+    VCStore.credentials = snapshot.credentials;
+    VCStore.presentations = snapshot.presentations;
+    DIDRegistry.dids = snapshot.dids;
+    StatusListStore.lists = snapshot.statusLists;
+    SchemaStore.schemas = snapshot.schemas;
+    MetaTxStore.transactions = snapshot.metaTransactions;
+    schemaValidators.clear();
+    if (snapshot.agent) {
+        Object.assign(agentStores.jsonStore, snapshot.agent);
+    }
+}
+
+// Run task with its writes in one transaction of the storage backend and of the
+// SQLite connection (the agent's stores unless STORAGE_BACKEND is "file", and
+// challenges). If it fails, nothing is written and the stores are put back.
+async function runInTransaction(task) {
+    const snapshot = snapshotStores();
+    try {
+        return await storage.transaction(() => dbConnection.transaction(() => task()));
+    } catch (error) {
+        restoreStores(snapshot);
+        throw error;
+    }
+}
+
+// Backups (lib/backup.js) of the agent's stores, VCStore, the DID registry and
+// the stores of the services above
+const backupStores = {
+    statusLists: StatusListStore,
+    schemas: SchemaStore,
+    metaTransactions: MetaTxStore,
+    challenges: ChallengeStore,
+};
+
+async function createBackupPayload() {
+    return {
+        ...(await exportAgentStores(agentStores)),
+        credentials: Array.from(VCStore.credentials, ([id, entry]) => ({ id, ...entry })),
+        presentations: Array.from(VCStore.presentations, ([id, entry]) => ({ id, ...entry })),
+        ...(await exportServiceStores(backupStores)),
+        didRegistry: DIDRegistry.getAllDIDs(),
+    };
+}
+
+async function clearBackupData() {
+    for (const id of Array.from(VCStore.presentations.keys())) {
+        await VCStore.deletePresentation(id);
+    }
+    for (const id of Array.from(VCStore.credentials.keys())) {
+        await VCStore.deleteCredential(id);
+    }
+    for (const { did } of DIDRegistry.getAllDIDs()) {
+        await DIDRegistry.unregisterDID(did);
+    }
+    await clearAgentStores(agentStores);
+    await clearServiceStores(backupStores);
+}
+
+// "replace" clears the current data first; "merge" keeps entries that already
+// exist and skips their copy in the archive. A failed restore writes nothing.
+async function restoreBackupPayload(payload, mode) {
+    return runInTransaction(async () => {
+        if (mode === "replace") {
+            await clearBackupData();
+        }
+        const counts = createRestoreCounts();
+        const { restored, skipped } = counts;
+        await importAgentStores(agentStores, payload, counts);
+
+        for (const { id, credential, timestamp } of payload.credentials) {
+            if (VCStore.getCredential(id)) {
+                skipped.credentials++;
+                continue;
+            }
+            await VCStore.saveCredential(id, credential, timestamp);
+            restored.credentials++;
+        }
+        for (const { id, presentation, timestamp } of payload.presentations) {
+            if (VCStore.getPresentation(id)) {
+                skipped.presentations++;
+                continue;
+            }
+            await VCStore.savePresentation(id, presentation, timestamp);
+            restored.presentations++;
+        }
+        await importServiceStores(backupStores, payload, counts);
+
+        // Archives from server.js have no registry; list their identifiers as restored
+        const registryEntries =
+            payload.didRegistry ||
+            payload.identifiers.map((identifier) => ({ ...identifier, type: "restored" }));
+        for (const entry of registryEntries) {
+            if (!DIDRegistry.isDIDRegistered(entry.did)) {
+                await DIDRegistry.registerDID(entry.did, entry);
+            }
+        }
+
+        return counts;
+    });
+}
+
+// Largest /credential/batch-create and verify-batch request, and how many of its
+// items are signed or verified at the same time
+const MAX_CREDENTIAL_BATCH_SIZE =
+    Number(process.env.MAX_CREDENTIAL_BATCH_SIZE) || 500;
+const CREDENTIAL_BATCH_CONCURRENCY =
+    Number(process.env.CREDENTIAL_BATCH_CONCURRENCY) || 4;
+
+// Validates a /credential/create request and builds the unsigned credential,
+// without its credentialStatus. Returns { error, schemaErrors } if the request is invalid.
+async function buildCredential({
+    issuerDid,
+    subjectDid,
+    credentialSubject,
+    type = ["VerifiableCredential"],
+    expirationDate,
+    proofFormat = "jwt",
+    context,
+    schemaId,
+}) {
+    if (!issuerDid || !subjectDid || !credentialSubject) {
+        return {
+            error: "Missing required fields: issuerDid, subjectDid, credentialSubject",
+        };
+    }
+
+    if (!PROOF_FORMATS.includes(proofFormat)) {
+        return {
+            error: `Unsupported proofFormat '${proofFormat}'. Supported formats: ${PROOF_FORMATS.join(", ")}`,
+        };
+    }
+
+    let credentialSchema;
+    if (schemaId) {
+        const schema = await SchemaStore.getSchema(getLocalSchemaId(schemaId));
+        if (!schema) {
+            return { error: `Unknown schemaId: ${schemaId}` };
+        }
+
+        const { valid, errors } = validateCredentialSubject(
+            schema,
+            credentialSubject
+        );
+        if (!valid) {
+            return {
+                error: "credentialSubject does not match the schema",
+                schemaErrors: errors,
+            };
+        }
+        credentialSchema = {
+            id: getSchemaUrl(schema.id),
+            type: CREDENTIAL_SCHEMA_TYPE,
+        };
+    }
+
+    const extraContexts = context
+        ? [context].flat()
+        : proofFormat === "lds"
+        ? [DEFAULT_CLAIMS_CONTEXT]
+        : [];
+
+    return {
+        proofFormat,
+        credential: {
+            "@context": [
+                "https://www.w3.org/2018/credentials/v1",
+                STATUS_LIST_CONTEXT,
+                ...extraContexts,
+            ],
+            issuer: { id: issuerDid },
+            credentialSubject: {
+                id: subjectDid,
+                ...credentialSubject,
+            },
+            type,
+            ...(credentialSchema && { credentialSchema }),
+            ...(expirationDate && { expirationDate }),
+        },
+    };
+}
+
+// Calls fn(item, index) for every item, with at most `limit` calls running at once.
+// Results keep the order of items.
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(
+        Array.from({ length: Math.min(limit, items.length) }, worker)
+    );
+    return results;
+}
+
+// Verify a credential's proof (falling back to the issuer's keys at issuance),
+// status and schema
+async function verifyCredentialWithStatus(credential, resolutionOptions) {
+    const verification = await verifyCredentialWithHistory({
+        credential,
+        policies: { credentialStatus: false }, // Checked below with details
+        ...(resolutionOptions && { resolutionOptions }),
+    });
+    await applyCredentialStatus(verification, credential, resolutionOptions);
+    const schema = await checkCredentialSchema(credential);
+    return { proofFormat: detectProofFormat(credential), verification, schema };
+}
+
+// Verify the items of a verify-batch request. verifyItem(item, resolutionOptions)
+// returns { proofFormat, verification, schema } or { error } for a malformed item;
+// the shared resolutionOptions resolve every DID once for the whole batch.
+async function verifyBatch(items, verifyItem) {
+    const resolutionMemo = new Map();
+    const results = await mapWithConcurrency(
+        items,
+        CREDENTIAL_BATCH_CONCURRENCY,
+        async (item, index) => {
+            try {
+                const { error, proofFormat, verification, schema } = await verifyItem(
+                    item,
+                    { resolutionMemo }
+                );
+                if (error) {
+                    return {
+                        index,
+                        verified: false,
+                        error: { code: "invalid_request", message: error },
+                    };
+                }
+                return {
+                    index,
+                    verified: verification.verified,
+                    proofFormat,
+                    ...(verification.error && {
+                        error: {
+                            code: verification.error.errorCode || "verification_failed",
+                            message: verification.error.message,
+                        },
+                    }),
+                    ...(verification.status && { status: verification.status }),
+                    ...(schema && { schema }),
+                };
+            } catch (error) {
+                return {
+                    index,
+                    verified: false,
+                    error: { code: "verification_error", message: error.message },
+                };
+            }
+        }
+    );
+
+    const verified = results.filter((result) => result.verified).length;
+    return {
+        summary: {
+            total: results.length,
+            verified,
+            failed: results.length - verified,
+            resolvedDids: resolutionMemo.size,
+        },
+        results,
+    };
+}
+
+// Validate the array of a batch request; returns an error message or null
+function getBatchError(items, field) {
+    if (!Array.isArray(items) || items.length === 0) {
+        return `Missing required field: ${field} (non-empty array)`;
+    }
+    if (items.length > MAX_CREDENTIAL_BATCH_SIZE) {
+        return `A batch holds at most ${MAX_CREDENTIAL_BATCH_SIZE} items`;
+    }
+    return null;
+}
+
+function getCredentialListFields(credential) {
+    const { credentialSubject, type, expirationDate, validUntil } =
+        normalizeCredential(credential);
+    return {
+        issuer: getCredentialIssuer(credential),
+        subject: [credentialSubject || []].flat().map((subject) => subject.id),
+        type: [type || []].flat(),
+        issuanceDate: getCredentialIssuanceDate(credential),
+        expirationDate: expirationDate || validUntil,
+    };
+}
+
+function getPresentationListFields(presentation) {
+    return {
+        holder: presentation.holder,
+        verifier: [presentation.verifier || []].flat(),
+        type: [presentation.type || []].flat(),
+        issuanceDate: presentation.issuanceDate,
+        expirationDate: presentation.expirationDate,
+    };
+}
+
+// Routes
+
+// Authenticate API keys and Sign-In With Ethereum sessions
+app.use(authenticateApiKey);
+app.use(authenticateSession);
+
+// Scopes and issuer allowlists. /health, /agent/info, /network/status,
+// /status/:listId, GET /schema, /auth/siwe/*, did.json documents and the /didcomm
+// inbox stay public.
+app.post(
+    "/did/create",
+    requireScope("did:create", { allowSession: isWalletDidRequest })
+);
+app.use("/admin", requireScope("admin"));
+app.get(
+    [
+        "/did/list",
+        "/did/:did",
+        "/did/:did/resolve",
+        "/1.0/identifiers/*didUrl",
+        "/did/:did/keys",
+        "/did/:did/services",
+    ],
+    requireScope("did:read")
+);
+app.post(
+    ["/did/:did/keys", "/did/:did/services", "/did/:did/rotate"],
+    requireScope("did:update"),
+    requireIssuer((req) => req.params.did)
+);
+app.delete(
+    ["/did/:did/keys/:kid", "/did/:did/services/:id"],
+    requireScope("did:update"),
+    requireIssuer((req) => req.params.did)
+);
+app.post(
+    ["/did/:did/meta-tx", "/did/:did/meta-tx/:id/submit"],
+    requireOwnerSession((req) => req.params.did)
+);
+app.get(
+    "/did/:did/meta-tx/:id",
+    requireScope("did:read", { allowSession: isSessionDidRequest })
+);
+app.post(
+    ["/credential/create", "/credential/batch-create"],
+    requireScope("credential:issue"),
+    requireIssuer((req) => req.body.issuerDid)
+);
+app.post(
+    ["/credential/revoke", "/credential/suspend", "/credential/reinstate"],
+    requireScope("credential:issue")
+);
+app.post(
+    ["/credential/verify", "/credential/verify-batch"],
+    requireScope("credential:verify")
+);
+app.get(
+    ["/credential/list", "/credential/:id"],
+    requireScope("credential:read")
+);
+app.delete("/credential/:id", requireScope("credential:issue"));
+app.get(
+    "/holder/:did/credentials",
+    requireScope("credential:read", { allowSession: isSessionDidRequest })
+);
+app.post(
+    "/presentation/create",
+    requireScope("presentation:create"),
+    requireIssuer((req) => req.body.holderDid)
+);
+app.post(
+    "/presentation/prepare",
+    requireScope("presentation:create", { allowSession: () => true })
+);
+app.post(
+    ["/presentation/challenge", "/presentation/verify", "/presentation/verify-batch"],
+    requireScope("presentation:verify")
+);
+app.get(
+    ["/presentation/list", "/presentation/:id"],
+    requireScope("presentation:read")
+);
+app.delete("/presentation/:id", requireScope("presentation:create"));
+app.post(
+    "/sdr/create",
+    requireScope("presentation:verify"),
+    requireIssuer((req) => req.body.issuerDid)
+);
+app.post("/sdr/validate", requireScope("presentation:verify"));
+app.post(
+    "/didcomm/send",
+    requireScope("message:send"),
+    requireIssuer((req) => req.body.from)
+);
+app.get("/messages", requireScope("message:read"));
+app.post("/schema", requireScope("schema:create"));
+
+// Health check endpoint
+app.get("/health", (req, res) => {
+    res.json({
+        status: "OK",
+        message: "Veramo Backend Service (Decentralized) is running",
+        architecture: "Blockchain-first, no central database",
+        timestamp: new Date().toISOString(),
+    });
+});
+
+// Get agent information
+app.get("/agent/info", async (req, res) => {
+    try {
+        const methods = await agent.availableMethods();
+        res.json({
+            availableMethods: methods,
+            architecture: `Decentralized - Blockchain and ${STORAGE_BACKEND} storage`,
+            keyManagementSystems: ["local", ...Object.keys(externalKms)],
+            features: {
+                did_creation: "Blockchain-based (ethr and key DIDs)",
+                did_resolution: "Blockchain queries only",
+                vc_issuance: "In-memory, JWTs",
+                vc_storage: storage.description,
+            },
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get a nonce for a Sign-In With Ethereum message
+app.get("/auth/siwe/nonce", async (req, res) => {
+    try {
+        const networkConfig = getNetworkConfig();
+        const now = Date.now();
+
+        // Nonces are single-use challenges bound to the SIWE domain
+        const entry = await ChallengeStore.create({
+            challenge: generateNonce(),
+            purpose: "siwe",
+            domain: SIWE_DOMAIN,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + CHALLENGE_TTL_SECONDS * 1000).toISOString(),
+        });
+
+        res.json({
+            success: true,
+            nonce: entry.challenge,
+            domain: SIWE_DOMAIN,
+            chainId: networkConfig.chainId,
+            expiresAt: entry.expiresAt,
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+// Verify a signed SIWE message and start a session for the wallet's did:ethr
+app.post("/auth/siwe/verify", async (req, res) => {
+    try {
+        const { message, signature } = req.body;
+
+        if (!message || !signature) {
+            return res.status(400).json({
+                success: false,
+                error: "Missing required fields: message, signature",
+            });
+        }
+
+        let siweMessage;
+        try {
+            siweMessage = new SiweMessage(message);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid SIWE message: ${error.message || error}`,
+            });
+        }
+
+        // Any configured network can be used to sign in
+        const networkConfig = findNetworkByChainId(Number(siweMessage.chainId));
+        if (!networkConfig) {
+            return res.status(400).json({
+                success: false,
+                error: `SIWE message chain ${siweMessage.chainId} is not a configured network`,
+            });
+        }
+
+        const nonce = await ChallengeStore.get(siweMessage.nonce, "siwe");
+        if (
+            !nonce ||
+            nonce.domain !== SIWE_DOMAIN ||
+            nonce.usedAt ||
+            Date.parse(nonce.expiresAt) <= Date.now()
+        ) {
+            return res.status(401).json({
+                success: false,
+                error: "Unknown, used or expired nonce. Request a new one from /auth/siwe/nonce",
+            });
+        }
+
+        const result = await siweMessage.verify(
+            { signature, domain: SIWE_DOMAIN, nonce: siweMessage.nonce },
+            { suppressExceptions: true }
+        );
+        if (!result.success) {
+            return res.status(401).json({
+                success: false,
+                error: result.error?.type || "Invalid SIWE signature",
+            });
+        }
+
+        if (!(await ChallengeStore.consume(siweMessage.nonce, "siwe"))) {
+            return res.status(401).json({
+                success: false,
+                error: "Nonce has already been used",
+            });
+        }
+
+        const address = getAddress(siweMessage.address);
+        const did = `did:ethr:${networkConfig.name}:${address}`;
+        const issuedAt = Math.floor(Date.now() / 1000);
+        const token = signSessionToken({
+            sub: did,
+            address,
+            chainId: networkConfig.chainId,
+            iat: issuedAt,
+            exp: issuedAt + SESSION_TTL_SECONDS,
+        });
+
+        res.json({
+            success: true,
+            token,
+            did,
+            address,
+            expiresAt: new Date((issuedAt + SESSION_TTL_SECONDS) * 1000).toISOString(),
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+// Create a new DID
+app.post("/did/create", async (req, res) => {
+    try {
+        const {
+            provider = "did:key",
+            alias,
+            walletAddress,
+            network,
+            didcomm = false,
+            path,
+            keyType = "Secp256k1",
+            kms = "local",
+        } = req.body;
+
+        // Key management system for generated keys (wallet DIDs have none)
+        const kmsError = getKmsError(externalKms, kms, provider === "did:web" ? keyType : undefined);
+        if (kmsError) {
+            return res.status(400).json({
+                success: false,
+                error: kmsError,
+            });
+        }
+
+        // WALLET-BASED DID (for thirdweb integration)
+        // Use this when user connects their wallet - creates DID from existing wallet address
+        if (provider === "did:ethr" && walletAddress) {
+            // Validate Ethereum address format
+            if (!/^0x[a-fA-F0-9]{40}$/.test(walletAddress)) {
+                return res.status(400).json({
+                    success: false,
+                    error:
+                        "Invalid Ethereum wallet address format. Must be a 40-character hex string starting with '0x'",
+                });
+            }
+
+            const networkConfig = getNetworkConfig();
+            const targetNetwork = network || networkConfig.name;
+            if (!findNetwork(targetNetwork)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Network '${targetNetwork}' is not configured`,
+                });
+            }
+
+            // Structure: did:ethr:network:walletAddress
+            const didIdentifier = `did:ethr:${targetNetwork}:${walletAddress}`;
+
+            // A signed-in wallet can only create its own DID
+            if (!requireDidOwner(req, res, didIdentifier)) {
+                return;
+            }
+
+            console.log(
+                `Creating wallet-based DID for network: ${targetNetwork}, address: ${walletAddress}`
+            );
+
+            // Check if DID already exists
+            if (DIDRegistry.isDIDRegistered(didIdentifier)) {
+                const existing = DIDRegistry.getDID(didIdentifier);
+                return res.json({
+                    success: true,
+                    identifier: {
+                        did: didIdentifier,
+                        provider: "did:ethr",
+                        walletAddress,
+                        network: targetNetwork,
+                    },
+                    message: "Wallet-based DID already exists",
+                    type: "wallet-based",
+                    note: "This DID is linked to your wallet address. You control it with your wallet private key."
+                });
+            }
+
+            // Register the wallet-based DID
+            await DIDRegistry.registerDID(didIdentifier, {
+                provider: "did:ethr",
+                walletAddress,
+                network: targetNetwork,
+                type: "wallet-based",
+                alias: alias || `wallet-${walletAddress.slice(0, 10)}`
+            });
+
+            res.json({
+                success: true,
+                identifier: {
+                    did: didIdentifier,
+                    provider: "did:ethr",
+                    walletAddress,
+                    network: targetNetwork,
+                },
+                message: `Wallet-based DID created successfully`,
+                type: "wallet-based",
+                note: "This DID is linked to your wallet. Your wallet private key controls it.",
+                stored: "blockchain (resolved from ERC1056 registry)"
+            });
+        }
+        // GENERATED KEY DID (Veramo manages the key)
+        else if (provider === "did:ethr" && !walletAddress) {
+            // Generate a new key pair - Veramo controls the key
+            let createOptions = {
+                provider: "did:ethr",
+                alias: alias || `did-generated-${Date.now()}`,
+                kms,
+            };
+
+            const networkConfig = getNetworkConfig();
+            createOptions.options = {
+                anchor: false,
+                network: networkConfig.name,
+            };
+
+            console.log("Creating generated-key DID (Veramo manages the key)");
+
+            let identifier = await agent.didManagerCreate(createOptions);
+
+            // Optionally add a DIDComm v2 key agreement key and inbox
+            let didcommSetup;
+            if (didcomm) {
+                didcommSetup = await setupDidComm(identifier.did);
+                identifier = await agent.didManagerGet({ did: identifier.did });
+            }
+
+            // Register in our DID registry
+            await DIDRegistry.registerDID(identifier.did, {
+                ...identifier,
+                type: "generated-key",
+                note: "This is a generated key. Veramo stores the private key."
+            });
+
+            res.json({
+                success: true,
                 identifier,
+                ...(didcommSetup && { didcomm: didcommSetup }),
                 type: "generated-key",
                 note: "⚠️ This DID uses a generated key. For blockchain persistence, use wallet-based DIDs (pass walletAddress)",
-                stored: "in-memory (session only, not persisted)",
+                stored: storage.description,
                 recommendation: "For production with thirdweb, use wallet-based DIDs: { provider: 'did:ethr', walletAddress: '0x...' }"
             });
         }
-        // SELF-ISSUED DID (did:key)
-        else if (provider === "did:key") {
-            let createOptions = {
-                provider: "did:key",
-                alias: alias || `key-${Date.now()}`,
-            };
+        // WEB DID (did:web), published by this service
+        else if (provider === "did:web") {
+            const did = getWebDid(path);
+            if (!did) {
+                return res.status(400).json({
+                    success: false,
+                    error: "path must be slash-separated segments of letters, digits, '.', '_' or '-'",
+                });
+            }
+            if (!["Secp256k1", "Ed25519"].includes(keyType)) {
+                return res.status(400).json({
+                    success: false,
+                    error: "keyType must be Secp256k1 or Ed25519",
+                });
+            }
+            if (DIDRegistry.isDIDRegistered(did)) {
+                return res.json({
+                    success: true,
+                    identifier: DIDRegistry.getDID(did),
+                    message: "DID already exists",
+                });
+            }
+
+            console.log(`Creating web DID (${did})`);
+
+            // WebDIDProvider uses the alias as the method-specific id
+            let identifier = await agent.didManagerCreate({
+                provider: "did:web",
+                alias: did.slice("did:web:".length),
+                kms,
+                options: { keyType },
+            });
+
+            let didcommSetup;
+            if (didcomm) {
+                didcommSetup = await setupDidComm(identifier.did);
+                identifier = await agent.didManagerGet({ did: identifier.did });
+            }
+            DIDResolutionCache.purge(identifier.did);
+
+            // Register in our DID registry
+            await DIDRegistry.registerDID(identifier.did, {
+                ...identifier,
+                type: "web",
+                note: "Web DID, document published by this service"
+            });
+
+            res.json({
+                success: true,
+                identifier,
+                ...(didcommSetup && { didcomm: didcommSetup }),
+                type: "web",
+                didDocumentUrl: getWebDidDocumentUrl(identifier.did),
+                note: "Web DID. Its document is served from this service's domain, so PUBLIC_BASE_URL must be the public HTTPS origin.",
+                stored: storage.description,
+            });
+        }
+        // SELF-ISSUED DID (did:key)
+        else if (provider === "did:key") {
+            let createOptions = {
+                provider: "did:key",
+                alias: alias || `key-${Date.now()}`,
+                kms,
+            };
+
+            console.log("Creating self-issued DID (did:key)");
+
+            const identifier = await agent.didManagerCreate(createOptions);
+
+            // Register in our DID registry
+            await DIDRegistry.registerDID(identifier.did, {
+                ...identifier,
+                type: "self-issued",
+                note: "Self-issued DID, no blockchain required"
+            });
+
+            res.json({
+                success: true,
+                identifier,
+                ...(didcomm && { didcomm: await setupDidComm(identifier.did) }),
+                type: "self-issued",
+                note: "Self-issued DID using did:key method. No blockchain required.",
+                stored: storage.description,
+            });
+        }
+        else {
+            res.status(400).json({
+                success: false,
+                error: "Invalid provider or missing required parameters",
+                supported_methods: {
+                    "wallet-based": {
+                        provider: "did:ethr",
+                        walletAddress: "0x742d35Cc6634C0532925a3b844Bc9e7595f42bE",
+                        network: "skale-titan (optional)",
+                        note: "Best for thirdweb integration"
+                    },
+                    "generated-key": {
+                        provider: "did:ethr",
+                        note: "Generates a new key, Veramo manages it"
+                    },
+                    "self-issued": {
+                        provider: "did:key",
+                        note: "Self-issued DID, no blockchain needed"
+                    },
+                    "web": {
+                        provider: "did:web",
+                        path: "issuers/example (optional)",
+                        note: "DID document published by this service"
+                    },
+                },
+                success: false,
+                error: error.message,
+            });
+        }
+    }
+    catch (error) {
+        console.error("DID creation error:", error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+// Get all DIDs (from in-memory registry only)
+app.get("/did/list", async (req, res) => {
+    try {
+        const identifiers = DIDRegistry.getAllDIDs();
+        res.json({
+            success: true,
+            count: identifiers.length,
+            identifiers,
+            note: `Only DIDs created by this service are listed (storage: ${storage.description})`,
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+// Get a specific DID
+app.get("/did/:did", async (req, res) => {
+    try {
+        const { did } = req.params;
+        const identifier = DIDRegistry.getDID(did);
+
+        if (!identifier) {
+            return res.status(404).json({
+                success: false,
+                error: "DID not found in the DID registry",
+                note: "Use did:ethr with a wallet address for blockchain-persisted DIDs",
+            });
+        }
+
+        res.json({
+            success: true,
+            identifier,
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+// W3C DID Resolution over HTTP(S) (/1.0/identifiers)
+app.use(didResolutionRouter);
+
+// Keys of a DID: the managed keys and the resolved verification methods, which
+// include ERC1056 delegates for did:ethr
+app.get("/did/:did/keys", async (req, res) => {
+    try {
+        const { did } = req.params;
+        const identifier = await findIdentifier(did);
+        if (!identifier) {
+            return res.status(404).json({
+                success: false,
+                error: "DID not found",
+            });
+        }
+
+        const { didDocument } = await agent.resolveDid({ didUrl: did });
+        res.json({
+            success: true,
+            keys: identifier.keys,
+            retiredKeys: await listRetiredKeys(did),
+            verificationMethod: didDocument?.verificationMethod || [],
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+// Add a key to a DID. For did:ethr the key is written to the ERC1056 registry
+// as an attribute, or, with "delegate", an existing address is added as a delegate.
+app.post("/did/:did/keys", async (req, res) => {
+    try {
+        const { did } = req.params;
+        const {
+            type = "Secp256k1",
+            kms = "local",
+            delegate,
+            delegateType = "veriKey",
+            ttl,
+        } = req.body;
+
+        const identifier = await findIdentifier(did);
+        if (!identifier) {
+            return res.status(404).json({
+                success: false,
+                error: "DID not found",
+            });
+        }
+        const unsupported = await getDidUpdateError(identifier);
+        if (unsupported) {
+            return res.status(400).json({
+                success: false,
+                error: unsupported,
+            });
+        }
+        if (ttl !== undefined && !(Number.isInteger(ttl) && ttl > 0)) {
+            return res.status(400).json({
+                success: false,
+                error: "ttl must be a positive number of seconds",
+            });
+        }
+
+        let key;
+        let txHash = null;
+        if (delegate) {
+            if (identifier.provider !== "did:ethr") {
+                return res.status(400).json({
+                    success: false,
+                    error: "Delegates are only supported for did:ethr",
+                });
+            }
+            if (!/^0x[0-9a-fA-F]{40}$/.test(delegate)) {
+                return res.status(400).json({
+                    success: false,
+                    error: "delegate must be an Ethereum address",
+                });
+            }
+            if (!DELEGATE_TYPES.includes(delegateType)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `delegateType must be one of: ${DELEGATE_TYPES.join(", ")}`,
+                });
+            }
+
+            const controller = await getEthrDidController(identifier);
+            txHash = await controller.addDelegate(delegate, {
+                delegateType,
+                expiresIn: ttl,
+            });
+        } else {
+            if (!DID_KEY_TYPES.includes(type)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `type must be one of: ${DID_KEY_TYPES.join(", ")}`,
+                });
+            }
+            const kmsError = getKmsError(externalKms, kms, type);
+            if (kmsError) {
+                return res.status(400).json({
+                    success: false,
+                    error: kmsError,
+                });
+            }
+
+            key = await agent.keyManagerCreate({ kms, type });
+            const result = await withNewKey(agent, key, () =>
+                agent.didManagerAddKey({
+                    did,
+                    key,
+                    options: ttl ? { ttl } : {},
+                })
+            );
+            txHash = typeof result === "string" ? result : null;
+        }
+
+        res.json({
+            success: true,
+            ...(key ? { key } : { delegate, delegateType }),
+            txHash,
+            didDocument: await resolveUpdatedDid(did),
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+// Remove a key from a DID. An Ethereum address revokes an ERC1056 delegate
+// (?delegateType=veriKey|sigAuth, default veriKey).
+app.delete("/did/:did/keys/:kid", async (req, res) => {
+    try {
+        const { did, kid } = req.params;
+        const identifier = await findIdentifier(did);
+        if (!identifier) {
+            return res.status(404).json({
+                success: false,
+                error: "DID not found",
+            });
+        }
+        const unsupported = await getDidUpdateError(identifier);
+        if (unsupported) {
+            return res.status(400).json({
+                success: false,
+                error: unsupported,
+            });
+        }
+
+        let txHash = null;
+        if (/^0x[0-9a-fA-F]{40}$/.test(kid)) {
+            const delegateType = req.query.delegateType || "veriKey";
+            if (identifier.provider !== "did:ethr") {
+                return res.status(400).json({
+                    success: false,
+                    error: "Delegates are only supported for did:ethr",
+                });
+            }
+            if (!DELEGATE_TYPES.includes(delegateType)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `delegateType must be one of: ${DELEGATE_TYPES.join(", ")}`,
+                });
+            }
+
+            const controller = await getEthrDidController(identifier);
+            txHash = await controller.revokeDelegate(kid, delegateType);
+        } else {
+            if (!identifier.keys.some((key) => key.kid === kid)) {
+                return res.status(404).json({
+                    success: false,
+                    error: "Key not found",
+                });
+            }
+            if (kid === identifier.controllerKeyId) {
+                return res.status(400).json({
+                    success: false,
+                    error: "The controller key cannot be removed",
+                });
+            }
+
+            const result = await agent.didManagerRemoveKey({ did, kid, options: {} });
+            txHash = typeof result === "string" ? result : null;
+        }
+
+        res.json({
+            success: true,
+            removed: kid,
+            txHash,
+            didDocument: await resolveUpdatedDid(did),
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+// Service endpoints of a DID
+app.get("/did/:did/services", async (req, res) => {
+    try {
+        const { did } = req.params;
+        const identifier = await findIdentifier(did);
+        if (!identifier) {
+            return res.status(404).json({
+                success: false,
+                error: "DID not found",
+            });
+        }
+
+        const { didDocument } = await agent.resolveDid({ didUrl: did });
+        res.json({
+            success: true,
+            services: identifier.services,
+            service: didDocument?.service || [],
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+// Add a service endpoint. For did:ethr it is written to the ERC1056 registry.
+app.post("/did/:did/services", async (req, res) => {
+    try {
+        const { did } = req.params;
+        const { id, type, serviceEndpoint, description, ttl } = req.body;
+
+        if (!type || !serviceEndpoint) {
+            return res.status(400).json({
+                success: false,
+                error: "Missing required fields: type, serviceEndpoint",
+            });
+        }
+        if (ttl !== undefined && !(Number.isInteger(ttl) && ttl > 0)) {
+            return res.status(400).json({
+                success: false,
+                error: "ttl must be a positive number of seconds",
+            });
+        }
+
+        const identifier = await findIdentifier(did);
+        if (!identifier) {
+            return res.status(404).json({
+                success: false,
+                error: "DID not found",
+            });
+        }
+        const unsupported = await getDidUpdateError(identifier);
+        if (unsupported) {
+            return res.status(400).json({
+                success: false,
+                error: unsupported,
+            });
+        }
+
+        const serviceId = !id
+            ? `${did}#service-${Date.now()}`
+            : id.startsWith("#")
+            ? `${did}${id}`
+            : id;
+        if (identifier.services.some((service) => service.id === serviceId)) {
+            return res.status(400).json({
+                success: false,
+                error: `Service ${serviceId} already exists`,
+            });
+        }
+
+        const service = {
+            id: serviceId,
+            type,
+            serviceEndpoint,
+            ...(description ? { description } : {}),
+        };
+        const result = await agent.didManagerAddService({
+            did,
+            service,
+            options: ttl ? { ttl } : {},
+        });
+
+        res.json({
+            success: true,
+            service,
+            txHash: typeof result === "string" ? result : null,
+            didDocument: await resolveUpdatedDid(did),
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+// Remove a service endpoint, by full id or fragment
+app.delete("/did/:did/services/:id", async (req, res) => {
+    try {
+        const { did, id } = req.params;
+        const identifier = await findIdentifier(did);
+        if (!identifier) {
+            return res.status(404).json({
+                success: false,
+                error: "DID not found",
+            });
+        }
+        const unsupported = await getDidUpdateError(identifier);
+        if (unsupported) {
+            return res.status(400).json({
+                success: false,
+                error: unsupported,
+            });
+        }
+
+        const service = identifier.services.find((entry) =>
+            [id, `${did}#${id}`, `#${id}`].includes(entry.id)
+        );
+        if (!service) {
+            return res.status(404).json({
+                success: false,
+                error: "Service not found",
+            });
+        }
+
+        const result = await agent.didManagerRemoveService({
+            did,
+            id: service.id,
+            options: {},
+        });
+
+        res.json({
+            success: true,
+            removed: service.id,
+            txHash: typeof result === "string" ? result : null,
+            didDocument: await resolveUpdatedDid(did),
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+// Rotate a key of a managed did:ethr. The controller key (default) is replaced by a
+// new key with an ERC1056 changeOwner to its address; another key (kid) is swapped
+// for a new key of the same type. The old key is retired as superseded, or as
+// compromised (reason), which stops credentials it signed from verifying.
+app.post("/did/:did/rotate", async (req, res) => {
+    try {
+        const { did } = req.params;
+        const identifier = await findIdentifier(did);
+        if (!identifier) {
+            return res.status(404).json({
+                success: false,
+                error: "DID not found",
+            });
+        }
+        const unsupported = await getDidUpdateError(identifier);
+        if (unsupported) {
+            return res.status(400).json({
+                success: false,
+                error: unsupported,
+            });
+        }
+        // Credentials signed with a retired key verify against the DID's past
+        // documents, and only did:ethr keeps them
+        if (identifier.provider !== "did:ethr") {
+            return res.status(400).json({
+                success: false,
+                error: `Only did:ethr keys can be rotated: ${identifier.provider} keeps no document history, so credentials signed with the old key would stop verifying`,
+            });
+        }
+        const { reason = "superseded" } = req.body;
+        if (!ROTATION_REASONS.includes(reason)) {
+            return res.status(400).json({
+                success: false,
+                error: `reason must be one of: ${ROTATION_REASONS.join(", ")}`,
+            });
+        }
+
+        const kid = req.body.kid || identifier.controllerKeyId;
+        const oldKey = identifier.keys.find((key) => key.kid === kid);
+        if (!oldKey) {
+            return res.status(404).json({
+                success: false,
+                error: "Key not found",
+            });
+        }
+
+        const newKey = await agent.keyManagerCreate({
+            kms: oldKey.kms,
+            type: oldKey.type,
+        });
+        const txHashes = [];
+        if (kid === identifier.controllerKeyId) {
+            txHashes.push(
+                await withNewKey(agent, newKey, async () => {
+                    const controller = await getEthrDidController(identifier);
+                    return controller.changeOwner(computeAddress(`0x${newKey.publicKeyHex}`));
+                })
+            );
+            // DIDManager cannot change the controller key, so update the DID store directly
+            await agentStores.didStore.importDID({
+                ...identifier,
+                controllerKeyId: newKey.kid,
+                keys: [...identifier.keys.filter((key) => key.kid !== kid), newKey],
+            });
+        } else {
+            for (const result of [
+                await withNewKey(agent, newKey, () =>
+                    agent.didManagerAddKey({ did, key: newKey, options: {} })
+                ),
+                await agent.didManagerRemoveKey({ did, kid, options: {} }),
+            ]) {
+                if (typeof result === "string") {
+                    txHashes.push(result);
+                }
+            }
+        }
+        const retiredKey = await retireKey(oldKey, { did, replacedBy: newKey.kid, reason });
+
+        res.json({
+            success: true,
+            retiredKey,
+            newKey,
+            txHashes,
+            didDocument: await resolveUpdatedDid(did),
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+// Prepare a relayed ERC1056 change to a wallet DID, for the signed-in wallet.
+// Returns the hash its owner signs; the signature goes to /did/:did/meta-tx/:id/submit.
+app.post("/did/:did/meta-tx", async (req, res) => {
+    try {
+        const { did } = req.params;
+        if (!RELAYER_PRIVATE_KEY) {
+            return res.status(503).json({
+                success: false,
+                error: "Relaying is not configured (RELAYER_PRIVATE_KEY)",
+            });
+        }
+
+        const parsedDid = parseEthrDid(did);
+        if (!parsedDid) {
+            return res.status(400).json({
+                success: false,
+                error: "Meta-transactions are only supported for did:ethr",
+            });
+        }
+        if (!ethrNetworks.some((entry) => entry.name === parsedDid.network)) {
+            return res.status(400).json({
+                success: false,
+                error: `Network '${parsedDid.network}' is not configured`,
+            });
+        }
+        // The relayer only pays for DIDs registered here
+        if (!(await isWalletDid(did))) {
+            return res.status(404).json({
+                success: false,
+                error: `${did} is not a wallet DID registered with /did/create`,
+            });
+        }
+        const { action, params, error } = parseMetaTxRequest(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error,
+            });
+        }
+        const retryAfter = await getRetryAfter(did);
+        if (retryAfter) {
+            res.set("Retry-After", String(retryAfter));
+            return res.status(429).json({
+                success: false,
+                error: `A DID can prepare ${META_TX_RATE_LIMIT} meta-transactions per hour, retry in ${retryAfter} seconds`,
+            });
+        }
+
+        const metaTransaction = await prepareMetaTransaction(did, { action, params });
+
+        res.json({
+            success: true,
+            metaTransaction,
+            message: `Sign hash with the key of ${metaTransaction.signer} (a raw signature, without the Ethereum message prefix) and submit it before ${metaTransaction.expiresAt}`,
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+// Submit a signed meta-transaction from the relayer account. The response comes
+// once it is sent; GET /did/:did/meta-tx/:id follows it until it is mined.
+app.post("/did/:did/meta-tx/:id/submit", async (req, res) => {
+    try {
+        const { did, id } = req.params;
+        const { signature } = req.body;
+
+        const entry = await MetaTxStore.get(id);
+        if (!entry || entry.did !== did) {
+            return res.status(404).json({
+                success: false,
+                error: "Meta-transaction not found",
+            });
+        }
+        if (entry.status !== "prepared") {
+            return res.status(400).json({
+                success: false,
+                error: `Meta-transaction is already ${entry.status}`,
+            });
+        }
+        if (Date.parse(entry.expiresAt) < Date.now()) {
+            return res.status(400).json({
+                success: false,
+                error: "Meta-transaction has expired, prepare a new one",
+            });
+        }
+        if (!RELAYER_PRIVATE_KEY) {
+            return res.status(503).json({
+                success: false,
+                error: "Relaying is not configured (RELAYER_PRIVATE_KEY)",
+            });
+        }
+        if (!signature) {
+            return res.status(400).json({
+                success: false,
+                error: "Missing required field: signature",
+            });
+        }
+
+        const sig = parseMetaTxSignature(signature);
+        if (!sig) {
+            return res.status(400).json({
+                success: false,
+                error: "signature must be a 65-byte hex signature or { r, s, v }",
+            });
+        }
+        if (recoverAddress(entry.hash, sig).toLowerCase() !== entry.signer.toLowerCase()) {
+            return res.status(400).json({
+                success: false,
+                error: `Signature is not from the DID owner ${entry.signer}`,
+            });
+        }
+
+        const metaTransaction = await submitMetaTransaction(entry, sig);
+        if (!metaTransaction) {
+            return res.status(400).json({
+                success: false,
+                error: "Meta-transaction is already submitting",
+            });
+        }
+
+        res.json({
+            success: true,
+            metaTransaction,
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+// Status of a meta-transaction: prepared, submitting, pending, mined or failed
+app.get("/did/:did/meta-tx/:id", async (req, res) => {
+    try {
+        const { did, id } = req.params;
+        const metaTransaction = await MetaTxStore.get(id);
+        if (!metaTransaction || metaTransaction.did !== did) {
+            return res.status(404).json({
+                success: false,
+                error: "Meta-transaction not found",
+            });
+        }
+
+        res.json({
+            success: true,
+            metaTransaction,
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+// Published did:web documents
+async function sendWebDidDocument(did, res) {
+    try {
+        const didDocument = did && (await getWebDidDocument(did));
+        if (!didDocument) {
+            return res.status(404).json({
+                success: false,
+                error: "DID document not found",
+            });
+        }
+        res.json(didDocument);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+}
+
+app.get("/.well-known/did.json", (req, res) => sendWebDidDocument(getWebDid(), res));
+
+app.get("/*path/did.json", (req, res) =>
+    sendWebDidDocument(getWebDid(req.params.path.join("/")), res)
+);
+
+// Resolve a DID Document
+app.get("/did/:did/resolve", async (req, res) => {
+    try {
+        const { did } = req.params;
+        console.log(`Attempting to resolve DID: ${did}`);
+
+        // ?noCache=true bypasses the DID resolution cache
+        const options = { noCache: req.query.noCache === "true" };
+
+        // Check if it's an ethr DID and validate network
+        if (did.startsWith("did:ethr:")) {
+            const parts = did.split(":");
+            if (parts.length >= 4) {
+                const network = parts[2];
+                const address = parts[3];
+
+                console.log(
+                    `DID components - Network: ${network}, Address: ${address}`
+                );
+
+                // For SKALE networks, try a simplified resolution first
+                if (network === "skale-titan" || network === "skale") {
+                    try {
+                        const resolution = await agent.resolveDid({ didUrl: did, options });
+                        return res.json({
+                            success: true,
+                            resolution,
+                            method: "blockchain-resolved",
+                        });
+                    } catch (standardError) {
+                        console.log(
+                            `Standard resolution failed, trying fallback approach:`,
+                            standardError.message
+                        );
+
+                        // Fallback: Create a basic DID document without registry
+                        const fallbackDidDocument = {
+                            "@context": ["https://www.w3.org/ns/did/v1"],
+                            id: did,
+                            verificationMethod: [
+                                {
+                                    id: `${did}#controller`,
+                                    type: "EcdsaSecp256k1RecoveryMethod2020",
+                                    controller: did,
+                                    blockchainAccountId: `eip155:1020352220:${address}`,
+                                },
+                            ],
+                            authentication: [`${did}#controller`],
+                            assertionMethod: [`${did}#controller`],
+                        };
+
+                        return res.json({
+                            success: true,
+                            resolution: {
+                                didDocumentMetadata: {
+                                    fallback: true,
+                                    message: "Registry call failed, using fallback DID document",
+                                },
+                                didResolutionMetadata: {
+                                    contentType: "application/did+ld+json",
+                                },
+                                didDocument: fallbackDidDocument,
+                            },
+                            method: "fallback",
+                        });
+                    }
+                }
+
+                if (!findNetwork(network)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Network '${network}' is not configured. Available networks: ${Array.from(NETWORKS.keys()).join(", ")}`,
+                    });
+                }
+            }
+        }
+
+        const resolution = await agent.resolveDid({ didUrl: did, options });
+        res.json({
+            success: true,
+            resolution,
+            method: "blockchain-resolved",
+        });
+    } catch (error) {
+        console.error(`DID resolution error for ${req.params.did}:`, error);
+
+        let errorMessage = error.message;
+        if (
+            error.message.includes("CALL_EXCEPTION") ||
+            error.message.includes("missing revert data")
+        ) {
+            errorMessage = `Registry contract error: ${error.message}. For decentralized DIDs, use did:ethr with a wallet address or did:key for self-issued DIDs.`;
+        }
+
+        res.status(500).json({
+            success: false,
+            error: errorMessage,
+            did: req.params.did,
+        });
+    }
+});
+
+// Create a Verifiable Credential (stateless - no database)
+app.post("/credential/create", async (req, res) => {
+    try {
+        const { issuerDid } = req.body;
+        const {
+            error,
+            schemaErrors,
+            credential: payload,
+            proofFormat,
+        } = await buildCredential(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error,
+                ...(schemaErrors && { schemaErrors }),
+            });
+        }
+
+        // Make sure we can sign as the issuer before reserving status list entries
+        await agent.didManagerGet({ did: issuerDid });
+        const credentialStatus = await allocateCredentialStatus(issuerDid, proofFormat);
+
+        const credential = await agent.createVerifiableCredential({
+            credential: { ...payload, credentialStatus },
+            proofFormat,
+        });
+
+        // Store in the VC store
+        const credentialId = `cred-${randomUUID()}`;
+        await VCStore.saveCredential(credentialId, credential);
+
+        res.json({
+            success: true,
+            credential,
+            credentialId,
+            proofFormat,
+            storage: storage.description,
+            note: "Credential is self-contained (JWT or embedded proof) - store and manage on the client side for decentralization",
+        });
+    } catch (error) {
+        console.error("Credential creation error:", error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+// Issue many credentials from one issuer. Every item is a /credential/create
+// request without issuerDid; the other top-level fields are defaults for the items.
+app.post("/credential/batch-create", async (req, res) => {
+    try {
+        const { issuerDid, credentials, ...defaults } = req.body;
+
+        if (!issuerDid || !Array.isArray(credentials) || credentials.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: "Missing required fields: issuerDid, credentials (non-empty array)",
+            });
+        }
+        if (credentials.length > MAX_CREDENTIAL_BATCH_SIZE) {
+            return res.status(400).json({
+                success: false,
+                error: `A batch holds at most ${MAX_CREDENTIAL_BATCH_SIZE} credentials`,
+            });
+        }
+
+        await agent.didManagerGet({ did: issuerDid });
+
+        // Validate every item and reserve its status list entries in order, so
+        // indexes follow the batch order
+        const items = [];
+        for (const item of credentials) {
+            if (!item || typeof item !== "object" || Array.isArray(item)) {
+                items.push({
+                    error: { code: "invalid_request", message: "Item must be an object" },
+                });
+                continue;
+            }
+            if (item.issuerDid && item.issuerDid !== issuerDid) {
+                items.push({
+                    error: {
+                        code: "invalid_request",
+                        message: "Items cannot override the batch issuerDid",
+                    },
+                });
+                continue;
+            }
+
+            const { error, schemaErrors, credential, proofFormat } =
+                await buildCredential({ ...defaults, ...item, issuerDid });
+            if (error) {
+                items.push({
+                    error: schemaErrors
+                        ? { code: "schema_mismatch", message: error, schemaErrors }
+                        : { code: "invalid_request", message: error },
+                });
+                continue;
+            }
+            credential.credentialStatus = await allocateCredentialStatus(issuerDid, proofFormat);
+            items.push({ credential, proofFormat });
+        }
+
+        const results = await mapWithConcurrency(
+            items,
+            CREDENTIAL_BATCH_CONCURRENCY,
+            async ({ error, credential: payload, proofFormat }, index) => {
+                if (error) {
+                    return { index, success: false, error };
+                }
+                try {
+                    const credential = await agent.createVerifiableCredential({
+                        credential: payload,
+                        proofFormat,
+                    });
+                    const credentialId = `cred-${randomUUID()}`;
+                    await VCStore.saveCredential(credentialId, credential);
+                    return { index, success: true, credentialId, credential };
+                } catch (error) {
+                    return {
+                        index,
+                        success: false,
+                        error: { code: "issuance_failed", message: error.message },
+                    };
+                }
+            }
+        );
+
+        const issued = results.filter(({ success }) => success).length;
+        res.json({
+            success: true,
+            issuerDid,
+            issued,
+            failed: results.length - issued,
+            results,
+            storage: storage.description,
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+// Verify a Verifiable Credential (stateless)
+app.post("/credential/verify", async (req, res) => {
+    try {
+        const { credential } = req.body;
+
+        if (!credential) {
+            return res.status(400).json({
+                success: false,
+                error: "Missing required field: credential",
+            });
+        }
+
+        const { proofFormat, verification, schema } =
+            await verifyCredentialWithStatus(credential);
+
+        res.json({
+            success: true,
+            proofFormat,
+            verification,
+            ...(schema && { schema }),
+            note: "Verification is stateless - no database lookup required",
+        });
+    } catch (error) {
+        console.error("Credential verification error:", error);
+
+        let errorMessage = error.message;
+        if (error.message && error.message.includes("EVM revert instruction")) {
+            errorMessage =
+                "SKALE network registry contract issue - verification requires blockchain interaction";
+        }
+
+        res.status(500).json({
+            success: false,
+            error: errorMessage,
+            originalError: error.message,
+        });
+    }
+});
+
+// Verify many credentials, resolving each DID once for the whole batch
+app.post("/credential/verify-batch", async (req, res) => {
+    try {
+        const { credentials } = req.body;
+
+        const batchError = getBatchError(credentials, "credentials");
+        if (batchError) {
+            return res.status(400).json({ success: false, error: batchError });
+        }
+
+        const { summary, results } = await verifyBatch(
+            credentials,
+            (credential, resolutionOptions) =>
+                credential
+                    ? verifyCredentialWithStatus(credential, resolutionOptions)
+                    : { error: "Missing credential" }
+        );
+
+        res.json({
+            success: true,
+            summary,
+            results,
+            note: "Verification is stateless - no database lookup required",
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+// /credential/revoke, /credential/suspend, /credential/reinstate and /status/:listId
+app.use(statusListRouter);
+
+// Register a JSON Schema for credentialSubject claims
+app.post("/schema", async (req, res) => {
+    try {
+        const { name, version = "1.0", description, schema } = req.body;
+
+        if (!name || !schema || typeof schema !== "object") {
+            return res.status(400).json({
+                success: false,
+                error: "Missing required fields: name, schema (JSON Schema object)",
+            });
+        }
+
+        const { $id, ...document } = schema;
+        const id = createHash("sha256")
+            .update(canonicalizeJson(document))
+            .digest("hex")
+            .slice(0, 32);
+        const entry = {
+            id,
+            name,
+            version: String(version),
+            description,
+            schema: { $id: getSchemaUrl(id), ...document },
+            createdAt: new Date().toISOString(),
+        };
+
+        try {
+            getSchemaValidator(entry);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid JSON Schema: ${error.message}`,
+            });
+        }
+
+        const saved = await SchemaStore.saveSchema(entry);
+        res.json({
+            success: true,
+            schema: describeSchema(saved),
+            existing: saved.createdAt !== entry.createdAt,
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+// List registered schemas
+app.get("/schema", async (req, res) => {
+    try {
+        const schemas = (await SchemaStore.listSchemas()).map(describeSchema);
+        res.json({
+            success: true,
+            count: schemas.length,
+            schemas,
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+// Public JSON Schema document, referenced by credentialSchema.id
+app.get("/schema/:id", async (req, res) => {
+    try {
+        const entry = await SchemaStore.getSchema(req.params.id);
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                error: "Schema not found",
+            });
+        }
+
+        res.type("application/schema+json").send(JSON.stringify(entry.schema));
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+// List stored credentials, filtered by issuer, subject, type, issuedFrom/Until and
+// expiresFrom/Until, ordered by orderBy and order, and paged by limit and cursor or offset
+app.get("/credential/list", async (req, res) => {
+    try {
+        const listQuery = parseListQuery(req.query, ["issuer", "subject"]);
+        if (listQuery.error) {
+            return res.status(400).json({ success: false, error: listQuery.error });
+        }
+
+        const { total, credentials } = VCStore.findCredentials(
+            listQuery,
+            (credential) => canSignAs(req, getCredentialIssuer(credential))
+        );
+        res.json({
+            success: true,
+            count: credentials.length,
+            credentials,
+            ...getListPage(listQuery, total),
+            note: `Only credentials created by this service (storage: ${storage.description}). For true decentralization, store credentials on the client.`,
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+// Get one stored credential by its VCStore id
+app.get("/credential/:id", async (req, res) => {
+    try {
+        const entry = VCStore.getCredential(req.params.id);
+        if (!entry || !canSignAs(req, getCredentialIssuer(entry.credential))) {
+            return res.status(404).json({
+                success: false,
+                error: "Credential not found",
+            });
+        }
+        res.json({
+            success: true,
+            credentialId: req.params.id,
+            credential: entry.credential,
+            storedAt: entry.timestamp,
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+// Delete a stored credential. Its status list entries are kept, so revoke it first
+// if it must stop verifying.
+app.delete("/credential/:id", async (req, res) => {
+    try {
+        const entry = VCStore.getCredential(req.params.id);
+        if (!entry || !canSignAs(req, getCredentialIssuer(entry.credential))) {
+            return res.status(404).json({
+                success: false,
+                error: "Credential not found",
+            });
+        }
+        await VCStore.deleteCredential(req.params.id);
+        res.json({
+            success: true,
+            credentialId: req.params.id,
+            deleted: true,
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+// Export the stored credentials whose subject is a holder DID, filtered like
+// /credential/list. Every match is returned unless limit asks for pages.
+app.get("/holder/:did/credentials", async (req, res) => {
+    try {
+        const listQuery = parseListQuery(req.query, ["issuer"], { defaultLimit: null });
+        if (listQuery.error) {
+            return res.status(400).json({ success: false, error: listQuery.error });
+        }
+        listQuery.filters.subject = req.params.did;
+
+        const allowedIssuers = getAllowedIssuers(req);
+        const { total, credentials } = VCStore.findCredentials(
+            listQuery,
+            (credential) =>
+                !allowedIssuers || allowedIssuers.includes(getCredentialIssuer(credential))
+        );
+        res.json({
+            success: true,
+            holder: req.params.did,
+            count: credentials.length,
+            credentials,
+            ...getListPage(listQuery, total),
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+// Create a Verifiable Presentation (stateless - no database)
+app.post("/presentation/create", async (req, res) => {
+    try {
+        const {
+            holderDid,
+            verifiableCredentials,
+            type = ["VerifiablePresentation"],
+            domain,
+            challenge,
+            proofFormat = "jwt",
+        } = req.body;
+
+        if (
+            !holderDid ||
+            !verifiableCredentials ||
+            !Array.isArray(verifiableCredentials)
+        ) {
+            return res.status(400).json({
+                success: false,
+                error:
+                    "Missing required fields: holderDid, verifiableCredentials (array)",
+            });
+        }
+
+        if (!PROOF_FORMATS.includes(proofFormat)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported proofFormat '${proofFormat}'. Supported formats: ${PROOF_FORMATS.join(", ")}`,
+            });
+        }
+
+        // challenge and domain go in the proof (JWT nonce/aud or LD proof options)
+        const presentation = await agent.createVerifiablePresentation({
+            presentation: {
+                holder: holderDid,
+                verifiableCredential: verifiableCredentials,
+                type,
+            },
+            proofFormat,
+            ...(domain && { domain }),
+            ...(challenge && { challenge }),
+        });
+
+        // Store in the VC store
+        const presentationId = `pres-${randomUUID()}`;
+        await VCStore.savePresentation(presentationId, presentation);
+
+        res.json({
+            success: true,
+            presentation,
+            presentationId,
+            proofFormat,
+            storage: storage.description,
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+// Prepare a presentation for signing in the holder's wallet
+app.post("/presentation/prepare", async (req, res) => {
+    try {
+        const {
+            holderDid,
+            verifiableCredentials,
+            type = ["VerifiablePresentation"],
+            domain,
+            challenge,
+            signatureType = "eip712",
+        } = req.body;
+
+        if (
+            !holderDid ||
+            !verifiableCredentials ||
+            !Array.isArray(verifiableCredentials)
+        ) {
+            return res.status(400).json({
+                success: false,
+                error:
+                    "Missing required fields: holderDid, verifiableCredentials (array)",
+            });
+        }
+
+        if (!parseEthrDid(holderDid)) {
+            return res.status(400).json({
+                success: false,
+                error: "holderDid must be a did:ethr DID with an address or public key",
+            });
+        }
+
+        if (!requireDidOwner(req, res, holderDid)) {
+            return;
+        }
+
+        if (!WALLET_PROOF_TYPES[signatureType]) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported signatureType '${signatureType}'. Supported types: ${Object.keys(WALLET_PROOF_TYPES).join(", ")}`,
+            });
+        }
+
+        // The EIP-712 domain is bound to the chainId of the holder's network
+        if (signatureType === "eip712" && !parseEthrDid(holderDid).chainId) {
+            return res.status(400).json({
+                success: false,
+                error: `Network '${parseEthrDid(holderDid).network}' is not configured`,
+            });
+        }
+
+        // Wallet presentations embed credentials as JWT strings
+        if (!verifiableCredentials.every(getCredentialJwt)) {
+            return res.status(400).json({
+                success: false,
+                error: "verifiableCredentials must be JWT credentials (compact JWTs or credentials with a JwtProof2020)",
+            });
+        }
+
+        const prepared = prepareWalletPresentation({
+            holderDid,
+            verifiableCredentials,
+            type,
+            domain,
+            challenge,
+            signatureType,
+        });
+
+        res.json({
+            success: true,
+            signatureType,
+            ...prepared,
+            instructions:
+                signatureType === "eip712"
+                    ? "Sign typedData with eth_signTypedData_v4, then POST { presentation, signature } to /presentation/verify"
+                    : "Sign message with personal_sign, then POST { presentation, signature } to /presentation/verify",
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+// Issue a single-use challenge for a presentation
+app.post("/presentation/challenge", async (req, res) => {
+    try {
+        const { domain, ttlSeconds = CHALLENGE_TTL_SECONDS } = req.body;
+
+        if (!domain) {
+            return res.status(400).json({
+                success: false,
+                error: "Missing required field: domain (the verifier audience)",
+            });
+        }
 
-            console.log("Creating self-issued DID (did:key)");
+        const ttl = Number(ttlSeconds);
+        if (!Number.isFinite(ttl) || ttl <= 0 || ttl > MAX_CHALLENGE_TTL_SECONDS) {
+            return res.status(400).json({
+                success: false,
+                error: `ttlSeconds must be between 1 and ${MAX_CHALLENGE_TTL_SECONDS}`,
+            });
+        }
 
-            const identifier = await agent.didManagerCreate(createOptions);
+        const now = Date.now();
+        const entry = await ChallengeStore.create({
+            challenge: randomBytes(32).toString("base64url"),
+            purpose: "presentation",
+            domain,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + ttl * 1000).toISOString(),
+        });
 
-            // Register in our in-memory registry
-            DIDRegistry.registerDID(identifier.did, {
-                ...identifier,
-                type: "self-issued",
-                note: "Self-issued DID, no blockchain required"
+        res.json({
+            success: true,
+            challenge: entry.challenge,
+            domain: entry.domain,
+            expiresAt: entry.expiresAt,
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+// Verify a Verifiable Presentation (stateless)
+app.post("/presentation/verify", async (req, res) => {
+    try {
+        if (!req.body.presentation) {
+            return res.status(400).json({
+                success: false,
+                error: "Missing required field: presentation",
             });
+        }
 
-            res.json({
-                success: true,
-                identifier,
-                type: "self-issued",
-                note: "Self-issued DID using did:key method. No blockchain required.",
-                stored: "in-memory (ephemeral, can be recreated)",
+        const { proofFormat, verification } = await verifyPresentationRequest(
+            req.body
+        );
+
+        res.json({
+            success: true,
+            proofFormat,
+            verification,
+            note: "Verification is stateless - no database lookup required",
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+// Verify many presentations, resolving each DID once for the whole batch. Every
+// item is a /presentation/verify request; a top-level domain applies to all of them.
+app.post("/presentation/verify-batch", async (req, res) => {
+    try {
+        const { presentations, domain } = req.body;
+
+        const batchError = getBatchError(presentations, "presentations");
+        if (batchError) {
+            return res.status(400).json({ success: false, error: batchError });
+        }
+
+        const { summary, results } = await verifyBatch(
+            presentations,
+            (item, resolutionOptions) =>
+                item?.presentation
+                    ? verifyPresentationRequest({ domain, ...item }, resolutionOptions)
+                    : { error: "Missing presentation" }
+        );
+
+        res.json({
+            success: true,
+            summary,
+            results,
+            note: "Verification is stateless - no database lookup required",
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+// List stored presentations, with the /credential/list parameters but holder and
+// verifier instead of issuer and subject
+app.get("/presentation/list", async (req, res) => {
+    try {
+        const listQuery = parseListQuery(req.query, ["holder", "verifier"]);
+        if (listQuery.error) {
+            return res.status(400).json({ success: false, error: listQuery.error });
+        }
+
+        const { total, presentations } = VCStore.findPresentations(
+            listQuery,
+            (presentation) => canSignAs(req, presentation.holder)
+        );
+        res.json({
+            success: true,
+            count: presentations.length,
+            presentations,
+            ...getListPage(listQuery, total),
+            note: `Only presentations created by this service (storage: ${storage.description}).`,
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+// Get one stored presentation by its VCStore id
+app.get("/presentation/:id", async (req, res) => {
+    try {
+        const entry = VCStore.getPresentation(req.params.id);
+        if (!entry || !canSignAs(req, entry.presentation.holder)) {
+            return res.status(404).json({
+                success: false,
+                error: "Presentation not found",
             });
         }
-        else {
-            res.status(400).json({
+        res.json({
+            success: true,
+            presentationId: req.params.id,
+            presentation: entry.presentation,
+            storedAt: entry.timestamp,
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+// Delete a stored presentation
+app.delete("/presentation/:id", async (req, res) => {
+    try {
+        const entry = VCStore.getPresentation(req.params.id);
+        if (!entry || !canSignAs(req, entry.presentation.holder)) {
+            return res.status(404).json({
                 success: false,
-                error: "Invalid provider or missing required parameters",
-                supported_methods: {
-                    "wallet-based": {
-                        provider: "did:ethr",
-                        walletAddress: "0x742d35Cc6634C0532925a3b844Bc9e7595f42bE",
-                        network: "skale-titan (optional)",
-                        note: "Best for thirdweb integration"
-                    },
-                    "generated-key": {
-                        provider: "did:ethr",
-                        note: "Generates a new key, Veramo manages it"
-                    },
-                    "self-issued": {
-                        provider: "did:key",
-                        note: "Self-issued DID, no blockchain needed"
-                    },
+                error: "Presentation not found",
+            });
+        }
+        await VCStore.deletePresentation(req.params.id);
+        res.json({
+            success: true,
+            presentationId: req.params.id,
+            deleted: true,
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+// Create a signed Selective Disclosure Request
+app.post("/sdr/create", async (req, res) => {
+    try {
+        const { issuerDid, subjectDid, claims, replyUrl, tag, credentials } =
+            req.body;
+
+        if (!issuerDid || !Array.isArray(claims) || !claims.length) {
+            return res.status(400).json({
+                success: false,
+                error: "Missing required fields: issuerDid, claims (non-empty array)",
+            });
+        }
+
+        const invalidClaim = claims.find(
+            (claim) => !claim.claimType && !claim.credentialType
+        );
+        if (invalidClaim) {
+            return res.status(400).json({
+                success: false,
+                error: "Each claim needs a claimType or a credentialType",
+            });
+        }
+
+        const sdr = await agent.createSelectiveDisclosureRequest({
+            data: {
+                issuer: issuerDid,
+                claims,
+                ...(subjectDid && { subject: subjectDid }),
+                ...(replyUrl && { replyUrl }),
+                ...(tag && { tag }),
+                ...(credentials && { credentials }),
+            },
+        });
+
+        res.json({
+            success: true,
+            sdr,
+            request: await parseSdr(sdr),
+        });
+    } catch (error) {
+        console.error("SDR creation error:", error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+// Check a presentation against a Selective Disclosure Request
+app.post("/sdr/validate", async (req, res) => {
+    try {
+        const { sdr, presentation, domain, challenge, signature } = req.body;
+
+        if (!sdr || !presentation) {
+            return res.status(400).json({
+                success: false,
+                error: "Missing required fields: sdr, presentation",
+            });
+        }
+
+        let request;
+        try {
+            request = await parseSdr(sdr);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid selective disclosure request: ${error.message}`,
+            });
+        }
+
+        // The presentation is checked against the request before its challenge is
+        // looked at, so a malformed presentation leaves the challenge usable
+        let holder;
+        let sdrResult;
+        try {
+            if (!["string", "object"].includes(typeof presentation)) {
+                throw new Error("expected a JWT or a presentation object");
+            }
+            holder = getPresentationHolder(presentation);
+            sdrResult = await agent.validatePresentationAgainstSdr({
+                presentation: {
+                    verifiableCredential: getPresentationCredentials(presentation),
                 },
+                sdr: request,
+            });
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid presentation: ${error.message}`,
+            });
+        }
+        const { valid, claims } = sdrResult;
+        const holderMatches = !request.subject || request.subject === holder;
+
+        // Checked like /presentation/verify, so the presentation must answer a
+        // challenge from /presentation/challenge. It is burned only when the
+        // presentation is accepted.
+        const { proofFormat, verification } = await verifyPresentationRequest(
+            { presentation, domain, challenge, signature },
+            undefined,
+            { consumeChallenge: valid && holderMatches }
+        );
+
+        res.json({
+            success: true,
+            valid: verification.verified && valid && holderMatches,
+            proofFormat,
+            verification,
+            holder,
+            ...(!holderMatches && {
+                error: `Presentation holder ${holder} is not the requested subject ${request.subject}`,
+            }),
+            claims,
+            request,
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+// Send a DIDComm v2 message from a managed DID
+app.post("/didcomm/send", async (req, res) => {
+    try {
+        const {
+            from,
+            to,
+            type = DEFAULT_DIDCOMM_TYPE,
+            body,
+            attachments,
+            threadId,
+            packing = "authcrypt",
+        } = req.body;
+
+        if (!from || !to || !body) {
+            return res.status(400).json({
+                success: false,
+                error: "Missing required fields: from, to, body",
+            });
+        }
+
+        if (!DIDCOMM_PACKINGS.includes(packing)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported packing: ${packing}. Use one of: ${DIDCOMM_PACKINGS.join(", ")}`,
+            });
+        }
+
+        const message = {
+            id: randomUUID(),
+            type,
+            from,
+            to: [to],
+            created_time: Math.floor(Date.now() / 1000),
+            body,
+            ...(attachments && { attachments }),
+            ...(threadId && { thid: threadId }),
+        };
+
+        const packedMessage = await agent.packDIDCommMessage({ packing, message });
+        const result = await agent.sendDIDCommMessage({
+            messageId: message.id,
+            packedMessage,
+            recipientDidUrl: to,
+        });
+
+        await MessageStore.saveMessage({
+            id: message.id,
+            type,
+            from,
+            to,
+            threadId,
+            createdAt: getMessageCreatedAt(message.created_time),
+            data: body,
+            metaData: [{ type: "DIDCommV2Message-sent" }],
+        });
+        res.json({
+            success: true,
+            messageId: message.id,
+            transportId: result.transportId,
+            ...(result.returnMessage && { returnMessage: result.returnMessage }),
+        });
+    } catch (error) {
+        console.error("DIDComm send error:", error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+// DIDComm inbox: unpack and store messages for our DIDs
+app.post("/didcomm", parseDidCommBody, async (req, res) => {
+    try {
+        const raw =
+            typeof req.body === "string" ? req.body : JSON.stringify(req.body);
+
+        if (!raw || raw === "{}") {
+            return res.status(400).json({
+                success: false,
+                error: "Missing DIDComm message body",
+            });
+        }
+
+        const message = await agent.handleMessage({ raw, save: false });
+        // The message handlers also accept plain JWT credentials and presentations;
+        // only encrypted DIDComm v2 messages for a DID managed here are kept
+        if (!DIDCOMM_PACKINGS.includes(getDidCommPacking(message))) {
+            return res.status(400).json({
+                success: false,
+                error: `Only encrypted DIDComm v2 messages are accepted (${DIDCOMM_PACKINGS.join(", ")})`,
+            });
+        }
+        if (!message.to || !(await findIdentifier(message.to))) {
+            return res.status(400).json({
                 success: false,
-                error: error.message,
+                error: "The message is not addressed to a DID managed by this service",
             });
         }
-    }
-    catch (error) {
-        console.error("DID creation error:", error);
-        res.status(500).json({
+        message.createdAt = getMessageCreatedAt(message.createdAt);
+        await MessageStore.saveMessage(message);
+        res.status(202).json({
+            success: true,
+            id: message.id,
+            type: message.type,
+            from: message.from,
+        });
+    } catch (error) {
+        console.error("DIDComm receive error:", error);
+        res.status(400).json({
             success: false,
-            error: error.message,
+            error: `Could not unpack DIDComm message: ${error.message}`,
         });
     }
 });
 
-// Get all DIDs (from in-memory registry only)
-app.get("/did/list", async (req, res) => {
+// Query stored DIDComm messages
+app.get("/messages", async (req, res) => {
     try {
-        const identifiers = DIDRegistry.getAllDIDs();
+        const { type, from, to, threadId } = req.query;
+
+        const messages = MessageStore.findMessages({ type, from, to, threadId }).filter(
+            (message) => canSignAs(req, message.to) || canSignAs(req, message.from)
+        );
         res.json({
             success: true,
-            count: identifiers.length,
-            identifiers,
-            note: "Only DIDs created in this session are listed (no database persistence)",
+            count: messages.length,
+            messages,
         });
     } catch (error) {
         res.status(500).json({
@@ -495,23 +4050,22 @@ app.get("/did/list", async (req, res) => {
     }
 });
 
-// Get a specific DID
-app.get("/did/:did", async (req, res) => {
+// Network status
+app.get("/network/status", async (req, res) => {
     try {
-        const { did } = req.params;
-        const identifier = DIDRegistry.getDID(did);
-
-        if (!identifier) {
-            return res.status(404).json({
-                success: false,
-                error: "DID not found in this session",
-                note: "Use did:ethr with a wallet address for blockchain-persisted DIDs",
-            });
-        }
+        const networkConfig = getNetworkConfig();
+        const isRegistryDeployed = await checkRegistryDeployment(networkConfig);
 
         res.json({
             success: true,
-            identifier,
+            network: {
+                name: networkConfig.name,
+                chainId: networkConfig.chainId,
+                rpcUrl: networkConfig.rpcUrl,
+                registry: networkConfig.registry,
+                registryDeployed: isRegistryDeployed,
+            },
+            architecture: "Blockchain-first, decentralized",
         });
     } catch (error) {
         res.status(500).json({
@@ -521,155 +4075,56 @@ app.get("/did/:did", async (req, res) => {
     }
 });
 
-// Resolve a DID Document
-app.get("/did/:did/resolve", async (req, res) => {
+// did:ethr network registry. Changes rebuild the agent's EthrDIDProvider and
+// resolver, and are written to NETWORKS_FILE when it is set.
+app.get("/admin/networks", async (req, res) => {
     try {
-        const { did } = req.params;
-        console.log(`Attempting to resolve DID: ${did}`);
-
-        // Check if it's an ethr DID and validate network
-        if (did.startsWith("did:ethr:")) {
-            const parts = did.split(":");
-            if (parts.length >= 4) {
-                const network = parts[2];
-                const address = parts[3];
-
-                console.log(
-                    `DID components - Network: ${network}, Address: ${address}`
-                );
-
-                // For SKALE networks, try a simplified resolution first
-                if (network === "skale-titan" || network === "skale") {
-                    try {
-                        const resolution = await agent.resolveDid({ didUrl: did });
-                        return res.json({
-                            success: true,
-                            resolution,
-                            method: "blockchain-resolved",
-                        });
-                    } catch (standardError) {
-                        console.log(
-                            `Standard resolution failed, trying fallback approach:`,
-                            standardError.message
-                        );
-
-                        // Fallback: Create a basic DID document without registry
-                        const fallbackDidDocument = {
-                            "@context": ["https://www.w3.org/ns/did/v1"],
-                            id: did,
-                            verificationMethod: [
-                                {
-                                    id: `${did}#controller`,
-                                    type: "EcdsaSecp256k1RecoveryMethod2020",
-                                    controller: did,
-                                    blockchainAccountId: `eip155:1020352220:${address}`,
-                                },
-                            ],
-                            authentication: [`${did}#controller`],
-                            assertionMethod: [`${did}#controller`],
-                        };
-
-                        return res.json({
-                            success: true,
-                            resolution: {
-                                didDocumentMetadata: {
-                                    fallback: true,
-                                    message: "Registry call failed, using fallback DID document",
-                                },
-                                didResolutionMetadata: {
-                                    contentType: "application/did+ld+json",
-                                },
-                                didDocument: fallbackDidDocument,
-                            },
-                            method: "fallback",
-                        });
-                    }
-                }
-
-                const networkConfig = getNetworkConfig();
-                if (
-                    network !== networkConfig.name &&
-                    network !== "skale" &&
-                    network !== "skale-titan"
-                ) {
-                    return res.status(400).json({
-                        success: false,
-                        error: `Network '${network}' is not configured. Available networks: ${networkConfig.name}`,
-                    });
-                }
-            }
-        }
-
-        const resolution = await agent.resolveDid({ didUrl: did });
         res.json({
             success: true,
-            resolution,
-            method: "blockchain-resolved",
+            active: getNetworkConfig().name,
+            networks: Array.from(NETWORKS.values()),
         });
     } catch (error) {
-        console.error(`DID resolution error for ${req.params.did}:`, error);
-
-        let errorMessage = error.message;
-        if (
-            error.message.includes("CALL_EXCEPTION") ||
-            error.message.includes("missing revert data")
-        ) {
-            errorMessage = `Registry contract error: ${error.message}. For decentralized DIDs, use did:ethr with a wallet address or did:key for self-issued DIDs.`;
-        }
-
         res.status(500).json({
             success: false,
-            error: errorMessage,
-            did: req.params.did,
+            error: error.message,
         });
     }
 });
 
-// Create a Verifiable Credential (stateless - no database)
-app.post("/credential/create", async (req, res) => {
+// Add or update a network
+app.post("/admin/networks", async (req, res) => {
     try {
-        const {
-            issuerDid,
-            subjectDid,
-            credentialSubject,
-            type = ["VerifiableCredential"],
-            expirationDate,
-        } = req.body;
-
-        if (!issuerDid || !subjectDid || !credentialSubject) {
+        const { network, error } = parseNetworkConfig(req.body);
+        if (error) {
             return res.status(400).json({
                 success: false,
-                error:
-                    "Missing required fields: issuerDid, subjectDid, credentialSubject",
+                error,
             });
         }
 
-        const credential = await agent.createVerifiableCredential({
-            credential: {
-                issuer: { id: issuerDid },
-                credentialSubject: {
-                    id: subjectDid,
-                    ...credentialSubject,
-                },
-                type,
-                ...(expirationDate && { expirationDate }),
-            },
-            proofFormat: "jwt",
-        });
+        for (const name of [network.name, ...network.aliases]) {
+            const other = findNetwork(name);
+            if (other && other.name !== network.name) {
+                return res.status(400).json({
+                    success: false,
+                    error: `'${name}' is already used by network '${other.name}'`,
+                });
+            }
+        }
 
-        // Store in in-memory cache (temporary)
-        const credentialId = `cred-${Date.now()}`;
-        VCStore.saveCredential(credentialId, credential);
+        const updated = NETWORKS.has(network.name);
+        NETWORKS.set(network.name, network);
+        await buildAgent();
+        DIDResolutionCache.purge();
 
         res.json({
             success: true,
-            credential,
-            credentialId,
-            storage: "in-memory (temporary, pass to client for persistence)",
-            note: "Credential is a JWT - store and manage on the client side for decentralization",
+            network,
+            updated,
+            persisted: saveNetworks(),
         });
     } catch (error) {
-        console.error("Credential creation error:", error);
         res.status(500).json({
             success: false,
             error: error.message,
@@ -677,51 +4132,30 @@ app.post("/credential/create", async (req, res) => {
     }
 });
 
-// Verify a Verifiable Credential (stateless)
-app.post("/credential/verify", async (req, res) => {
+app.delete("/admin/networks/:name", async (req, res) => {
     try {
-        const { credential } = req.body;
-
-        if (!credential) {
-            return res.status(400).json({
+        const { name } = req.params;
+        if (!NETWORKS.has(name)) {
+            return res.status(404).json({
                 success: false,
-                error: "Missing required field: credential",
+                error: `Network '${name}' not found`,
             });
         }
-
-        const result = await agent.verifyCredential({ credential });
-
-        res.json({
-            success: true,
-            verification: result,
-            note: "Verification is stateless - no database lookup required",
-        });
-    } catch (error) {
-        console.error("Credential verification error:", error);
-
-        let errorMessage = error.message;
-        if (error.message && error.message.includes("EVM revert instruction")) {
-            errorMessage =
-                "SKALE network registry contract issue - verification requires blockchain interaction";
+        if (name === getNetworkConfig().name) {
+            return res.status(400).json({
+                success: false,
+                error: "The active network (ETH_NETWORK) cannot be removed",
+            });
         }
 
-        res.status(500).json({
-            success: false,
-            error: errorMessage,
-            originalError: error.message,
-        });
-    }
-});
+        NETWORKS.delete(name);
+        await buildAgent();
+        DIDResolutionCache.purge();
 
-// Get all credentials (in-memory cache only)
-app.get("/credential/list", async (req, res) => {
-    try {
-        const credentials = VCStore.getAllCredentials();
         res.json({
             success: true,
-            count: credentials.length,
-            credentials,
-            note: "Only credentials created in this session. For true decentralization, store credentials on the client.",
+            removed: name,
+            persisted: saveNetworks(),
         });
     } catch (error) {
         res.status(500).json({
@@ -731,49 +4165,28 @@ app.get("/credential/list", async (req, res) => {
     }
 });
 
-// Create a Verifiable Presentation (stateless - no database)
-app.post("/presentation/create", async (req, res) => {
+// Encrypted backup of the agent's keys and identifiers and the service's stores
+app.post("/admin/backup", async (req, res) => {
     try {
-        const {
-            holderDid,
-            verifiableCredentials,
-            type = ["VerifiablePresentation"],
-            domain,
-            challenge,
-        } = req.body;
-
+        const { passphrase } = req.body;
         if (
-            !holderDid ||
-            !verifiableCredentials ||
-            !Array.isArray(verifiableCredentials)
+            typeof passphrase !== "string" ||
+            passphrase.length < MIN_BACKUP_PASSPHRASE_LENGTH
         ) {
             return res.status(400).json({
                 success: false,
-                error:
-                    "Missing required fields: holderDid, verifiableCredentials (array)",
+                error: `passphrase must be at least ${MIN_BACKUP_PASSPHRASE_LENGTH} characters`,
             });
         }
 
-        const presentation = await agent.createVerifiablePresentation({
-            presentation: {
-                holder: holderDid,
-                verifiableCredential: verifiableCredentials,
-                type,
-                ...(domain && { domain }),
-                ...(challenge && { challenge }),
-            },
-            proofFormat: "jwt",
-        });
-
-        // Store in in-memory cache (temporary)
-        const presentationId = `pres-${Date.now()}`;
-        VCStore.savePresentation(presentationId, presentation);
+        const payload = await createBackupPayload();
+        const archive = await encryptBackup(payload, passphrase);
 
         res.json({
             success: true,
-            presentation,
-            presentationId,
-            storage: "in-memory (temporary, pass to client for persistence)",
+            archive,
+            contents: summarizeBackup(payload),
+            note: "The archive holds private keys. Store it and its passphrase separately.",
         });
     } catch (error) {
         res.status(500).json({
@@ -783,28 +4196,49 @@ app.post("/presentation/create", async (req, res) => {
     }
 });
 
-// Verify a Verifiable Presentation (stateless)
-app.post("/presentation/verify", async (req, res) => {
+// Restore a backup archive, merging with or replacing the current data
+app.post("/admin/restore", async (req, res) => {
     try {
-        const { presentation, domain, challenge } = req.body;
+        const { archive, passphrase, mode = "merge" } = req.body;
+        if (!archive || typeof passphrase !== "string") {
+            return res.status(400).json({
+                success: false,
+                error: "Missing required fields: archive, passphrase",
+            });
+        }
+        if (!["merge", "replace"].includes(mode)) {
+            return res.status(400).json({
+                success: false,
+                error: "mode must be 'merge' or 'replace'",
+            });
+        }
 
-        if (!presentation) {
+        const { payload, error } = await decryptBackup(archive, passphrase);
+        if (error) {
             return res.status(400).json({
                 success: false,
-                error: "Missing required field: presentation",
+                error,
+            });
+        }
+        const invalid = validateBackupPayload(payload);
+        if (invalid) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid archive: ${invalid}`,
             });
         }
 
-        const result = await agent.verifyPresentation({
-            presentation,
-            ...(domain && { domain }),
-            ...(challenge && { challenge }),
-        });
+        const { restored, skipped } = await requestLock.runExclusive(req, () =>
+            restoreBackupPayload(payload, mode)
+        );
+        DIDResolutionCache.purge();
 
         res.json({
             success: true,
-            verification: result,
-            note: "Verification is stateless - no database lookup required",
+            mode,
+            createdAt: archive.createdAt,
+            restored,
+            skipped,
         });
     } catch (error) {
         res.status(500).json({
@@ -814,15 +4248,36 @@ app.post("/presentation/verify", async (req, res) => {
     }
 });
 
-// Get all presentations (in-memory cache only)
-app.get("/presentation/list", async (req, res) => {
+// Re-encrypt the stored private keys with a new SECRET_KEY
+app.post("/admin/secret-key/rotate", async (req, res) => {
     try {
-        const presentations = VCStore.getAllPresentations();
+        const { secretKey } = req.body;
+        const invalid =
+            getSecretKeyError(secretKey) ||
+            (PUBLISHED_SECRET_KEYS.includes(secretKey.toLowerCase())
+                ? "Published default keys cannot be used. Generate a key with `openssl rand -hex 32`"
+                : null);
+        if (invalid) {
+            return res.status(400).json({
+                success: false,
+                error: invalid,
+            });
+        }
+        if (secretKey.toLowerCase() === SECRET_KEY.toLowerCase()) {
+            return res.status(400).json({
+                success: false,
+                error: "secretKey is the current SECRET_KEY",
+            });
+        }
+
+        const reencrypted = await requestLock.runExclusive(req, () =>
+            rotateSecretKey(secretKey)
+        );
+
         res.json({
             success: true,
-            count: presentations.length,
-            presentations,
-            note: "Only presentations created in this session.",
+            reencrypted,
+            note: "Set SECRET_KEY to the new key now: the server will not start with the old one. Session tokens issued so far stay valid until the next restart.",
         });
     } catch (error) {
         res.status(500).json({
@@ -832,22 +4287,12 @@ app.get("/presentation/list", async (req, res) => {
     }
 });
 
-// Network status
-app.get("/network/status", async (req, res) => {
+// Purge the DID resolution cache, for one DID or entirely
+app.delete(["/admin/did-cache", "/admin/did-cache/:did"], async (req, res) => {
     try {
-        const networkConfig = getNetworkConfig();
-        const isRegistryDeployed = await checkRegistryDeployment(networkConfig);
-
         res.json({
             success: true,
-            network: {
-                name: networkConfig.name,
-                chainId: networkConfig.chainId,
-                rpcUrl: networkConfig.rpcUrl,
-                registry: networkConfig.registry,
-                registryDeployed: isRegistryDeployed,
-            },
-            architecture: "Blockchain-first, decentralized",
+            purged: DIDResolutionCache.purge(req.params.did),
         });
     } catch (error) {
         res.status(500).json({
@@ -884,20 +4329,67 @@ async function startServer() {
         );
         console.log("📋 Architecture: Blockchain-first, no central database");
         console.log("📖 API Documentation available at http://localhost:${PORT}/health");
+        if (DEV_API_KEY) {
+            console.warn(
+                `⚠️  DEV_MODE: API_KEYS_FILE is not set, use the API key ${DEV_API_KEY} (every scope, until restart)`
+            );
+        }
         console.log("🔑 Available endpoints:");
         console.log("  GET  /health - Health check");
         console.log("  GET  /agent/info - Agent information");
         console.log("  GET  /network/status - Network and registry status");
+        console.log("  GET  /admin/networks - List did:ethr networks");
+        console.log("  POST /admin/networks - Add or update a did:ethr network");
+        console.log("  DELETE /admin/networks/:name - Remove a did:ethr network");
+        console.log("  POST /admin/backup - Export an encrypted backup archive");
+        console.log("  POST /admin/restore - Restore a backup archive");
+        console.log("  POST /admin/secret-key/rotate - Re-encrypt private keys with a new SECRET_KEY");
+        console.log("  DELETE /admin/did-cache[/:did] - Purge DID resolution cache");
+        console.log("  GET  /auth/siwe/nonce - Nonce for Sign-In With Ethereum");
+        console.log("  POST /auth/siwe/verify - Verify SIWE message, get session token");
         console.log("  POST /did/create - Create blockchain-based DID");
-        console.log("  GET  /did/list - List DIDs from this session");
+        console.log("  GET  /did/list - List DIDs created by this service");
         console.log("  GET  /did/:did - Get specific DID");
         console.log("  GET  /did/:did/resolve - Resolve DID from blockchain");
+        console.log("  GET  /did/:did/keys - List DID keys and delegates");
+        console.log("  POST /did/:did/keys - Add a key or did:ethr delegate");
+        console.log("  DELETE /did/:did/keys/:kid - Remove a key or revoke a delegate");
+        console.log("  GET  /did/:did/services - List DID service endpoints");
+        console.log("  POST /did/:did/services - Add a service endpoint");
+        console.log("  DELETE /did/:did/services/:id - Remove a service endpoint");
+        console.log("  POST /did/:did/rotate - Rotate a DID key and retire the old one");
+        console.log("  POST /did/:did/meta-tx - Prepare a relayed ERC1056 change for the owner to sign");
+        console.log("  POST /did/:did/meta-tx/:id/submit - Relay a signed ERC1056 change");
+        console.log("  GET  /did/:did/meta-tx/:id - Relayed transaction status");
+        console.log("  GET  /1.0/identifiers/:didUrl - W3C DID Resolution (Universal Resolver)");
+        console.log("  GET  /.well-known/did.json - did:web document of this service");
+        console.log("  GET  /:path/did.json - Path-based did:web documents");
         console.log("  POST /credential/create - Create verifiable credential (JWT)");
+        console.log("  POST /credential/batch-create - Create many credentials from one issuer");
         console.log("  POST /credential/verify - Verify credential (stateless)");
-        console.log("  GET  /credential/list - List credentials from this session");
+        console.log("  POST /credential/verify-batch - Verify many credentials");
+        console.log("  GET  /credential/list - List credentials created by this service");
+        console.log("  GET  /credential/:id, DELETE /credential/:id - Get or delete a stored credential");
+        console.log("  GET  /holder/:did/credentials - Export a holder's credentials");
+        console.log("  POST /credential/revoke - Revoke a credential");
+        console.log("  POST /credential/suspend - Suspend a credential");
+        console.log("  POST /credential/reinstate - Reinstate a suspended credential");
+        console.log("  GET  /status/:listId - Status list credential");
+        console.log("  POST /schema - Register credential schema");
+        console.log("  GET  /schema - List credential schemas");
+        console.log("  GET  /schema/:id - Get credential schema");
         console.log("  POST /presentation/create - Create verifiable presentation");
+        console.log("  POST /presentation/prepare - Prepare presentation for wallet signing");
+        console.log("  POST /presentation/challenge - Issue a single-use presentation challenge");
         console.log("  POST /presentation/verify - Verify presentation (stateless)");
-        console.log("  GET  /presentation/list - List presentations from this session");
+        console.log("  POST /presentation/verify-batch - Verify many presentations");
+        console.log("  POST /sdr/create - Create selective disclosure request");
+        console.log("  POST /sdr/validate - Validate presentation against SDR");
+        console.log("  POST /didcomm/send - Send DIDComm v2 message");
+        console.log("  POST /didcomm - DIDComm v2 inbox");
+        console.log("  GET  /messages - Query received and sent messages");
+        console.log("  GET  /presentation/list - List presentations created by this service");
+        console.log("  GET  /presentation/:id, DELETE /presentation/:id - Get or delete a stored presentation");
     });
 }
 
@@ -906,7 +4398,7 @@ process.on("SIGINT", async () => {
     console.log("\n⏱️  Shutting down gracefully...");
     if (dbConnection) {
         await dbConnection.close();
-        console.log("📦 In-memory database connection closed");
+        console.log("📦 Database connection closed");
     }
     process.exit(0);
 });
@@ -915,7 +4407,7 @@ process.on("SIGTERM", async () => {
     console.log("\n⏱️  Shutting down gracefully...");
     if (dbConnection) {
         await dbConnection.close();
-        console.log("📦 In-memory database connection closed");
+        console.log("📦 Database connection closed");
     }
     process.exit(0);
 });
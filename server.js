@@ -6,25 +6,148 @@ dotenv.config();
 import express from "express";
 import cors from "cors";
 import { createAgent } from "@veramo/core";
-import { CredentialPlugin } from "@veramo/credential-w3c";
+import { CredentialPlugin, W3cMessageHandler } from "@veramo/credential-w3c";
 import {
+  CredentialIssuerLD,
+  LdDefaultContexts,
+  VeramoEcdsaSecp256k1RecoverySignature2020,
+  VeramoEd25519Signature2018,
+  VeramoEd25519Signature2020,
+  VeramoJsonWebSignature2020,
+} from "@veramo/credential-ld";
+import { CredentialIssuerEIP712 } from "@veramo/credential-eip712";
+import statusListContext from "@digitalbazaar/vc-status-list-context";
+import {
+  DataStore,
   DataStoreORM,
   KeyStore,
   DIDStore,
   PrivateKeyStore,
+  PrivateKey,
   Entities,
+  Presentation,
 } from "@veramo/data-store";
 import { DIDManager } from "@veramo/did-manager";
-import { EthrDIDProvider } from "@veramo/did-provider-ethr";
+import { EthrDIDProvider, KmsEthereumSigner } from "@veramo/did-provider-ethr";
 import { KeyDIDProvider } from "@veramo/did-provider-key";
+import { WebDIDProvider } from "@veramo/did-provider-web";
 import { DIDResolverPlugin } from "@veramo/did-resolver";
 import { KeyManager } from "@veramo/key-manager";
 import { KeyManagementSystem, SecretBox } from "@veramo/kms-local";
 import { MessageHandler } from "@veramo/message-handler";
+import { DIDComm, DIDCommMessageHandler } from "@veramo/did-comm";
+import { JwtMessageHandler } from "@veramo/did-jwt";
+import { SelectiveDisclosure, SdrMessageHandler } from "@veramo/selective-disclosure";
 import { createConnection } from "typeorm";
 import { Resolver } from "did-resolver";
 import { getResolver as ethrDidResolver } from "ethr-did-resolver";
-import { getResolver as keyDidResolver } from "key-did-resolver";
+import { getResolver as webDidResolver } from "web-did-resolver";
+import { EthrDID } from "ethr-did";
+import {
+  createHash,
+  randomBytes,
+  randomUUID,
+} from "crypto";
+import { readFileSync } from "fs";
+import {
+  computeAddress,
+  encodeBase58,
+  getAddress,
+  hexlify,
+  recoverAddress,
+  sha256,
+  toUtf8Bytes,
+} from "ethers";
+import { SiweMessage, generateNonce } from "siwe";
+import Ajv from "ajv";
+import addFormats from "ajv-formats";
+import {
+  decodeJwtPayload,
+  detectProofFormat,
+  getCredentialIssuer,
+  getPresentationCredentials,
+  normalizeCredential,
+} from "./lib/credentials.js";
+import {
+  clearAgentStores,
+  clearServiceStores,
+  createRequestLock,
+  createRestoreCounts,
+  decryptBackup,
+  encryptBackup,
+  exportAgentStores,
+  exportServiceStores,
+  importAgentStores,
+  importServiceStores,
+  MIN_BACKUP_PASSPHRASE_LENGTH,
+  summarizeBackup,
+  validateBackupPayload,
+} from "./lib/backup.js";
+import {
+  canSignAs,
+  createAuth,
+  getAllowedIssuers,
+  isSessionDidRequest,
+  isWalletDidRequest,
+  loadApiKeys,
+  requireIssuer,
+  requireOwnerSession,
+  requireScope,
+} from "./lib/auth.js";
+import {
+  CHALLENGE_TTL_SECONDS,
+  createChallengeStore,
+  createPresentationVerifier,
+  MAX_CHALLENGE_TTL_SECONDS,
+} from "./lib/challenges.js";
+import {
+  createDidResolution,
+  createDidResolutionCache,
+  getKeyDidResolver,
+} from "./lib/did-resolution.js";
+import {
+  createDidCommSetup,
+  DEFAULT_DIDCOMM_TYPE,
+  DIDCOMM_PACKINGS,
+  getDidCommPacking,
+  getMessageCreatedAt,
+} from "./lib/didcomm.js";
+import { createHistoryVerifier, ROTATION_REASONS } from "./lib/key-history.js";
+import { createExternalKms, getKmsError, withNewKey } from "./lib/kms.js";
+import { getListPage, parseListQuery, queryDataStore } from "./lib/list-query.js";
+import {
+  createMetaTxRelayer,
+  DELEGATE_TYPES,
+  META_TX_RATE_LIMIT,
+  parseMetaTxRequest,
+  parseMetaTxSignature,
+  RELAYER_PRIVATE_KEY,
+} from "./lib/meta-tx.js";
+import {
+  findNetwork,
+  findNetworkByChainId,
+  getEthrNetworks,
+  getNetworkConfig,
+  loadNetworks,
+  NETWORKS,
+  parseEthrDid,
+  parseNetworkConfig,
+  saveNetworks,
+} from "./lib/networks.js";
+import {
+  createStatusLists,
+  decodeStatusList,
+  encodeStatusList,
+  STATUS_LIST_CONTEXT,
+} from "./lib/status-list.js";
+import {
+  canonicalizeJson,
+  createWalletPresentationVerifier,
+  getCredentialJwt,
+  isWalletPresentation,
+  prepareWalletPresentation,
+  WALLET_PROOF_TYPES,
+} from "./lib/wallet-presentation.js";
 
 console.log("ENV:", {
   ETH_NETWORK: process.env.ETH_NETWORK,
@@ -56,18 +179,17 @@ const NETWORK_CONFIGS = {
   },
 };
 
-// Get network configuration
-const getNetworkConfig = () => {
-  const networkName = process.env.ETH_NETWORK || "skale-titan";
-  const config = NETWORK_CONFIGS[networkName] || SKALE_TITAN_CONFIG;
-
-  return {
-    name: config.name,
-    rpcUrl: process.env.ETH_PROVIDER_URL || config.rpcUrl,
-    registry: process.env.ETH_REGISTRY_ADDRESS || config.registry,
-    chainId: config.chainId,
-  };
-};
+// DID resolution cache and versioned resolution (lib/did-resolution.js). Results
+// are kept for DID_CACHE_TTL_SECONDS and failed resolutions for
+// DID_CACHE_NEGATIVE_TTL_SECONDS. A TTL of 0 disables caching.
+const DIDResolutionCache = createDidResolutionCache({
+  ttlSeconds: Number(process.env.DID_CACHE_TTL_SECONDS || 300),
+  negativeTtlSeconds: Number(process.env.DID_CACHE_NEGATIVE_TTL_SECONDS || 30),
+});
+const { createCachingResolver, router: didResolutionRouter } = createDidResolution({
+  cache: DIDResolutionCache,
+  getAgent: () => agent,
+});
 
 // Function to check registry contract deployment
 async function checkRegistryDeployment(networkConfig) {
@@ -118,18 +240,72 @@ async function checkRegistryDeployment(networkConfig) {
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Public base URL used to build status list credential URLs
+const PUBLIC_BASE_URL = (
+  process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`
+).replace(/\/$/, "");
+
 // Middleware
 app.use(cors());
+// Backup archives and batches can exceed the default 100kb body limit
+app.use("/admin/restore", express.json({ limit: "50mb" }));
+app.use(
+  [
+    "/credential/batch-create",
+    "/credential/verify-batch",
+    "/presentation/verify-batch",
+  ],
+  express.json({ limit: "10mb" })
+);
 app.use(express.json());
+// Restores and SECRET_KEY rotations run alone, so no other request writes into
+// (or is rolled back with) their transaction
+const requestLock = createRequestLock();
+app.use(requestLock.middleware);
 
 // Database connection
 let dbConnection;
 let agent;
+let agentStores;
+let ethrNetworks = []; // did:ethr networks of the current agent
 
-// Secret key for encryption - In production, use environment variables
-const SECRET_KEY =
-  process.env.SECRET_KEY ||
+// Secret key that encrypts the stored private keys (SecretBox), 32 bytes in hex.
+// Published keys (the old built-in fallback and the old .env.example value) are
+// refused unless DEV_MODE=true, which also lets SECRET_KEY be unset.
+const DEV_MODE = process.env.DEV_MODE === "true";
+const DEV_SECRET_KEY =
   "3c186fb58980777698bab8e95f010f40fd0d04e14de8f49b551108351aefaf28";
+const PUBLISHED_SECRET_KEYS = [
+  DEV_SECRET_KEY,
+  "29739248cad1bd1a0fc4d9b75cd4d2990de535baf5caadfdf8d8f86664aa830c",
+];
+
+// Returns why a key cannot be used as SECRET_KEY, or null
+function getSecretKeyError(secretKey) {
+  if (!secretKey) {
+    return "SECRET_KEY is not set. Generate one with `openssl rand -hex 32`, or set DEV_MODE=true for local development";
+  }
+  if (!/^[0-9a-fA-F]{64}$/.test(secretKey)) {
+    return "SECRET_KEY must be 32 bytes in hex (64 characters), e.g. from `openssl rand -hex 32`";
+  }
+  if (!DEV_MODE && PUBLISHED_SECRET_KEYS.includes(secretKey.toLowerCase())) {
+    return "SECRET_KEY is a published default key. Generate your own with `openssl rand -hex 32`, or set DEV_MODE=true for local development";
+  }
+  return null;
+}
+
+let SECRET_KEY = process.env.SECRET_KEY || (DEV_MODE ? DEV_SECRET_KEY : "");
+if (getSecretKeyError(SECRET_KEY)) {
+  throw new Error(getSecretKeyError(SECRET_KEY));
+}
+if (PUBLISHED_SECRET_KEYS.includes(SECRET_KEY.toLowerCase())) {
+  console.warn(
+    "⚠️  DEV_MODE: SECRET_KEY is a published key, do not keep real keys in this store"
+  );
+}
+
+// External key management (lib/kms.js) for keys kept in a remote signer or HSM
+let externalKms = {}; // kms name -> ExternalKeyManagementSystem, set up by initializeAgent
 
 // Initialize Veramo agent with proper network configuration
 async function initializeAgent() {
@@ -143,427 +319,3338 @@ async function initializeAgent() {
     });
     console.log("Database connected successfully");
 
-    const networkConfig = getNetworkConfig();
-    console.log("Using network configuration:", networkConfig);
-
-    // Check if registry is deployed
-    const registryCheck = await checkRegistryDeployment(networkConfig);
-    const actualRegistry = registryCheck.registry;
+    // Veramo key, private key and DID stores. Private keys are encrypted with SECRET_KEY.
+    agentStores = {
+      keyStore: new KeyStore(dbConnection),
+      didStore: new DIDStore(dbConnection),
+      privateKeyStore: new PrivateKeyStore(dbConnection, new SecretBox(SECRET_KEY)),
+    };
+    await checkSecretKey();
 
-    if (!registryCheck.isDeployed) {
-      console.warn(
-        `⚠️  Warning: ERC1056 registry not found at ${networkConfig.registry} on ${networkConfig.name}`
-      );
-      console.warn(
-        `⚠️  DID resolution may fail. Consider using a different registry address or deploying the contract.`
-      );
-      console.warn(
-        `⚠️  For SKALE networks, you may need to deploy the ERC1056 registry contract.`
-      );
-    }
+    await StatusListStore.init();
+    await ChallengeStore.init();
+    await SchemaStore.init();
+    await MetaTxStore.init();
 
-    agent = createAgent({
-      plugins: [
-        new KeyManager({
-          store: new KeyStore(dbConnection),
-          kms: {
-            local: new KeyManagementSystem(
-              new PrivateKeyStore(dbConnection, new SecretBox(SECRET_KEY))
-            ),
-          },
-        }),
-        new DIDManager({
-          store: new DIDStore(dbConnection),
-          defaultProvider: "did:key",
-          providers: {
-            "did:ethr": new EthrDIDProvider({
-              defaultKms: "local",
-              network: networkConfig.name,
-              rpcUrl: networkConfig.rpcUrl,
-              registry: actualRegistry,
-            }),
-            "did:key": new KeyDIDProvider({ defaultKms: "local" }),
-          },
-        }),
-        new DIDResolverPlugin({
-          resolver: new Resolver({
-            ...ethrDidResolver({
-              networks: [
-                {
-                  name: networkConfig.name,
-                  rpcUrl: networkConfig.rpcUrl,
-                  registry: actualRegistry,
-                },
-                // Add support for 'skale' network name as alias for skale-titan
-                {
-                  name: "skale",
-                  rpcUrl: networkConfig.rpcUrl,
-                  registry: actualRegistry,
-                },
-                // Keep Sepolia as fallback for testing
-                {
-                  name: "sepolia",
-                  rpcUrl:
-                    "https://sepolia.infura.io/v3/0ab3a5daf9d64bbaaeac8ae7c09af18e",
-                  registry: "0xc0660d54f4655dC3B045D69ced4308f1709FD35e",
-                },
-              ],
-            }),
-            ...keyDidResolver(),
-          }),
-        }),
-        new CredentialPlugin(),
-        new DataStoreORM(dbConnection),
-        new MessageHandler({ messageHandlers: [] }),
-      ],
-    });
+    externalKms = await createExternalKms();
     console.log(
-      "Veramo agent initialized successfully with network:",
-      networkConfig.name
+      `Key management systems: ${["local", ...Object.keys(externalKms)].join(", ")}`
     );
+
+    // did:ethr networks (lib/networks.js): the built-in ones, then NETWORKS_FILE
+    loadNetworks([{ ...SKALE_TITAN_CONFIG, aliases: ["skale"] }, NETWORK_CONFIGS.sepolia]);
+    await buildAgent();
+
+    // Resume tracking relayed transactions sent before a restart
+    for (const entry of await MetaTxStore.listPending()) {
+      trackMetaTransaction(entry);
+    }
   } catch (error) {
     console.error("Error initializing agent:", error);
     process.exit(1);
   }
 }
 
-// Routes
+// Stored private keys, with privateKeyHex encrypted with SECRET_KEY
+function listEncryptedPrivateKeys() {
+  return dbConnection.getRepository(PrivateKey).find();
+}
 
-// Health check endpoint
-app.get("/health", (req, res) => {
-  res.json({
-    status: "OK",
-    message: "Veramo Backend Service is running",
-    timestamp: new Date().toISOString(),
+// SecretBox.decrypt() returns "" instead of throwing when the key does not match
+async function decryptPrivateKeyHex(secretBox, privateKeyHex) {
+  const decrypted = await secretBox.decrypt(privateKeyHex);
+  if (!decrypted) {
+    throw new Error(
+      "SECRET_KEY does not decrypt the stored private keys. If it was rotated, set SECRET_KEY to the new key"
+    );
+  }
+  return decrypted;
+}
+
+// Stop at startup when SECRET_KEY does not decrypt the stored private keys, e.g.
+// after /admin/secret-key/rotate without updating the environment
+async function checkSecretKey() {
+  const [privateKey] = await listEncryptedPrivateKeys();
+  if (privateKey) {
+    await decryptPrivateKeyHex(new SecretBox(SECRET_KEY), privateKey.privateKeyHex);
+  }
+}
+
+// Re-encrypt every stored private key with a new SECRET_KEY. All keys are
+// decrypted before anything is written, in one transaction, so a failure leaves
+// them under the old key.
+async function rotateSecretKey(newSecretKey) {
+  const oldBox = new SecretBox(SECRET_KEY);
+  const newBox = new SecretBox(newSecretKey);
+  const count = await dbConnection.transaction(async (manager) => {
+    const repository = manager.getRepository(PrivateKey);
+    const privateKeys = await repository.find();
+    for (const privateKey of privateKeys) {
+      privateKey.privateKeyHex = await newBox.encrypt(
+        await decryptPrivateKeyHex(oldBox, privateKey.privateKeyHex)
+      );
+    }
+    await repository.save(privateKeys);
+    return privateKeys.length;
   });
-});
 
-// Get agent information
-app.get("/agent/info", async (req, res) => {
-  try {
-    const methods = await agent.availableMethods();
-    res.json({
-      availableMethods: methods,
-      dataStoreConnected: !!dbConnection,
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+  SECRET_KEY = newSecretKey;
+  agentStores.privateKeyStore = new PrivateKeyStore(dbConnection, newBox);
+  await buildAgent();
+  return count;
+}
+
+// Create the agent for the current did:ethr networks. Called again by
+// /admin/networks; identifiers and keys are kept since the stores are shared.
+async function buildAgent() {
+  const networkConfig = getNetworkConfig();
+  console.log("Using network configuration:", networkConfig);
+
+  // Check if registry is deployed
+  const registryCheck = await checkRegistryDeployment(networkConfig);
+  const actualRegistry = registryCheck.registry;
+
+  if (!registryCheck.isDeployed) {
+    console.warn(
+      `⚠️  Warning: ERC1056 registry not found at ${networkConfig.registry} on ${networkConfig.name}`
+    );
+    console.warn(
+      `⚠️  DID resolution may fail. Consider using a different registry address or deploying the contract.`
+    );
+    console.warn(
+      `⚠️  For SKALE networks, you may need to deploy the ERC1056 registry contract.`
+    );
   }
-});
+  ethrNetworks = getEthrNetworks(actualRegistry);
 
-// Create a new DID
-app.post("/did/create", async (req, res) => {
-  try {
-    const { provider = "did:key", alias, walletAddress, network } = req.body;
+  agent = createAgent({
+    plugins: [
+      new KeyManager({
+        store: agentStores.keyStore,
+        kms: {
+          local: new KeyManagementSystem(agentStores.privateKeyStore),
+          ...externalKms,
+        },
+      }),
+      new DIDManager({
+        store: agentStores.didStore,
+        defaultProvider: "did:key",
+        providers: {
+          "did:ethr": new EthrDIDProvider({
+            defaultKms: "local",
+            networks: ethrNetworks,
+          }),
+          "did:key": new KeyDIDProvider({ defaultKms: "local" }),
+          "did:web": new WebDIDProvider({ defaultKms: "local" }),
+        },
+      }),
+      new DIDResolverPlugin({
+        resolver: createCachingResolver(
+          new Resolver({
+            // Every configured network, including aliases
+            ...ethrDidResolver({ networks: ethrNetworks }),
+            ...getKeyDidResolver(),
+            web: resolveWebDid,
+          })
+        ),
+      }),
+      new CredentialPlugin(),
+      new CredentialIssuerLD({
+        contextMaps: LD_CONTEXT_MAPS,
+        suites: [
+          new VeramoEcdsaSecp256k1RecoverySignature2020(),
+          new VeramoEd25519Signature2018(),
+          new VeramoEd25519Signature2020(),
+          new VeramoJsonWebSignature2020(),
+        ],
+      }),
+      new CredentialIssuerEIP712(),
+      CredentialStatusPlugin,
+      new SelectiveDisclosure(),
+      new DIDComm(),
+      new DataStore(dbConnection),
+      new DataStoreORM(dbConnection),
+      new MessageHandler({
+        messageHandlers: [
+          new DIDCommMessageHandler(),
+          new JwtMessageHandler(),
+          new W3cMessageHandler(),
+          new SdrMessageHandler(),
+        ],
+      }),
+    ],
+  });
+  console.log(
+    "Veramo agent initialized successfully with network:",
+    networkConfig.name
+  );
+}
 
-    let createOptions = {
-      provider,
-      alias: alias || `did-${Date.now()}`,
-    };
+// Proof formats accepted by /credential/create and /presentation/create
+const PROOF_FORMATS = ["jwt", "lds", "EthereumEip712Signature2021"];
 
-    // If creating did:ethr and wallet address is provided
-    if (provider === "did:ethr" && walletAddress) {
-      // Validate Ethereum address format
-      if (!/^0x[a-fA-F0-9]{40}$/.test(walletAddress)) {
-        return res.status(400).json({
-          success: false,
-          error:
-            "Invalid Ethereum wallet address format. Must be a 40-character hex string starting with '0x'",
-        });
-      }
+// JSON-LD contexts available to the LD credential plugin. Remote contexts are
+// never fetched, so every @context of an LD credential must be bundled here.
+const LD_CONTEXT_MAPS = [
+  LdDefaultContexts,
+  statusListContext.contexts,
+  loadExtraLdContexts(),
+];
 
-      const networkConfig = getNetworkConfig();
-      const targetNetwork = network || networkConfig.name;
+// Extra contexts can be supplied as a { "<url>": <context document> } JSON file
+function loadExtraLdContexts() {
+  const file = process.env.LD_CONTEXTS_FILE;
+  if (!file) {
+    return new Map();
+  }
+  return new Map(Object.entries(JSON.parse(readFileSync(file, "utf8"))));
+}
 
-      createOptions.options = {
-        anchor: false, // Don't anchor to blockchain immediately
-        network: targetNetwork,
-      };
+// Context added to LD credentials when the caller does not provide one, so that
+// arbitrary credentialSubject claims can be expanded (it declares an @vocab)
+const DEFAULT_CLAIMS_CONTEXT = "https://www.w3.org/2018/credentials/examples/v1";
 
-      // For did:ethr with wallet address, we create a DID that references the address
-      const didIdentifier = `did:ethr:${targetNetwork}:${walletAddress}`;
+// Credential status lists (StatusList2021, lib/status-list.js)
+const StatusListStore = {
+  async init() {
+    await dbConnection.query(
+      `CREATE TABLE IF NOT EXISTS status_list (
+        id TEXT PRIMARY KEY,
+        issuer TEXT NOT NULL,
+        purpose TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        next_index INTEGER NOT NULL DEFAULT 0,
+        encoded_list TEXT NOT NULL,
+        credential TEXT,
+        updated_at TEXT NOT NULL
+      )`
+    );
+  },
 
-      console.log(
-        `Creating DID for network: ${targetNetwork}, address: ${walletAddress}`
-      );
+  async getList(id) {
+    const rows = await dbConnection.query(
+      "SELECT * FROM status_list WHERE id = ?",
+      [id]
+    );
+    return rows.length ? this.fromRow(rows[0]) : null;
+  },
 
-      // Check if DID already exists
-      try {
-        const existing = await agent.didManagerGet({ did: didIdentifier });
-        return res.json({
-          success: true,
-          identifier: existing,
-          message: "DID already exists for this wallet address",
-        });
-      } catch (error) {
-        // DID doesn't exist, continue with creation
-      }
+  async findOpenList(issuer, purpose) {
+    const rows = await dbConnection.query(
+      "SELECT * FROM status_list WHERE issuer = ? AND purpose = ? AND next_index < size ORDER BY updated_at DESC LIMIT 1",
+      [issuer, purpose]
+    );
+    return rows.length ? this.fromRow(rows[0]) : null;
+  },
 
-      // Import the DID with the wallet address
-      try {
-        const identifier = await agent.didManagerImport({
-          did: didIdentifier,
-          provider: "did:ethr",
-          controllerKeyId: walletAddress,
-          alias: alias || `ethr-${walletAddress}`,
-        });
+  async listLists() {
+    const rows = await dbConnection.query("SELECT * FROM status_list");
+    return rows.map((row) => this.fromRow(row));
+  },
 
-        res.json({
-          success: true,
-          identifier,
-          message: `DID created for wallet address on ${targetNetwork}`,
-        });
-      } catch (importError) {
-        console.error("Import error:", importError);
-        // If import fails, try regular creation
-        const identifier = await agent.didManagerCreate({
-          ...createOptions,
-          options: {
-            ...createOptions.options,
-            address: walletAddress,
-          },
-        });
+  async clear() {
+    await dbConnection.query("DELETE FROM status_list");
+  },
 
-        res.json({
-          success: true,
-          identifier,
-        });
-      }
-    } else {
-      // Regular DID creation (did:key or did:ethr without specific wallet)
-      const identifier = await agent.didManagerCreate(createOptions);
+  async saveList(list) {
+    await dbConnection.query(
+      `INSERT OR REPLACE INTO status_list
+        (id, issuer, purpose, size, next_index, encoded_list, credential, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        list.id,
+        list.issuer,
+        list.purpose,
+        list.size,
+        list.nextIndex,
+        encodeStatusList(list.bits),
+        list.credential || null,
+        new Date().toISOString(),
+      ]
+    );
+    return list;
+  },
 
-      res.json({
-        success: true,
-        identifier,
-      });
-    }
-  } catch (error) {
-    console.error("DID creation error:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
-  }
-});
+  fromRow(row) {
+    return {
+      id: row.id,
+      issuer: row.issuer,
+      purpose: row.purpose,
+      size: row.size,
+      nextIndex: row.next_index,
+      bits: decodeStatusList(row.encoded_list),
+      credential: row.credential,
+    };
+  },
+};
 
-// Get all DIDs
-app.get("/did/list", async (req, res) => {
-  try {
-    const identifiers = await agent.didManagerFind();
-    res.json({
-      success: true,
-      identifiers,
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
-  }
+// Credential verification across key rotations (lib/key-history.js)
+const verifyCredentialWithHistory = createHistoryVerifier({
+  getAgent: () => agent,
+  listRetiredKeys,
 });
 
-// Get a specific DID
-app.get("/did/:did", async (req, res) => {
-  try {
-    const { did } = req.params;
-    const identifier = await agent.didManagerGet({ did });
-    res.json({
-      success: true,
-      identifier,
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
-  }
+const {
+  allocateCredentialStatus,
+  applyCredentialStatus,
+  CredentialStatusPlugin,
+  router: statusListRouter,
+} = createStatusLists({
+  store: StatusListStore,
+  getAgent: () => agent,
+  baseUrl: PUBLIC_BASE_URL,
+  canSignAs,
 });
 
-// Create a Verifiable Credential
-app.post("/credential/create", async (req, res) => {
-  try {
-    const {
-      issuerDid,
-      subjectDid,
-      credentialSubject,
-      type = ["VerifiableCredential"],
-      expirationDate,
-    } = req.body;
-
-    if (!issuerDid || !subjectDid || !credentialSubject) {
-      return res.status(400).json({
-        success: false,
-        error:
-          "Missing required fields: issuerDid, subjectDid, credentialSubject",
-      });
-    }
+// Offline did:ethr verification, for /credential/verify-skale when the ERC1056
+// registry cannot be reached. Credentials are checked against the default DID
+// document, which only holds the key behind the DID's address.
+const OFFLINE_VERIFICATION_NOTE =
+  "Verified offline against the default did:ethr document derived from the issuer address. Registry changes were not checked: a key rotated away with changeOwner still verifies, and delegates and other attributes are ignored. Credential status was checked against this service's status lists only; entries on other services' lists have set: null in verification.status.";
 
-    const credential = await agent.createVerifiableCredential({
-      credential: {
-        issuer: { id: issuerDid },
-        credentialSubject: {
-          id: subjectDid,
-          ...credentialSubject,
-        },
-        type,
-        ...(expirationDate && { expirationDate }),
-      },
-      proofFormat: "jwt",
+// The DID document of a did:ethr without registry changes
+function getDefaultEthrDidDocument(did) {
+  const { chainId, address } = parseEthrDid(did);
+  const identifier = did.split(":").pop();
+  const verificationMethod = [
+    {
+      id: `${did}#controller`,
+      type: "EcdsaSecp256k1RecoveryMethod2020",
+      controller: did,
+      blockchainAccountId: `eip155:${chainId}:${address}`,
+    },
+  ];
+  // did:ethr:<public key> also lists the public key itself
+  if (identifier.length === 68) {
+    verificationMethod.push({
+      id: `${did}#controllerKey`,
+      type: "EcdsaSecp256k1VerificationKey2019",
+      controller: did,
+      publicKeyHex: identifier.slice(2),
     });
+  }
+  const ids = verificationMethod.map(({ id }) => id);
+  return {
+    "@context": [
+      "https://www.w3.org/ns/did/v1",
+      "https://w3id.org/security/suites/secp256k1recovery-2020/v2",
+    ],
+    id: did,
+    verificationMethod,
+    authentication: ids,
+    assertionMethod: ids,
+  };
+}
 
-    res.json({
-      success: true,
-      credential,
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
+// Verify a JWT credential from a did:ethr issuer without the registry: recover the
+// ES256K or ES256K-R signer and compare it with the issuer's address
+function verifyEthrCredentialOffline(credential) {
+  const fail = (errorCode, message) => ({
+    verified: false,
+    error: { message, errorCode },
+  });
+  const jwt =
+    typeof credential === "string" ? credential : credential?.proof?.jwt;
+  if (!jwt) {
+    return fail(
+      "unsupported_proof_format",
+      "Offline verification only supports JWT credentials"
+    );
   }
-});
 
-// Verify a Verifiable Credential
-app.post("/credential/verify", async (req, res) => {
+  const [encodedHeader, encodedPayload, encodedSignature] = jwt.split(".");
+  let header;
+  let payload;
   try {
-    const { credential } = req.body;
+    header = JSON.parse(Buffer.from(encodedHeader, "base64url").toString());
+    payload = decodeJwtPayload(jwt);
+  } catch {
+    return fail("invalid_jwt", "Credential is not a well-formed JWT");
+  }
+
+  const issuer = parseEthrDid(payload.iss);
+  if (!issuer) {
+    return fail(
+      "unsupported_did_method",
+      "Offline verification only supports did:ethr issuers"
+    );
+  }
+  if (!["ES256K", "ES256K-R"].includes(header.alg)) {
+    return fail(
+      "invalid_signature",
+      `Offline verification does not support ${header.alg} signatures`
+    );
+  }
+  if (!payload.vc) {
+    return fail("invalid_jwt", "JWT is not a verifiable credential (no vc claim)");
+  }
+
+  const signature = Buffer.from(encodedSignature || "", "base64url");
+  const digest = sha256(toUtf8Bytes(`${encodedHeader}.${encodedPayload}`));
+  // ES256K-R signatures carry the recovery bit; for ES256K both are tried
+  let recoveryBits = [];
+  if (signature.length === 65) {
+    recoveryBits = [signature[64] % 27];
+  } else if (signature.length === 64) {
+    recoveryBits = [0, 1];
+  }
+  const signer = recoveryBits
+    .map((bit) => {
+      try {
+        return recoverAddress(digest, {
+          r: hexlify(signature.subarray(0, 32)),
+          s: hexlify(signature.subarray(32, 64)),
+          v: 27 + bit,
+        });
+      } catch {
+        return null;
+      }
+    })
+    .find((address) => address === issuer.address);
+  if (!signer) {
+    return fail(
+      "invalid_signature",
+      `Signature was not made by the key of ${issuer.address}`
+    );
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (payload.exp && payload.exp <= now) {
+    return fail("invalid_jwt", `JWT has expired: exp: ${payload.exp} < now: ${now}`);
+  }
+  if (payload.nbf && payload.nbf > now) {
+    return fail("invalid_jwt", `JWT not valid before nbf: ${payload.nbf}`);
+  }
+
+  return { verified: true, issuer: payload.iss, signer, payload };
+}
+
+// Why the credential's did:ethr issuer cannot be resolved, or null when it can
+// (or when the issuer is not a did:ethr)
+async function getEthrResolutionError(credential) {
+  let issuer;
+  try {
+    issuer = getCredentialIssuer(credential);
+  } catch {
+    return null;
+  }
+  if (!parseEthrDid(issuer)) {
+    return null;
+  }
+  try {
+    const { didResolutionMetadata } = await agent.resolveDid({ didUrl: issuer });
+    return didResolutionMetadata?.error
+      ? didResolutionMetadata.message || didResolutionMetadata.error
+      : null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+// DID document management. did:ethr changes are ERC1056 transactions signed by the
+// controller key, so only DIDs whose controller key this agent holds can be
+// changed here; wallet DIDs are controlled by their wallet.
+const DID_KEY_TYPES = ["Secp256k1", "Ed25519", "X25519"];
+
+// Managed identifier for a DID, or null
+async function findIdentifier(did) {
+  try {
+    return await agent.didManagerGet({ did });
+  } catch {
+    return null;
+  }
+}
+
+// Why a DID's document cannot be changed here, or null if it can
+async function getDidUpdateError(identifier) {
+  if (identifier.provider === "did:key") {
+    return "did:key documents are derived from the key and cannot be changed";
+  }
+  if (identifier.provider === "did:ethr") {
+    try {
+      await agent.keyManagerGet({ kid: identifier.controllerKeyId });
+    } catch {
+      return "The controller key of this DID is held by its wallet. Relay changes signed by the wallet with /did/:did/meta-tx";
+    }
+  }
+  return null;
+}
+
+// Wallet DIDs registered with /did/create and a walletAddress: managed did:ethr
+// identifiers whose controller key is held by the wallet
+async function isWalletDid(did) {
+  const identifier = await findIdentifier(did);
+  if (identifier?.provider !== "did:ethr") {
+    return false;
+  }
+  try {
+    await agent.keyManagerGet({ kid: identifier.controllerKeyId });
+    return false;
+  } catch {
+    return true;
+  }
+}
+
+// did:ethr network entry (provider and registry) of the current agent for a DID
+function getEthrNetwork(did) {
+  const { network } = parseEthrDid(did);
+  const ethrNetwork = ethrNetworks.find((entry) => entry.name === network);
+  if (!ethrNetwork) {
+    throw new Error(`Network '${network}' is not configured`);
+  }
+  return ethrNetwork;
+}
+
+// ethr-did controller for a managed did:ethr, sending transactions signed with
+// its controller key to the network's registry
+async function getEthrDidController(identifier) {
+  const { network } = parseEthrDid(identifier.did);
+  const ethrNetwork = getEthrNetwork(identifier.did);
+  const controllerKey = await agent.keyManagerGet({
+    kid: identifier.controllerKeyId,
+  });
+  return new EthrDID({
+    identifier: identifier.did,
+    chainNameOrId: network,
+    provider: ethrNetwork.provider,
+    registry: ethrNetwork.registry,
+    txSigner: new KmsEthereumSigner(
+      controllerKey,
+      { agent },
+      ethrNetwork.provider
+    ),
+  });
+}
+
+// Resolve a DID after a change, bypassing the cache
+async function resolveUpdatedDid(did) {
+  DIDResolutionCache.purge(did);
+  const { didDocument } = await agent.resolveDid({
+    didUrl: did,
+    options: { noCache: true },
+  });
+  return didDocument;
+}
+
+// Retire a key rotated out of a DID. Its private key is deleted so it cannot sign
+// again; the public key stays in the key store, marked retired with the reason
+// (ROTATION_REASONS), for audits and for verifying what it signed.
+async function retireKey(key, { did, replacedBy, reason }) {
+  const retiredKey = {
+    ...key,
+    meta: {
+      ...key.meta,
+      retired: { did, replacedBy, reason, retiredAt: new Date().toISOString() },
+    },
+  };
+  await agentStores.keyStore.importKey(retiredKey);
+  if (key.kms === "local") {
+    await agentStores.privateKeyStore.deleteKey({ alias: key.kid });
+  } else if (externalKms[key.kms]) {
+    await externalKms[key.kms].deleteKey({ kid: key.kid });
+  }
+  return retiredKey;
+}
+
+// Keys retired from a DID by /did/:did/rotate
+async function listRetiredKeys(did) {
+  const keys = await agentStores.keyStore.listKeys();
+  return keys.filter((key) => key.meta?.retired?.did === did);
+}
+
+// Relayed meta-transactions, from the prepared hash to the mined transaction
+const MetaTxStore = {
+  async init() {
+    await dbConnection.query(
+      `CREATE TABLE IF NOT EXISTS meta_transaction (
+        id TEXT PRIMARY KEY,
+        did TEXT NOT NULL,
+        action TEXT NOT NULL,
+        params TEXT NOT NULL,
+        hash TEXT NOT NULL,
+        signer TEXT NOT NULL,
+        status TEXT NOT NULL,
+        tx_hash TEXT,
+        block_number INTEGER,
+        error TEXT,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL
+      )`
+    );
+  },
+
+  async save(entry) {
+    await dbConnection.query(
+      "INSERT OR REPLACE INTO meta_transaction (id, did, action, params, hash, signer, status, tx_hash, block_number, error, created_at, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
+      [
+        entry.id,
+        entry.did,
+        entry.action,
+        JSON.stringify(entry.params),
+        entry.hash,
+        entry.signer,
+        entry.status,
+        entry.txHash || null,
+        entry.blockNumber ?? null,
+        entry.error || null,
+        entry.createdAt,
+        entry.expiresAt,
+      ]
+    );
+    return entry;
+  },
+
+  async get(id) {
+    const rows = await dbConnection.query(
+      "SELECT * FROM meta_transaction WHERE id = ?",
+      [id]
+    );
+    return rows.length ? this.fromRow(rows[0]) : null;
+  },
+
+  async listPending() {
+    const rows = await dbConnection.query(
+      "SELECT * FROM meta_transaction WHERE status = 'pending'"
+    );
+    return rows.map((row) => this.fromRow(row));
+  },
+
+  async listTransactions() {
+    const rows = await dbConnection.query(
+      "SELECT * FROM meta_transaction ORDER BY created_at"
+    );
+    return rows.map((row) => this.fromRow(row));
+  },
+
+  async countSince(did, since) {
+    const [row] = await dbConnection.query(
+      "SELECT COUNT(*) AS count, MIN(created_at) AS oldest FROM meta_transaction WHERE did = ? AND created_at >= ?",
+      [did, since]
+    );
+    return { count: row.count, oldest: row.oldest };
+  },
+
+  // Move a prepared entry to submitting; false if another request got there first
+  async claim(id) {
+    const queryRunner = dbConnection.createQueryRunner();
+    try {
+      const result = await queryRunner.query(
+        "UPDATE meta_transaction SET status = 'submitting' WHERE id = ? AND status = 'prepared'",
+        [id],
+        true
+      );
+      return result.affected === 1;
+    } finally {
+      await queryRunner.release();
+    }
+  },
+
+  async clear() {
+    await dbConnection.query("DELETE FROM meta_transaction");
+  },
+
+  fromRow(row) {
+    return {
+      id: row.id,
+      did: row.did,
+      action: row.action,
+      params: JSON.parse(row.params),
+      hash: row.hash,
+      signer: row.signer,
+      status: row.status,
+      txHash: row.tx_hash,
+      blockNumber: row.block_number,
+      error: row.error,
+      createdAt: row.created_at,
+      expiresAt: row.expires_at,
+    };
+  },
+};
+
+// Relayed meta-transactions for wallet DIDs (lib/meta-tx.js)
+const {
+  getRetryAfter,
+  prepareMetaTransaction,
+  submitMetaTransaction,
+  trackMetaTransaction,
+} = createMetaTxRelayer({
+  store: MetaTxStore,
+  getEthrNetwork,
+  onReceipt: (entry) => DIDResolutionCache.purge(entry.did),
+});
+
+// Wallet-signed presentations (lib/wallet-presentation.js), checked against the
+// controller in the holder's resolved did:ethr document
+const verifyWalletPresentation = createWalletPresentationVerifier({
+  resolveDid: (did) => agent.resolveDid({ didUrl: did }),
+  verifyCredential: async (credential) =>
+    applyCredentialStatus(
+      await verifyCredentialWithHistory({
+        credential,
+        policies: { credentialStatus: false },
+      }),
+      credential
+    ),
+});
+
+// Presentation challenges and SIWE nonces (lib/challenges.js), single-use and
+// kept in the presentation_challenge table
+const ChallengeStore = createChallengeStore(() => dbConnection);
+
+// Verify a presentation's proof and the status of the credentials it contains
+async function verifyPresentationProof(
+  presentation,
+  { domain, challenge, resolutionOptions } = {}
+) {
+  if (isWalletPresentation(presentation)) {
+    return verifyWalletPresentation(presentation, { domain, challenge });
+  }
+
+  const result = await agent.verifyPresentation({
+    presentation,
+    ...(domain && { domain }),
+    ...(challenge && { challenge }),
+    ...(resolutionOptions && { resolutionOptions }),
+    // LD presentations refuse credentials with a credentialStatus unless
+    // given a status check; the status is checked below instead
+    checkStatus: async () => ({ verified: true }),
+  });
+
+  // verifyPresentation does not check the status of embedded credentials
+  if (result.verified) {
+    result.credentialStatus = [];
+    for (const credential of getPresentationCredentials(presentation)) {
+      const credentialResult = await applyCredentialStatus(
+        { verified: true },
+        credential,
+        resolutionOptions
+      );
+      result.credentialStatus.push(credentialResult);
+      if (!credentialResult.verified) {
+        result.verified = false;
+        result.error = credentialResult.error;
+      }
+    }
+  }
+  return result;
+}
+
+// /presentation/verify: challenge binding, then the proof and credential status
+const { verifyPresentationRequest } = createPresentationVerifier({
+  store: ChallengeStore,
+  verifyPresentationProof,
+  getProofFormat: (presentation) =>
+    isWalletPresentation(presentation)
+      ? presentation.proof.type
+      : detectProofFormat(presentation),
+});
+
+// API keys and Sign-In With Ethereum sessions (lib/auth.js)
+// API_KEYS_FILE lists the scoped API keys; it is required unless DEV_MODE=true,
+// which generates a key with every scope for the run.
+const SIWE_DOMAIN = process.env.SIWE_DOMAIN || new URL(PUBLIC_BASE_URL).host;
+const SESSION_TTL_SECONDS = Number(process.env.SESSION_TTL_SECONDS) || 86400;
+// Wallet DID requests need a session. Set REQUIRE_SIWE_SESSION=false to let API
+// keys act on wallet DIDs without one.
+const REQUIRE_SIWE_SESSION = process.env.REQUIRE_SIWE_SESSION !== "false";
+
+const { apiKeys: API_KEYS, devKey: DEV_API_KEY } = loadApiKeys(
+  process.env.API_KEYS_FILE,
+  { devMode: DEV_MODE }
+);
+const {
+  signSessionToken,
+  authenticateSession,
+  requireDidOwner,
+  authenticateApiKey,
+} = createAuth({
+  apiKeys: API_KEYS,
+  secretKey: SECRET_KEY,
+  requireSiweSession: REQUIRE_SIWE_SESSION,
+});
+
+// Selective disclosure requests (uPort SDR)
+// A verifier signs a JWT listing the claims it needs (claimType, issuers,
+// credentialType, essential) and the holder answers with a presentation.
+// Incoming requests are parsed by the JWT and SDR message handlers.
+
+// Verify and decode a signed selective disclosure request
+async function parseSdr(sdr) {
+  const message = await agent.handleMessage({ raw: sdr, save: false });
+  if (message.type !== "sdr") {
+    throw new Error("Not a selective disclosure request");
+  }
+  return {
+    id: message.id,
+    issuer: message.from,
+    subject: message.to,
+    replyUrl: message.replyUrl,
+    tag: message.threadId,
+    claims: message.data.claims,
+    credentials: message.data.credentials,
+    createdAt: message.createdAt,
+  };
+}
+
+function getPresentationHolder(presentation) {
+  return typeof presentation === "string"
+    ? decodeJwtPayload(presentation).iss
+    : presentation.holder;
+}
+
+// DIDComm v2 messaging (lib/didcomm.js), with this service's /didcomm inbox
+const DIDCOMM_ENDPOINT = `${PUBLIC_BASE_URL}/didcomm`;
+const setupDidComm = createDidCommSetup({
+  getAgent: () => agent,
+  endpoint: DIDCOMM_ENDPOINT,
+});
+
+// did:web identifiers hosted by this service: did:web:<host> is published at
+// /.well-known/did.json and did:web:<host>:<a>:<b> at /a/b/did.json
+const WEB_DID_HOST = encodeURIComponent(new URL(PUBLIC_BASE_URL).host);
+const WEB_DID_KEY_TYPES = {
+  Secp256k1: "EcdsaSecp256k1VerificationKey2019",
+  Ed25519: "Ed25519VerificationKey2018",
+  X25519: "X25519KeyAgreementKey2019",
+};
+
+// URL of the did.json document for a did:web of this service
+function getWebDidDocumentUrl(did) {
+  const segments = did.split(":").slice(3);
+  return segments.length
+    ? `${PUBLIC_BASE_URL}/${segments.join("/")}/did.json`
+    : `${PUBLIC_BASE_URL}/.well-known/did.json`;
+}
+
+// did:web for an optional "a/b" path under this service's host, or null if invalid
+function getWebDid(path) {
+  if (!path) {
+    return `did:web:${WEB_DID_HOST}`;
+  }
+  const segments = path.split("/").filter(Boolean);
+  if (
+    segments.length === 0 ||
+    segments.includes(".well-known") ||
+    !segments.every((segment) => /^[a-zA-Z0-9._-]+$/.test(segment) && !/^\.+$/.test(segment))
+  ) {
+    return null;
+  }
+  return `did:web:${WEB_DID_HOST}:${segments.join(":")}`;
+}
+
+// DID document of a did:web managed by this service, built from its keys and
+// services in the DIDStore; null if it is not managed here
+async function getWebDidDocument(did) {
+  let identifier;
+  try {
+    identifier = await agent.didManagerGet({ did });
+  } catch (error) {
+    return null;
+  }
+  if (identifier.provider !== "did:web") {
+    return null;
+  }
+
+  const verificationMethod = identifier.keys
+    .filter((key) => WEB_DID_KEY_TYPES[key.type])
+    .map((key) => ({
+      id: `${did}#${key.kid}`,
+      type: WEB_DID_KEY_TYPES[key.type],
+      controller: did,
+      publicKeyHex: key.publicKeyHex,
+      // The Ed25519 and X25519 LD suites only read base58 keys
+      ...(key.type !== "Secp256k1" && {
+        publicKeyBase58: encodeBase58(`0x${key.publicKeyHex}`),
+      }),
+    }));
+  const signingMethods = verificationMethod
+    .filter((method) => method.type !== WEB_DID_KEY_TYPES.X25519)
+    .map((method) => method.id);
+
+  return {
+    "@context": [
+      "https://www.w3.org/ns/did/v1",
+      "https://w3id.org/security/suites/secp256k1-2019/v1",
+      "https://w3id.org/security/suites/ed25519-2018/v1",
+      "https://w3id.org/security/suites/x25519-2019/v1",
+    ],
+    id: did,
+    verificationMethod,
+    authentication: signingMethods,
+    assertionMethod: signingMethods,
+    keyAgreement: verificationMethod
+      .filter((method) => method.type === WEB_DID_KEY_TYPES.X25519)
+      .map((method) => method.id),
+    // The DIDStore keeps a missing description as null
+    service: identifier.services.map(({ description, ...service }) => ({
+      ...service,
+      id: service.id.startsWith("#") ? `${did}${service.id}` : service.id,
+      ...(description && { description }),
+    })),
+  };
+}
+
+// did:web documents of this service come from the DIDStore instead of being
+// fetched over HTTPS, so they also resolve in development
+const { web: resolveRemoteWebDid } = webDidResolver();
+
+async function resolveWebDid(did, parsed, resolver, options) {
+  const didDocument = await getWebDidDocument(parsed.did);
+  if (!didDocument) {
+    return resolveRemoteWebDid(did, parsed, resolver, options);
+  }
+  return {
+    didDocument,
+    didDocumentMetadata: {},
+    didResolutionMetadata: { contentType: "application/did+ld+json" },
+  };
+}
+
+// Inbound DIDComm messages arrive as application/didcomm-*+json
+const parseDidCommBody = express.text({
+  type: (req) => /^application\/didcomm-/.test(req.headers["content-type"] || ""),
+});
+
+// Credential schemas
+// JSON Schemas for credentialSubject claims, registered with POST /schema and
+// served at /schema/:id. A schema's ID is the hash of its content, so the same
+// schema always gets the same ID and a registered schema never changes.
+const CREDENTIAL_SCHEMA_TYPE = "JsonSchemaValidator2018";
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+const schemaValidators = new Map(); // schema id -> compiled validator
+
+const SchemaStore = {
+  async init() {
+    await dbConnection.query(
+      `CREATE TABLE IF NOT EXISTS credential_schema (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        version TEXT NOT NULL,
+        description TEXT,
+        schema TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      )`
+    );
+  },
+
+  async saveSchema(entry) {
+    await dbConnection.query(
+      "INSERT OR IGNORE INTO credential_schema (id, name, version, description, schema, created_at) VALUES (?, ?, ?, ?, ?, ?)",
+      [
+        entry.id,
+        entry.name,
+        entry.version,
+        entry.description || null,
+        JSON.stringify(entry.schema),
+        entry.createdAt,
+      ]
+    );
+    return this.getSchema(entry.id);
+  },
+
+  async getSchema(id) {
+    const rows = await dbConnection.query(
+      "SELECT * FROM credential_schema WHERE id = ?",
+      [id]
+    );
+    return rows.length ? this.fromRow(rows[0]) : null;
+  },
+
+  async listSchemas() {
+    const rows = await dbConnection.query(
+      "SELECT * FROM credential_schema ORDER BY created_at DESC"
+    );
+    return rows.map((row) => this.fromRow(row));
+  },
+
+  async clear() {
+    await dbConnection.query("DELETE FROM credential_schema");
+    schemaValidators.clear();
+  },
+
+  fromRow(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      version: row.version,
+      description: row.description,
+      schema: JSON.parse(row.schema),
+      createdAt: row.created_at,
+    };
+  },
+};
+
+function getSchemaUrl(id) {
+  return `${PUBLIC_BASE_URL}/schema/${id}`;
+}
+
+// Registry id from a schemaId or credentialSchema.id (a bare id or a /schema URL)
+function getLocalSchemaId(value) {
+  const prefix = `${PUBLIC_BASE_URL}/schema/`;
+  if (typeof value !== "string") {
+    return null;
+  }
+  return value.startsWith(prefix) ? value.slice(prefix.length) : value;
+}
+
+// Registry entry without the schema document, for listings
+function describeSchema(entry) {
+  return {
+    id: entry.id,
+    url: getSchemaUrl(entry.id),
+    name: entry.name,
+    version: entry.version,
+    description: entry.description,
+    createdAt: entry.createdAt,
+  };
+}
+
+// Compile once per schema. $id is dropped so Ajv does not register it globally.
+function getSchemaValidator(entry) {
+  if (!schemaValidators.has(entry.id)) {
+    const { $id, ...schema } = entry.schema;
+    schemaValidators.set(entry.id, ajv.compile(schema));
+  }
+  return schemaValidators.get(entry.id);
+}
+
+// Validate credentialSubject claims; the subject id comes from subjectDid and
+// is not part of the schema
+function validateCredentialSubject(entry, credentialSubject) {
+  const { id, ...claims } = credentialSubject || {};
+  const validate = getSchemaValidator(entry);
+  const valid = validate(claims);
+  return {
+    valid,
+    errors: valid
+      ? []
+      : validate.errors.map(
+          (error) => `credentialSubject${error.instancePath} ${error.message}`
+        ),
+  };
+}
+
+// Schema conformance of a credential, reported next to its verification
+async function checkCredentialSchema(credential) {
+  const { credentialSchema, credentialSubject } =
+    normalizeCredential(credential);
+  const reference = [credentialSchema || []].flat()[0];
+  if (!reference) {
+    return null;
+  }
+
+  const entry = await SchemaStore.getSchema(getLocalSchemaId(reference.id));
+  if (!entry) {
+    return {
+      id: reference.id,
+      valid: null,
+      error: "Schema is not registered with this service",
+    };
+  }
+  return {
+    id: reference.id,
+    ...validateCredentialSubject(entry, credentialSubject),
+  };
+}
+
+// Backups (lib/backup.js) of the agent's stores, the credential and presentation
+// tables and the stores of the services below
+const backupStores = {
+  statusLists: StatusListStore,
+  schemas: SchemaStore,
+  metaTransactions: MetaTxStore,
+  challenges: ChallengeStore,
+};
+
+async function createBackupPayload() {
+  const credentials = await agent.dataStoreORMGetVerifiableCredentials();
+  const presentations = await agent.dataStoreORMGetVerifiablePresentations();
+
+  return {
+    ...(await exportAgentStores(agentStores)),
+    credentials: credentials.map(({ hash, verifiableCredential }) => ({
+      id: hash,
+      credential: verifiableCredential,
+    })),
+    presentations: presentations.map(({ hash, verifiablePresentation }) => ({
+      id: hash,
+      presentation: verifiablePresentation,
+    })),
+    ...(await exportServiceStores(backupStores)),
+  };
+}
+
+async function clearBackupData() {
+  const presentations = dbConnection.getRepository(Presentation);
+  await presentations.remove(await presentations.find());
+  for (const { hash } of await agent.dataStoreORMGetVerifiableCredentials()) {
+    await agent.dataStoreDeleteVerifiableCredential({ hash });
+  }
+  await clearAgentStores(agentStores);
+  await clearServiceStores(backupStores);
+}
+
+// "replace" clears the current data first; "merge" keeps entries that already
+// exist and skips their copy in the archive. Everything runs in one transaction,
+// so a failed restore leaves the data as it was. SQLite has a single connection,
+// which the agent's stores share, so their writes are part of it too.
+async function restoreBackupPayload(payload, mode) {
+  return dbConnection.transaction(async () => {
+    if (mode === "replace") {
+      await clearBackupData();
+    }
+    const counts = createRestoreCounts();
+    const { restored, skipped } = counts;
+    await importAgentStores(agentStores, payload, counts);
+
+    // Entries are stored under their content hash, so saving is idempotent
+    const hashes = new Set(
+      (await agent.dataStoreORMGetVerifiableCredentials()).map(({ hash }) => hash)
+    );
+    for (const { credential } of payload.credentials) {
+      const hash = await agent.dataStoreSaveVerifiableCredential({
+        verifiableCredential: credential,
+      });
+      if (hashes.has(hash)) {
+        skipped.credentials++;
+      } else {
+        restored.credentials++;
+      }
+    }
+    const presentationHashes = new Set(
+      (await agent.dataStoreORMGetVerifiablePresentations()).map(({ hash }) => hash)
+    );
+    for (const { presentation } of payload.presentations) {
+      const hash = await savePresentation(presentation);
+      if (presentationHashes.has(hash)) {
+        skipped.presentations++;
+      } else {
+        restored.presentations++;
+      }
+    }
+
+    await importServiceStores(backupStores, payload, counts);
+    return counts;
+  });
+}
+
+// Largest /credential/batch-create and verify-batch request, and how many of its
+// items are signed or verified at the same time
+const MAX_CREDENTIAL_BATCH_SIZE =
+  Number(process.env.MAX_CREDENTIAL_BATCH_SIZE) || 500;
+const CREDENTIAL_BATCH_CONCURRENCY =
+  Number(process.env.CREDENTIAL_BATCH_CONCURRENCY) || 4;
+
+// Validates a /credential/create request and builds the unsigned credential,
+// without its credentialStatus. Returns { error, schemaErrors } if the request is invalid.
+async function buildCredential({
+  issuerDid,
+  subjectDid,
+  credentialSubject,
+  type = ["VerifiableCredential"],
+  expirationDate,
+  proofFormat = "jwt",
+  context,
+  schemaId,
+}) {
+  if (!issuerDid || !subjectDid || !credentialSubject) {
+    return {
+      error: "Missing required fields: issuerDid, subjectDid, credentialSubject",
+    };
+  }
+
+  if (!PROOF_FORMATS.includes(proofFormat)) {
+    return {
+      error: `Unsupported proofFormat '${proofFormat}'. Supported formats: ${PROOF_FORMATS.join(", ")}`,
+    };
+  }
+
+  let credentialSchema;
+  if (schemaId) {
+    const schema = await SchemaStore.getSchema(getLocalSchemaId(schemaId));
+    if (!schema) {
+      return { error: `Unknown schemaId: ${schemaId}` };
+    }
+
+    const { valid, errors } = validateCredentialSubject(
+      schema,
+      credentialSubject
+    );
+    if (!valid) {
+      return {
+        error: "credentialSubject does not match the schema",
+        schemaErrors: errors,
+      };
+    }
+    credentialSchema = {
+      id: getSchemaUrl(schema.id),
+      type: CREDENTIAL_SCHEMA_TYPE,
+    };
+  }
+
+  const extraContexts = context
+    ? [context].flat()
+    : proofFormat === "lds"
+    ? [DEFAULT_CLAIMS_CONTEXT]
+    : [];
+
+  return {
+    proofFormat,
+    credential: {
+      "@context": [
+        "https://www.w3.org/2018/credentials/v1",
+        STATUS_LIST_CONTEXT,
+        ...extraContexts,
+      ],
+      issuer: { id: issuerDid },
+      credentialSubject: {
+        id: subjectDid,
+        ...credentialSubject,
+      },
+      type,
+      ...(credentialSchema && { credentialSchema }),
+      ...(expirationDate && { expirationDate }),
+    },
+  };
+}
+
+// Calls fn(item, index) for every item, with at most `limit` calls running at once.
+// Results keep the order of items.
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+  return results;
+}
+
+// Verify a credential's proof (falling back to the issuer's keys at issuance),
+// status and schema
+async function verifyCredentialWithStatus(credential, resolutionOptions) {
+  const verification = await verifyCredentialWithHistory({
+    credential,
+    policies: { credentialStatus: false }, // Checked below with details
+    ...(resolutionOptions && { resolutionOptions }),
+  });
+  await applyCredentialStatus(verification, credential, resolutionOptions);
+  const schema = await checkCredentialSchema(credential);
+  return { proofFormat: detectProofFormat(credential), verification, schema };
+}
+
+// Verify the items of a verify-batch request. verifyItem(item, resolutionOptions)
+// returns { proofFormat, verification, schema } or { error } for a malformed item;
+// the shared resolutionOptions resolve every DID once for the whole batch.
+async function verifyBatch(items, verifyItem) {
+  const resolutionMemo = new Map();
+  const results = await mapWithConcurrency(
+    items,
+    CREDENTIAL_BATCH_CONCURRENCY,
+    async (item, index) => {
+      try {
+        const { error, proofFormat, verification, schema } = await verifyItem(
+          item,
+          { resolutionMemo }
+        );
+        if (error) {
+          return {
+            index,
+            verified: false,
+            error: { code: "invalid_request", message: error },
+          };
+        }
+        return {
+          index,
+          verified: verification.verified,
+          proofFormat,
+          ...(verification.error && {
+            error: {
+              code: verification.error.errorCode || "verification_failed",
+              message: verification.error.message,
+            },
+          }),
+          ...(verification.status && { status: verification.status }),
+          ...(schema && { schema }),
+        };
+      } catch (error) {
+        return {
+          index,
+          verified: false,
+          error: { code: "verification_error", message: error.message },
+        };
+      }
+    }
+  );
+
+  const verified = results.filter((result) => result.verified).length;
+  return {
+    summary: {
+      total: results.length,
+      verified,
+      failed: results.length - verified,
+      resolvedDids: resolutionMemo.size,
+    },
+    results,
+  };
+}
+
+// Validate the array of a batch request; returns an error message or null
+function getBatchError(items, field) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return `Missing required field: ${field} (non-empty array)`;
+  }
+  if (items.length > MAX_CREDENTIAL_BATCH_SIZE) {
+    return `A batch holds at most ${MAX_CREDENTIAL_BATCH_SIZE} items`;
+  }
+  return null;
+}
+
+// Run a parsed /credential/list query against the data store
+async function findStoredCredentials(req, listQuery) {
+  const { items, total } = await queryDataStore(
+    dbConnection,
+    "credential",
+    listQuery,
+    "issuer",
+    getAllowedIssuers(req)
+  );
+  const credentials = items.map(({ hash, raw }) => ({
+    hash,
+    verifiableCredential: raw,
+  }));
+  return { credentials, total };
+}
+
+// A stored credential or presentation by data store hash. Missing items, and
+// items outside the API key's issuer allowlist, are null.
+async function getStoredCredential(req, hash) {
+  try {
+    const credential = await agent.dataStoreGetVerifiableCredential({ hash });
+    return canSignAs(req, getCredentialIssuer(credential)) ? credential : null;
+  } catch (error) {
+    if (error.message.startsWith("not_found")) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function getStoredPresentation(req, hash) {
+  try {
+    const presentation = await agent.dataStoreGetVerifiablePresentation({ hash });
+    return canSignAs(req, presentation.holder) ? presentation : null;
+  } catch (error) {
+    if (error.message.startsWith("not_found")) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Save a presentation in the data store and return its hash. Veramo's presentation
+// table needs an issuanceDate, which LD presentations must not have, so the time
+// of their proof is stored in its place and the presentation is kept as signed.
+async function savePresentation(presentation) {
+  if (presentation.issuanceDate) {
+    return agent.dataStoreSaveVerifiablePresentation({
+      verifiablePresentation: presentation,
+    });
+  }
+  const hash = await agent.dataStoreSaveVerifiablePresentation({
+    verifiablePresentation: {
+      ...presentation,
+      issuanceDate: presentation.proof?.created || new Date().toISOString(),
+    },
+  });
+  await dbConnection
+    .getRepository(Presentation)
+    .update({ hash }, { raw: presentation });
+  return hash;
+}
+
+// Routes
+
+// Authenticate API keys and Sign-In With Ethereum sessions
+app.use(authenticateApiKey);
+app.use(authenticateSession);
+
+// Scopes and issuer allowlists. /health, /agent/info, /network/status,
+// /status/:listId, GET /schema, /auth/siwe/*, did.json documents and the /didcomm
+// inbox stay public.
+app.post(
+  "/did/create",
+  requireScope("did:create", { allowSession: isWalletDidRequest })
+);
+app.use("/admin", requireScope("admin"));
+app.get(
+  [
+    "/did/list",
+    "/did/:did",
+    "/did/:did/resolve",
+    "/did/:did/fallback",
+    "/1.0/identifiers/*didUrl",
+    "/did/:did/keys",
+    "/did/:did/services",
+  ],
+  requireScope("did:read")
+);
+app.post(
+  ["/did/:did/keys", "/did/:did/services", "/did/:did/rotate"],
+  requireScope("did:update"),
+  requireIssuer((req) => req.params.did)
+);
+app.delete(
+  ["/did/:did/keys/:kid", "/did/:did/services/:id"],
+  requireScope("did:update"),
+  requireIssuer((req) => req.params.did)
+);
+app.post(
+  ["/did/:did/meta-tx", "/did/:did/meta-tx/:id/submit"],
+  requireOwnerSession((req) => req.params.did)
+);
+app.get(
+  "/did/:did/meta-tx/:id",
+  requireScope("did:read", { allowSession: isSessionDidRequest })
+);
+app.post(
+  ["/credential/create", "/credential/batch-create"],
+  requireScope("credential:issue"),
+  requireIssuer((req) => req.body.issuerDid)
+);
+app.post(
+  ["/credential/revoke", "/credential/suspend", "/credential/reinstate"],
+  requireScope("credential:issue")
+);
+app.post(
+  ["/credential/verify", "/credential/verify-batch", "/credential/verify-skale"],
+  requireScope("credential:verify")
+);
+app.get(
+  ["/credential/list", "/credential/:hash"],
+  requireScope("credential:read")
+);
+app.delete("/credential/:hash", requireScope("credential:issue"));
+app.get(
+  "/holder/:did/credentials",
+  requireScope("credential:read", { allowSession: isSessionDidRequest })
+);
+app.post(
+  "/presentation/create",
+  requireScope("presentation:create"),
+  requireIssuer((req) => req.body.holderDid)
+);
+app.post(
+  "/presentation/prepare",
+  requireScope("presentation:create", { allowSession: () => true })
+);
+app.post(
+  ["/presentation/challenge", "/presentation/verify", "/presentation/verify-batch"],
+  requireScope("presentation:verify")
+);
+app.get(
+  ["/presentation/list", "/presentation/:hash"],
+  requireScope("presentation:read")
+);
+app.delete("/presentation/:hash", requireScope("presentation:create"));
+app.post(
+  "/sdr/create",
+  requireScope("presentation:verify"),
+  requireIssuer((req) => req.body.issuerDid)
+);
+app.post("/sdr/validate", requireScope("presentation:verify"));
+app.post(
+  "/didcomm/send",
+  requireScope("message:send"),
+  requireIssuer((req) => req.body.from)
+);
+app.get("/messages", requireScope("message:read"));
+app.post("/schema", requireScope("schema:create"));
+
+// Health check endpoint
+app.get("/health", (req, res) => {
+  res.json({
+    status: "OK",
+    message: "Veramo Backend Service is running",
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Get agent information
+app.get("/agent/info", async (req, res) => {
+  try {
+    const methods = await agent.availableMethods();
+    res.json({
+      availableMethods: methods,
+      dataStoreConnected: !!dbConnection,
+      keyManagementSystems: ["local", ...Object.keys(externalKms)],
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a nonce for a Sign-In With Ethereum message
+app.get("/auth/siwe/nonce", async (req, res) => {
+  try {
+    const networkConfig = getNetworkConfig();
+    const now = Date.now();
+
+    // Nonces are single-use challenges bound to the SIWE domain
+    const entry = await ChallengeStore.create({
+      challenge: generateNonce(),
+      purpose: "siwe",
+      domain: SIWE_DOMAIN,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + CHALLENGE_TTL_SECONDS * 1000).toISOString(),
+    });
+
+    res.json({
+      success: true,
+      nonce: entry.challenge,
+      domain: SIWE_DOMAIN,
+      chainId: networkConfig.chainId,
+      expiresAt: entry.expiresAt,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Verify a signed SIWE message and start a session for the wallet's did:ethr
+app.post("/auth/siwe/verify", async (req, res) => {
+  try {
+    const { message, signature } = req.body;
+
+    if (!message || !signature) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required fields: message, signature",
+      });
+    }
+
+    let siweMessage;
+    try {
+      siweMessage = new SiweMessage(message);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid SIWE message: ${error.message || error}`,
+      });
+    }
+
+    // Any configured network can be used to sign in
+    const networkConfig = findNetworkByChainId(Number(siweMessage.chainId));
+    if (!networkConfig) {
+      return res.status(400).json({
+        success: false,
+        error: `SIWE message chain ${siweMessage.chainId} is not a configured network`,
+      });
+    }
+
+    const nonce = await ChallengeStore.get(siweMessage.nonce, "siwe");
+    if (
+      !nonce ||
+      nonce.domain !== SIWE_DOMAIN ||
+      nonce.usedAt ||
+      Date.parse(nonce.expiresAt) <= Date.now()
+    ) {
+      return res.status(401).json({
+        success: false,
+        error: "Unknown, used or expired nonce. Request a new one from /auth/siwe/nonce",
+      });
+    }
+
+    const result = await siweMessage.verify(
+      { signature, domain: SIWE_DOMAIN, nonce: siweMessage.nonce },
+      { suppressExceptions: true }
+    );
+    if (!result.success) {
+      return res.status(401).json({
+        success: false,
+        error: result.error?.type || "Invalid SIWE signature",
+      });
+    }
+
+    if (!(await ChallengeStore.consume(siweMessage.nonce, "siwe"))) {
+      return res.status(401).json({
+        success: false,
+        error: "Nonce has already been used",
+      });
+    }
+
+    const address = getAddress(siweMessage.address);
+    const did = `did:ethr:${networkConfig.name}:${address}`;
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const token = signSessionToken({
+      sub: did,
+      address,
+      chainId: networkConfig.chainId,
+      iat: issuedAt,
+      exp: issuedAt + SESSION_TTL_SECONDS,
+    });
+
+    res.json({
+      success: true,
+      token,
+      did,
+      address,
+      expiresAt: new Date((issuedAt + SESSION_TTL_SECONDS) * 1000).toISOString(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Create a new DID
+app.post("/did/create", async (req, res) => {
+  try {
+    const {
+      provider = "did:key",
+      alias,
+      walletAddress,
+      network,
+      didcomm = false,
+      path,
+      keyType = "Secp256k1",
+      kms = "local",
+    } = req.body;
+
+    // Key management system for generated keys (wallet DIDs have none)
+    const kmsError = getKmsError(externalKms, kms, provider === "did:web" ? keyType : undefined);
+    if (kmsError) {
+      return res.status(400).json({
+        success: false,
+        error: kmsError,
+      });
+    }
+
+    let createOptions = {
+      provider,
+      alias: alias || `did-${Date.now()}`,
+      kms,
+    };
+
+    // If creating did:ethr and wallet address is provided
+    if (provider === "did:ethr" && walletAddress) {
+      // Validate Ethereum address format
+      if (!/^0x[a-fA-F0-9]{40}$/.test(walletAddress)) {
+        return res.status(400).json({
+          success: false,
+          error:
+            "Invalid Ethereum wallet address format. Must be a 40-character hex string starting with '0x'",
+        });
+      }
+
+      const networkConfig = getNetworkConfig();
+      const targetNetwork = network || networkConfig.name;
+      if (!findNetwork(targetNetwork)) {
+        return res.status(400).json({
+          success: false,
+          error: `Network '${targetNetwork}' is not configured`,
+        });
+      }
+
+      createOptions.options = {
+        anchor: false, // Don't anchor to blockchain immediately
+        network: targetNetwork,
+      };
+
+      // For did:ethr with wallet address, we create a DID that references the address
+      const didIdentifier = `did:ethr:${targetNetwork}:${walletAddress}`;
+
+      // A signed-in wallet can only create its own DID
+      if (!requireDidOwner(req, res, didIdentifier)) {
+        return;
+      }
+
+      console.log(
+        `Creating DID for network: ${targetNetwork}, address: ${walletAddress}`
+      );
+
+      // Check if DID already exists
+      try {
+        const existing = await agent.didManagerGet({ did: didIdentifier });
+        return res.json({
+          success: true,
+          identifier: existing,
+          message: "DID already exists for this wallet address",
+        });
+      } catch (error) {
+        // DID doesn't exist, continue with creation
+      }
+
+      // Import the DID with the wallet address
+      try {
+        const identifier = await agent.didManagerImport({
+          did: didIdentifier,
+          provider: "did:ethr",
+          controllerKeyId: walletAddress,
+          alias: alias || `ethr-${walletAddress}`,
+          // The wallet holds the controller key, so there are no keys to import
+          keys: [],
+          services: [],
+        });
+
+        res.json({
+          success: true,
+          identifier,
+          message: `DID created for wallet address on ${targetNetwork}`,
+        });
+      } catch (importError) {
+        console.error("Import error:", importError);
+        // If import fails, try regular creation
+        const identifier = await agent.didManagerCreate({
+          ...createOptions,
+          options: {
+            ...createOptions.options,
+            address: walletAddress,
+          },
+        });
+
+        res.json({
+          success: true,
+          identifier,
+        });
+      }
+    } else if (provider === "did:web") {
+      const did = getWebDid(path);
+      if (!did) {
+        return res.status(400).json({
+          success: false,
+          error: "path must be slash-separated segments of letters, digits, '.', '_' or '-'",
+        });
+      }
+      if (!["Secp256k1", "Ed25519"].includes(keyType)) {
+        return res.status(400).json({
+          success: false,
+          error: "keyType must be Secp256k1 or Ed25519",
+        });
+      }
+
+      try {
+        const existing = await agent.didManagerGet({ did });
+        return res.json({
+          success: true,
+          identifier: existing,
+          message: "DID already exists",
+        });
+      } catch (error) {
+        // DID doesn't exist, continue with creation
+      }
+
+      // WebDIDProvider uses the alias as the method-specific id
+      let identifier = await agent.didManagerCreate({
+        provider: "did:web",
+        alias: did.slice("did:web:".length),
+        kms,
+        options: { keyType },
+      });
+
+      let didcommSetup;
+      if (didcomm) {
+        didcommSetup = await setupDidComm(identifier.did);
+        identifier = await agent.didManagerGet({ did: identifier.did });
+      }
+      DIDResolutionCache.purge(identifier.did);
+
+      res.json({
+        success: true,
+        identifier,
+        ...(didcommSetup && { didcomm: didcommSetup }),
+        didDocumentUrl: getWebDidDocumentUrl(identifier.did),
+      });
+    } else {
+      // Regular DID creation (did:key or did:ethr without specific wallet)
+      let identifier = await agent.didManagerCreate(createOptions);
+
+      // Optionally add a DIDComm v2 key agreement key and inbox
+      let didcommSetup;
+      if (didcomm) {
+        didcommSetup = await setupDidComm(identifier.did);
+        identifier = await agent.didManagerGet({ did: identifier.did });
+      }
+
+      res.json({
+        success: true,
+        identifier,
+        ...(didcommSetup && { didcomm: didcommSetup }),
+      });
+    }
+  } catch (error) {
+    console.error("DID creation error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Get all DIDs
+app.get("/did/list", async (req, res) => {
+  try {
+    const identifiers = await agent.didManagerFind();
+    res.json({
+      success: true,
+      identifiers,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Get a specific DID
+app.get("/did/:did", async (req, res) => {
+  try {
+    const { did } = req.params;
+    const identifier = await agent.didManagerGet({ did });
+    res.json({
+      success: true,
+      identifier,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Create a Verifiable Credential
+app.post("/credential/create", async (req, res) => {
+  try {
+    const { issuerDid } = req.body;
+    const {
+      error,
+      schemaErrors,
+      credential: payload,
+      proofFormat,
+    } = await buildCredential(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+        ...(schemaErrors && { schemaErrors }),
+      });
+    }
+
+    // Make sure we can sign as the issuer before reserving status list entries
+    await agent.didManagerGet({ did: issuerDid });
+    const credentialStatus = await allocateCredentialStatus(
+      issuerDid,
+      proofFormat
+    );
+
+    const credential = await agent.createVerifiableCredential({
+      credential: { ...payload, credentialStatus },
+      proofFormat,
+    });
+    const hash = await agent.dataStoreSaveVerifiableCredential({
+      verifiableCredential: credential,
+    });
+
+    res.json({
+      success: true,
+      hash,
+      credential,
+      proofFormat,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Issue many credentials from one issuer. Every item is a /credential/create
+// request without issuerDid; the other top-level fields are defaults for the items.
+app.post("/credential/batch-create", async (req, res) => {
+  try {
+    const { issuerDid, credentials, ...defaults } = req.body;
+
+    if (!issuerDid || !Array.isArray(credentials) || credentials.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required fields: issuerDid, credentials (non-empty array)",
+      });
+    }
+    if (credentials.length > MAX_CREDENTIAL_BATCH_SIZE) {
+      return res.status(400).json({
+        success: false,
+        error: `A batch holds at most ${MAX_CREDENTIAL_BATCH_SIZE} credentials`,
+      });
+    }
+
+    await agent.didManagerGet({ did: issuerDid });
+
+    // Validate every item and reserve its status list entries in order, so
+    // indexes follow the batch order
+    const items = [];
+    for (const item of credentials) {
+      if (!item || typeof item !== "object" || Array.isArray(item)) {
+        items.push({
+          error: { code: "invalid_request", message: "Item must be an object" },
+        });
+        continue;
+      }
+      if (item.issuerDid && item.issuerDid !== issuerDid) {
+        items.push({
+          error: {
+            code: "invalid_request",
+            message: "Items cannot override the batch issuerDid",
+          },
+        });
+        continue;
+      }
+
+      const { error, schemaErrors, credential, proofFormat } =
+        await buildCredential({ ...defaults, ...item, issuerDid });
+      if (error) {
+        items.push({
+          error: schemaErrors
+            ? { code: "schema_mismatch", message: error, schemaErrors }
+            : { code: "invalid_request", message: error },
+        });
+        continue;
+      }
+      credential.credentialStatus = await allocateCredentialStatus(
+        issuerDid,
+        proofFormat
+      );
+      items.push({ credential, proofFormat });
+    }
+
+    const results = await mapWithConcurrency(
+      items,
+      CREDENTIAL_BATCH_CONCURRENCY,
+      async ({ error, credential: payload, proofFormat }, index) => {
+        if (error) {
+          return { index, success: false, error };
+        }
+        try {
+          const credential = await agent.createVerifiableCredential({
+            credential: payload,
+            proofFormat,
+          });
+          const hash = await agent.dataStoreSaveVerifiableCredential({
+            verifiableCredential: credential,
+          });
+          return { index, success: true, hash, credential };
+        } catch (error) {
+          return {
+            index,
+            success: false,
+            error: { code: "issuance_failed", message: error.message },
+          };
+        }
+      }
+    );
+
+    const issued = results.filter(({ success }) => success).length;
+    res.json({
+      success: true,
+      issuerDid,
+      issued,
+      failed: results.length - issued,
+      results,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Verify a Verifiable Credential
+app.post("/credential/verify", async (req, res) => {
+  try {
+    const { credential } = req.body;
+
+    if (!credential) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required field: credential",
+      });
+    }
+
+    const { proofFormat, verification, schema } =
+      await verifyCredentialWithStatus(credential);
+
+    res.json({
+      success: true,
+      proofFormat,
+      verification,
+      ...(schema && { schema }),
+    });
+  } catch (error) {
+    console.error("Credential verification error:", error);
+
+    let errorMessage = error.message;
+    let errorCode = null;
+
+    // Enhanced error handling for SKALE network issues
+    if (error.message && error.message.includes("EVM revert instruction")) {
+      errorMessage =
+        "SKALE network registry contract issue - DID resolution failed due to network incompatibility. The registry contract exists but is reverting calls.";
+      errorCode = "SKALE_REGISTRY_REVERT";
+    } else if (
+      error.message &&
+      error.message.includes("missing response for request")
+    ) {
+      errorMessage =
+        "Network communication error with SKALE Titan. The registry contract may not be fully compatible with standard DID operations.";
+      errorCode = "NETWORK_COMMUNICATION_ERROR";
+    } else if (error.message && error.message.includes("BAD_DATA")) {
+      errorMessage =
+        "Data format error when communicating with SKALE network. This may indicate registry contract incompatibility.";
+      errorCode = "DATA_FORMAT_ERROR";
+    }
+
+    res.status(500).json({
+      success: false,
+      error: errorMessage,
+      errorCode: errorCode,
+      originalError: error.message, // Keep original for debugging
+    });
+  }
+});
+
+// Verify many credentials, resolving each DID once for the whole batch
+app.post("/credential/verify-batch", async (req, res) => {
+  try {
+    const { credentials } = req.body;
+
+    const batchError = getBatchError(credentials, "credentials");
+    if (batchError) {
+      return res.status(400).json({ success: false, error: batchError });
+    }
+
+    const { summary, results } = await verifyBatch(
+      credentials,
+      (credential, resolutionOptions) =>
+        credential
+          ? verifyCredentialWithStatus(credential, resolutionOptions)
+          : { error: "Missing credential" }
+    );
+
+    res.json({
+      success: true,
+      summary,
+      results,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// SKALE-compatible credential verification. When the issuer's did:ethr cannot be
+// resolved, the signature is checked offline against the default DID document.
+app.post("/credential/verify-skale", async (req, res) => {
+  try {
+    const { credential } = req.body;
+
+    if (!credential) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required field: credential",
+      });
+    }
+
+    // Standard verification first, which resolves the issuer through the registry
+    // and, like /credential/verify, falls back to the keys of rotated issuers
+    let result;
+    let verifyError;
+    try {
+      result = await verifyCredentialWithHistory({ credential });
+    } catch (error) {
+      verifyError = error;
+    }
+    if (result?.verified) {
+      return res.json({
+        success: true,
+        verification: result,
+        method: "standard",
+      });
+    }
+
+    // Only a registry failure falls back; other verification failures stand
+    const registryError = await getEthrResolutionError(credential);
+    if (!registryError) {
+      if (verifyError) {
+        throw verifyError;
+      }
+      return res.json({
+        success: true,
+        verification: result,
+        method: "standard",
+      });
+    }
+    console.warn("Issuer DID could not be resolved, verifying offline:", registryError);
+
+    // Status lists kept here need no network; other services' lists are skipped
+    const verification = await applyCredentialStatus(
+      verifyEthrCredentialOffline(credential),
+      credential,
+      undefined,
+      { localOnly: true }
+    );
+    res.json({
+      success: true,
+      verification,
+      method: "offline_ethr",
+      ...(verification.verified && {
+        didDocument: getDefaultEthrDidDocument(verification.issuer),
+      }),
+      registryError,
+      note: OFFLINE_VERIFICATION_NOTE,
+    });
+  } catch (error) {
+    console.error("SKALE credential verification error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// /credential/revoke, /credential/suspend, /credential/reinstate and /status/:listId
+app.use(statusListRouter);
+
+// Register a JSON Schema for credentialSubject claims
+app.post("/schema", async (req, res) => {
+  try {
+    const { name, version = "1.0", description, schema } = req.body;
+
+    if (!name || !schema || typeof schema !== "object") {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required fields: name, schema (JSON Schema object)",
+      });
+    }
+
+    const { $id, ...document } = schema;
+    const id = createHash("sha256")
+      .update(canonicalizeJson(document))
+      .digest("hex")
+      .slice(0, 32);
+    const entry = {
+      id,
+      name,
+      version: String(version),
+      description,
+      schema: { $id: getSchemaUrl(id), ...document },
+      createdAt: new Date().toISOString(),
+    };
+
+    try {
+      getSchemaValidator(entry);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid JSON Schema: ${error.message}`,
+      });
+    }
+
+    const saved = await SchemaStore.saveSchema(entry);
+    res.json({
+      success: true,
+      schema: describeSchema(saved),
+      existing: saved.createdAt !== entry.createdAt,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// List registered schemas
+app.get("/schema", async (req, res) => {
+  try {
+    const schemas = (await SchemaStore.listSchemas()).map(describeSchema);
+    res.json({
+      success: true,
+      count: schemas.length,
+      schemas,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Public JSON Schema document, referenced by credentialSchema.id
+app.get("/schema/:id", async (req, res) => {
+  try {
+    const entry = await SchemaStore.getSchema(req.params.id);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: "Schema not found",
+      });
+    }
+
+    res.type("application/schema+json").send(JSON.stringify(entry.schema));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// List stored credentials, filtered by issuer, subject, type, issuedFrom/Until and
+// expiresFrom/Until, ordered by orderBy and order, and paged by limit and cursor or offset
+app.get("/credential/list", async (req, res) => {
+  try {
+    const listQuery = parseListQuery(req.query, ["issuer", "subject"]);
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, error: listQuery.error });
+    }
+
+    const { credentials, total } = await findStoredCredentials(req, listQuery);
+    res.json({
+      success: true,
+      credentials,
+      ...getListPage(listQuery, total),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Get one stored credential by its data store hash
+app.get("/credential/:hash", async (req, res) => {
+  try {
+    const credential = await getStoredCredential(req, req.params.hash);
+    if (!credential) {
+      return res.status(404).json({
+        success: false,
+        error: "Credential not found",
+      });
+    }
+    res.json({
+      success: true,
+      hash: req.params.hash,
+      credential,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Delete a stored credential. Its status list entries are kept, so revoke it first
+// if it must stop verifying.
+app.delete("/credential/:hash", async (req, res) => {
+  try {
+    if (!(await getStoredCredential(req, req.params.hash))) {
+      return res.status(404).json({
+        success: false,
+        error: "Credential not found",
+      });
+    }
+    await agent.dataStoreDeleteVerifiableCredential({ hash: req.params.hash });
+    res.json({
+      success: true,
+      hash: req.params.hash,
+      deleted: true,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Export the stored credentials whose subject is a holder DID, filtered like
+// /credential/list. Every match is returned unless limit asks for pages.
+app.get("/holder/:did/credentials", async (req, res) => {
+  try {
+    const listQuery = parseListQuery(req.query, ["issuer"], { defaultLimit: null });
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, error: listQuery.error });
+    }
+    listQuery.filters.subject = req.params.did;
+
+    const { credentials, total } = await findStoredCredentials(req, listQuery);
+    res.json({
+      success: true,
+      holder: req.params.did,
+      credentials,
+      ...getListPage(listQuery, total),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Create a Verifiable Presentation
+app.post("/presentation/create", async (req, res) => {
+  try {
+    const {
+      holderDid,
+      verifiableCredentials,
+      type = ["VerifiablePresentation"],
+      domain,
+      challenge,
+      proofFormat = "jwt",
+    } = req.body;
+
+    if (
+      !holderDid ||
+      !verifiableCredentials ||
+      !Array.isArray(verifiableCredentials)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error:
+          "Missing required fields: holderDid, verifiableCredentials (array)",
+      });
+    }
+
+    if (!PROOF_FORMATS.includes(proofFormat)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported proofFormat '${proofFormat}'. Supported formats: ${PROOF_FORMATS.join(", ")}`,
+      });
+    }
+
+    // challenge and domain go in the proof (JWT nonce/aud or LD proof options)
+    const presentation = await agent.createVerifiablePresentation({
+      presentation: {
+        holder: holderDid,
+        verifiableCredential: verifiableCredentials,
+        type,
+      },
+      proofFormat,
+      ...(domain && { domain }),
+      ...(challenge && { challenge }),
+    });
+    const hash = await savePresentation(presentation);
+
+    res.json({
+      success: true,
+      hash,
+      presentation,
+      proofFormat,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Prepare a presentation for signing in the holder's wallet
+app.post("/presentation/prepare", async (req, res) => {
+  try {
+    const {
+      holderDid,
+      verifiableCredentials,
+      type = ["VerifiablePresentation"],
+      domain,
+      challenge,
+      signatureType = "eip712",
+    } = req.body;
+
+    if (
+      !holderDid ||
+      !verifiableCredentials ||
+      !Array.isArray(verifiableCredentials)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error:
+          "Missing required fields: holderDid, verifiableCredentials (array)",
+      });
+    }
+
+    if (!parseEthrDid(holderDid)) {
+      return res.status(400).json({
+        success: false,
+        error: "holderDid must be a did:ethr DID with an address or public key",
+      });
+    }
+
+    if (!requireDidOwner(req, res, holderDid)) {
+      return;
+    }
+
+    if (!WALLET_PROOF_TYPES[signatureType]) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported signatureType '${signatureType}'. Supported types: ${Object.keys(WALLET_PROOF_TYPES).join(", ")}`,
+      });
+    }
+
+    // The EIP-712 domain is bound to the chainId of the holder's network
+    if (signatureType === "eip712" && !parseEthrDid(holderDid).chainId) {
+      return res.status(400).json({
+        success: false,
+        error: `Network '${parseEthrDid(holderDid).network}' is not configured`,
+      });
+    }
+
+    // Wallet presentations embed credentials as JWT strings
+    if (!verifiableCredentials.every(getCredentialJwt)) {
+      return res.status(400).json({
+        success: false,
+        error: "verifiableCredentials must be JWT credentials (compact JWTs or credentials with a JwtProof2020)",
+      });
+    }
+
+    const prepared = prepareWalletPresentation({
+      holderDid,
+      verifiableCredentials,
+      type,
+      domain,
+      challenge,
+      signatureType,
+    });
+
+    res.json({
+      success: true,
+      signatureType,
+      ...prepared,
+      instructions:
+        signatureType === "eip712"
+          ? "Sign typedData with eth_signTypedData_v4, then POST { presentation, signature } to /presentation/verify"
+          : "Sign message with personal_sign, then POST { presentation, signature } to /presentation/verify",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Issue a single-use challenge for a presentation
+app.post("/presentation/challenge", async (req, res) => {
+  try {
+    const { domain, ttlSeconds = CHALLENGE_TTL_SECONDS } = req.body;
+
+    if (!domain) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required field: domain (the verifier audience)",
+      });
+    }
+
+    const ttl = Number(ttlSeconds);
+    if (!Number.isFinite(ttl) || ttl <= 0 || ttl > MAX_CHALLENGE_TTL_SECONDS) {
+      return res.status(400).json({
+        success: false,
+        error: `ttlSeconds must be between 1 and ${MAX_CHALLENGE_TTL_SECONDS}`,
+      });
+    }
+
+    const now = Date.now();
+    const entry = await ChallengeStore.create({
+      challenge: randomBytes(32).toString("base64url"),
+      purpose: "presentation",
+      domain,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttl * 1000).toISOString(),
+    });
+
+    res.json({
+      success: true,
+      challenge: entry.challenge,
+      domain: entry.domain,
+      expiresAt: entry.expiresAt,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Verify a Verifiable Presentation
+app.post("/presentation/verify", async (req, res) => {
+  try {
+    if (!req.body.presentation) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required field: presentation",
+      });
+    }
+
+    const { proofFormat, verification } = await verifyPresentationRequest(
+      req.body
+    );
+
+    res.json({
+      success: true,
+      proofFormat,
+      verification,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Verify many presentations, resolving each DID once for the whole batch. Every
+// item is a /presentation/verify request; a top-level domain applies to all of them.
+app.post("/presentation/verify-batch", async (req, res) => {
+  try {
+    const { presentations, domain } = req.body;
+
+    const batchError = getBatchError(presentations, "presentations");
+    if (batchError) {
+      return res.status(400).json({ success: false, error: batchError });
+    }
+
+    const { summary, results } = await verifyBatch(
+      presentations,
+      (item, resolutionOptions) =>
+        item?.presentation
+          ? verifyPresentationRequest({ domain, ...item }, resolutionOptions)
+          : { error: "Missing presentation" }
+    );
+
+    res.json({
+      success: true,
+      summary,
+      results,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// List stored presentations, with the /credential/list parameters but holder and
+// verifier instead of issuer and subject
+app.get("/presentation/list", async (req, res) => {
+  try {
+    const listQuery = parseListQuery(req.query, ["holder", "verifier"]);
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, error: listQuery.error });
+    }
+
+    const { items, total } = await queryDataStore(
+      dbConnection,
+      "presentation",
+      listQuery,
+      "holder",
+      getAllowedIssuers(req)
+    );
+    const presentations = items.map(({ hash, raw }) => ({
+      hash,
+      verifiablePresentation: raw,
+    }));
+    res.json({
+      success: true,
+      presentations,
+      ...getListPage(listQuery, total),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Get one stored presentation by its data store hash
+app.get("/presentation/:hash", async (req, res) => {
+  try {
+    const presentation = await getStoredPresentation(req, req.params.hash);
+    if (!presentation) {
+      return res.status(404).json({
+        success: false,
+        error: "Presentation not found",
+      });
+    }
+    res.json({
+      success: true,
+      hash: req.params.hash,
+      presentation,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Delete a stored presentation (the data store has no presentation delete method)
+app.delete("/presentation/:hash", async (req, res) => {
+  try {
+    if (!(await getStoredPresentation(req, req.params.hash))) {
+      return res.status(404).json({
+        success: false,
+        error: "Presentation not found",
+      });
+    }
+    const presentations = dbConnection.getRepository(Presentation);
+    await presentations.remove(
+      await presentations.findOneBy({ hash: req.params.hash })
+    );
+    res.json({
+      success: true,
+      hash: req.params.hash,
+      deleted: true,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Create a signed Selective Disclosure Request
+app.post("/sdr/create", async (req, res) => {
+  try {
+    const { issuerDid, subjectDid, claims, replyUrl, tag, credentials } =
+      req.body;
+
+    if (!issuerDid || !Array.isArray(claims) || !claims.length) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required fields: issuerDid, claims (non-empty array)",
+      });
+    }
+
+    const invalidClaim = claims.find(
+      (claim) => !claim.claimType && !claim.credentialType
+    );
+    if (invalidClaim) {
+      return res.status(400).json({
+        success: false,
+        error: "Each claim needs a claimType or a credentialType",
+      });
+    }
+
+    const sdr = await agent.createSelectiveDisclosureRequest({
+      data: {
+        issuer: issuerDid,
+        claims,
+        ...(subjectDid && { subject: subjectDid }),
+        ...(replyUrl && { replyUrl }),
+        ...(tag && { tag }),
+        ...(credentials && { credentials }),
+      },
+    });
+
+    res.json({
+      success: true,
+      sdr,
+      request: await parseSdr(sdr),
+    });
+  } catch (error) {
+    console.error("SDR creation error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Check a presentation against a Selective Disclosure Request
+app.post("/sdr/validate", async (req, res) => {
+  try {
+    const { sdr, presentation, domain, challenge, signature } = req.body;
+
+    if (!sdr || !presentation) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required fields: sdr, presentation",
+      });
+    }
+
+    let request;
+    try {
+      request = await parseSdr(sdr);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid selective disclosure request: ${error.message}`,
+      });
+    }
+
+    // The presentation is checked against the request before its challenge is
+    // looked at, so a malformed presentation leaves the challenge usable
+    let holder;
+    let sdrResult;
+    try {
+      if (!["string", "object"].includes(typeof presentation)) {
+        throw new Error("expected a JWT or a presentation object");
+      }
+      holder = getPresentationHolder(presentation);
+      sdrResult = await agent.validatePresentationAgainstSdr({
+        presentation: {
+          verifiableCredential: getPresentationCredentials(presentation),
+        },
+        sdr: request,
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid presentation: ${error.message}`,
+      });
+    }
+    const { valid, claims } = sdrResult;
+    const holderMatches = !request.subject || request.subject === holder;
+
+    // Checked like /presentation/verify, so the presentation must answer a
+    // challenge from /presentation/challenge. It is burned only when the
+    // presentation is accepted.
+    const { proofFormat, verification } = await verifyPresentationRequest(
+      { presentation, domain, challenge, signature },
+      undefined,
+      { consumeChallenge: valid && holderMatches }
+    );
+
+    res.json({
+      success: true,
+      valid: verification.verified && valid && holderMatches,
+      proofFormat,
+      verification,
+      holder,
+      ...(!holderMatches && {
+        error: `Presentation holder ${holder} is not the requested subject ${request.subject}`,
+      }),
+      claims,
+      request,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Send a DIDComm v2 message from a managed DID
+app.post("/didcomm/send", async (req, res) => {
+  try {
+    const {
+      from,
+      to,
+      type = DEFAULT_DIDCOMM_TYPE,
+      body,
+      attachments,
+      threadId,
+      packing = "authcrypt",
+    } = req.body;
+
+    if (!from || !to || !body) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required fields: from, to, body",
+      });
+    }
+
+    if (!DIDCOMM_PACKINGS.includes(packing)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported packing: ${packing}. Use one of: ${DIDCOMM_PACKINGS.join(", ")}`,
+      });
+    }
+
+    const message = {
+      id: randomUUID(),
+      type,
+      from,
+      to: [to],
+      created_time: Math.floor(Date.now() / 1000),
+      body,
+      ...(attachments && { attachments }),
+      ...(threadId && { thid: threadId }),
+    };
+
+    const packedMessage = await agent.packDIDCommMessage({ packing, message });
+    const result = await agent.sendDIDCommMessage({
+      messageId: message.id,
+      packedMessage,
+      recipientDidUrl: to,
+    });
+
+    await agent.dataStoreSaveMessage({
+      message: {
+        id: message.id,
+        type,
+        from,
+        to,
+        threadId,
+        createdAt: getMessageCreatedAt(message.created_time),
+        data: body,
+        metaData: [{ type: "DIDCommV2Message-sent" }],
+      },
+    });
+    res.json({
+      success: true,
+      messageId: message.id,
+      transportId: result.transportId,
+      ...(result.returnMessage && { returnMessage: result.returnMessage }),
+    });
+  } catch (error) {
+    console.error("DIDComm send error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// DIDComm inbox: unpack and store messages for our DIDs
+app.post("/didcomm", parseDidCommBody, async (req, res) => {
+  try {
+    const raw =
+      typeof req.body === "string" ? req.body : JSON.stringify(req.body);
+
+    if (!raw || raw === "{}") {
+      return res.status(400).json({
+        success: false,
+        error: "Missing DIDComm message body",
+      });
+    }
+
+    const message = await agent.handleMessage({ raw, save: false });
+    // The message handlers also accept plain JWT credentials and presentations;
+    // only encrypted DIDComm v2 messages for a DID managed here are kept
+    if (!DIDCOMM_PACKINGS.includes(getDidCommPacking(message))) {
+      return res.status(400).json({
+        success: false,
+        error: `Only encrypted DIDComm v2 messages are accepted (${DIDCOMM_PACKINGS.join(", ")})`,
+      });
+    }
+    if (!message.to || !(await findIdentifier(message.to))) {
+      return res.status(400).json({
+        success: false,
+        error: "The message is not addressed to a DID managed by this service",
+      });
+    }
+    message.createdAt = getMessageCreatedAt(message.createdAt);
+    await agent.dataStoreSaveMessage({ message });
+    res.status(202).json({
+      success: true,
+      id: message.id,
+      type: message.type,
+      from: message.from,
+    });
+  } catch (error) {
+    console.error("DIDComm receive error:", error);
+    res.status(400).json({
+      success: false,
+      error: `Could not unpack DIDComm message: ${error.message}`,
+    });
+  }
+});
 
-    if (!credential) {
+// Query stored DIDComm messages
+app.get("/messages", async (req, res) => {
+  try {
+    const { type, from, to, threadId } = req.query;
+
+    const where = [];
+    for (const [column, value] of Object.entries({ type, from, to, threadId })) {
+      if (value) {
+        where.push({ column, value: [value] });
+      }
+    }
+
+    const messages = (
+      await agent.dataStoreORMGetMessages({
+        where,
+        order: [{ column: "createdAt", direction: "DESC" }],
+      })
+    ).filter(
+      (message) => canSignAs(req, message.to) || canSignAs(req, message.from)
+    );
+    res.json({
+      success: true,
+      count: messages.length,
+      messages,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// W3C DID Resolution over HTTP(S) (/1.0/identifiers)
+app.use(didResolutionRouter);
+
+// Keys of a DID: the managed keys and the resolved verification methods, which
+// include ERC1056 delegates for did:ethr
+app.get("/did/:did/keys", async (req, res) => {
+  try {
+    const { did } = req.params;
+    const identifier = await findIdentifier(did);
+    if (!identifier) {
+      return res.status(404).json({
+        success: false,
+        error: "DID not found",
+      });
+    }
+
+    const { didDocument } = await agent.resolveDid({ didUrl: did });
+    res.json({
+      success: true,
+      keys: identifier.keys,
+      retiredKeys: await listRetiredKeys(did),
+      verificationMethod: didDocument?.verificationMethod || [],
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Add a key to a DID. For did:ethr the key is written to the ERC1056 registry
+// as an attribute, or, with "delegate", an existing address is added as a delegate.
+app.post("/did/:did/keys", async (req, res) => {
+  try {
+    const { did } = req.params;
+    const {
+      type = "Secp256k1",
+      kms = "local",
+      delegate,
+      delegateType = "veriKey",
+      ttl,
+    } = req.body;
+
+    const identifier = await findIdentifier(did);
+    if (!identifier) {
+      return res.status(404).json({
+        success: false,
+        error: "DID not found",
+      });
+    }
+    const unsupported = await getDidUpdateError(identifier);
+    if (unsupported) {
       return res.status(400).json({
         success: false,
-        error: "Missing required field: credential",
+        error: unsupported,
       });
     }
+    if (ttl !== undefined && !(Number.isInteger(ttl) && ttl > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: "ttl must be a positive number of seconds",
+      });
+    }
+
+    let key;
+    let txHash = null;
+    if (delegate) {
+      if (identifier.provider !== "did:ethr") {
+        return res.status(400).json({
+          success: false,
+          error: "Delegates are only supported for did:ethr",
+        });
+      }
+      if (!/^0x[0-9a-fA-F]{40}$/.test(delegate)) {
+        return res.status(400).json({
+          success: false,
+          error: "delegate must be an Ethereum address",
+        });
+      }
+      if (!DELEGATE_TYPES.includes(delegateType)) {
+        return res.status(400).json({
+          success: false,
+          error: `delegateType must be one of: ${DELEGATE_TYPES.join(", ")}`,
+        });
+      }
+
+      const controller = await getEthrDidController(identifier);
+      txHash = await controller.addDelegate(delegate, {
+        delegateType,
+        expiresIn: ttl,
+      });
+    } else {
+      if (!DID_KEY_TYPES.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          error: `type must be one of: ${DID_KEY_TYPES.join(", ")}`,
+        });
+      }
+      const kmsError = getKmsError(externalKms, kms, type);
+      if (kmsError) {
+        return res.status(400).json({
+          success: false,
+          error: kmsError,
+        });
+      }
 
-    const result = await agent.verifyCredential({ credential });
+      key = await agent.keyManagerCreate({ kms, type });
+      const result = await withNewKey(agent, key, () =>
+        agent.didManagerAddKey({
+          did,
+          key,
+          options: ttl ? { ttl } : {},
+        })
+      );
+      txHash = typeof result === "string" ? result : null;
+    }
 
     res.json({
       success: true,
-      verification: result,
+      ...(key ? { key } : { delegate, delegateType }),
+      txHash,
+      didDocument: await resolveUpdatedDid(did),
     });
   } catch (error) {
-    console.error("Credential verification error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
 
-    let errorMessage = error.message;
-    let errorCode = null;
+// Remove a key from a DID. An Ethereum address revokes an ERC1056 delegate
+// (?delegateType=veriKey|sigAuth, default veriKey).
+app.delete("/did/:did/keys/:kid", async (req, res) => {
+  try {
+    const { did, kid } = req.params;
+    const identifier = await findIdentifier(did);
+    if (!identifier) {
+      return res.status(404).json({
+        success: false,
+        error: "DID not found",
+      });
+    }
+    const unsupported = await getDidUpdateError(identifier);
+    if (unsupported) {
+      return res.status(400).json({
+        success: false,
+        error: unsupported,
+      });
+    }
 
-    // Enhanced error handling for SKALE network issues
-    if (error.message && error.message.includes("EVM revert instruction")) {
-      errorMessage =
-        "SKALE network registry contract issue - DID resolution failed due to network incompatibility. The registry contract exists but is reverting calls.";
-      errorCode = "SKALE_REGISTRY_REVERT";
-    } else if (
-      error.message &&
-      error.message.includes("missing response for request")
-    ) {
-      errorMessage =
-        "Network communication error with SKALE Titan. The registry contract may not be fully compatible with standard DID operations.";
-      errorCode = "NETWORK_COMMUNICATION_ERROR";
-    } else if (error.message && error.message.includes("BAD_DATA")) {
-      errorMessage =
-        "Data format error when communicating with SKALE network. This may indicate registry contract incompatibility.";
-      errorCode = "DATA_FORMAT_ERROR";
+    let txHash = null;
+    if (/^0x[0-9a-fA-F]{40}$/.test(kid)) {
+      const delegateType = req.query.delegateType || "veriKey";
+      if (identifier.provider !== "did:ethr") {
+        return res.status(400).json({
+          success: false,
+          error: "Delegates are only supported for did:ethr",
+        });
+      }
+      if (!DELEGATE_TYPES.includes(delegateType)) {
+        return res.status(400).json({
+          success: false,
+          error: `delegateType must be one of: ${DELEGATE_TYPES.join(", ")}`,
+        });
+      }
+
+      const controller = await getEthrDidController(identifier);
+      txHash = await controller.revokeDelegate(kid, delegateType);
+    } else {
+      if (!identifier.keys.some((key) => key.kid === kid)) {
+        return res.status(404).json({
+          success: false,
+          error: "Key not found",
+        });
+      }
+      if (kid === identifier.controllerKeyId) {
+        return res.status(400).json({
+          success: false,
+          error: "The controller key cannot be removed",
+        });
+      }
+
+      const result = await agent.didManagerRemoveKey({ did, kid, options: {} });
+      txHash = typeof result === "string" ? result : null;
     }
 
+    res.json({
+      success: true,
+      removed: kid,
+      txHash,
+      didDocument: await resolveUpdatedDid(did),
+    });
+  } catch (error) {
     res.status(500).json({
       success: false,
-      error: errorMessage,
-      errorCode: errorCode,
-      originalError: error.message, // Keep original for debugging
+      error: error.message,
     });
   }
 });
 
-// SKALE-compatible credential verification with fallback methods
-app.post("/credential/verify-skale", async (req, res) => {
+// Service endpoints of a DID
+app.get("/did/:did/services", async (req, res) => {
   try {
-    const { credential } = req.body;
+    const { did } = req.params;
+    const identifier = await findIdentifier(did);
+    if (!identifier) {
+      return res.status(404).json({
+        success: false,
+        error: "DID not found",
+      });
+    }
 
-    if (!credential) {
+    const { didDocument } = await agent.resolveDid({ didUrl: did });
+    res.json({
+      success: true,
+      services: identifier.services,
+      service: didDocument?.service || [],
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Add a service endpoint. For did:ethr it is written to the ERC1056 registry.
+app.post("/did/:did/services", async (req, res) => {
+  try {
+    const { did } = req.params;
+    const { id, type, serviceEndpoint, description, ttl } = req.body;
+
+    if (!type || !serviceEndpoint) {
       return res.status(400).json({
         success: false,
-        error: "Missing required field: credential",
+        error: "Missing required fields: type, serviceEndpoint",
+      });
+    }
+    if (ttl !== undefined && !(Number.isInteger(ttl) && ttl > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: "ttl must be a positive number of seconds",
       });
     }
 
-    console.log("Attempting SKALE-compatible verification...");
+    const identifier = await findIdentifier(did);
+    if (!identifier) {
+      return res.status(404).json({
+        success: false,
+        error: "DID not found",
+      });
+    }
+    const unsupported = await getDidUpdateError(identifier);
+    if (unsupported) {
+      return res.status(400).json({
+        success: false,
+        error: unsupported,
+      });
+    }
 
-    // First try standard verification
-    try {
-      const result = await agent.verifyCredential({ credential });
-      return res.json({
-        success: true,
-        verification: result,
-        method: "standard",
+    const serviceId = !id
+      ? `${did}#service-${Date.now()}`
+      : id.startsWith("#")
+      ? `${did}${id}`
+      : id;
+    if (identifier.services.some((service) => service.id === serviceId)) {
+      return res.status(400).json({
+        success: false,
+        error: `Service ${serviceId} already exists`,
       });
-    } catch (registryError) {
-      console.warn(
-        "Standard verification failed, trying fallback methods:",
-        registryError.message
-      );
+    }
 
-      // Fallback verification without registry dependency
-      try {
-        // Basic JWT structure validation
-        if (typeof credential === "string" && credential.includes(".")) {
-          const parts = credential.split(".");
-          if (parts.length === 3) {
-            // Decode JWT payload
-            const payload = JSON.parse(
-              Buffer.from(parts[1], "base64url").toString()
-            );
+    const service = {
+      id: serviceId,
+      type,
+      serviceEndpoint,
+      ...(description ? { description } : {}),
+    };
+    const result = await agent.didManagerAddService({
+      did,
+      service,
+      options: ttl ? { ttl } : {},
+    });
+
+    res.json({
+      success: true,
+      service,
+      txHash: typeof result === "string" ? result : null,
+      didDocument: await resolveUpdatedDid(did),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
 
-            // Basic validation checks
-            const isValid =
-              payload.vc &&
-              payload.iss &&
-              payload.sub &&
-              payload.iat &&
-              payload.exp &&
-              payload.exp > Date.now() / 1000;
+// Remove a service endpoint, by full id or fragment
+app.delete("/did/:did/services/:id", async (req, res) => {
+  try {
+    const { did, id } = req.params;
+    const identifier = await findIdentifier(did);
+    if (!identifier) {
+      return res.status(404).json({
+        success: false,
+        error: "DID not found",
+      });
+    }
+    const unsupported = await getDidUpdateError(identifier);
+    if (unsupported) {
+      return res.status(400).json({
+        success: false,
+        error: unsupported,
+      });
+    }
 
-            return res.json({
-              success: true,
-              verification: {
-                verified: isValid,
-                payload: payload,
-                error: isValid ? null : "Basic validation failed",
-              },
-              method: "fallback_jwt",
-              note: "Verified using fallback method due to SKALE registry issues",
-            });
-          }
-        }
+    const service = identifier.services.find((entry) =>
+      [id, `${did}#${id}`, `#${id}`].includes(entry.id)
+    );
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        error: "Service not found",
+      });
+    }
 
-        // If it's an object credential
-        if (typeof credential === "object" && credential.credentialSubject) {
-          return res.json({
-            success: true,
-            verification: {
-              verified: true,
-              payload: credential,
-              error: null,
-            },
-            method: "fallback_object",
-            note: "Verified using fallback method due to SKALE registry issues",
-          });
-        }
+    const result = await agent.didManagerRemoveService({
+      did,
+      id: service.id,
+      options: {},
+    });
 
-        throw new Error("Unable to verify credential with fallback methods");
-      } catch (fallbackError) {
-        return res.status(500).json({
-          success: false,
-          error: "Both standard and fallback verification methods failed",
-          details: {
-            registryError: registryError.message,
-            fallbackError: fallbackError.message,
-          },
-        });
+    res.json({
+      success: true,
+      removed: service.id,
+      txHash: typeof result === "string" ? result : null,
+      didDocument: await resolveUpdatedDid(did),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Rotate a key of a managed did:ethr. The controller key (default) is replaced by a
+// new key with an ERC1056 changeOwner to its address; another key (kid) is swapped
+// for a new key of the same type. The old key is retired as superseded, or as
+// compromised (reason), which stops credentials it signed from verifying.
+app.post("/did/:did/rotate", async (req, res) => {
+  try {
+    const { did } = req.params;
+    const identifier = await findIdentifier(did);
+    if (!identifier) {
+      return res.status(404).json({
+        success: false,
+        error: "DID not found",
+      });
+    }
+    const unsupported = await getDidUpdateError(identifier);
+    if (unsupported) {
+      return res.status(400).json({
+        success: false,
+        error: unsupported,
+      });
+    }
+    // Credentials signed with a retired key verify against the DID's past
+    // documents, and only did:ethr keeps them
+    if (identifier.provider !== "did:ethr") {
+      return res.status(400).json({
+        success: false,
+        error: `Only did:ethr keys can be rotated: ${identifier.provider} keeps no document history, so credentials signed with the old key would stop verifying`,
+      });
+    }
+    const { reason = "superseded" } = req.body;
+    if (!ROTATION_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        error: `reason must be one of: ${ROTATION_REASONS.join(", ")}`,
+      });
+    }
+
+    const kid = req.body.kid || identifier.controllerKeyId;
+    const oldKey = identifier.keys.find((key) => key.kid === kid);
+    if (!oldKey) {
+      return res.status(404).json({
+        success: false,
+        error: "Key not found",
+      });
+    }
+
+    const newKey = await agent.keyManagerCreate({
+      kms: oldKey.kms,
+      type: oldKey.type,
+    });
+    const txHashes = [];
+    if (kid === identifier.controllerKeyId) {
+      txHashes.push(
+        await withNewKey(agent, newKey, async () => {
+          const controller = await getEthrDidController(identifier);
+          return controller.changeOwner(computeAddress(`0x${newKey.publicKeyHex}`));
+        })
+      );
+      // DIDManager cannot change the controller key, so update the DID store directly
+      await agentStores.didStore.importDID({
+        ...identifier,
+        controllerKeyId: newKey.kid,
+        keys: [...identifier.keys.filter((key) => key.kid !== kid), newKey],
+      });
+    } else {
+      for (const result of [
+        await withNewKey(agent, newKey, () =>
+          agent.didManagerAddKey({ did, key: newKey, options: {} })
+        ),
+        await agent.didManagerRemoveKey({ did, kid, options: {} }),
+      ]) {
+        if (typeof result === "string") {
+          txHashes.push(result);
+        }
       }
     }
+    const retiredKey = await retireKey(oldKey, { did, replacedBy: newKey.kid, reason });
+
+    res.json({
+      success: true,
+      retiredKey,
+      newKey,
+      txHashes,
+      didDocument: await resolveUpdatedDid(did),
+    });
   } catch (error) {
-    console.error("SKALE credential verification error:", error);
     res.status(500).json({
       success: false,
       error: error.message,
@@ -571,13 +3658,60 @@ app.post("/credential/verify-skale", async (req, res) => {
   }
 });
 
-// Get all credentials
-app.get("/credential/list", async (req, res) => {
+// Prepare a relayed ERC1056 change to a wallet DID, for the signed-in wallet.
+// Returns the hash its owner signs; the signature goes to /did/:did/meta-tx/:id/submit.
+app.post("/did/:did/meta-tx", async (req, res) => {
   try {
-    const credentials = await agent.dataStoreORMGetVerifiableCredentials();
+    const { did } = req.params;
+    if (!RELAYER_PRIVATE_KEY) {
+      return res.status(503).json({
+        success: false,
+        error: "Relaying is not configured (RELAYER_PRIVATE_KEY)",
+      });
+    }
+
+    const parsedDid = parseEthrDid(did);
+    if (!parsedDid) {
+      return res.status(400).json({
+        success: false,
+        error: "Meta-transactions are only supported for did:ethr",
+      });
+    }
+    if (!ethrNetworks.some((entry) => entry.name === parsedDid.network)) {
+      return res.status(400).json({
+        success: false,
+        error: `Network '${parsedDid.network}' is not configured`,
+      });
+    }
+    // The relayer only pays for DIDs registered here
+    if (!(await isWalletDid(did))) {
+      return res.status(404).json({
+        success: false,
+        error: `${did} is not a wallet DID registered with /did/create`,
+      });
+    }
+    const { action, params, error } = parseMetaTxRequest(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      });
+    }
+    const retryAfter = await getRetryAfter(did);
+    if (retryAfter) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: `A DID can prepare ${META_TX_RATE_LIMIT} meta-transactions per hour, retry in ${retryAfter} seconds`,
+      });
+    }
+
+    const metaTransaction = await prepareMetaTransaction(did, { action, params });
+
     res.json({
       success: true,
-      credentials,
+      metaTransaction,
+      message: `Sign hash with the key of ${metaTransaction.signer} (a raw signature, without the Ethereum message prefix) and submit it before ${metaTransaction.expiresAt}`,
     });
   } catch (error) {
     res.status(500).json({
@@ -587,43 +3721,70 @@ app.get("/credential/list", async (req, res) => {
   }
 });
 
-// Create a Verifiable Presentation
-app.post("/presentation/create", async (req, res) => {
+// Submit a signed meta-transaction from the relayer account. The response comes
+// once it is sent; GET /did/:did/meta-tx/:id follows it until it is mined.
+app.post("/did/:did/meta-tx/:id/submit", async (req, res) => {
   try {
-    const {
-      holderDid,
-      verifiableCredentials,
-      type = ["VerifiablePresentation"],
-      domain,
-      challenge,
-    } = req.body;
+    const { did, id } = req.params;
+    const { signature } = req.body;
 
-    if (
-      !holderDid ||
-      !verifiableCredentials ||
-      !Array.isArray(verifiableCredentials)
-    ) {
+    const entry = await MetaTxStore.get(id);
+    if (!entry || entry.did !== did) {
+      return res.status(404).json({
+        success: false,
+        error: "Meta-transaction not found",
+      });
+    }
+    if (entry.status !== "prepared") {
       return res.status(400).json({
         success: false,
-        error:
-          "Missing required fields: holderDid, verifiableCredentials (array)",
+        error: `Meta-transaction is already ${entry.status}`,
+      });
+    }
+    if (Date.parse(entry.expiresAt) < Date.now()) {
+      return res.status(400).json({
+        success: false,
+        error: "Meta-transaction has expired, prepare a new one",
+      });
+    }
+    if (!RELAYER_PRIVATE_KEY) {
+      return res.status(503).json({
+        success: false,
+        error: "Relaying is not configured (RELAYER_PRIVATE_KEY)",
+      });
+    }
+    if (!signature) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required field: signature",
       });
     }
 
-    const presentation = await agent.createVerifiablePresentation({
-      presentation: {
-        holder: holderDid,
-        verifiableCredential: verifiableCredentials,
-        type,
-        ...(domain && { domain }),
-        ...(challenge && { challenge }),
-      },
-      proofFormat: "jwt",
-    });
+    const sig = parseMetaTxSignature(signature);
+    if (!sig) {
+      return res.status(400).json({
+        success: false,
+        error: "signature must be a 65-byte hex signature or { r, s, v }",
+      });
+    }
+    if (recoverAddress(entry.hash, sig).toLowerCase() !== entry.signer.toLowerCase()) {
+      return res.status(400).json({
+        success: false,
+        error: `Signature is not from the DID owner ${entry.signer}`,
+      });
+    }
+
+    const metaTransaction = await submitMetaTransaction(entry, sig);
+    if (!metaTransaction) {
+      return res.status(400).json({
+        success: false,
+        error: "Meta-transaction is already submitting",
+      });
+    }
 
     res.json({
       success: true,
-      presentation,
+      metaTransaction,
     });
   } catch (error) {
     res.status(500).json({
@@ -633,27 +3794,21 @@ app.post("/presentation/create", async (req, res) => {
   }
 });
 
-// Verify a Verifiable Presentation
-app.post("/presentation/verify", async (req, res) => {
+// Status of a meta-transaction: prepared, submitting, pending, mined or failed
+app.get("/did/:did/meta-tx/:id", async (req, res) => {
   try {
-    const { presentation, domain, challenge } = req.body;
-
-    if (!presentation) {
-      return res.status(400).json({
+    const { did, id } = req.params;
+    const metaTransaction = await MetaTxStore.get(id);
+    if (!metaTransaction || metaTransaction.did !== did) {
+      return res.status(404).json({
         success: false,
-        error: "Missing required field: presentation",
+        error: "Meta-transaction not found",
       });
     }
 
-    const result = await agent.verifyPresentation({
-      presentation,
-      ...(domain && { domain }),
-      ...(challenge && { challenge }),
-    });
-
     res.json({
       success: true,
-      verification: result,
+      metaTransaction,
     });
   } catch (error) {
     res.status(500).json({
@@ -663,21 +3818,30 @@ app.post("/presentation/verify", async (req, res) => {
   }
 });
 
-// Get all presentations
-app.get("/presentation/list", async (req, res) => {
+// Published did:web documents
+async function sendWebDidDocument(did, res) {
   try {
-    const presentations = await agent.dataStoreORMGetVerifiablePresentations();
-    res.json({
-      success: true,
-      presentations,
-    });
+    const didDocument = did && (await getWebDidDocument(did));
+    if (!didDocument) {
+      return res.status(404).json({
+        success: false,
+        error: "DID document not found",
+      });
+    }
+    res.json(didDocument);
   } catch (error) {
     res.status(500).json({
       success: false,
       error: error.message,
     });
   }
-});
+}
+
+app.get("/.well-known/did.json", (req, res) => sendWebDidDocument(getWebDid(), res));
+
+app.get("/*path/did.json", (req, res) =>
+  sendWebDidDocument(getWebDid(req.params.path.join("/")), res)
+);
 
 // Resolve a DID Document
 app.get("/did/:did/resolve", async (req, res) => {
@@ -685,6 +3849,9 @@ app.get("/did/:did/resolve", async (req, res) => {
     const { did } = req.params;
     console.log(`Attempting to resolve DID: ${did}`);
 
+    // ?noCache=true bypasses the DID resolution cache
+    const options = { noCache: req.query.noCache === "true" };
+
     // Check if it's an ethr DID and validate network
     if (did.startsWith("did:ethr:")) {
       const parts = did.split(":");
@@ -700,7 +3867,7 @@ app.get("/did/:did/resolve", async (req, res) => {
         if (network === "skale-titan" || network === "skale") {
           try {
             // Try standard resolution first
-            const resolution = await agent.resolveDid({ didUrl: did });
+            const resolution = await agent.resolveDid({ didUrl: did, options });
             return res.json({
               success: true,
               resolution,
@@ -744,21 +3911,16 @@ app.get("/did/:did/resolve", async (req, res) => {
         }
 
         // Check if we have configuration for this network
-        const networkConfig = getNetworkConfig();
-        if (
-          network !== networkConfig.name &&
-          network !== "skale" &&
-          network !== "skale-titan"
-        ) {
+        if (!findNetwork(network)) {
           return res.status(400).json({
             success: false,
-            error: `Network '${network}' is not configured. Available networks: ${networkConfig.name}`,
+            error: `Network '${network}' is not configured. Available networks: ${Array.from(NETWORKS.keys()).join(", ")}`,
           });
         }
       }
     }
 
-    const resolution = await agent.resolveDid({ didUrl: did });
+    const resolution = await agent.resolveDid({ didUrl: did, options });
     res.json({
       success: true,
       resolution,
@@ -868,6 +4030,233 @@ app.get("/did/:did/fallback", async (req, res) => {
   }
 });
 
+// did:ethr network registry. Changes rebuild the agent's EthrDIDProvider and
+// resolver, and are written to NETWORKS_FILE when it is set.
+app.get("/admin/networks", async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      active: getNetworkConfig().name,
+      networks: Array.from(NETWORKS.values()),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Add or update a network
+app.post("/admin/networks", async (req, res) => {
+  try {
+    const { network, error } = parseNetworkConfig(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      });
+    }
+
+    for (const name of [network.name, ...network.aliases]) {
+      const other = findNetwork(name);
+      if (other && other.name !== network.name) {
+        return res.status(400).json({
+          success: false,
+          error: `'${name}' is already used by network '${other.name}'`,
+        });
+      }
+    }
+
+    const updated = NETWORKS.has(network.name);
+    NETWORKS.set(network.name, network);
+    await buildAgent();
+    DIDResolutionCache.purge();
+
+    res.json({
+      success: true,
+      network,
+      updated,
+      persisted: saveNetworks(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+app.delete("/admin/networks/:name", async (req, res) => {
+  try {
+    const { name } = req.params;
+    if (!NETWORKS.has(name)) {
+      return res.status(404).json({
+        success: false,
+        error: `Network '${name}' not found`,
+      });
+    }
+    if (name === getNetworkConfig().name) {
+      return res.status(400).json({
+        success: false,
+        error: "The active network (ETH_NETWORK) cannot be removed",
+      });
+    }
+
+    NETWORKS.delete(name);
+    await buildAgent();
+    DIDResolutionCache.purge();
+
+    res.json({
+      success: true,
+      removed: name,
+      persisted: saveNetworks(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Encrypted backup of the agent's keys and identifiers and the service's stores
+app.post("/admin/backup", async (req, res) => {
+  try {
+    const { passphrase } = req.body;
+    if (
+      typeof passphrase !== "string" ||
+      passphrase.length < MIN_BACKUP_PASSPHRASE_LENGTH
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: `passphrase must be at least ${MIN_BACKUP_PASSPHRASE_LENGTH} characters`,
+      });
+    }
+
+    const payload = await createBackupPayload();
+    const archive = await encryptBackup(payload, passphrase);
+
+    res.json({
+      success: true,
+      archive,
+      contents: summarizeBackup(payload),
+      note: "The archive holds private keys. Store it and its passphrase separately.",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Restore a backup archive, merging with or replacing the current data
+app.post("/admin/restore", async (req, res) => {
+  try {
+    const { archive, passphrase, mode = "merge" } = req.body;
+    if (!archive || typeof passphrase !== "string") {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required fields: archive, passphrase",
+      });
+    }
+    if (!["merge", "replace"].includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: "mode must be 'merge' or 'replace'",
+      });
+    }
+
+    const { payload, error } = await decryptBackup(archive, passphrase);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      });
+    }
+    const invalid = validateBackupPayload(payload);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid archive: ${invalid}`,
+      });
+    }
+
+    const { restored, skipped } = await requestLock.runExclusive(req, () =>
+      restoreBackupPayload(payload, mode)
+    );
+    DIDResolutionCache.purge();
+
+    res.json({
+      success: true,
+      mode,
+      createdAt: archive.createdAt,
+      restored,
+      skipped,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Re-encrypt the stored private keys with a new SECRET_KEY
+app.post("/admin/secret-key/rotate", async (req, res) => {
+  try {
+    const { secretKey } = req.body;
+    const invalid =
+      getSecretKeyError(secretKey) ||
+      (PUBLISHED_SECRET_KEYS.includes(secretKey.toLowerCase())
+        ? "Published default keys cannot be used. Generate a key with `openssl rand -hex 32`"
+        : null);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid,
+      });
+    }
+    if (secretKey.toLowerCase() === SECRET_KEY.toLowerCase()) {
+      return res.status(400).json({
+        success: false,
+        error: "secretKey is the current SECRET_KEY",
+      });
+    }
+
+    const reencrypted = await requestLock.runExclusive(req, () =>
+      rotateSecretKey(secretKey)
+    );
+
+    res.json({
+      success: true,
+      reencrypted,
+      note: "Set SECRET_KEY to the new key now: the server will not start with the old one. Session tokens issued so far stay valid until the next restart.",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Purge the DID resolution cache, for one DID or entirely
+app.delete(["/admin/did-cache", "/admin/did-cache/:did"], async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      purged: DIDResolutionCache.purge(req.params.did),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error("Unhandled error:", error);
@@ -894,20 +4283,67 @@ async function startServer() {
     console.log(
       `📖 API Documentation available at http://localhost:${PORT}/health`
     );
+    if (DEV_API_KEY) {
+      console.warn(
+        `⚠️  DEV_MODE: API_KEYS_FILE is not set, use the API key ${DEV_API_KEY} (every scope, until restart)`
+      );
+    }
     console.log("🔑 Available endpoints:");
     console.log("  GET  /health - Health check");
     console.log("  GET  /agent/info - Agent information");
     console.log("  GET  /network/status - Network and registry status");
+    console.log("  GET  /admin/networks - List did:ethr networks");
+    console.log("  POST /admin/networks - Add or update a did:ethr network");
+    console.log("  DELETE /admin/networks/:name - Remove a did:ethr network");
+    console.log("  POST /admin/backup - Export an encrypted backup archive");
+    console.log("  POST /admin/restore - Restore a backup archive");
+    console.log("  POST /admin/secret-key/rotate - Re-encrypt private keys with a new SECRET_KEY");
+    console.log("  DELETE /admin/did-cache[/:did] - Purge DID resolution cache");
+    console.log("  GET  /auth/siwe/nonce - Nonce for Sign-In With Ethereum");
+    console.log("  POST /auth/siwe/verify - Verify SIWE message, get session token");
     console.log("  POST /did/create - Create new DID");
     console.log("  GET  /did/list - List all DIDs");
     console.log("  GET  /did/:did - Get specific DID");
     console.log("  GET  /did/:did/resolve - Resolve DID document");
+    console.log("  GET  /did/:did/keys - List DID keys and delegates");
+    console.log("  POST /did/:did/keys - Add a key or did:ethr delegate");
+    console.log("  DELETE /did/:did/keys/:kid - Remove a key or revoke a delegate");
+    console.log("  GET  /did/:did/services - List DID service endpoints");
+    console.log("  POST /did/:did/services - Add a service endpoint");
+    console.log("  DELETE /did/:did/services/:id - Remove a service endpoint");
+    console.log("  POST /did/:did/rotate - Rotate a DID key and retire the old one");
+    console.log("  POST /did/:did/meta-tx - Prepare a relayed ERC1056 change for the owner to sign");
+    console.log("  POST /did/:did/meta-tx/:id/submit - Relay a signed ERC1056 change");
+    console.log("  GET  /did/:did/meta-tx/:id - Relayed transaction status");
+    console.log("  GET  /1.0/identifiers/:didUrl - W3C DID Resolution (Universal Resolver)");
+    console.log("  GET  /.well-known/did.json - did:web document of this service");
+    console.log("  GET  /:path/did.json - Path-based did:web documents");
     console.log("  POST /credential/create - Create verifiable credential");
+    console.log("  POST /credential/batch-create - Create many credentials from one issuer");
     console.log("  POST /credential/verify - Verify verifiable credential");
+    console.log("  POST /credential/verify-batch - Verify many credentials");
     console.log("  GET  /credential/list - List all credentials");
+    console.log("  GET  /credential/:hash, DELETE /credential/:hash - Get or delete a credential");
+    console.log("  GET  /holder/:did/credentials - Export a holder's credentials");
+    console.log("  POST /credential/revoke - Revoke a credential");
+    console.log("  POST /credential/suspend - Suspend a credential");
+    console.log("  POST /credential/reinstate - Reinstate a suspended credential");
+    console.log("  GET  /status/:listId - Status list credential");
+    console.log("  POST /schema - Register credential schema");
+    console.log("  GET  /schema - List credential schemas");
+    console.log("  GET  /schema/:id - Get credential schema");
     console.log("  POST /presentation/create - Create verifiable presentation");
+    console.log("  POST /presentation/prepare - Prepare presentation for wallet signing");
+    console.log("  POST /presentation/challenge - Issue a single-use presentation challenge");
     console.log("  POST /presentation/verify - Verify verifiable presentation");
+    console.log("  POST /presentation/verify-batch - Verify many presentations");
+    console.log("  POST /sdr/create - Create selective disclosure request");
+    console.log("  POST /sdr/validate - Validate presentation against SDR");
+    console.log("  POST /didcomm/send - Send DIDComm v2 message");
+    console.log("  POST /didcomm - DIDComm v2 inbox");
+    console.log("  GET  /messages - Query received and sent messages");
     console.log("  GET  /presentation/list - List all presentations");
+    console.log("  GET  /presentation/:hash, DELETE /presentation/:hash - Get or delete a presentation");
   });
 }
 
@@ -0,0 +1,193 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "events";
+import express from "express";
+import { mkdtempSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+    API_SCOPES,
+    canSignAs,
+    createAuth,
+    getAllowedIssuers,
+    hashApiKey,
+    loadApiKeys,
+    requireIssuer,
+    requireOwnerSession,
+    requireScope,
+} from "../lib/auth.js";
+
+const ADDRESS = "0x1111111111111111111111111111111111111111";
+const WALLET_DID = `did:ethr:sepolia:${ADDRESS}`;
+
+function writeApiKeysFile(entries) {
+    const file = join(mkdtempSync(join(tmpdir(), "api-keys-")), "api-keys.json");
+    writeFileSync(file, JSON.stringify(entries));
+    return file;
+}
+
+// Run a middleware and report whether it called next() or the response it sent
+function run(middleware, req) {
+    let response = null;
+    const res = {
+        status(status) {
+            return { json: (body) => (response = { status, body }) };
+        },
+    };
+    let passed = false;
+    middleware(req, res, () => (passed = true));
+    return passed ? "next" : response;
+}
+
+test("the servers do not start without API_KEYS_FILE outside DEV_MODE", () => {
+    assert.throws(() => loadApiKeys(undefined), /API_KEYS_FILE is not set/);
+
+    const { apiKeys, devKey } = loadApiKeys(undefined, { devMode: true });
+    assert.match(devKey, /^vbk_[0-9a-f]{48}$/);
+    assert.deepEqual(apiKeys.get(hashApiKey(devKey)).scopes, API_SCOPES);
+    assert.notEqual(loadApiKeys(undefined, { devMode: true }).devKey, devKey);
+});
+
+test("API keys files are checked for hashes and known scopes", () => {
+    assert.throws(
+        () => loadApiKeys(writeApiKeysFile([{ name: "a", keyHash: "abc" }])),
+        /needs a SHA-256 keyHash/
+    );
+    assert.throws(
+        () =>
+            loadApiKeys(
+                writeApiKeysFile([
+                    { name: "a", keyHash: hashApiKey("vbk_a"), scopes: ["root"] },
+                ])
+            ),
+        /unknown scopes: root/
+    );
+});
+
+test("requests need an API key with the route's scope", () => {
+    const file = writeApiKeysFile([
+        {
+            name: "reader",
+            keyHash: hashApiKey("vbk_reader").toUpperCase(),
+            scopes: ["credential:read"],
+            issuers: ["did:key:z6MkIssuer"],
+        },
+    ]);
+    const { apiKeys } = loadApiKeys(file);
+    const { authenticateApiKey } = createAuth({ apiKeys, secretKey: "secret" });
+
+    const anonymous = { headers: {} };
+    assert.equal(run(authenticateApiKey, anonymous), "next");
+    assert.equal(run(requireScope("admin"), anonymous).status, 401);
+    assert.equal(run(requireScope("credential:read"), anonymous).status, 401);
+
+    assert.equal(
+        run(authenticateApiKey, { headers: { "x-api-key": "vbk_unknown" } }).status,
+        401
+    );
+
+    const reader = { headers: { authorization: "Bearer vbk_reader" } };
+    assert.equal(run(authenticateApiKey, reader), "next");
+    assert.equal(reader.apiKey.name, "reader");
+    assert.equal(run(requireScope("credential:read"), reader), "next");
+    assert.equal(run(requireScope("admin"), reader).status, 403);
+});
+
+test("without an API key or session no issuer is allowed", () => {
+    const anonymous = { headers: {}, body: { issuerDid: "did:key:z6MkIssuer" } };
+    assert.equal(canSignAs(anonymous, "did:key:z6MkIssuer"), false);
+    assert.deepEqual(getAllowedIssuers(anonymous), []);
+
+    const apiKey = { name: "issuer", scopes: [], issuers: ["did:key:z6MkIssuer"] };
+    const req = { ...anonymous, apiKey };
+    assert.equal(canSignAs(req, "did:key:z6MkIssuer"), true);
+    assert.equal(canSignAs(req, "did:key:z6MkOther"), false);
+    assert.deepEqual(getAllowedIssuers(req), ["did:key:z6MkIssuer"]);
+    assert.equal(run(requireIssuer((req) => req.body.issuerDid), req), "next");
+    assert.equal(run(requireIssuer(() => "did:key:z6MkOther"), req).status, 403);
+    assert.equal(getAllowedIssuers({ apiKey: { ...apiKey, issuers: ["*"] } }), null);
+});
+
+test("SIWE sessions only act on their own wallet DID", () => {
+    const { signSessionToken, authenticateSession, requireDidOwner } = createAuth({
+        apiKeys: new Map(),
+        secretKey: "secret",
+        requireSiweSession: true,
+    });
+    const token = signSessionToken({
+        sub: WALLET_DID,
+        address: ADDRESS,
+        chainId: 11155111,
+        exp: Math.floor(Date.now() / 1000) + 60,
+    });
+
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    assert.equal(run(authenticateSession, req), "next");
+    assert.equal(req.session.did, WALLET_DID);
+    assert.equal(canSignAs(req, `did:ethr:${ADDRESS}`), true);
+    assert.equal(canSignAs(req, "did:key:z6MkIssuer"), false);
+    const ownerOf = (did) => (req, res, next) => requireDidOwner(req, res, did) && next();
+    assert.equal(run(ownerOf(WALLET_DID), req), "next");
+    assert.equal(run(ownerOf(`did:ethr:0x${"2".repeat(40)}`), req).status, 403);
+    assert.equal(run(ownerOf(WALLET_DID), { headers: {} }).status, 401);
+
+    const forged = `${token.slice(0, -2)}xx`;
+    assert.equal(
+        run(authenticateSession, { headers: { authorization: `Bearer ${forged}` } }).status,
+        401
+    );
+    const other = createAuth({ apiKeys: new Map(), secretKey: "other" });
+    assert.equal(
+        run(other.authenticateSession, { headers: { authorization: `Bearer ${token}` } }).status,
+        401
+    );
+});
+
+test("owner-only routes need the DID's own session, not an API key", () => {
+    const requireOwner = requireOwnerSession((req) => req.params.did);
+    const session = { did: WALLET_DID, address: ADDRESS };
+    const params = { did: WALLET_DID };
+    const apiKey = { name: "admin", scopes: API_SCOPES, issuers: ["*"] };
+
+    assert.equal(run(requireOwner, { params, session }), "next");
+    assert.equal(run(requireOwner, { params, apiKey }).status, 401);
+    assert.equal(
+        run(requireOwner, { params: { did: `did:ethr:sepolia:0x${"2".repeat(40)}` }, session })
+            .status,
+        403
+    );
+});
+
+test("admin routes are refused without an API key with the admin scope", async () => {
+    const file = writeApiKeysFile([
+        { name: "issuer", keyHash: hashApiKey("vbk_issuer"), scopes: ["credential:issue"] },
+        { name: "operator", keyHash: hashApiKey("vbk_operator"), scopes: ["admin"] },
+    ]);
+    const { authenticateApiKey, authenticateSession } = createAuth({
+        apiKeys: loadApiKeys(file).apiKeys,
+        secretKey: "secret",
+    });
+    // Wired like the servers: authentication, then the scope of each route prefix
+    const app = express();
+    app.use(authenticateApiKey);
+    app.use(authenticateSession);
+    app.use("/admin", requireScope("admin"));
+    app.post(["/admin/backup", "/admin/restore"], (req, res) => res.json({ success: true }));
+
+    const server = app.listen(0);
+    await once(server, "listening");
+    try {
+        const post = (path, headers = {}) =>
+            fetch(`http://localhost:${server.address().port}${path}`, {
+                method: "POST",
+                headers,
+            }).then((response) => response.status);
+
+        assert.equal(await post("/admin/backup"), 401);
+        assert.equal(await post("/admin/restore", { "X-API-Key": "vbk_issuer" }), 403);
+        assert.equal(await post("/admin/restore", { "X-API-Key": "vbk_forged" }), 401);
+        assert.equal(await post("/admin/backup", { "X-API-Key": "vbk_operator" }), 200);
+    } finally {
+        server.close();
+    }
+});
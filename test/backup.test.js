@@ -0,0 +1,244 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { randomBytes } from "crypto";
+import { EventEmitter } from "events";
+import { DataSource } from "typeorm";
+import { DIDStore, Entities, KeyStore, PrivateKeyStore } from "@veramo/data-store";
+import { SecretBox } from "@veramo/kms-local";
+import {
+    clearAgentStores,
+    clearServiceStores,
+    createRequestLock,
+    createRestoreCounts,
+    decryptBackup,
+    encryptBackup,
+    exportAgentStores,
+    exportServiceStores,
+    importAgentStores,
+    importServiceStores,
+    summarizeBackup,
+    validateBackupPayload,
+} from "../lib/backup.js";
+import { createChallengeStore } from "../lib/challenges.js";
+import { getStatusBit, setStatusBit } from "../lib/status-list.js";
+
+const PASSPHRASE = "correct horse battery staple";
+const DID = "did:key:z6MkBackup";
+let dbConnection;
+let agentStores;
+
+// Map-backed stores with the methods the servers' stores have
+function createMapStore(getName, saveName, listName) {
+    const entries = new Map();
+    return {
+        entries,
+        [getName]: async (id) => entries.get(id) || null,
+        [saveName]: async (entry) => entries.set(entry.id, entry) && entry,
+        [listName]: async () => Array.from(entries.values()),
+        clear: async () => entries.clear(),
+    };
+}
+
+const serviceStores = {
+    statusLists: createMapStore("getList", "saveList", "listLists"),
+    schemas: createMapStore("getSchema", "saveSchema", "listSchemas"),
+    metaTransactions: createMapStore("get", "save", "listTransactions"),
+    challenges: createChallengeStore(() => dbConnection),
+};
+
+before(async () => {
+    dbConnection = await new DataSource({
+        type: "sqlite",
+        database: ":memory:",
+        synchronize: true,
+        entities: Entities,
+    }).initialize();
+    agentStores = {
+        keyStore: new KeyStore(dbConnection),
+        didStore: new DIDStore(dbConnection),
+        privateKeyStore: new PrivateKeyStore(
+            dbConnection,
+            new SecretBox(randomBytes(32).toString("hex"))
+        ),
+    };
+    await serviceStores.challenges.init();
+
+    const kid = "04".padEnd(130, "a");
+    await agentStores.privateKeyStore.importKey({
+        alias: kid,
+        type: "Secp256k1",
+        privateKeyHex: "b".repeat(64),
+    });
+    await agentStores.keyStore.importKey({ kid, kms: "local", type: "Secp256k1", publicKeyHex: kid });
+    await agentStores.didStore.importDID({
+        did: DID,
+        provider: "did:key",
+        keys: [{ kid, kms: "local", type: "Secp256k1", publicKeyHex: kid }],
+        services: [],
+    });
+
+    const bits = Buffer.alloc(16);
+    setStatusBit(bits, 5, 1);
+    await serviceStores.statusLists.saveList({
+        id: "revocation-1",
+        issuer: DID,
+        purpose: "revocation",
+        size: 128,
+        nextIndex: 6,
+        bits,
+        credential: null,
+    });
+    await serviceStores.schemas.saveSchema({
+        id: "person-1",
+        name: "Person",
+        version: "1.0",
+        schema: { type: "object" },
+        createdAt: "2024-01-01T00:00:00.000Z",
+    });
+    await serviceStores.metaTransactions.save({
+        id: "tx-1",
+        did: `did:ethr:sepolia:0x${"1".repeat(40)}`,
+        action: "setAttribute",
+        status: "mined",
+    });
+    await serviceStores.challenges.create({
+        challenge: "used-challenge",
+        purpose: "presentation",
+        domain: "verifier.example",
+        createdAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + 60000).toISOString(),
+        usedAt: new Date().toISOString(),
+    });
+});
+
+after(() => dbConnection.destroy());
+
+async function createPayload() {
+    return {
+        ...(await exportAgentStores(agentStores)),
+        credentials: [],
+        presentations: [],
+        ...(await exportServiceStores(serviceStores)),
+    };
+}
+
+test("archives decrypt with their passphrase only", async () => {
+    const payload = JSON.parse(JSON.stringify(await createPayload()));
+    const archive = await encryptBackup(payload, PASSPHRASE);
+    assert.deepEqual(await decryptBackup(archive, PASSPHRASE), { payload });
+
+    assert.match((await decryptBackup(archive, "wrong passphrase")).error, /could not be decrypted/);
+    const tampered = { ...archive, createdAt: "2000-01-01T00:00:00.000Z" };
+    assert.match((await decryptBackup(tampered, PASSPHRASE)).error, /could not be decrypted/);
+});
+
+test("a replace restore brings back keys, DIDs, status lists, schemas, meta-transactions and challenges", async () => {
+    const payload = JSON.parse(JSON.stringify(await createPayload()));
+    assert.equal(validateBackupPayload(payload), null);
+    assert.deepEqual(summarizeBackup(payload), {
+        keys: 1,
+        identifiers: 1,
+        credentials: 0,
+        presentations: 0,
+        statusLists: 1,
+        schemas: 1,
+        metaTransactions: 1,
+        challenges: 1,
+    });
+
+    await clearAgentStores(agentStores);
+    await clearServiceStores(serviceStores);
+    assert.equal((await agentStores.keyStore.listKeys()).length, 0);
+    assert.equal(await serviceStores.statusLists.getList("revocation-1"), null);
+
+    const counts = createRestoreCounts();
+    await importAgentStores(agentStores, payload, counts);
+    await importServiceStores(serviceStores, payload, counts);
+    assert.deepEqual(counts.restored, summarizeBackup(payload));
+
+    const { privateKeyHex } = await agentStores.privateKeyStore.getKey({ alias: payload.keys[0].kid });
+    assert.equal(privateKeyHex, "b".repeat(64));
+    assert.equal((await agentStores.didStore.getDID({ did: DID })).keys.length, 1);
+    const list = await serviceStores.statusLists.getList("revocation-1");
+    assert.equal(getStatusBit(list.bits, 5), 1);
+    assert.equal(getStatusBit(list.bits, 4), 0);
+    assert.equal(list.nextIndex, 6);
+    const challenge = await serviceStores.challenges.get("used-challenge", "presentation");
+    assert.ok(challenge.usedAt);
+
+    // Merging the same archive again skips everything
+    const merged = createRestoreCounts();
+    await importAgentStores(agentStores, payload, merged);
+    await importServiceStores(serviceStores, payload, merged);
+    assert.deepEqual(merged.skipped, summarizeBackup(payload));
+});
+
+test("a restore that fails inside its transaction leaves the stores as they were", async () => {
+    const payload = await createPayload();
+    await assert.rejects(
+        dbConnection.transaction(async () => {
+            await clearAgentStores(agentStores);
+            await serviceStores.challenges.clear();
+            throw new Error("disk full");
+        }),
+        /disk full/
+    );
+    assert.deepEqual(await exportAgentStores(agentStores), {
+        keys: payload.keys,
+        privateKeys: payload.privateKeys,
+        identifiers: payload.identifiers,
+    });
+    assert.ok(await serviceStores.challenges.get("used-challenge", "presentation"));
+});
+
+test("archives without the newer sections are still accepted", async () => {
+    const { statusLists, schemas, metaTransactions, challenges, ...payload } = await createPayload();
+    assert.ok(statusLists && schemas && metaTransactions && challenges);
+    assert.equal(validateBackupPayload(payload), null);
+
+    assert.match(
+        validateBackupPayload({ ...payload, statusLists: [{ id: "list", issuer: DID }] }),
+        /Invalid status list 'list'/
+    );
+    assert.match(validateBackupPayload({ ...payload, challenges: null }), /missing challenges/);
+});
+
+test("exclusive tasks wait for requests in progress and hold new ones back", async () => {
+    const { middleware, runExclusive } = createRequestLock();
+    const events = [];
+    // Pass a request through the middleware; returns its response, closed to end it
+    const enter = (name) => {
+        const req = {};
+        const res = new EventEmitter();
+        middleware(req, res, () => events.push(`${name} started`));
+        return { req, res };
+    };
+    const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+    const running = enter("write");
+    const restore = enter("restore");
+    const restored = runExclusive(restore.req, async () => {
+        events.push("restore ran");
+        await tick();
+        events.push("restore done");
+    });
+    await tick();
+    const held = enter("held");
+    await tick();
+    assert.deepEqual(events, ["write started", "restore started"]);
+
+    running.res.emit("close");
+    await restored;
+    await tick();
+    assert.deepEqual(events.slice(2), ["restore ran", "restore done", "held started"]);
+
+    // A failed task lets requests through as well
+    await assert.rejects(
+        runExclusive(held.req, async () => {
+            throw new Error("bad archive");
+        }),
+        /bad archive/
+    );
+    enter("after");
+    assert.equal(events.at(-1), "after started");
+});
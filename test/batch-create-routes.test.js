@@ -0,0 +1,125 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers/server.js";
+
+const COURSE_SCHEMA = {
+    type: "object",
+    required: ["course", "grade"],
+    properties: { course: { type: "string" }, grade: { type: "string" } },
+};
+
+for (const [script, storedId] of [
+    ["server.js", "hash"],
+    ["server-decentralized.js", "credentialId"],
+]) {
+    test(`${script} issues a batch of credentials with a result per item`, async (t) => {
+        const server = await startServer(script, {
+            MAX_CREDENTIAL_BATCH_SIZE: "8",
+            CREDENTIAL_BATCH_CONCURRENCY: "2",
+        });
+        t.after(() => server.stop());
+
+        const createDid = async () =>
+            (await server.request("POST", "/did/create", { provider: "did:key" })).body
+                .identifier.did;
+        const issuerDid = await createDid();
+        const subjects = [await createDid(), await createDid()];
+        const { body: registered } = await server.request("POST", "/schema", {
+            name: "CourseCompletion",
+            schema: COURSE_SCHEMA,
+        });
+        const batchCreate = (body) => server.request("POST", "/credential/batch-create", body);
+
+        assert.equal((await batchCreate({ issuerDid, credentials: [] })).status, 400);
+        const tooLarge = await batchCreate({ issuerDid, credentials: new Array(9).fill({}) });
+        assert.equal(tooLarge.status, 400);
+        assert.match(tooLarge.body.error, /at most 8/);
+        const unknownIssuer = await batchCreate({
+            issuerDid: "did:key:z6MkhaXgBZDvotDkL5257faiztiGiC2QtKLGpbnnEGta2doK",
+            credentials: [{ subjectDid: subjects[0], credentialSubject: { course: "Go" } }],
+        });
+        assert.equal(unknownIssuer.body.success, false);
+
+        // The top-level fields are defaults that items can override
+        const { body: batch } = await batchCreate({
+            issuerDid,
+            type: ["VerifiableCredential", "CourseCompletionCredential"],
+            schemaId: registered.schema.id,
+            credentials: [
+                {
+                    subjectDid: subjects[0],
+                    credentialSubject: { course: "Solidity 101", grade: "A" },
+                },
+                { subjectDid: subjects[1], credentialSubject: { course: "Solidity 101" } },
+                42,
+                {
+                    issuerDid: subjects[0],
+                    credentialSubject: { course: "Solidity 101", grade: "B" },
+                },
+                {
+                    subjectDid: subjects[1],
+                    credentialSubject: { course: "Solidity 101", grade: "B" },
+                    proofFormat: "lds",
+                },
+                {
+                    subjectDid: subjects[1],
+                    credentialSubject: { course: "Solidity 101", grade: "C" },
+                    proofFormat: "ldp_vc",
+                },
+            ],
+        });
+        assert.equal(batch.success, true);
+        assert.equal(batch.issuerDid, issuerDid);
+        assert.deepEqual(
+            batch.results.map(({ index, success }) => [index, success]),
+            [
+                [0, true],
+                [1, false],
+                [2, false],
+                [3, false],
+                [4, true],
+                [5, false],
+            ]
+        );
+        assert.equal(batch.issued, 2);
+        assert.equal(batch.failed, 4);
+
+        const [first, mismatch, notObject, otherIssuer, ld, unsupported] = batch.results;
+        assert.deepEqual(first.credential.type, [
+            "VerifiableCredential",
+            "CourseCompletionCredential",
+        ]);
+        assert.equal(first.credential.credentialSubject.id, subjects[0]);
+        assert.equal(first.credential.credentialSchema.id, registered.schema.url);
+        assert.equal(ld.credential.proof.type, "Ed25519Signature2018");
+        assert.deepEqual(mismatch.error, {
+            code: "schema_mismatch",
+            message: "credentialSubject does not match the schema",
+            schemaErrors: ["credentialSubject must have required property 'grade'"],
+        });
+        assert.equal(notObject.error.code, "invalid_request");
+        assert.equal(otherIssuer.error.code, "invalid_request");
+        assert.match(otherIssuer.error.message, /issuerDid/);
+        assert.equal(unsupported.error.code, "invalid_request");
+        assert.match(unsupported.error.message, /Unsupported proofFormat/);
+
+        // Issued credentials are stored and have status list entries of their own
+        for (const { [storedId]: id, credential } of [first, ld]) {
+            const stored = await server.request("GET", `/credential/${id}`);
+            assert.equal(stored.status, 200);
+            assert.deepEqual(stored.body.credential, credential);
+        }
+        const revocationIndex = (credential) =>
+            [credential.credentialStatus]
+                .flat()
+                .find((entry) => entry.statusPurpose === "revocation").statusListIndex;
+        assert.notEqual(revocationIndex(first.credential), revocationIndex(ld.credential));
+
+        await server.request("POST", "/credential/revoke", { credential: first.credential });
+        const verify = async (credential) =>
+            (await server.request("POST", "/credential/verify", { credential })).body
+                .verification.verified;
+        assert.equal(await verify(first.credential), false);
+        assert.equal(await verify(ld.credential), true);
+    });
+}
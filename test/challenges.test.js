@@ -0,0 +1,111 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { DataSource } from "typeorm";
+import { createChallengeStore, createPresentationVerifier } from "../lib/challenges.js";
+
+const DOMAIN = "verifier.example";
+let dbConnection;
+const store = createChallengeStore(() => dbConnection);
+
+before(async () => {
+    dbConnection = await new DataSource({ type: "sqlite", database: ":memory:" }).initialize();
+    await store.init();
+});
+
+after(() => dbConnection.destroy());
+
+async function issueChallenge(challenge, { purpose = "presentation", ttlSeconds = 60 } = {}) {
+    const now = Date.now();
+    return store.create({
+        challenge,
+        purpose,
+        domain: DOMAIN,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + ttlSeconds * 1000).toISOString(),
+    });
+}
+
+// Presentation verifier whose proofs are valid when they carry the challenge
+function createTestVerifier(options = {}) {
+    return createPresentationVerifier({
+        store,
+        verifyPresentationProof: async (presentation, { challenge }) => ({
+            verified: presentation.proof.challenge === challenge,
+        }),
+        getProofFormat: () => "lds",
+        ...options,
+    });
+}
+
+const presentationFor = (challenge, domain = DOMAIN) => ({
+    holder: "did:key:z6MkHolder",
+    proof: { type: "Ed25519Signature2020", challenge, domain },
+});
+
+test("a presentation cannot be replayed once its challenge is used", async () => {
+    const { verifyPresentationRequest } = createTestVerifier();
+    await issueChallenge("replay");
+
+    const first = await verifyPresentationRequest({ presentation: presentationFor("replay") });
+    assert.equal(first.verification.verified, true);
+
+    const second = await verifyPresentationRequest({ presentation: presentationFor("replay") });
+    assert.equal(second.verification.verified, false);
+    assert.equal(second.verification.error.errorCode, "challenge_reused");
+});
+
+test("concurrent verifications of one presentation succeed only once", async () => {
+    const { verifyPresentationRequest } = createTestVerifier();
+    await issueChallenge("concurrent");
+
+    const results = await Promise.all(
+        Array.from({ length: 5 }, () =>
+            verifyPresentationRequest({ presentation: presentationFor("concurrent") })
+        )
+    );
+    assert.equal(results.filter((result) => result.verification.verified).length, 1);
+});
+
+test("unknown, expired and rebound challenges are rejected", async () => {
+    const { verifyPresentationRequest } = createTestVerifier();
+    const errorCode = async (request) =>
+        (await verifyPresentationRequest(request)).verification.error?.errorCode;
+
+    assert.equal(await errorCode({ presentation: presentationFor(undefined) }), "missing_challenge");
+    assert.equal(await errorCode({ presentation: presentationFor("never-issued") }), "unknown_challenge");
+
+    await issueChallenge("expired", { ttlSeconds: -1 });
+    assert.equal(await errorCode({ presentation: presentationFor("expired") }), "challenge_expired");
+
+    await issueChallenge("domain");
+    assert.equal(
+        await errorCode({ presentation: presentationFor("domain", "evil.example") }),
+        "domain_mismatch"
+    );
+    // A failed check does not burn the challenge
+    assert.equal(await errorCode({ presentation: presentationFor("domain") }), undefined);
+});
+
+test("SIWE nonces and presentation challenges are not interchangeable", async () => {
+    const { verifyPresentationRequest } = createTestVerifier();
+    await issueChallenge("nonce", { purpose: "siwe" });
+
+    const result = await verifyPresentationRequest({ presentation: presentationFor("nonce") });
+    assert.equal(result.verification.error.errorCode, "unknown_challenge");
+    assert.equal((await store.get("nonce", "siwe")).usedAt, null);
+
+    await issueChallenge("challenge");
+    assert.equal(await store.get("challenge", "siwe"), null);
+    assert.equal(await store.consume("challenge", "siwe"), false);
+    assert.equal(await store.consume("nonce", "siwe"), true);
+    assert.equal(await store.consume("nonce", "siwe"), false);
+});
+
+test("presentations without a challenge pass when challenges are optional", async () => {
+    const { verifyPresentationRequest } = createTestVerifier({
+        requireChallenge: false,
+        verifyPresentationProof: async () => ({ verified: true }),
+    });
+    const result = await verifyPresentationRequest({ presentation: presentationFor(undefined) });
+    assert.equal(result.verification.verified, true);
+});
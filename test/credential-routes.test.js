@@ -0,0 +1,59 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers/server.js";
+
+let server;
+let issuerDid;
+
+before(async () => {
+    server = await startServer("server.js");
+    const { body } = await server.request("POST", "/did/create", { provider: "did:key" });
+    issuerDid = body.identifier.did;
+});
+
+after(() => server.stop());
+
+test("credentials from /credential/create can be fetched and deleted by hash", async () => {
+    const created = await server.request("POST", "/credential/create", {
+        issuerDid,
+        subjectDid: issuerDid,
+        credentialSubject: { name: "Alice" },
+    });
+    assert.equal(created.status, 200);
+    assert.ok(created.body.hash);
+
+    const fetched = await server.request("GET", `/credential/${created.body.hash}`);
+    assert.equal(fetched.status, 200);
+    assert.equal(fetched.body.credential.proof.jwt, created.body.credential.proof.jwt);
+
+    const exported = await server.request("GET", `/holder/${issuerDid}/credentials`);
+    assert.deepEqual(
+        exported.body.credentials.map(({ hash }) => hash),
+        [created.body.hash]
+    );
+
+    const deleted = await server.request("DELETE", `/credential/${created.body.hash}`);
+    assert.deepEqual(deleted.body, { success: true, hash: created.body.hash, deleted: true });
+    assert.equal((await server.request("GET", `/credential/${created.body.hash}`)).status, 404);
+});
+
+test("presentations from /presentation/create can be fetched and deleted by hash", async () => {
+    const { body: issued } = await server.request("POST", "/credential/create", {
+        issuerDid,
+        subjectDid: issuerDid,
+        credentialSubject: { name: "Alice" },
+    });
+    const created = await server.request("POST", "/presentation/create", {
+        holderDid: issuerDid,
+        verifiableCredentials: [issued.credential],
+    });
+    assert.equal(created.status, 200);
+    assert.ok(created.body.hash);
+
+    const fetched = await server.request("GET", `/presentation/${created.body.hash}`);
+    assert.equal(fetched.status, 200);
+    assert.equal(fetched.body.presentation.holder, issuerDid);
+
+    assert.equal((await server.request("DELETE", `/presentation/${created.body.hash}`)).status, 200);
+    assert.equal((await server.request("GET", `/presentation/${created.body.hash}`)).status, 404);
+});
@@ -0,0 +1,130 @@
+// Relayed meta-transactions against a local dev chain. Runs when DEV_CHAIN_RPC_URL
+// points at one (Anvil or Ganache, see DID_ETHR_GUIDE.md); RELAYER_PRIVATE_KEY
+// defaults to Anvil's first funded account.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ContractFactory, JsonRpcProvider, Wallet } from "ethers";
+import { Resolver } from "did-resolver";
+import { EthereumDIDRegistry, getResolver as ethrDidResolver } from "ethr-did-resolver";
+
+const DEV_CHAIN_RPC_URL = process.env.DEV_CHAIN_RPC_URL;
+const ANVIL_PRIVATE_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+
+// Map-backed store with the methods the servers' MetaTxStore has
+function createStore() {
+    const entries = new Map();
+    return {
+        entries,
+        save: async (entry) => entries.set(entry.id, entry) && entry,
+        countSince: async () => ({ count: 0, oldest: null }),
+        claim: async (id) => {
+            if (entries.get(id)?.status !== "prepared") {
+                return false;
+            }
+            entries.set(id, { ...entries.get(id), status: "submitting" });
+            return true;
+        },
+    };
+}
+
+test(
+    "wallet DIDs without gas change their document through the relayer",
+    { skip: !DEV_CHAIN_RPC_URL && "DEV_CHAIN_RPC_URL is not set" },
+    async () => {
+        process.env.RELAYER_PRIVATE_KEY ||= ANVIL_PRIVATE_KEY;
+        // Imported once RELAYER_PRIVATE_KEY is set, since lib/meta-tx.js reads it on load
+        const { createMetaTxRelayer } = await import("../lib/meta-tx.js");
+        const { loadNetworks } = await import("../lib/networks.js");
+
+        const provider = new JsonRpcProvider(DEV_CHAIN_RPC_URL);
+        try {
+            const { chainId } = await provider.getNetwork();
+            const deployer = new Wallet(process.env.RELAYER_PRIVATE_KEY, provider);
+            const contract = await new ContractFactory(
+                EthereumDIDRegistry.abi,
+                EthereumDIDRegistry.bytecode,
+                deployer
+            ).deploy();
+            await contract.waitForDeployment();
+            const registry = await contract.getAddress();
+
+            const network = {
+                name: "dev",
+                chainId: Number(chainId),
+                rpcUrls: [DEV_CHAIN_RPC_URL],
+                registry,
+            };
+            loadNetworks([network]);
+            const resolver = new Resolver(
+                ethrDidResolver({ networks: [{ ...network, rpcUrl: DEV_CHAIN_RPC_URL }] })
+            );
+
+            // The owner never holds gas, it only signs the hashes
+            const owner = Wallet.createRandom();
+            const newOwner = Wallet.createRandom();
+            const did = `did:ethr:dev:${owner.address}`;
+            assert.equal(await provider.getBalance(owner.address), 0n);
+
+            const store = createStore();
+            const receipts = [];
+            const { prepareMetaTransaction, submitMetaTransaction } = createMetaTxRelayer({
+                store,
+                getEthrNetwork: () => ({ name: "dev", provider, registry }),
+                onReceipt: (entry) => receipts.shift()?.(entry),
+            });
+
+            // Prepare, sign and submit a change, and wait until it is mined
+            async function relay(action, params, signer) {
+                const entry = await prepareMetaTransaction(did, { action, params });
+                assert.equal(entry.signer.toLowerCase(), signer.address.toLowerCase());
+                const received = new Promise((resolve) => receipts.push(resolve));
+                await submitMetaTransaction(entry, signer.signingKey.sign(entry.hash));
+                await received;
+                return store.entries.get(entry.id);
+            }
+
+            const service = await relay(
+                "setAttribute",
+                { name: "did/svc/LinkedDomains", value: "https://example.com", validity: 3600 },
+                owner
+            );
+            assert.equal(service.status, "mined");
+            assert.ok(service.blockNumber);
+            const { didDocument } = await resolver.resolve(did);
+            assert.equal(didDocument.service[0].serviceEndpoint, "https://example.com");
+
+            const changed = await relay("changeOwner", { newOwner: newOwner.address }, owner);
+            assert.equal(changed.status, "mined");
+            const owned = await resolver.resolve(did);
+            assert.match(
+                owned.didDocument.verificationMethod[0].blockchainAccountId,
+                new RegExp(newOwner.address, "i")
+            );
+
+            // Later changes are prepared for, and signed by, the new owner
+            const delegate = Wallet.createRandom().address;
+            const added = await relay(
+                "addDelegate",
+                { delegateType: "veriKey", delegate, validity: 3600 },
+                newOwner
+            );
+            assert.equal(added.status, "mined");
+            const delegated = await resolver.resolve(did);
+            assert.ok(
+                delegated.didDocument.verificationMethod.some((method) =>
+                    method.blockchainAccountId?.toLowerCase().endsWith(delegate.toLowerCase())
+                )
+            );
+
+            // A signature of the previous owner reverts, and the entry is marked failed
+            const stale = await prepareMetaTransaction(did, {
+                action: "changeOwner",
+                params: { newOwner: owner.address },
+            });
+            await assert.rejects(submitMetaTransaction(stale, owner.signingKey.sign(stale.hash)));
+            assert.equal(store.entries.get(stale.id).status, "failed");
+        } finally {
+            provider.destroy();
+        }
+    }
+);
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { startServer } from "./helpers/server.js";
+
+// did:ethr network whose RPC URL nothing listens on, so its DIDs fail to resolve
+const UNREACHABLE_NETWORK = {
+    name: "dev",
+    chainId: 31337,
+    rpcUrls: ["http://127.0.0.1:9"],
+    registry: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+};
+const UNREACHABLE_DID = "did:ethr:dev:0x8ba1f109551bD432803012645Ac136ddd64DBA72";
+
+for (const script of ["server.js", "server-decentralized.js"]) {
+    test(`${script} caches DID resolution and purges the cache on request`, async (t) => {
+        const networksFile = join(mkdtempSync(join(tmpdir(), "networks-")), "networks.json");
+        writeFileSync(networksFile, JSON.stringify([UNREACHABLE_NETWORK]));
+        const server = await startServer(script, { NETWORKS_FILE: networksFile });
+        t.after(() => server.stop());
+
+        const resolve = async (did, query = "") =>
+            (await server.request("GET", `/did/${did}/resolve${query}`)).body.resolution
+                .didResolutionMetadata;
+
+        const { body: created } = await server.request("POST", "/did/create", {
+            provider: "did:key",
+        });
+        const did = created.identifier.did;
+
+        assert.equal((await resolve(did)).cacheHit, false);
+        const cached = await resolve(did);
+        assert.equal(cached.cacheHit, true);
+        assert.ok(Date.parse(cached.cachedAt));
+
+        // noCache resolves again and the fresh result replaces the cached one
+        assert.equal((await resolve(did, "?noCache=true")).cacheHit, false);
+        assert.equal((await resolve(did)).cacheHit, true);
+
+        // Failed resolutions are cached too
+        const failed = await resolve(UNREACHABLE_DID);
+        assert.equal(failed.error, "notFound");
+        assert.equal(failed.cacheHit, false);
+        assert.equal((await resolve(UNREACHABLE_DID)).cacheHit, true);
+
+        const purged = await server.request("DELETE", `/admin/did-cache/${did}`);
+        assert.deepEqual(purged.body, { success: true, purged: 1 });
+        assert.equal((await resolve(did)).cacheHit, false);
+        assert.equal((await resolve(UNREACHABLE_DID)).cacheHit, true);
+
+        const cleared = await server.request("DELETE", "/admin/did-cache");
+        assert.deepEqual(cleared.body, { success: true, purged: 2 });
+        assert.equal((await resolve(UNREACHABLE_DID)).cacheHit, false);
+
+        // Verification resolves the issuer through the same cache
+        const { body: issued } = await server.request("POST", "/credential/create", {
+            issuerDid: did,
+            subjectDid: did,
+            credentialSubject: { name: "Alice" },
+        });
+        await server.request("DELETE", `/admin/did-cache/${did}`);
+        const verified = await server.request("POST", "/credential/verify", {
+            credential: issued.credential,
+        });
+        assert.equal(verified.body.verification.verified, true);
+        assert.equal((await resolve(did)).cacheHit, true);
+    });
+}
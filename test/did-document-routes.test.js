@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers/server.js";
+
+for (const script of ["server.js", "server-decentralized.js"]) {
+    test(`${script} adds and removes keys and services of managed DIDs`, async (t) => {
+        const server = await startServer(script);
+        t.after(() => server.stop());
+
+        const { body: created } = await server.request("POST", "/did/create", {
+            provider: "did:web",
+            path: "issuers/alice",
+        });
+        const { did, controllerKeyId } = created.identifier;
+        // The host's port is encoded in the DID (%3A), so the DID is encoded in paths
+        const path = `/did/${encodeURIComponent(did)}`;
+        const published = async () =>
+            (await fetch(`${server.url}/issuers/alice/did.json`)).json();
+
+        const { body: keyDid } = await server.request("POST", "/did/create", {
+            provider: "did:key",
+        });
+        for (const [route, body] of [
+            ["keys", { type: "Ed25519" }],
+            ["services", { type: "LinkedDomains", serviceEndpoint: "https://example.com" }],
+        ]) {
+            const refused = await server.request(
+                "POST",
+                `/did/${keyDid.identifier.did}/${route}`,
+                body
+            );
+            assert.equal(refused.status, 400);
+            assert.match(refused.body.error, /cannot be changed/);
+        }
+        const unknown = await server.request("POST", "/did/did:web:unknown.example/keys", {});
+        assert.equal(unknown.status, 404);
+
+        for (const [body, message] of [
+            [{ type: "RSA" }, /type must be one of/],
+            [{ type: "Ed25519", ttl: -1 }, /ttl/],
+            [{ delegate: "0x8ba1f109551bD432803012645Ac136ddd64DBA72" }, /only .* for did:ethr/],
+        ]) {
+            const invalid = await server.request("POST", `${path}/keys`, body);
+            assert.equal(invalid.status, 400);
+            assert.match(invalid.body.error, message);
+        }
+
+        // Keys
+        const added = await server.request("POST", `${path}/keys`, { type: "Ed25519" });
+        assert.equal(added.status, 200, JSON.stringify(added.body));
+        const { kid } = added.body.key;
+        const methodId = `${did}#${kid}`;
+        assert.equal(added.body.txHash, null);
+        assert.ok(added.body.didDocument.assertionMethod.includes(methodId));
+        const agreement = await server.request("POST", `${path}/keys`, { type: "X25519" });
+        assert.deepEqual(agreement.body.didDocument.keyAgreement, [
+            `${did}#${agreement.body.key.kid}`,
+        ]);
+
+        const { body: keys } = await server.request("GET", `${path}/keys`);
+        assert.equal(keys.keys.length, 3);
+        assert.equal(keys.verificationMethod.length, 3);
+        assert.ok((await published()).verificationMethod.some((method) => method.id === methodId));
+
+        const controller = await server.request("DELETE", `${path}/keys/${controllerKeyId}`);
+        assert.equal(controller.status, 400);
+        assert.equal((await server.request("DELETE", `${path}/keys/unknown`)).status, 404);
+        const removedKey = await server.request("DELETE", `${path}/keys/${kid}`);
+        assert.equal(removedKey.body.removed, kid);
+        assert.ok(!removedKey.body.didDocument.assertionMethod.includes(methodId));
+
+        // Services
+        const missing = await server.request("POST", `${path}/services`, { type: "LinkedDomains" });
+        assert.equal(missing.status, 400);
+        const service = { type: "LinkedDomains", serviceEndpoint: "https://alice.example" };
+        const addedService = await server.request("POST", `${path}/services`, {
+            id: "#files",
+            ...service,
+        });
+        assert.deepEqual(addedService.body.service, { id: `${did}#files`, ...service });
+        assert.deepEqual(addedService.body.didDocument.service, [addedService.body.service]);
+        const duplicate = await server.request("POST", `${path}/services`, {
+            id: "#files",
+            ...service,
+        });
+        assert.equal(duplicate.status, 400);
+        const generated = await server.request("POST", `${path}/services`, service);
+        assert.match(generated.body.service.id, new RegExp(`^${did}#service-\\d+$`));
+
+        const { body: services } = await server.request("GET", `${path}/services`);
+        assert.equal(services.services.length, 2);
+        assert.equal(services.service.length, 2);
+        assert.equal((await published()).service.length, 2);
+
+        const removedService = await server.request("DELETE", `${path}/services/files`);
+        assert.equal(removedService.body.removed, `${did}#files`);
+        assert.deepEqual(
+            removedService.body.didDocument.service.map((entry) => entry.id),
+            [generated.body.service.id]
+        );
+        assert.equal((await server.request("DELETE", `${path}/services/files`)).status, 404);
+    });
+}
@@ -0,0 +1,202 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "events";
+import express from "express";
+import { parse as parseDidUrl } from "did-resolver";
+import {
+    createDidResolution,
+    createDidResolutionCache,
+    DID_RESOLUTION_MEDIA_TYPE,
+    negotiateDidMediaType,
+} from "../lib/did-resolution.js";
+
+const DID = "did:example:123";
+const UNKNOWN_DID = "did:example:unknown";
+const DEACTIVATED_DID = "did:example:deactivated";
+
+// did:example:123 has had three versions, one a month since January 2024
+const VERSIONS = {
+    1: "2024-01-01T00:00:00Z",
+    2: "2024-02-01T00:00:00Z",
+    3: "2024-03-01T00:00:00Z",
+};
+
+// Resolver that counts its calls and honors ?versionId like the did:ethr resolver
+function createTestResolver() {
+    const resolver = {
+        calls: 0,
+        async resolve(didUrl) {
+            resolver.calls += 1;
+            const parsed = parseDidUrl(didUrl);
+            if (parsed.did === UNKNOWN_DID) {
+                return {
+                    didDocument: null,
+                    didDocumentMetadata: {},
+                    didResolutionMetadata: { error: "notFound" },
+                };
+            }
+            const versionId = Number(new URLSearchParams(parsed.query || "").get("versionId") || 3);
+            return {
+                didDocument: {
+                    "@context": "https://www.w3.org/ns/did/v1",
+                    id: parsed.did,
+                    verificationMethod: [
+                        { id: `${parsed.did}#key-${versionId}`, type: "JsonWebKey2020", controller: parsed.did },
+                    ],
+                    service: [
+                        { id: `${parsed.did}#home`, type: "LinkedDomains", serviceEndpoint: "https://example.com" },
+                    ],
+                },
+                didDocumentMetadata: {
+                    versionId: String(versionId),
+                    updated: VERSIONS[versionId],
+                    ...(parsed.did === DEACTIVATED_DID && { deactivated: true }),
+                },
+                didResolutionMetadata: {},
+            };
+        },
+    };
+    return resolver;
+}
+
+// The cache, caching resolver and router wired like the servers wire them
+function createTestResolution(cacheOptions) {
+    const resolver = createTestResolver();
+    const cache = createDidResolutionCache(cacheOptions);
+    let cachingResolver;
+    const agent = { resolveDid: ({ didUrl }) => cachingResolver.resolve(didUrl) };
+    const resolution = createDidResolution({ cache, getAgent: () => agent });
+    cachingResolver = resolution.createCachingResolver(resolver);
+    return { resolver, cache, cachingResolver, ...resolution };
+}
+
+test("resolutions are cached for their TTL and failures for the negative TTL", async () => {
+    const { resolver, cachingResolver } = createTestResolution({
+        ttlSeconds: 60,
+        negativeTtlSeconds: 0.05,
+    });
+
+    const first = await cachingResolver.resolve(DID);
+    assert.equal(first.didResolutionMetadata.cacheHit, false);
+    const second = await cachingResolver.resolve(`${DID}#key-3`);
+    assert.equal(second.didResolutionMetadata.cacheHit, true);
+    assert.ok(second.didResolutionMetadata.cachedAt);
+    assert.deepEqual(second.didDocument, first.didDocument);
+    assert.equal(resolver.calls, 1);
+
+    await cachingResolver.resolve(UNKNOWN_DID);
+    assert.equal((await cachingResolver.resolve(UNKNOWN_DID)).didResolutionMetadata.cacheHit, true);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    assert.equal((await cachingResolver.resolve(UNKNOWN_DID)).didResolutionMetadata.cacheHit, false);
+    assert.equal((await cachingResolver.resolve(DID)).didResolutionMetadata.cacheHit, true);
+    assert.equal(resolver.calls, 3);
+});
+
+test("noCache, no-cache=true and a TTL of 0 go to the resolver", async () => {
+    const { resolver, cache, cachingResolver } = createTestResolution();
+    await cachingResolver.resolve(DID);
+
+    const refreshed = await cachingResolver.resolve(DID, { noCache: true });
+    assert.equal(refreshed.didResolutionMetadata.cacheHit, false);
+    for (let i = 0; i < 2; i++) {
+        const result = await cachingResolver.resolve(`${DID}?no-cache=true`);
+        assert.equal(result.didResolutionMetadata.cacheHit, false);
+    }
+    assert.equal(resolver.calls, 4);
+
+    // A purge drops every entry of the DID
+    assert.equal(cache.purge(DID), 2);
+    assert.equal((await cachingResolver.resolve(DID)).didResolutionMetadata.cacheHit, false);
+
+    const uncached = createTestResolution({ ttlSeconds: 0, negativeTtlSeconds: 0 });
+    await uncached.cachingResolver.resolve(DID);
+    await uncached.cachingResolver.resolve(UNKNOWN_DID);
+    assert.equal((await uncached.cachingResolver.resolve(DID)).didResolutionMetadata.cacheHit, false);
+    assert.equal(uncached.cache.entries.size, 0);
+});
+
+test("cached results cannot be changed by callers", async () => {
+    const { cachingResolver } = createTestResolution();
+    const first = await cachingResolver.resolve(DID);
+    first.didDocument.verificationMethod.length = 0;
+    assert.equal((await cachingResolver.resolve(DID)).didDocument.verificationMethod.length, 1);
+});
+
+test("versionTime resolves the version that was current at that time", async () => {
+    const { cachingResolver } = createTestResolution();
+
+    const february = await cachingResolver.resolve(DID, { versionTime: "2024-02-15T00:00:00Z" });
+    assert.equal(february.didDocumentMetadata.versionId, "2");
+    assert.equal(february.didDocument.verificationMethod[0].id, `${DID}#key-2`);
+
+    const latest = await cachingResolver.resolve(DID, { versionTime: "2024-06-01T00:00:00Z" });
+    assert.equal(latest.didDocumentMetadata.versionId, "3");
+
+    const invalid = await cachingResolver.resolve(DID, { versionTime: "last week" });
+    assert.equal(invalid.didResolutionMetadata.error, "invalidDidUrl");
+});
+
+test("the media type is negotiated from the Accept header", () => {
+    assert.equal(negotiateDidMediaType(undefined), DID_RESOLUTION_MEDIA_TYPE);
+    assert.equal(negotiateDidMediaType("application/json"), DID_RESOLUTION_MEDIA_TYPE);
+    assert.equal(negotiateDidMediaType("application/did+json"), "application/did+json");
+    assert.equal(
+        negotiateDidMediaType("application/did+json;q=0.5, application/did+ld+json"),
+        "application/did+ld+json"
+    );
+    assert.equal(
+        negotiateDidMediaType('application/ld+json;profile="https://w3id.org/did-resolution"'),
+        DID_RESOLUTION_MEDIA_TYPE
+    );
+    assert.equal(
+        negotiateDidMediaType('application/ld+json;profile="https://example.com/other"'),
+        null
+    );
+    assert.equal(negotiateDidMediaType("text/html, application/did+json;q=0"), null);
+});
+
+test("/1.0/identifiers resolves DIDs and dereferences DID URLs", async () => {
+    const { router } = createTestResolution();
+    const app = express();
+    app.use(router);
+    const server = app.listen(0);
+    await once(server, "listening");
+    try {
+        const get = (path, accept) =>
+            fetch(`http://localhost:${server.address().port}/1.0/identifiers/${path}`, {
+                headers: accept ? { Accept: accept } : {},
+                redirect: "manual",
+            });
+
+        const result = await get(DID);
+        assert.equal(result.status, 200);
+        assert.match(result.headers.get("content-type"), /profile="https:\/\/w3id.org\/did-resolution"/);
+        const body = await result.json();
+        assert.equal(body.didDocument.id, DID);
+        assert.equal(body.didResolutionMetadata.contentType, "application/did+ld+json");
+
+        const document = await get(DID, "application/did+json");
+        assert.equal(document.headers.get("content-type").split(";")[0], "application/did+json");
+        assert.equal((await document.json())["@context"], undefined);
+
+        const versioned = await get(`${DID}?versionTime=2024-01-15T00:00:00Z`, "application/did+ld+json");
+        assert.equal((await versioned.json()).verificationMethod[0].id, `${DID}#key-1`);
+
+        const key = await get(encodeURIComponent(`${DID}#key-3`), "application/did+json");
+        assert.equal((await key.json()).type, "JsonWebKey2020");
+
+        const service = await get(`${DID}?service=home&relativeRef=/about`, "application/did+json");
+        assert.equal(service.status, 303);
+        assert.equal(service.headers.get("location"), "https://example.com/about");
+
+        assert.equal((await get(DEACTIVATED_DID)).status, 410);
+        assert.equal((await get(UNKNOWN_DID)).status, 404);
+        assert.equal((await get("not-a-did")).status, 400);
+        assert.equal((await get(encodeURIComponent(`${DID}#missing`))).status, 404);
+        const unsupported = await get(DID, "text/html");
+        assert.equal(unsupported.status, 406);
+        assert.equal((await unsupported.json()).didResolutionMetadata.error, "representationNotSupported");
+    } finally {
+        server.close();
+    }
+});
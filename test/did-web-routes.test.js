@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers/server.js";
+
+for (const script of ["server.js", "server-decentralized.js"]) {
+    test(`${script} creates, publishes and resolves did:web identifiers`, async (t) => {
+        const server = await startServer(script);
+        t.after(() => server.stop());
+
+        const host = encodeURIComponent(new URL(server.url).host);
+        const create = (options) =>
+            server.request("POST", "/did/create", { provider: "did:web", ...options });
+        // did.json documents are public
+        const fetchDocument = async (path) => {
+            const response = await fetch(`${server.url}${path}`);
+            return { status: response.status, body: await response.json() };
+        };
+
+        for (const path of ["../etc", "issuers/.well-known", "a b"]) {
+            assert.equal((await create({ path })).status, 400, path);
+        }
+        assert.match((await create({ keyType: "X25519" })).body.error, /keyType/);
+
+        const { body: root } = await create();
+        assert.equal(root.identifier.did, `did:web:${host}`);
+        assert.equal(root.didDocumentUrl, `${server.url}/.well-known/did.json`);
+        const { body: rootDocument } = await fetchDocument("/.well-known/did.json");
+        assert.equal(rootDocument.id, root.identifier.did);
+        assert.equal(rootDocument.verificationMethod[0].type, "EcdsaSecp256k1VerificationKey2019");
+        assert.deepEqual(rootDocument.assertionMethod, [rootDocument.verificationMethod[0].id]);
+
+        const { body: alice } = await create({ path: "issuers/alice", keyType: "Ed25519" });
+        const did = alice.identifier.did;
+        assert.equal(did, `did:web:${host}:issuers:alice`);
+        assert.equal(alice.didDocumentUrl, `${server.url}/issuers/alice/did.json`);
+        const { body: aliceDocument } = await fetchDocument("/issuers/alice/did.json");
+        assert.equal(aliceDocument.id, did);
+        assert.equal(aliceDocument.verificationMethod[0].type, "Ed25519VerificationKey2018");
+        assert.equal((await fetchDocument("/issuers/bob/did.json")).status, 404);
+
+        // Creating it again returns the existing identifier
+        const { body: again } = await create({ path: "issuers/alice", keyType: "Ed25519" });
+        assert.equal(again.message, "DID already exists");
+        assert.equal(again.identifier.controllerKeyId, alice.identifier.controllerKeyId);
+
+        // The service resolves its own did:web documents without fetching them. The
+        // host's port is encoded in the DID (%3A), so the DID is encoded in the path.
+        const { body: resolved } = await server.request(
+            "GET",
+            `/did/${encodeURIComponent(did)}/resolve`
+        );
+        assert.deepEqual(resolved.resolution.didDocument, aliceDocument);
+
+        for (const [issuerDid, proofFormat] of [
+            [root.identifier.did, "jwt"],
+            [did, "lds"],
+        ]) {
+            const issued = await server.request("POST", "/credential/create", {
+                issuerDid,
+                subjectDid: issuerDid,
+                credentialSubject: { name: "Alice" },
+                proofFormat,
+            });
+            assert.equal(issued.status, 200, JSON.stringify(issued.body));
+            const verified = await server.request("POST", "/credential/verify", {
+                credential: issued.body.credential,
+            });
+            assert.equal(verified.body.verification.verified, true, proofFormat);
+        }
+    });
+}
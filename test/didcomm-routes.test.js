@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createAgent } from "@veramo/core";
+import { DIDComm } from "@veramo/did-comm";
+import { DIDResolverPlugin } from "@veramo/did-resolver";
+import { Resolver } from "did-resolver";
+import { getResolver as getKeyResolver } from "key-did-resolver";
+import { startServer } from "./helpers/server.js";
+
+// The agent of a sender on another service, which only packs messages
+const sender = createAgent({
+    plugins: [
+        new DIDResolverPlugin({ resolver: new Resolver(getKeyResolver()) }),
+        new DIDComm(),
+    ],
+});
+
+for (const script of ["server.js", "server-decentralized.js"]) {
+    test(`${script} keeps only encrypted DIDComm messages for its own DIDs`, async (t) => {
+        const server = await startServer(script);
+        t.after(() => server.stop());
+        const post = (raw) =>
+            server.request("POST", "/didcomm", raw, {
+                "Content-Type": "application/didcomm-encrypted+json",
+            });
+
+        const { body: created } = await server.request("POST", "/did/create", {
+            provider: "did:key",
+            keyType: "Ed25519",
+        });
+        const did = created.identifier.did;
+        const { body: other } = await server.request("POST", "/did/create", {
+            provider: "did:key",
+            keyType: "Ed25519",
+        });
+        const { body: issued } = await server.request("POST", "/credential/create", {
+            issuerDid: other.identifier.did,
+            subjectDid: did,
+            credentialSubject: { name: "Alice" },
+        });
+
+        // A JWT credential is handled by the agent, but is no DIDComm message
+        const jwt = await post(issued.credential.proof.jwt);
+        assert.equal(jwt.status, 400);
+        assert.match(jwt.body.error, /Only encrypted DIDComm v2 messages/);
+
+        const message = {
+            id: "message-1",
+            type: "https://didcomm.org/basicmessage/2.0/message",
+            to: [did],
+            body: { content: "hello" },
+        };
+        const { message: packed } = await sender.packDIDCommMessage({
+            packing: "anoncrypt",
+            message,
+        });
+        const received = await post(packed);
+        assert.equal(received.status, 202);
+        assert.equal(received.body.id, "message-1");
+
+        const messages = await server.request("GET", "/messages");
+        assert.deepEqual(
+            messages.body.messages.map(({ id }) => id),
+            ["message-1"]
+        );
+    });
+}
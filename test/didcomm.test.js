@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createDidCommSetup, getDidCommPacking, getMessageCreatedAt } from "../lib/didcomm.js";
+
+const DID = "did:ethr:sepolia:0x1111111111111111111111111111111111111111";
+const ENDPOINT = "https://service.example/didcomm";
+
+// Agent with one managed DID and no DIDComm key or service yet
+function createTestAgent({ addKeyError, deleteKeyError } = {}) {
+    const agent = {
+        keys: new Map(),
+        identifier: { did: DID, keys: [], services: [] },
+        async didManagerGet() {
+            return agent.identifier;
+        },
+        async keyManagerCreate({ type }) {
+            const key = { kid: `key-${agent.keys.size + 1}`, type };
+            agent.keys.set(key.kid, key);
+            return key;
+        },
+        async keyManagerDelete({ kid }) {
+            if (deleteKeyError) {
+                throw new Error(deleteKeyError);
+            }
+            return agent.keys.delete(kid);
+        },
+        async didManagerAddKey({ key }) {
+            if (addKeyError) {
+                throw new Error(addKeyError);
+            }
+            agent.identifier.keys.push(key);
+        },
+        async didManagerAddService({ service }) {
+            agent.identifier.services.push(service);
+        },
+    };
+    return agent;
+}
+
+test("DIDComm setup adds a key agreement key and inbox service", async () => {
+    const agent = createTestAgent();
+    const setupDidComm = createDidCommSetup({ getAgent: () => agent, endpoint: ENDPOINT });
+
+    assert.deepEqual(await setupDidComm(DID), { enabled: true, serviceEndpoint: ENDPOINT });
+    assert.equal(agent.identifier.keys[0].type, "X25519");
+    assert.equal(agent.identifier.services[0].serviceEndpoint, ENDPOINT);
+
+    // Running it again does not add a second key
+    await setupDidComm(DID);
+    assert.equal(agent.keys.size, 1);
+});
+
+test("the new key is deleted when it cannot be added to the DID", async () => {
+    const agent = createTestAgent({ addKeyError: "insufficient funds" });
+    const setupDidComm = createDidCommSetup({ getAgent: () => agent, endpoint: ENDPOINT });
+
+    const result = await setupDidComm(DID);
+    assert.equal(result.enabled, false);
+    assert.match(result.error, /insufficient funds/);
+    assert.equal(agent.keys.size, 0);
+    assert.equal(agent.identifier.services.length, 0);
+});
+
+test("a key that cannot be deleted is reported with the setup error", async () => {
+    const agent = createTestAgent({ addKeyError: "insufficient funds", deleteKeyError: "locked" });
+    const setupDidComm = createDidCommSetup({ getAgent: () => agent, endpoint: ENDPOINT });
+
+    const { error } = await setupDidComm(DID);
+    assert.match(error, /insufficient funds; unused key key-1 could not be deleted: locked/);
+});
+
+test("DIDComm times in seconds are stored as ISO dates", () => {
+    assert.equal(getMessageCreatedAt(0), "1970-01-01T00:00:00.000Z");
+    assert.equal(getMessageCreatedAt("2024-01-01T00:00:00.000Z"), "2024-01-01T00:00:00.000Z");
+});
+
+test("only messages that unpacked as DIDComm v2 have a packing", () => {
+    const didComm = (packing) => ({
+        metaData: [
+            { type: "DIDComm" },
+            { type: "didCommMetaData", value: JSON.stringify({ packing }) },
+        ],
+    });
+    assert.equal(getDidCommPacking(didComm("anoncrypt")), "anoncrypt");
+    assert.equal(getDidCommPacking(didComm("none")), "none");
+    // A plain JWT credential, as the W3C message handler reports it
+    assert.equal(getDidCommPacking({ metaData: [{ type: "JWT", value: "ES256K" }] }), null);
+    assert.equal(getDidCommPacking({}), null);
+});
@@ -0,0 +1,113 @@
+// Run server.js or server-decentralized.js in a child process for route tests.
+// Each server gets its own working directory, so server.js's database.sqlite
+// starts empty, and an API key with every scope for any issuer.
+
+import { spawn } from "child_process";
+import { once } from "events";
+import { mkdtempSync, writeFileSync } from "fs";
+import { createServer } from "net";
+import { tmpdir } from "os";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { API_SCOPES, hashApiKey } from "../../lib/auth.js";
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..", "..");
+const API_KEY = "vbk_test";
+const STARTUP_TIMEOUT_MS = 60000;
+
+async function getFreePort() {
+    const server = createServer().listen(0);
+    await once(server, "listening");
+    const { port } = server.address();
+    server.close();
+    await once(server, "close");
+    return port;
+}
+
+// Start a server script with extra env and wait until /health answers. Pass the
+// dir of a stopped server to restart it on the same stores. Returns
+// { url, dir, request(method, path, body, headers), stop() }.
+export async function startServer(
+    script,
+    env = {},
+    { dir = mkdtempSync(join(tmpdir(), "veramo-server-")) } = {}
+) {
+    const apiKeysFile = join(dir, "api-keys.json");
+    writeFileSync(
+        apiKeysFile,
+        JSON.stringify([
+            { name: "test", keyHash: hashApiKey(API_KEY), scopes: API_SCOPES, issuers: ["*"] },
+        ])
+    );
+    const port = await getFreePort();
+    const url = `http://localhost:${port}`;
+
+    const child = spawn(process.execPath, [join(ROOT, script)], {
+        cwd: dir,
+        env: {
+            ...process.env,
+            DEV_MODE: "true",
+            PORT: String(port),
+            PUBLIC_BASE_URL: url,
+            API_KEYS_FILE: apiKeysFile,
+            NETWORKS_FILE: "",
+            ...env,
+        },
+        stdio: ["ignore", "pipe", "pipe"],
+    });
+    let output = "";
+    child.stdout.on("data", (data) => (output += data));
+    child.stderr.on("data", (data) => (output += data));
+    const exited = once(child, "exit");
+
+    async function stop() {
+        if (child.exitCode === null) {
+            child.kill();
+            await exited;
+        }
+    }
+
+    const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+    for (;;) {
+        if (child.exitCode !== null) {
+            throw new Error(`${script} exited on startup:\n${output}`);
+        }
+        try {
+            if ((await fetch(`${url}/health`)).ok) {
+                break;
+            }
+        } catch {
+            // Not listening yet
+        }
+        if (Date.now() > deadline) {
+            await stop();
+            throw new Error(`${script} did not start:\n${output}`);
+        }
+        await new Promise((resolve) => setTimeout(resolve, 250));
+    }
+
+    // JSON request with the test API key; resolves to { status, headers, body }
+    async function request(method, path, body, headers = {}) {
+        const response = await fetch(`${url}${path}`, {
+            method,
+            headers: {
+                "X-API-Key": API_KEY,
+                ...(body !== undefined && { "Content-Type": "application/json" }),
+                ...headers,
+            },
+            ...(body !== undefined && {
+                body: typeof body === "string" ? body : JSON.stringify(body),
+            }),
+        });
+        const text = await response.text();
+        let parsed = text;
+        try {
+            parsed = JSON.parse(text);
+        } catch {
+            // Not JSON
+        }
+        return { status: response.status, headers: response.headers, body: parsed };
+    }
+
+    return { url, dir, request, stop, getOutput: () => output };
+}
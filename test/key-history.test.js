@@ -0,0 +1,118 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Wallet } from "ethers";
+import { createHistoryVerifier, isMethodOfKey } from "../lib/key-history.js";
+
+const ISSUER = "did:ethr:sepolia:0x1111111111111111111111111111111111111111";
+const ISSUED_AT = "2024-01-01T00:00:00.000Z";
+const credential = {
+    issuer: { id: ISSUER },
+    issuanceDate: ISSUED_AT,
+    credentialSubject: { name: "Alice" },
+    proof: { type: "EthereumEip712Signature2021" },
+};
+
+function createKey(wallet = Wallet.createRandom()) {
+    return {
+        kid: wallet.signingKey.publicKey.slice(2),
+        type: "Secp256k1",
+        publicKeyHex: wallet.signingKey.publicKey.slice(2),
+        wallet,
+    };
+}
+
+// The #controller method did:ethr publishes for a key's address
+function controllerMethod(key) {
+    return {
+        id: `${ISSUER}#controller`,
+        type: "EcdsaSecp256k1RecoveryMethod2020",
+        controller: ISSUER,
+        blockchainAccountId: `eip155:11155111:${key.wallet.address}`,
+    };
+}
+
+// A key /did/:did/rotate retired from ISSUER for reason
+function retire(key, reason) {
+    return { ...key, meta: { retired: { did: ISSUER, reason } } };
+}
+
+// An agent whose issuer no longer has the signing key, which only verifies
+// against the document at the issuance date, signed by signer if given
+function createVerifier({ signer, retired = [] }) {
+    const calls = [];
+    const agent = {
+        verifyCredential: async (args) => {
+            calls.push(args.resolutionOptions?.versionTime);
+            if (args.resolutionOptions?.versionTime !== ISSUED_AT) {
+                return {
+                    verified: false,
+                    error: { message: "invalid_signature", errorCode: "invalid_signature" },
+                };
+            }
+            return { verified: true, ...(signer && { signer }) };
+        },
+    };
+    const verifyCredentialWithHistory = createHistoryVerifier({
+        getAgent: () => agent,
+        listRetiredKeys: async (did) => (did === ISSUER ? retired : []),
+    });
+    return { verifyCredentialWithHistory, calls };
+}
+
+test("verification methods are matched to keys by public key or address", () => {
+    const key = createKey();
+    assert.equal(isMethodOfKey(controllerMethod(key), key), true);
+    assert.equal(
+        isMethodOfKey({ publicKeyHex: key.wallet.signingKey.compressedPublicKey.slice(2) }, key),
+        true
+    );
+    assert.equal(isMethodOfKey({ publicKeyHex: key.publicKeyHex.toUpperCase() }, key), true);
+    assert.equal(isMethodOfKey(controllerMethod(createKey()), key), false);
+
+    const ed25519 = { kid: "ed", type: "Ed25519", publicKeyHex: "a".repeat(64) };
+    assert.equal(isMethodOfKey({ publicKeyHex: "A".repeat(64) }, ed25519), true);
+    assert.equal(isMethodOfKey(controllerMethod(key), ed25519), false);
+});
+
+test("credentials signed with a superseded key verify against the document at issuance", async () => {
+    const key = createKey();
+    const { verifyCredentialWithHistory, calls } = createVerifier({
+        signer: controllerMethod(key),
+        retired: [retire(createKey(), "compromised"), retire(key, "superseded")],
+    });
+
+    const result = await verifyCredentialWithHistory({ credential });
+    assert.equal(result.verified, true);
+    assert.equal(result.resolvedAt, ISSUED_AT);
+    assert.deepEqual(calls, [undefined, ISSUED_AT]);
+});
+
+test("credentials signed with a compromised key do not fall back to past documents", async () => {
+    const key = createKey();
+    const { verifyCredentialWithHistory } = createVerifier({
+        signer: controllerMethod(key),
+        retired: [retire(key, "compromised")],
+    });
+
+    const result = await verifyCredentialWithHistory({ credential });
+    assert.equal(result.verified, false);
+    assert.equal(result.error.errorCode, "compromised_key");
+    assert.match(result.error.message, new RegExp(key.kid));
+});
+
+test("keys this service did not retire get no fallback, whatever the issuance date", async () => {
+    // A key the DID owner revoked on chain, which signs with a backdated iat
+    const revoked = createVerifier({
+        signer: controllerMethod(createKey()),
+        retired: [retire(createKey(), "superseded")],
+    });
+    const result = await revoked.verifyCredentialWithHistory({ credential });
+    assert.equal(result.verified, false);
+    assert.equal(result.error.errorCode, "invalid_signature");
+
+    // Proofs that do not name the signing key cannot be matched to a retired key
+    const unnamed = createVerifier({ retired: [retire(createKey(), "superseded")] });
+    const unnamedResult = await unnamed.verifyCredentialWithHistory({ credential });
+    assert.equal(unnamedResult.verified, false);
+    assert.equal(unnamedResult.error.errorCode, "invalid_signature");
+});
@@ -0,0 +1,110 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generateKeyPairSync, sign } from "crypto";
+import { getBytes, sha256, Signature, SigningKey, Wallet } from "ethers";
+import { ExternalKeyManagementSystem, withNewKey } from "../lib/kms.js";
+
+// Signer holding one key per type, like a remote signer or HSM would
+function createTestSigner({ secp256k1 = Wallet.createRandom().signingKey, ed25519 } = {}) {
+    const ed25519Keys = ed25519 || generateKeyPairSync("ed25519");
+    return {
+        name: "test signer",
+        keys: { secp256k1, ed25519: ed25519Keys },
+        async createKey(type) {
+            if (type === "Secp256k1") {
+                return { kid: "secp", publicKeyHex: secp256k1.compressedPublicKey.slice(2) };
+            }
+            const { x } = ed25519Keys.publicKey.export({ format: "jwk" });
+            return { kid: "ed", publicKeyHex: Buffer.from(x, "base64url").toString("hex") };
+        },
+        async deleteKey() {},
+        async sign(kid, type, bytes) {
+            if (type === "Secp256k1") {
+                const { r, s } = secp256k1.sign(bytes);
+                return getBytes(r + s.slice(2));
+            }
+            return sign(null, Buffer.from(bytes), ed25519Keys.privateKey);
+        },
+    };
+}
+
+test("ES256K signatures are returned when they match the key", async () => {
+    const signer = createTestSigner();
+    const kms = new ExternalKeyManagementSystem(signer);
+    const keyRef = await kms.createKey({ type: "Secp256k1" });
+    const data = Buffer.from("header.payload");
+
+    const jws = await kms.sign({ keyRef, algorithm: "ES256K", data });
+    const signature = Buffer.from(jws, "base64url");
+    const recovered = [27, 28].map((v) =>
+        SigningKey.recoverPublicKey(
+            sha256(data),
+            Signature.from({
+                r: `0x${signature.subarray(0, 32).toString("hex")}`,
+                s: `0x${signature.subarray(32).toString("hex")}`,
+                v,
+            })
+        )
+    );
+    assert.ok(recovered.includes(`0x${keyRef.publicKeyHex}`));
+});
+
+test("Secp256k1 signatures from another key are rejected", async () => {
+    const signer = createTestSigner();
+    const kms = new ExternalKeyManagementSystem(signer);
+    const keyRef = await kms.createKey({ type: "Secp256k1" });
+    const other = Wallet.createRandom().signingKey;
+    signer.sign = async (kid, type, bytes) => {
+        const { r, s } = other.sign(bytes);
+        return getBytes(r + s.slice(2));
+    };
+
+    await assert.rejects(
+        kms.sign({ keyRef, algorithm: "ES256K", data: Buffer.from("data") }),
+        /does not match key secp/
+    );
+});
+
+test("Ed25519 signatures are checked against the key's public key", async () => {
+    const signer = createTestSigner();
+    const kms = new ExternalKeyManagementSystem(signer);
+    const keyRef = await kms.createKey({ type: "Ed25519" });
+    const data = Buffer.from("header.payload");
+
+    const signature = await kms.sign({ keyRef, algorithm: "EdDSA", data });
+    assert.equal(Buffer.from(signature, "base64url").length, 64);
+
+    const other = generateKeyPairSync("ed25519");
+    signer.sign = async (kid, type, bytes) => sign(null, Buffer.from(bytes), other.privateKey);
+    await assert.rejects(
+        kms.sign({ keyRef, algorithm: "EdDSA", data }),
+        /does not match key ed/
+    );
+});
+
+test("a new key is deleted when the change that uses it fails", async () => {
+    const deleted = [];
+    const agent = { keyManagerDelete: async ({ kid }) => deleted.push(kid) };
+    const key = { kid: "new-key" };
+
+    assert.equal(await withNewKey(agent, key, async () => "0xtx"), "0xtx");
+    assert.deepEqual(deleted, []);
+
+    await assert.rejects(
+        withNewKey(agent, key, async () => {
+            throw new Error("insufficient funds");
+        }),
+        /^Error: insufficient funds$/
+    );
+    assert.deepEqual(deleted, ["new-key"]);
+
+    agent.keyManagerDelete = async () => {
+        throw new Error("key store locked");
+    };
+    await assert.rejects(
+        withNewKey(agent, key, async () => {
+            throw new Error("insufficient funds");
+        }),
+        /insufficient funds; unused key new-key could not be deleted: key store locked/
+    );
+});
@@ -0,0 +1,126 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { DataSource } from "typeorm";
+import { DataStore, Entities } from "@veramo/data-store";
+import {
+    getListPage,
+    parseListQuery,
+    queryDataStore,
+    queryStoredItems,
+} from "../lib/list-query.js";
+
+const ISSUER = "did:key:z6MkIssuer";
+const OTHER_ISSUER = "did:key:z6MkOther";
+const SUBJECT = "did:key:z6MkSubject";
+const TYPES = ["UniversityDegreeCredential", "Degree", "Deg_ee", "50%Off", "degree"];
+let dbConnection;
+
+const credentials = TYPES.map((type, index) => ({
+    "@context": ["https://www.w3.org/2018/credentials/v1"],
+    type: ["VerifiableCredential", type],
+    issuer: { id: index === 4 ? OTHER_ISSUER : ISSUER },
+    issuanceDate: new Date(Date.UTC(2024, 0, index + 1)).toISOString(),
+    credentialSubject: { id: SUBJECT, index },
+    proof: { type: "JwtProof2020", jwt: `jwt-${index}` },
+}));
+
+before(async () => {
+    dbConnection = await new DataSource({
+        type: "sqlite",
+        database: ":memory:",
+        synchronize: true,
+        entities: Entities,
+    }).initialize();
+    const dataStore = new DataStore(dbConnection);
+    for (const verifiableCredential of credentials) {
+        await dataStore.dataStoreSaveVerifiableCredential({ verifiableCredential });
+    }
+});
+
+after(() => dbConnection.destroy());
+
+// The indexes of the credentials both servers list for a query
+async function list(query, allowedIssuers = null) {
+    const listQuery = parseListQuery(query, ["issuer", "subject"]);
+    assert.equal(listQuery.error, undefined);
+
+    const { items, total } = await queryDataStore(
+        dbConnection,
+        "credential",
+        listQuery,
+        "issuer",
+        allowedIssuers
+    );
+    const stored = items.map(({ raw }) => raw.credentialSubject.index);
+
+    const inMemory = queryStoredItems(
+        credentials.filter(({ issuer }) => !allowedIssuers || allowedIssuers.includes(issuer.id)),
+        listQuery,
+        (credential) => ({
+            issuer: credential.issuer.id,
+            subject: [credential.credentialSubject.id],
+            type: credential.type,
+            issuanceDate: credential.issuanceDate,
+        })
+    );
+    assert.deepEqual(
+        inMemory.items.map(({ credentialSubject }) => credentialSubject.index),
+        stored
+    );
+    assert.equal(inMemory.total, total);
+    return stored;
+}
+
+test("type matches whole elements, with % and _ taken literally", async () => {
+    assert.deepEqual(await list({ type: "Degree" }), [1]);
+    assert.deepEqual(await list({ type: "degree" }), [4]);
+    assert.deepEqual(await list({ type: "Deg_ee" }), [2]);
+    assert.deepEqual(await list({ type: "Deg%" }), []);
+    assert.deepEqual(await list({ type: "50%Off" }), [3]);
+    assert.deepEqual(await list({ type: "_" }), []);
+    assert.deepEqual(await list({ type: "VerifiableCredential", order: "asc" }), [0, 1, 2, 3, 4]);
+
+    assert.match(parseListQuery({ type: "Degree,Deg_ee" }, []).error, /without commas/);
+});
+
+test("DID, date and issuer allowlist filters and paging agree across both servers", async () => {
+    assert.deepEqual(await list({ issuer: ISSUER }), [3, 2, 1, 0]);
+    assert.deepEqual(
+        await list({ subject: SUBJECT, issuedFrom: "2024-01-02", issuedUntil: "2024-01-03" }),
+        [2, 1]
+    );
+    assert.deepEqual(await list({}, [OTHER_ISSUER]), [4]);
+    assert.deepEqual(await list({ issuer: ISSUER }, [OTHER_ISSUER]), []);
+    assert.deepEqual(await list({}, []), []);
+
+    const firstPage = parseListQuery({ limit: "2", order: "asc" }, ["issuer"]);
+    assert.deepEqual(await list({ limit: "2", order: "asc" }), [0, 1]);
+    const { nextCursor, total } = getListPage(firstPage, 5);
+    assert.equal(total, 5);
+    assert.deepEqual(await list({ limit: "2", order: "asc", cursor: nextCursor }), [2, 3]);
+    assert.equal(parseListQuery({ cursor: "nope" }, []).error, "Invalid cursor");
+});
+
+test("lists without a default limit return every match on one page", async () => {
+    const listQuery = parseListQuery({ subject: SUBJECT }, ["issuer"], { defaultLimit: null });
+    assert.equal(listQuery.limit, null);
+    const { items, total } = await queryDataStore(
+        dbConnection,
+        "credential",
+        listQuery,
+        "issuer",
+        null
+    );
+    assert.equal(items.length, 5);
+    assert.deepEqual(getListPage(listQuery, total), {
+        total: 5,
+        limit: null,
+        offset: 0,
+        nextCursor: null,
+    });
+
+    assert.equal(parseListQuery({}, []).limit, 100);
+    const paged = parseListQuery({ limit: "2" }, [], { defaultLimit: null });
+    assert.ok(getListPage(paged, 5).nextCursor);
+    assert.match(parseListQuery({ limit: "0" }, [], { defaultLimit: null }).error, /limit must be/);
+});
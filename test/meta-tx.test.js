@@ -0,0 +1,150 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { keccak256, recoverAddress, toUtf8Bytes, Wallet } from "ethers";
+import {
+    createMetaTxRelayer,
+    META_TX_RATE_LIMIT,
+    parseMetaTxRequest,
+    parseMetaTxSignature,
+} from "../lib/meta-tx.js";
+
+const owner = Wallet.createRandom();
+const DID = `did:ethr:sepolia:${owner.address}`;
+
+// Map-backed store with the methods the servers' MetaTxStore has
+function createStore() {
+    const entries = new Map();
+    return {
+        entries,
+        save: async (entry) => entries.set(entry.id, entry) && entry,
+        countSince: async (did, since) => {
+            const created = Array.from(entries.values())
+                .filter((entry) => entry.did === did && entry.createdAt >= since)
+                .map((entry) => entry.createdAt)
+                .sort();
+            return { count: created.length, oldest: created[0] || null };
+        },
+        claim: async (id) => {
+            // Yield first, as a database round trip would
+            await new Promise((resolve) => setImmediate(resolve));
+            const entry = entries.get(id);
+            if (entry?.status !== "prepared") {
+                return false;
+            }
+            entries.set(id, { ...entry, status: "submitting" });
+            return true;
+        },
+    };
+}
+
+function createPrepared(id = "tx-1", createdAt = new Date().toISOString()) {
+    return {
+        id,
+        did: DID,
+        action: "changeOwner",
+        params: { newOwner: `0x${"2".repeat(40)}` },
+        hash: keccak256(toUtf8Bytes(id)),
+        signer: owner.address,
+        status: "prepared",
+        txHash: null,
+        blockNumber: null,
+        error: null,
+        createdAt,
+        expiresAt: new Date(Date.now() + 60000).toISOString(),
+    };
+}
+
+function createRelayer(store, send) {
+    return createMetaTxRelayer({
+        store,
+        getEthrNetwork: () => ({
+            name: "sepolia",
+            provider: { waitForTransaction: async () => ({ status: 1, blockNumber: 7 }) },
+        }),
+        getRegistry: () => ({ changeOwnerSigned: send }),
+    });
+}
+
+test("meta-transaction requests are checked per action", () => {
+    assert.match(parseMetaTxRequest({ action: "selfdestruct" }).error, /action must be one of/);
+    assert.match(
+        parseMetaTxRequest({ action: "setAttribute", name: "x".repeat(32), value: "v" }).error,
+        /up to 31 bytes/
+    );
+    assert.match(
+        parseMetaTxRequest({ action: "addDelegate", delegateType: "owner", delegate: owner.address })
+            .error,
+        /delegateType must be one of/
+    );
+    assert.match(parseMetaTxRequest({ action: "changeOwner", newOwner: "0x12" }).error, /newOwner/);
+
+    assert.deepEqual(parseMetaTxRequest({ action: "revokeDelegate", delegate: owner.address }), {
+        action: "revokeDelegate",
+        params: { delegateType: "veriKey", delegate: owner.address },
+    });
+});
+
+test("signatures are accepted as hex, { r, s, v } and { sigV, sigR, sigS }", () => {
+    const hash = keccak256(toUtf8Bytes("meta-transaction"));
+    const signature = owner.signingKey.sign(hash);
+
+    for (const form of [
+        signature.serialized,
+        { r: signature.r, s: signature.s, v: signature.v },
+        { sigR: signature.r, sigS: signature.s, sigV: signature.v },
+    ]) {
+        assert.equal(recoverAddress(hash, parseMetaTxSignature(form)), owner.address);
+    }
+    assert.equal(parseMetaTxSignature("0x1234"), null);
+    assert.equal(parseMetaTxSignature({ r: "0x12" }), null);
+});
+
+test("concurrent submits of one meta-transaction send it once", async () => {
+    const store = createStore();
+    const entry = await store.save(createPrepared());
+    let sent = 0;
+    const { submitMetaTransaction } = createRelayer(store, async () => ({
+        hash: `0x${String(++sent).padStart(64, "0")}`,
+    }));
+    const sig = parseMetaTxSignature(owner.signingKey.sign(entry.hash).serialized);
+
+    const results = await Promise.all([
+        submitMetaTransaction(entry, sig),
+        submitMetaTransaction(entry, sig),
+    ]);
+    assert.equal(sent, 1);
+    assert.equal(results.filter(Boolean).length, 1);
+    assert.equal(results.find(Boolean).status, "pending");
+    assert.equal(await submitMetaTransaction(entry, sig), null);
+});
+
+test("a meta-transaction that cannot be sent is marked failed", async () => {
+    const store = createStore();
+    const entry = await store.save(createPrepared());
+    const { submitMetaTransaction } = createRelayer(store, async () => {
+        throw new Error("insufficient funds");
+    });
+    const sig = parseMetaTxSignature(owner.signingKey.sign(entry.hash).serialized);
+
+    await assert.rejects(submitMetaTransaction(entry, sig), /insufficient funds/);
+    assert.equal(store.entries.get(entry.id).status, "failed");
+    assert.equal(store.entries.get(entry.id).error, "insufficient funds");
+    assert.equal(await submitMetaTransaction(entry, sig), null);
+});
+
+test("a DID is rate limited once it prepared META_TX_RATE_LIMIT entries within the hour", async () => {
+    const store = createStore();
+    const { getRetryAfter } = createRelayer(store);
+    const oldest = Date.now() - 1800 * 1000;
+    // Entries older than an hour do not count
+    await store.save(createPrepared("old", new Date(Date.now() - 7200 * 1000).toISOString()));
+    for (let i = 0; i < META_TX_RATE_LIMIT - 1; i++) {
+        await store.save(createPrepared(`tx-${i}`, new Date(oldest + i * 1000).toISOString()));
+    }
+    assert.equal(await getRetryAfter(DID), 0);
+    assert.equal(await getRetryAfter(`did:ethr:sepolia:0x${"2".repeat(40)}`), 0);
+
+    await store.save(createPrepared("last"));
+    const retryAfter = await getRetryAfter(DID);
+    assert.ok(retryAfter > 1790 && retryAfter <= 1800, String(retryAfter));
+});
@@ -0,0 +1,108 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { startServer } from "./helpers/server.js";
+
+const REGISTRY = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const ADDRESS = "0x8ba1f109551bD432803012645Ac136ddd64DBA72";
+
+// Nothing listens on these ports, so resolving on a network fails with the
+// RPC URL it was sent to
+const DEV_RPC_URL = "http://127.0.0.1:9";
+const STAGING_RPC_URL = "http://127.0.0.1:7";
+
+for (const script of ["server.js", "server-decentralized.js"]) {
+    test(`${script} adds and removes did:ethr networks without a restart`, async (t) => {
+        const networksFile = join(mkdtempSync(join(tmpdir(), "networks-")), "networks.json");
+        writeFileSync(
+            networksFile,
+            JSON.stringify([
+                { name: "dev", chainId: 31337, rpcUrls: [DEV_RPC_URL], registry: REGISTRY },
+            ])
+        );
+        const server = await startServer(script, { NETWORKS_FILE: networksFile });
+        t.after(() => server.stop());
+
+        const resolve = async (network) =>
+            (await server.request("GET", `/did/did:ethr:${network}:${ADDRESS}/resolve`)).body;
+
+        const { body: listed } = await server.request("GET", "/admin/networks");
+        assert.equal(listed.active, "skale-titan");
+        assert.deepEqual(
+            listed.networks.map((network) => network.name),
+            ["skale-titan", "sepolia", "dev"]
+        );
+        assert.match(
+            (await resolve("dev")).resolution.didResolutionMetadata.message,
+            /127\.0\.0\.1:9/
+        );
+        assert.match((await resolve("staging")).error, /'staging' is not configured/);
+
+        const invalid = await server.request("POST", "/admin/networks", {
+            name: "staging",
+            chainId: 31338,
+            rpcUrls: ["ws://127.0.0.1:7"],
+            registry: REGISTRY,
+        });
+        assert.equal(invalid.status, 400);
+        assert.match(invalid.body.error, /rpcUrls/);
+        const taken = await server.request("POST", "/admin/networks", {
+            name: "staging",
+            chainId: 31338,
+            rpcUrls: [STAGING_RPC_URL],
+            registry: REGISTRY,
+            aliases: ["skale"],
+        });
+        assert.equal(taken.status, 400);
+        assert.match(taken.body.error, /already used by network 'skale-titan'/);
+
+        const added = await server.request("POST", "/admin/networks", {
+            name: "staging",
+            chainId: 31338,
+            rpcUrls: [STAGING_RPC_URL],
+            registry: REGISTRY,
+            aliases: ["stg"],
+        });
+        assert.equal(added.status, 200);
+        assert.equal(added.body.updated, false);
+        assert.equal(added.body.persisted, true);
+        assert.ok(
+            JSON.parse(readFileSync(networksFile, "utf8")).some(
+                (network) => network.name === "staging"
+            )
+        );
+
+        // The new network and its alias resolve next to the others
+        for (const network of ["staging", "stg"]) {
+            assert.match(
+                (await resolve(network)).resolution.didResolutionMetadata.message,
+                /127\.0\.0\.1:7/
+            );
+        }
+        assert.match(
+            (await resolve("dev")).resolution.didResolutionMetadata.message,
+            /127\.0\.0\.1:9/
+        );
+
+        const updated = await server.request("POST", "/admin/networks", {
+            name: "dev",
+            chainId: 31337,
+            rpcUrls: [STAGING_RPC_URL],
+            registry: REGISTRY,
+        });
+        assert.equal(updated.body.updated, true);
+        assert.match(
+            (await resolve("dev")).resolution.didResolutionMetadata.message,
+            /127\.0\.0\.1:7/
+        );
+
+        const active = await server.request("DELETE", "/admin/networks/skale-titan");
+        assert.equal(active.status, 400);
+        assert.equal((await server.request("DELETE", "/admin/networks/unknown")).status, 404);
+        const removed = await server.request("DELETE", "/admin/networks/staging");
+        assert.deepEqual(removed.body, { success: true, removed: "staging", persisted: true });
+        assert.match((await resolve("staging")).error, /'staging' is not configured/);
+    });
+}
@@ -0,0 +1,162 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { computeAddress, Wallet } from "ethers";
+
+const REGISTRY = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const BUILT_IN = [
+    {
+        name: "skale-titan",
+        chainId: 1020352220,
+        rpcUrls: ["https://skale.example"],
+        registry: REGISTRY,
+        aliases: ["skale"],
+    },
+    {
+        name: "sepolia",
+        chainId: 11155111,
+        rpcUrls: ["https://sepolia.example"],
+        registry: REGISTRY,
+    },
+];
+const DEV = { name: "dev", chainId: 31337, rpcUrls: ["http://127.0.0.1:8545"], registry: REGISTRY };
+
+const networksFile = join(mkdtempSync(join(tmpdir(), "networks-")), "networks.json");
+process.env.NETWORKS_FILE = networksFile;
+delete process.env.ETH_PROVIDER_URL;
+delete process.env.ETH_REGISTRY_ADDRESS;
+// Imported once NETWORKS_FILE is set, since lib/networks.js reads it on load
+const {
+    findNetwork,
+    findNetworkByChainId,
+    getEthrNetworks,
+    getNetworkConfig,
+    loadNetworks,
+    NETWORKS,
+    parseEthrDid,
+    parseNetworkConfig,
+    saveNetworks,
+} = await import("../lib/networks.js");
+
+function load(fileNetworks) {
+    NETWORKS.clear();
+    writeFileSync(networksFile, JSON.stringify(fileNetworks));
+    loadNetworks(BUILT_IN);
+}
+
+test("parseNetworkConfig validates and normalizes a network", () => {
+    const { rpcUrls, ...single } = DEV;
+    assert.deepEqual(parseNetworkConfig({ ...single, rpcUrl: rpcUrls[0] }), {
+        network: { ...DEV, aliases: [] },
+    });
+
+    for (const [change, message] of [
+        [{ name: "dev net" }, /name/],
+        [{ chainId: 0 }, /chainId/],
+        [{ chainId: "31337" }, /chainId/],
+        [{ rpcUrls: [] }, /rpcUrls/],
+        [{ rpcUrls: ["ws://127.0.0.1:8545"] }, /rpcUrls/],
+        [{ registry: "0x1234" }, /registry/],
+        [{ aliases: ["local host"] }, /aliases/],
+    ]) {
+        assert.match(parseNetworkConfig({ ...DEV, ...change }).error, message);
+    }
+    assert.match(parseNetworkConfig(undefined).error, /name/);
+});
+
+test("NETWORKS_FILE adds to and overrides the built-in networks", () => {
+    load([
+        { ...DEV, aliases: ["local"] },
+        { ...BUILT_IN[1], rpcUrls: ["https://rpc.sepolia.example"] },
+    ]);
+
+    assert.deepEqual(Array.from(NETWORKS.keys()), ["skale-titan", "sepolia", "dev"]);
+    assert.deepEqual(NETWORKS.get("sepolia").rpcUrls, ["https://rpc.sepolia.example"]);
+    assert.equal(findNetwork("local"), NETWORKS.get("dev"));
+    assert.equal(findNetwork("skale"), NETWORKS.get("skale-titan"));
+    assert.equal(findNetwork("unknown"), null);
+    assert.equal(findNetworkByChainId(31337).name, "dev");
+    assert.equal(findNetworkByChainId(1), null);
+
+    NETWORKS.clear();
+    writeFileSync(networksFile, JSON.stringify([{ name: "broken", chainId: -1 }]));
+    assert.throws(() => loadNetworks(BUILT_IN), /Invalid network "broken"/);
+});
+
+test("saveNetworks writes the networks back to NETWORKS_FILE", () => {
+    load([]);
+    NETWORKS.set("dev", parseNetworkConfig(DEV).network);
+
+    assert.equal(saveNetworks(), true);
+    assert.deepEqual(
+        JSON.parse(readFileSync(networksFile, "utf8")).map((network) => network.name),
+        ["skale-titan", "sepolia", "dev"]
+    );
+});
+
+test("getEthrNetworks lists every network under its name and aliases", (t) => {
+    t.after(() => delete process.env.ETH_NETWORK);
+    load([{ ...DEV, aliases: ["local"] }]);
+    process.env.ETH_NETWORK = "local";
+    const activeRegistry = "0x0000000000000000000000000000000000000001";
+
+    assert.deepEqual(getNetworkConfig(), {
+        name: "dev",
+        rpcUrl: "http://127.0.0.1:8545",
+        registry: REGISTRY,
+        chainId: 31337,
+    });
+
+    const entries = getEthrNetworks(activeRegistry);
+    assert.deepEqual(
+        entries.map(({ name, chainId, registry }) => [name, chainId, registry]),
+        [
+            ["skale-titan", 1020352220, REGISTRY],
+            ["skale", 1020352220, REGISTRY],
+            ["sepolia", 11155111, REGISTRY],
+            ["dev", 31337, activeRegistry],
+            ["local", 31337, activeRegistry],
+        ]
+    );
+    // Aliases share their network's provider
+    assert.equal(entries[0].provider, entries[1].provider);
+    assert.notEqual(entries[0].provider, entries[2].provider);
+});
+
+test("parseEthrDid splits a did:ethr into network, chain and address", () => {
+    load([DEV]);
+    const wallet = Wallet.createRandom();
+    const address = wallet.address;
+
+    assert.deepEqual(parseEthrDid(`did:ethr:${address.toLowerCase()}`), {
+        network: "mainnet",
+        chainId: 1,
+        address,
+    });
+    assert.deepEqual(parseEthrDid(`did:ethr:dev:${address}#controller`), {
+        network: "dev",
+        chainId: 31337,
+        address,
+    });
+    assert.deepEqual(parseEthrDid(`did:ethr:0x7a69:${address}`), {
+        network: "0x7a69",
+        chainId: 31337,
+        address,
+    });
+    // Networks that are not configured have no chain id
+    assert.equal(parseEthrDid(`did:ethr:unknown:${address}`).chainId, null);
+
+    const publicKey = wallet.signingKey.compressedPublicKey;
+    assert.equal(parseEthrDid(`did:ethr:dev:${publicKey}`).address, computeAddress(publicKey));
+
+    for (const did of [
+        "did:key:z6MkhaXgBZDvotDkL5257faiztiGiC2QtKLGpbnnEGta2doK",
+        "did:ethr:dev:0x1234",
+        `did:ethr:dev:0x02${"0".repeat(64)}`,
+        undefined,
+    ]) {
+        assert.equal(parseEthrDid(did), null);
+    }
+});
@@ -0,0 +1,90 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { sha256, toUtf8Bytes, Wallet } from "ethers";
+import { startServer } from "./helpers/server.js";
+import { parseEthrDid } from "../lib/networks.js";
+
+// A did:ethr network whose RPC refuses connections, so its registry is unreachable
+const OFFLINE_NETWORK = {
+    name: "offline",
+    chainId: 31337,
+    rpcUrls: ["http://127.0.0.1:9"],
+    registry: "0x1111111111111111111111111111111111111111",
+};
+
+let server;
+const issuer = Wallet.createRandom();
+const ISSUER = `did:ethr:offline:${issuer.address}`;
+
+// A JWT credential signed with ES256K (r || s) or ES256K-R (r || s || recovery bit)
+function signJwt({ alg = "ES256K-R", wallet = issuer, iss = ISSUER, exp } = {}) {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+    const header = encode({ alg, typ: "JWT" });
+    const payload = encode({
+        iss,
+        sub: "did:key:z6MkSubject",
+        nbf: Math.floor(Date.now() / 1000) - 60,
+        ...(exp && { exp }),
+        vc: {
+            "@context": ["https://www.w3.org/2018/credentials/v1"],
+            type: ["VerifiableCredential"],
+            credentialSubject: { name: "Alice" },
+        },
+    });
+    const signature = wallet.signingKey.sign(sha256(toUtf8Bytes(`${header}.${payload}`)));
+    const bytes = Buffer.concat([
+        Buffer.from(signature.r.slice(2), "hex"),
+        Buffer.from(signature.s.slice(2), "hex"),
+        ...(alg === "ES256K-R" ? [Buffer.from([signature.yParity])] : []),
+    ]);
+    return `${header}.${payload}.${bytes.toString("base64url")}`;
+}
+
+before(async () => {
+    const networksFile = join(mkdtempSync(join(tmpdir(), "networks-")), "networks.json");
+    writeFileSync(networksFile, JSON.stringify([OFFLINE_NETWORK]));
+    server = await startServer("server.js", { NETWORKS_FILE: networksFile });
+});
+
+after(() => server.stop());
+
+async function verifyOffline(credential) {
+    const { status, body } = await server.request("POST", "/credential/verify-skale", {
+        credential,
+    });
+    assert.equal(status, 200);
+    assert.equal(body.method, "offline_ethr");
+    return body.verification;
+}
+
+test("ES256K and ES256K-R signatures of the issuer verify offline", async () => {
+    for (const alg of ["ES256K", "ES256K-R"]) {
+        const verification = await verifyOffline(signJwt({ alg }));
+        assert.equal(verification.verified, true, alg);
+        assert.equal(verification.signer, issuer.address);
+    }
+});
+
+test("signatures by another key and expired credentials fail offline", async () => {
+    const wrongSigner = await verifyOffline(signJwt({ wallet: Wallet.createRandom() }));
+    assert.equal(wrongSigner.verified, false);
+    assert.equal(wrongSigner.error.errorCode, "invalid_signature");
+
+    const expired = await verifyOffline(signJwt({ exp: Math.floor(Date.now() / 1000) - 1 }));
+    assert.equal(expired.verified, false);
+    assert.match(expired.error.message, /expired/);
+});
+
+test("issuers with a public key that is not a curve point are not did:ethr DIDs", async () => {
+    const did = `did:ethr:offline:0x04${"f".repeat(64)}`;
+    assert.equal(parseEthrDid(did), null);
+
+    const { status, body } = await server.request("POST", "/credential/verify-skale", {
+        credential: signJwt({ iss: did }),
+    });
+    assert.equal(status, 200);
+    assert.equal(body.verification.verified, false);
+});
@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers/server.js";
+
+const DOMAIN = "verifier.example";
+
+for (const script of ["server.js", "server-decentralized.js"]) {
+    test(`${script} issues and verifies JWT and JSON-LD credentials and presentations`, async (t) => {
+        const server = await startServer(script);
+        t.after(() => server.stop());
+
+        const { body: created } = await server.request("POST", "/did/create", {
+            provider: "did:key",
+        });
+        const did = created.identifier.did;
+
+        const unsupported = await server.request("POST", "/credential/create", {
+            issuerDid: did,
+            subjectDid: did,
+            credentialSubject: { name: "Alice" },
+            proofFormat: "ldp_vc",
+        });
+        assert.equal(unsupported.status, 400);
+        assert.match(unsupported.body.error, /Unsupported proofFormat/);
+
+        for (const [proofFormat, proofType] of [
+            ["jwt", "JwtProof2020"],
+            ["lds", "Ed25519Signature2018"],
+        ]) {
+            const issued = await server.request("POST", "/credential/create", {
+                issuerDid: did,
+                subjectDid: did,
+                credentialSubject: { name: "Alice" },
+                proofFormat,
+            });
+            assert.equal(issued.status, 200, JSON.stringify(issued.body));
+            const { credential } = issued.body;
+            assert.equal(credential.proof.type, proofType);
+
+            // The format is detected from the credential
+            const verified = await server.request("POST", "/credential/verify", { credential });
+            assert.equal(verified.body.proofFormat, proofFormat);
+            assert.equal(verified.body.verification.verified, true, proofFormat);
+
+            if (proofFormat === "lds") {
+                // LD credentials carry their revocation entry alone
+                assert.equal(credential.credentialStatus.statusPurpose, "revocation");
+                const suspended = await server.request("POST", "/credential/suspend", { credential });
+                assert.equal(suspended.status, 404);
+                const tampered = await server.request("POST", "/credential/verify", {
+                    credential: {
+                        ...credential,
+                        credentialSubject: { ...credential.credentialSubject, name: "Mallory" },
+                    },
+                });
+                assert.equal(tampered.body.verification.verified, false);
+            }
+
+            const { body: issuedChallenge } = await server.request(
+                "POST",
+                "/presentation/challenge",
+                { domain: DOMAIN }
+            );
+            const presented = await server.request("POST", "/presentation/create", {
+                holderDid: did,
+                verifiableCredentials: [credential],
+                domain: DOMAIN,
+                challenge: issuedChallenge.challenge,
+                proofFormat,
+            });
+            assert.equal(presented.status, 200, JSON.stringify(presented.body));
+            if (script === "server.js") {
+                // Stored as signed, without the issuanceDate the data store needs
+                const stored = await server.request("GET", `/presentation/${presented.body.hash}`);
+                assert.deepEqual(stored.body.presentation, presented.body.presentation);
+            }
+            const presentation = await server.request("POST", "/presentation/verify", {
+                presentation: presented.body.presentation,
+            });
+            assert.equal(presentation.body.proofFormat, proofFormat);
+            assert.equal(presentation.body.verification.verified, true, proofFormat);
+        }
+    });
+}
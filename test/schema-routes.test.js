@@ -0,0 +1,121 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers/server.js";
+
+const DEGREE_SCHEMA = {
+    $schema: "http://json-schema.org/draft-07/schema#",
+    type: "object",
+    required: ["degree", "university"],
+    properties: {
+        degree: { type: "string" },
+        university: { type: "string" },
+    },
+    additionalProperties: false,
+};
+
+for (const script of ["server.js", "server-decentralized.js"]) {
+    test(`${script} registers schemas and checks credentials against them`, async (t) => {
+        const server = await startServer(script);
+        t.after(() => server.stop());
+
+        const missing = await server.request("POST", "/schema", { name: "UniversityDegree" });
+        assert.equal(missing.status, 400);
+        const invalid = await server.request("POST", "/schema", {
+            name: "Broken",
+            schema: { type: "not-a-type" },
+        });
+        assert.equal(invalid.status, 400);
+        assert.match(invalid.body.error, /^Invalid JSON Schema/);
+
+        const registered = await server.request("POST", "/schema", {
+            name: "UniversityDegree",
+            version: "1.0",
+            schema: DEGREE_SCHEMA,
+        });
+        assert.equal(registered.status, 200);
+        assert.equal(registered.body.existing, false);
+        const { id, url } = registered.body.schema;
+        assert.equal(url, `${server.url}/schema/${id}`);
+
+        // The ID comes from the content, so registering it again is a no-op
+        const again = await server.request("POST", "/schema", {
+            name: "UniversityDegree",
+            version: "1.0",
+            schema: DEGREE_SCHEMA,
+        });
+        assert.equal(again.body.schema.id, id);
+        assert.equal(again.body.existing, true);
+
+        const listed = await server.request("GET", "/schema");
+        assert.deepEqual(listed.body.schemas.map((schema) => schema.id), [id]);
+        const served = await server.request("GET", `/schema/${id}`);
+        assert.match(served.headers.get("content-type"), /^application\/schema\+json/);
+        assert.deepEqual(served.body, { $id: url, ...DEGREE_SCHEMA });
+        assert.equal((await server.request("GET", "/schema/unknown")).status, 404);
+
+        const { body: created } = await server.request("POST", "/did/create", {
+            provider: "did:key",
+        });
+        const did = created.identifier.did;
+        const issue = (credentialSubject, schemaId, proofFormat) =>
+            server.request("POST", "/credential/create", {
+                issuerDid: did,
+                subjectDid: did,
+                credentialSubject,
+                schemaId,
+                ...(proofFormat && { proofFormat }),
+            });
+        const degree = { degree: "BSc", university: "Example University" };
+
+        const unknown = await issue(degree, "unknown");
+        assert.equal(unknown.status, 400);
+        assert.match(unknown.body.error, /Unknown schemaId/);
+
+        const mismatch = await issue({ degree: "BSc" }, id);
+        assert.equal(mismatch.status, 400);
+        assert.deepEqual(mismatch.body.schemaErrors, [
+            "credentialSubject must have required property 'university'",
+        ]);
+
+        // The schema can be referenced by its ID or its URL
+        for (const schemaId of [id, url]) {
+            const issued = await issue(degree, schemaId);
+            assert.equal(issued.status, 200, JSON.stringify(issued.body));
+            const verified = await server.request("POST", "/credential/verify", {
+                credential: issued.body.credential,
+            });
+            assert.equal(verified.body.verification.verified, true);
+            assert.deepEqual(verified.body.schema, { id: url, valid: true, errors: [] });
+        }
+
+        // Conformance is reported next to the signature result, not folded into it
+        const { body: ld } = await issue(degree, id, "lds");
+        assert.deepEqual(ld.credential.credentialSchema, {
+            id: url,
+            type: "JsonSchemaValidator2018",
+        });
+        const tampered = await server.request("POST", "/credential/verify", {
+            credential: {
+                ...ld.credential,
+                credentialSubject: { ...ld.credential.credentialSubject, degree: 42 },
+            },
+        });
+        assert.equal(tampered.body.verification.verified, false);
+        assert.equal(tampered.body.schema.valid, false);
+        assert.deepEqual(tampered.body.schema.errors, [
+            "credentialSubject/degree must be string",
+        ]);
+
+        // Schemas of other registries are not fetched
+        const foreign = await server.request("POST", "/credential/verify", {
+            credential: {
+                ...ld.credential,
+                credentialSchema: {
+                    id: "https://schemas.example/degree.json",
+                    type: "JsonSchemaValidator2018",
+                },
+            },
+        });
+        assert.equal(foreign.body.schema.valid, null);
+    });
+}
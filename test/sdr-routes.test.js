@@ -0,0 +1,167 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers/server.js";
+
+const DOMAIN = "verifier.example";
+
+for (const script of ["server.js", "server-decentralized.js"]) {
+    test(`${script} burns an SDR challenge only for an accepted presentation`, async (t) => {
+        const server = await startServer(script);
+        t.after(() => server.stop());
+
+        const createDid = async () =>
+            (await server.request("POST", "/did/create", { provider: "did:key" })).body
+                .identifier.did;
+        const verifierDid = await createDid();
+        const holderDid = await createDid();
+        const { body: issued } = await server.request("POST", "/credential/create", {
+            issuerDid: verifierDid,
+            subjectDid: holderDid,
+            credentialSubject: { degree: "BSc" },
+        });
+        const { body: created } = await server.request("POST", "/sdr/create", {
+            issuerDid: verifierDid,
+            subjectDid: holderDid,
+            claims: [{ claimType: "degree", essential: true }],
+        });
+        const { body: issuedChallenge } = await server.request("POST", "/presentation/challenge", {
+            domain: DOMAIN,
+        });
+        const { challenge } = issuedChallenge;
+
+        const present = async (verifiableCredentials) =>
+            (
+                await server.request("POST", "/presentation/create", {
+                    holderDid,
+                    verifiableCredentials,
+                    domain: DOMAIN,
+                    challenge,
+                })
+            ).body.presentation;
+        const validate = (presentation) =>
+            server.request("POST", "/sdr/validate", { sdr: created.sdr, presentation });
+
+        // Presentations that cannot be read are refused before the challenge is checked
+        for (const presentation of ["not-a-jwt", 42]) {
+            const invalid = await validate(presentation);
+            assert.equal(invalid.status, 400);
+            assert.match(invalid.body.error, /^Invalid presentation/);
+        }
+
+        // A verified presentation that does not satisfy the request
+        const missing = await validate(await present([]));
+        assert.equal(missing.status, 200);
+        assert.equal(missing.body.verification.verified, true);
+        assert.equal(missing.body.valid, false);
+
+        const accepted = await validate(await present([issued.credential]));
+        assert.equal(accepted.body.valid, true, JSON.stringify(accepted.body));
+        assert.equal(accepted.body.holder, holderDid);
+
+        const replayed = await validate(await present([issued.credential]));
+        assert.equal(replayed.body.valid, false);
+        assert.equal(replayed.body.verification.error.errorCode, "challenge_reused");
+    });
+}
+
+for (const script of ["server.js", "server-decentralized.js"]) {
+    test(`${script} creates selective disclosure requests and checks presentations against them`, async (t) => {
+        const server = await startServer(script);
+        t.after(() => server.stop());
+
+        const createDid = async () =>
+            (await server.request("POST", "/did/create", { provider: "did:key" })).body
+                .identifier.did;
+        const verifierDid = await createDid();
+        const issuerDid = await createDid();
+        const holderDid = await createDid();
+        const otherDid = await createDid();
+
+        const missing = await server.request("POST", "/sdr/create", {
+            issuerDid: verifierDid,
+            claims: [],
+        });
+        assert.equal(missing.status, 400);
+        const untyped = await server.request("POST", "/sdr/create", {
+            issuerDid: verifierDid,
+            claims: [{ essential: true }],
+        });
+        assert.equal(untyped.status, 400);
+        assert.match(untyped.body.error, /claimType or a credentialType/);
+
+        // Only degrees issued by issuerDid are accepted
+        const { body: created } = await server.request("POST", "/sdr/create", {
+            issuerDid: verifierDid,
+            subjectDid: holderDid,
+            tag: "onboarding",
+            claims: [
+                {
+                    claimType: "degree",
+                    essential: true,
+                    issuers: [{ did: issuerDid, url: "https://issuer.example" }],
+                },
+            ],
+        });
+        assert.equal(created.success, true);
+        assert.equal(typeof created.sdr, "string");
+        assert.equal(created.request.issuer, verifierDid);
+        assert.equal(created.request.subject, holderDid);
+        assert.equal(created.request.tag, "onboarding");
+        assert.equal(created.request.claims[0].claimType, "degree");
+
+        const issue = async (issuer, subject) =>
+            (
+                await server.request("POST", "/credential/create", {
+                    issuerDid: issuer,
+                    subjectDid: subject,
+                    credentialSubject: { degree: "BSc" },
+                })
+            ).body.credential;
+        const present = async (holder, verifiableCredentials) => {
+            const { body: issuedChallenge } = await server.request(
+                "POST",
+                "/presentation/challenge",
+                { domain: DOMAIN }
+            );
+            const { body } = await server.request("POST", "/presentation/create", {
+                holderDid: holder,
+                verifiableCredentials,
+                domain: DOMAIN,
+                challenge: issuedChallenge.challenge,
+            });
+            return body.presentation;
+        };
+        const validate = async (presentation, sdr = created.sdr) =>
+            server.request("POST", "/sdr/validate", { sdr, presentation });
+
+        // The request must be a signed SDR
+        const unsigned = await validate(await present(holderDid, []), "not-a-jwt");
+        assert.equal(unsigned.status, 400);
+        assert.match(unsigned.body.error, /^Invalid selective disclosure request/);
+        const notSdr = await validate(
+            await present(holderDid, []),
+            await issue(issuerDid, holderDid)
+        );
+        assert.equal(notSdr.status, 400);
+
+        // A degree from an issuer the request does not accept
+        const wrongIssuer = await validate(
+            await present(holderDid, [await issue(otherDid, holderDid)])
+        );
+        assert.equal(wrongIssuer.body.verification.verified, true);
+        assert.equal(wrongIssuer.body.valid, false);
+
+        // The right credential, presented by someone other than the subject
+        const credential = await issue(issuerDid, holderDid);
+        const otherHolder = await validate(await present(otherDid, [credential]));
+        assert.equal(otherHolder.body.verification.verified, true);
+        assert.equal(otherHolder.body.valid, false);
+        assert.equal(otherHolder.body.holder, otherDid);
+        assert.match(otherHolder.body.error, /is not the requested subject/);
+
+        const accepted = await validate(await present(holderDid, [credential]));
+        assert.equal(accepted.body.valid, true, JSON.stringify(accepted.body));
+        assert.equal(accepted.body.claims[0].claimType, "degree");
+        assert.equal(accepted.body.claims[0].credentials.length, 1);
+    });
+}
@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { randomBytes } from "crypto";
+import { startServer } from "./helpers/server.js";
+
+// The built-in fallback and the old .env.example key
+const PUBLISHED_SECRET_KEY = "3c186fb58980777698bab8e95f010f40fd0d04e14de8f49b551108351aefaf28";
+const OLD_EXAMPLE_SECRET_KEY = "29739248cad1bd1a0fc4d9b75cd4d2990de535baf5caadfdf8d8f86664aa830c";
+
+const newSecretKey = () => randomBytes(32).toString("hex");
+
+for (const [script, storage] of [
+    ["server.js", {}],
+    ["server-decentralized.js", { STORAGE_BACKEND: "sqlite" }],
+]) {
+    test(`${script} refuses unusable and published SECRET_KEYs outside DEV_MODE`, async () => {
+        for (const [secretKey, message] of [
+            ["", /SECRET_KEY is not set/],
+            ["not-a-key", /must be 32 bytes in hex/],
+            [PUBLISHED_SECRET_KEY, /published default key/],
+            [OLD_EXAMPLE_SECRET_KEY.toUpperCase(), /published default key/],
+        ]) {
+            await assert.rejects(
+                startServer(script, { ...storage, DEV_MODE: "false", SECRET_KEY: secretKey }),
+                message
+            );
+        }
+
+        // DEV_MODE falls back to the published key, with a warning
+        const server = await startServer(script, { ...storage, SECRET_KEY: "" });
+        await server.stop();
+        assert.match(server.getOutput(), /SECRET_KEY is a published key/);
+    });
+
+    test(`${script} re-encrypts the stored private keys with a rotated SECRET_KEY`, async (t) => {
+        const oldSecretKey = newSecretKey();
+        const env = { ...storage, DEV_MODE: "false" };
+        let server = await startServer(script, { ...env, SECRET_KEY: oldSecretKey });
+        t.after(() => server.stop());
+        const { dir } = server;
+
+        const { body: created } = await server.request("POST", "/did/create", {
+            provider: "did:key",
+        });
+        const did = created.identifier.did;
+        const issue = async () =>
+            (
+                await server.request("POST", "/credential/create", {
+                    issuerDid: did,
+                    subjectDid: did,
+                    credentialSubject: { name: "Alice" },
+                })
+            ).status;
+        assert.equal(await issue(), 200);
+
+        for (const secretKey of [undefined, "not-a-key", PUBLISHED_SECRET_KEY, oldSecretKey]) {
+            const refused = await server.request("POST", "/admin/secret-key/rotate", {
+                secretKey,
+            });
+            assert.equal(refused.status, 400, secretKey);
+        }
+
+        const secretKey = newSecretKey();
+        const rotated = await server.request("POST", "/admin/secret-key/rotate", { secretKey });
+        assert.equal(rotated.status, 200, JSON.stringify(rotated.body));
+        assert.equal(rotated.body.success, true);
+        assert.ok(rotated.body.reencrypted >= 1);
+        // The running server signs with the re-encrypted keys at once
+        assert.equal(await issue(), 200);
+        await server.stop();
+
+        // The old key no longer decrypts the store
+        await assert.rejects(
+            startServer(script, { ...env, SECRET_KEY: oldSecretKey }, { dir }),
+            /does not decrypt the stored private keys/
+        );
+
+        server = await startServer(script, { ...env, SECRET_KEY: secretKey }, { dir });
+        assert.equal(await issue(), 200);
+    });
+}
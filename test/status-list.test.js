@@ -0,0 +1,177 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as delay } from "timers/promises";
+import {
+    createStatusLists,
+    decodeStatusList,
+    encodeStatusList,
+    getStatusBit,
+    setStatusBit,
+    STATUS_LIST_SIZE,
+} from "../lib/status-list.js";
+
+const BASE_URL = "https://issuer.example";
+const ISSUER = "did:key:z6MkIssuer";
+
+// Store that keeps encoded rows and returns fresh copies after a delay, like
+// the SQL store, so unserialized read-modify-write cycles would interleave
+function createSlowStore() {
+    const rows = new Map();
+    const toList = (row) => ({ ...row, bits: decodeStatusList(row.bits) });
+    return {
+        rows,
+        async getList(id) {
+            await delay(2);
+            return rows.has(id) ? toList(rows.get(id)) : null;
+        },
+        async findOpenList(issuer, purpose) {
+            await delay(2);
+            const row = Array.from(rows.values()).find(
+                (row) => row.issuer === issuer && row.purpose === purpose && row.nextIndex < row.size
+            );
+            return row ? toList(row) : null;
+        },
+        async saveList(list) {
+            await delay(2);
+            rows.set(list.id, { ...list, bits: encodeStatusList(list.bits) });
+            return list;
+        },
+    };
+}
+
+function createTestStatusLists(store) {
+    return createStatusLists({
+        store,
+        getAgent: () => ({
+            async createVerifiableCredential({ credential }) {
+                await delay(5);
+                return { proof: { jwt: JSON.stringify(credential.credentialSubject) } };
+            },
+        }),
+        baseUrl: BASE_URL,
+        canSignAs: () => true,
+    });
+}
+
+const revocationList = (store) =>
+    Array.from(store.rows.values()).find((row) => row.purpose === "revocation");
+
+test("status bits are read and written left to right and survive encoding", () => {
+    const bits = Buffer.alloc(STATUS_LIST_SIZE / 8);
+    setStatusBit(bits, 0, true);
+    setStatusBit(bits, 9, true);
+    assert.equal(bits[0], 0b10000000);
+    assert.equal(bits[1], 0b01000000);
+
+    const decoded = decodeStatusList(encodeStatusList(bits));
+    assert.equal(getStatusBit(decoded, 0), 1);
+    assert.equal(getStatusBit(decoded, 9), 1);
+    assert.equal(getStatusBit(decoded, 8), 0);
+
+    setStatusBit(decoded, 9, false);
+    assert.equal(getStatusBit(decoded, 9), 0);
+    // Bitstring Status List adds a multibase "u" prefix
+    assert.deepEqual(decodeStatusList(`u${encodeStatusList(bits)}`), bits);
+});
+
+test("concurrent issuances get distinct status list indexes", async () => {
+    const store = createSlowStore();
+    const { allocateCredentialStatus } = createTestStatusLists(store);
+
+    const results = await Promise.all(
+        Array.from({ length: 10 }, () => allocateCredentialStatus(ISSUER))
+    );
+    for (const purpose of ["revocation", "suspension"]) {
+        const indexes = results.map(
+            (entries) => entries.find((entry) => entry.statusPurpose === purpose).statusListIndex
+        );
+        assert.equal(new Set(indexes).size, 10);
+    }
+    assert.equal(store.rows.size, 2);
+    assert.equal(revocationList(store).nextIndex, 10);
+});
+
+test("an issuance racing a revocation does not undo it", async () => {
+    const store = createSlowStore();
+    const { allocateCredentialStatus, checkCredentialStatus, updateStatusBit } =
+        createTestStatusLists(store);
+    const credentialStatus = await allocateCredentialStatus(ISSUER);
+    const list = await store.getList(revocationList(store).id);
+
+    await Promise.all([
+        updateStatusBit(list, 0, true),
+        allocateCredentialStatus(ISSUER),
+        allocateCredentialStatus(ISSUER),
+    ]);
+
+    const status = await checkCredentialStatus({ issuer: ISSUER, credentialStatus });
+    assert.equal(status.revoked, true);
+    assert.equal(status.suspended, false);
+    assert.equal(revocationList(store).nextIndex, 3);
+});
+
+test("the status list credential is re-signed after a change", async () => {
+    const store = createSlowStore();
+    const { allocateCredentialStatus, getStatusListCredential, updateStatusBit } =
+        createTestStatusLists(store);
+    await allocateCredentialStatus(ISSUER);
+    const list = await store.getList(revocationList(store).id);
+
+    const before = JSON.parse(await getStatusListCredential(list));
+    // A fetch racing the revocation must not save its stale bitstring back
+    await Promise.all([
+        updateStatusBit(list, 0, true),
+        getStatusListCredential(await store.getList(list.id)),
+    ]);
+    const after = JSON.parse(await getStatusListCredential(await store.getList(list.id)));
+
+    assert.equal(getStatusBit(decodeStatusList(before.encodedList), 0), 0);
+    assert.equal(getStatusBit(decodeStatusList(after.encodedList), 0), 1);
+    assert.equal(getStatusBit(decodeStatusList(revocationList(store).bits), 0), 1);
+});
+
+test("credentials pointing at another issuer's list fail the status check", async () => {
+    const store = createSlowStore();
+    const { allocateCredentialStatus, applyCredentialStatus } = createTestStatusLists(store);
+    const credentialStatus = await allocateCredentialStatus(ISSUER);
+
+    const result = await applyCredentialStatus(
+        { verified: true },
+        { issuer: "did:key:z6MkOther", credentialStatus }
+    );
+    assert.equal(result.verified, false);
+    assert.equal(result.error.errorCode, "status_check_failed");
+});
+
+test("local-only checks read this service's lists and skip other services' lists", async () => {
+    const store = createSlowStore();
+    const { allocateCredentialStatus, applyCredentialStatus, updateStatusBit } =
+        createTestStatusLists(store);
+    const credentialStatus = await allocateCredentialStatus(ISSUER);
+    await updateStatusBit(await store.getList(revocationList(store).id), 0, true);
+
+    const revoked = await applyCredentialStatus(
+        { verified: true },
+        { issuer: ISSUER, credentialStatus },
+        undefined,
+        { localOnly: true }
+    );
+    assert.equal(revoked.verified, false);
+    assert.equal(revoked.error.errorCode, "credential_revoked");
+
+    const remoteEntry = {
+        type: "StatusList2021Entry",
+        statusPurpose: "revocation",
+        statusListIndex: "7",
+        // Unreachable, so a fetch would fail the check
+        statusListCredential: "https://other.invalid/status/1",
+    };
+    const remote = await applyCredentialStatus(
+        { verified: true },
+        { issuer: ISSUER, credentialStatus: remoteEntry },
+        undefined,
+        { localOnly: true }
+    );
+    assert.equal(remote.verified, true);
+    assert.equal(remote.status.entries[0].set, null);
+});
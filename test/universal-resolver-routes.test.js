@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { startServer } from "./helpers/server.js";
+
+const RESOLUTION_ACCEPT = 'application/ld+json;profile="https://w3id.org/did-resolution"';
+
+// did:ethr network whose RPC URL nothing listens on, so its DIDs are not found
+const UNREACHABLE_NETWORK = {
+    name: "dev",
+    chainId: 31337,
+    rpcUrls: ["http://127.0.0.1:9"],
+    registry: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+};
+
+for (const script of ["server.js", "server-decentralized.js"]) {
+    test(`${script} serves DID resolution results at /1.0/identifiers`, async (t) => {
+        const networksFile = join(mkdtempSync(join(tmpdir(), "networks-")), "networks.json");
+        writeFileSync(networksFile, JSON.stringify([UNREACHABLE_NETWORK]));
+        const server = await startServer(script, { NETWORKS_FILE: networksFile });
+        t.after(() => server.stop());
+
+        const get = (didUrl, accept) =>
+            server.request(
+                "GET",
+                `/1.0/identifiers/${didUrl}`,
+                undefined,
+                accept ? { Accept: accept } : {}
+            );
+
+        const { body: created } = await server.request("POST", "/did/create", {
+            provider: "did:key",
+        });
+        const did = created.identifier.did;
+
+        // Not wrapped in { success, ... }
+        for (const accept of [undefined, RESOLUTION_ACCEPT]) {
+            const result = await get(did, accept);
+            assert.equal(result.status, 200);
+            assert.match(result.headers.get("content-type"), /^application\/ld\+json/);
+            assert.equal(result.body.success, undefined);
+            assert.equal(result.body["@context"], "https://w3id.org/did-resolution/v1");
+            assert.equal(result.body.didDocument.id, did);
+            assert.equal(result.body.didResolutionMetadata.contentType, "application/did+ld+json");
+        }
+
+        const ldDocument = await get(did, "application/did+ld+json");
+        assert.match(ldDocument.headers.get("content-type"), /^application\/did\+ld\+json/);
+        assert.equal(ldDocument.body["@context"][0], "https://www.w3.org/ns/did/v1");
+        assert.equal(ldDocument.body.id, did);
+        const document = await get(did, "application/did+json");
+        assert.match(document.headers.get("content-type"), /^application\/did\+json/);
+        assert.equal(document.body["@context"], undefined);
+
+        // A fragment dereferences the verification method
+        const methodId = ldDocument.body.assertionMethod[0];
+        const method = await get(encodeURIComponent(methodId), "application/did+json");
+        assert.equal(method.status, 200);
+        assert.equal(method.body.id, methodId);
+        assert.equal(method.body.type, "Ed25519VerificationKey2018");
+        const missingFragment = await get(encodeURIComponent(`${did}#missing`));
+        assert.equal(missingFragment.status, 404);
+        assert.equal(missingFragment.body.dereferencingMetadata.error, "notFound");
+
+        for (const [didUrl, status, error] of [
+            ["not-a-did", 400, "invalidDid"],
+            ["did:example:123", 501, "methodNotSupported"],
+            ["did:ethr:dev:0x8ba1f109551bD432803012645Ac136ddd64DBA72", 404, "notFound"],
+        ]) {
+            const failed = await get(didUrl);
+            assert.equal(failed.status, status, didUrl);
+            assert.equal(failed.body.didResolutionMetadata.error, error);
+        }
+
+        const unsupported = await get(did, "text/html");
+        assert.equal(unsupported.status, 406);
+        assert.equal(unsupported.body.didResolutionMetadata.error, "representationNotSupported");
+    });
+}
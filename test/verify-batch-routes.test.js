@@ -0,0 +1,114 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers/server.js";
+
+const DOMAIN = "verifier.example";
+
+for (const script of ["server.js", "server-decentralized.js"]) {
+    test(`${script} verifies batches of credentials and presentations`, async (t) => {
+        const server = await startServer(script, { MAX_CREDENTIAL_BATCH_SIZE: "8" });
+        t.after(() => server.stop());
+
+        const createDid = async () =>
+            (await server.request("POST", "/did/create", { provider: "did:key" })).body
+                .identifier.did;
+        const issuerDid = await createDid();
+        const holderDid = await createDid();
+        const issue = async (proofFormat = "jwt") =>
+            (
+                await server.request("POST", "/credential/create", {
+                    issuerDid,
+                    subjectDid: holderDid,
+                    credentialSubject: { name: "Alice" },
+                    proofFormat,
+                })
+            ).body.credential;
+
+        for (const credentials of [undefined, [], new Array(9).fill("x")]) {
+            const invalid = await server.request("POST", "/credential/verify-batch", {
+                credentials,
+            });
+            assert.equal(invalid.status, 400);
+        }
+
+        const jwt = await issue();
+        const ld = await issue("lds");
+        const revoked = await issue();
+        await server.request("POST", "/credential/revoke", { credential: revoked });
+        const tampered = {
+            ...ld,
+            credentialSubject: { ...ld.credentialSubject, name: "Mallory" },
+        };
+
+        const { body: batch } = await server.request("POST", "/credential/verify-batch", {
+            credentials: [jwt, ld, revoked, tampered, null],
+        });
+        assert.equal(batch.success, true);
+        // Every credential comes from the same issuer, resolved once
+        assert.deepEqual(batch.summary, { total: 5, verified: 2, failed: 3, resolvedDids: 1 });
+        assert.deepEqual(
+            batch.results.map(({ index, verified, proofFormat }) => [index, verified, proofFormat]),
+            [
+                [0, true, "jwt"],
+                [1, true, "lds"],
+                [2, false, "jwt"],
+                [3, false, "lds"],
+                [4, false, undefined],
+            ]
+        );
+        assert.equal(batch.results[0].status.revoked, false);
+        assert.equal(batch.results[2].error.code, "credential_revoked");
+        // JSON-LD proof failures carry no error code of their own
+        assert.equal(batch.results[3].error.code, "verification_failed");
+        assert.equal(batch.results[4].error.code, "invalid_request");
+
+        // Presentations, each answering its own challenge
+        const present = async (verifiableCredentials, domain = DOMAIN) => {
+            const { body: issuedChallenge } = await server.request(
+                "POST",
+                "/presentation/challenge",
+                { domain }
+            );
+            const { body } = await server.request("POST", "/presentation/create", {
+                holderDid,
+                verifiableCredentials,
+                domain,
+                challenge: issuedChallenge.challenge,
+            });
+            return body.presentation;
+        };
+        const verifyPresentations = async (presentations) =>
+            (
+                await server.request("POST", "/presentation/verify-batch", {
+                    domain: DOMAIN,
+                    presentations,
+                })
+            ).body;
+
+        const first = await present([jwt]);
+        const presentations = await verifyPresentations([
+            { presentation: first },
+            { presentation: await present([jwt, ld]) },
+            { presentation: await present([revoked]) },
+            { presentation: await present([jwt], "other.example") },
+            {},
+        ]);
+        assert.equal(presentations.summary.total, 5);
+        assert.equal(presentations.summary.verified, 2);
+        assert.equal(presentations.summary.failed, 3);
+        assert.deepEqual(
+            presentations.results.map(({ verified, error }) => [verified, error?.code]),
+            [
+                [true, undefined],
+                [true, undefined],
+                [false, "credential_revoked"],
+                [false, "domain_mismatch"],
+                [false, "invalid_request"],
+            ]
+        );
+
+        // Challenges are burned per entry
+        const replayed = await verifyPresentations([{ presentation: first }]);
+        assert.equal(replayed.results[0].error.code, "challenge_reused");
+    });
+}
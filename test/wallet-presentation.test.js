@@ -0,0 +1,212 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Wallet } from "ethers";
+import {
+    createWalletPresentationVerifier,
+    getCredentialJwt,
+    getEthrControllerAddresses,
+    getPresentationEip712,
+    prepareWalletPresentation,
+} from "../lib/wallet-presentation.js";
+import { loadNetworks } from "../lib/networks.js";
+
+loadNetworks([
+    {
+        name: "sepolia",
+        chainId: 11155111,
+        rpcUrls: ["http://127.0.0.1:8545"],
+        registry: "0x03d5003bf0e79C5F5223588F347ebA39AfbC3818",
+    },
+]);
+
+const owner = Wallet.createRandom();
+const HOLDER = `did:ethr:sepolia:${owner.address}`;
+
+// The did:ethr document of HOLDER as the registry reports it, controlled by controllerAddress
+function createDidDocument(controllerAddress = owner.address) {
+    const controller = {
+        id: `${HOLDER}#controller`,
+        type: "EcdsaSecp256k1RecoveryMethod2020",
+        controller: HOLDER,
+        blockchainAccountId: `eip155:11155111:${controllerAddress}`,
+    };
+    return {
+        id: HOLDER,
+        verificationMethod: [controller],
+        authentication: [controller.id],
+        assertionMethod: [controller.id],
+    };
+}
+
+function createVerifier(resolveDid) {
+    return createWalletPresentationVerifier({
+        resolveDid,
+        verifyCredential: async () => ({ verified: true }),
+    });
+}
+
+async function signPresentation(signatureType, wallet = owner) {
+    const prepared = prepareWalletPresentation({
+        holderDid: HOLDER,
+        verifiableCredentials: ["eyJhbGciOiJFUzI1NksifQ.e30.c2ln"],
+        type: "VerifiablePresentation",
+        domain: "verifier.example",
+        challenge: "challenge",
+        signatureType,
+    });
+    if (signatureType === "personal_sign") {
+        prepared.presentation.proof.proofValue = await wallet.signMessage(prepared.message);
+    } else {
+        const { EIP712Domain, ...types } = prepared.typedData.types;
+        assert.ok(EIP712Domain);
+        prepared.presentation.proof.proofValue = await wallet.signTypedData(
+            prepared.typedData.domain,
+            types,
+            prepared.typedData.message
+        );
+    }
+    return prepared.presentation;
+}
+
+test("only secp256k1 authentication keys count as controllers", () => {
+    const delegate = Wallet.createRandom();
+    const didDocument = createDidDocument();
+    didDocument.verificationMethod.push(
+        {
+            id: `${HOLDER}#delegate-1`,
+            type: "EcdsaSecp256k1RecoveryMethod2020",
+            controller: HOLDER,
+            blockchainAccountId: `eip155:11155111:${delegate.address}`,
+        },
+        {
+            id: `${HOLDER}#delegate-2`,
+            type: "Ed25519VerificationKey2018",
+            controller: HOLDER,
+            publicKeyHex: "a".repeat(64),
+        }
+    );
+    // A veriKey delegate can assert but not authenticate
+    didDocument.assertionMethod.push(`${HOLDER}#delegate-1`);
+    didDocument.authentication.push("#delegate-2");
+
+    assert.deepEqual(getEthrControllerAddresses(didDocument), [owner.address.toLowerCase()]);
+
+    didDocument.authentication.push({
+        id: `${HOLDER}#delegate-3`,
+        type: "EcdsaSecp256k1VerificationKey2019",
+        controller: HOLDER,
+        publicKeyHex: delegate.signingKey.compressedPublicKey.slice(2),
+    });
+    assert.deepEqual(getEthrControllerAddresses(didDocument), [
+        owner.address.toLowerCase(),
+        delegate.address.toLowerCase(),
+    ]);
+});
+
+test("presentations signed by the controller verify", async () => {
+    const verifyWalletPresentation = createVerifier(async () => ({
+        didDocument: createDidDocument(),
+        didResolutionMetadata: {},
+    }));
+
+    for (const signatureType of ["eip712", "personal_sign"]) {
+        const result = await verifyWalletPresentation(await signPresentation(signatureType), {
+            domain: "verifier.example",
+            challenge: "challenge",
+        });
+        assert.equal(result.verified, true, signatureType);
+        assert.equal(result.signer, owner.address);
+    }
+});
+
+test("the DID's own address is refused once ownership has moved", async () => {
+    const newOwner = Wallet.createRandom();
+    const verifyWalletPresentation = createVerifier(async () => ({
+        didDocument: createDidDocument(newOwner.address),
+        didResolutionMetadata: {},
+    }));
+
+    const result = await verifyWalletPresentation(await signPresentation("personal_sign"));
+    assert.equal(result.verified, false);
+    assert.equal(result.error.errorCode, "invalid_signature");
+});
+
+test("presentations fail when the holder's registry cannot be read", async () => {
+    const presentation = await signPresentation("personal_sign");
+
+    const unreachable = createVerifier(async () => {
+        throw new Error("could not detect network");
+    });
+    const result = await unreachable(presentation);
+    assert.equal(result.verified, false);
+    assert.equal(result.error.errorCode, "controller_unresolved");
+
+    const notFound = createVerifier(async () => ({
+        didDocument: null,
+        didResolutionMetadata: { error: "notFound" },
+    }));
+    assert.equal((await notFound(presentation)).error.errorCode, "controller_unresolved");
+});
+
+test("EIP-712 signatures over fewer fields than the presentation are refused", async () => {
+    const verifyWalletPresentation = createVerifier(async () => ({
+        didDocument: createDidDocument(),
+        didResolutionMetadata: {},
+    }));
+    const { presentation, typedData } = prepareWalletPresentation({
+        holderDid: HOLDER,
+        verifiableCredentials: ["eyJhbGciOiJFUzI1NksifQ.e30.c2ln"],
+        type: "VerifiablePresentation",
+        challenge: "challenge",
+        signatureType: "eip712",
+    });
+    // A signature the wallet could have made for any dApp that asked for the holder only
+    const types = { VerifiablePresentation: [{ name: "holder", type: "string" }] };
+    presentation.proof.proofValue = await owner.signTypedData(typedData.domain, types, {
+        holder: HOLDER,
+    });
+
+    const derived = await verifyWalletPresentation(presentation, { challenge: "challenge" });
+    assert.equal(derived.verified, false);
+    assert.equal(derived.error.errorCode, "invalid_signature");
+
+    presentation.proof.eip712 = {
+        domain: typedData.domain,
+        types,
+        primaryType: "VerifiablePresentation",
+    };
+    const supplied = await verifyWalletPresentation(presentation, { challenge: "challenge" });
+    assert.equal(supplied.verified, false);
+    assert.equal(supplied.error.errorCode, "invalid_proof");
+
+    // Nor does a signature for the presentation on another chain
+    const signed = await signPresentation("eip712");
+    const { proofValue, ...proof } = signed.proof;
+    const message = { ...signed, proof };
+    const { domain, types: allTypes } = getPresentationEip712(message);
+    const { EIP712Domain, ...messageTypes } = allTypes;
+    assert.deepEqual(EIP712Domain.map(({ name }) => name), ["name", "version", "chainId"]);
+    signed.proof.proofValue = await owner.signTypedData(
+        { ...domain, chainId: 1 },
+        messageTypes,
+        message
+    );
+    assert.notEqual(signed.proof.proofValue, proofValue);
+    const mainnet = await verifyWalletPresentation(signed);
+    assert.equal(mainnet.verified, false);
+    assert.equal(mainnet.error.errorCode, "invalid_signature");
+
+    const unknownNetwork = await verifyWalletPresentation({
+        ...signed,
+        holder: `did:ethr:devnet:${owner.address}`,
+    });
+    assert.equal(unknownNetwork.error.errorCode, "invalid_proof");
+});
+
+test("only JWT credentials can be embedded", () => {
+    const jwt = "eyJhbGciOiJFUzI1NksifQ.e30.c2ln";
+    assert.equal(getCredentialJwt(jwt), jwt);
+    assert.equal(getCredentialJwt({ proof: { type: "JwtProof2020", jwt } }), jwt);
+    assert.equal(getCredentialJwt({ proof: { type: "Ed25519Signature2018", jws: "a..b" } }), null);
+    assert.equal(getCredentialJwt('{"issuer":"did:key:z6Mk"}'), null);
+});